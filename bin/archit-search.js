@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Archit Search command line interface.
+ *
+ * Runs the architecture checks headlessly so they can gate pull requests in CI.
+ *
+ * Usage: archit-search check [dir] [options]
+ *
+ * Exit codes:
+ * - 0: no errors (and warnings within --max-warnings)
+ * - 1: architecture errors found, or too many warnings
+ * - 2: invalid usage or configuration
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ConfigLoader = require('../lib/ConfigLoader');
+const ProjectChecker = require('../lib/ProjectChecker');
+const ReportExporter = require('../lib/ReportExporter');
+const { DIAGRAM_GRANULARITY } = require('../lib/ArchitectureGraph');
+
+/**
+ * Process exit codes
+ */
+const EXIT_CODES = {
+    SUCCESS: 0,
+    VIOLATIONS: 1,
+    USAGE: 2
+};
+
+/**
+ * Output formats accepted by --format (report formats plus plain text)
+ */
+const OUTPUT_FORMATS = ['text', ...ReportExporter.getAvailableFormats()];
+
+/**
+ * Diagram granularities accepted by --granularity
+ */
+const GRANULARITIES = Object.values(DIAGRAM_GRANULARITY);
+
+const USAGE = `Usage: archit-search check [dir] [options]
+
+Scans a directory, applies architSearch.rules / architSearch.layers and prints violations.
+Project config files (.architrc, .architrc.json, archit.config.json) override the settings file.
+Violations recorded in the baseline file (archit-baseline.json) are not reported; fixed ones are pruned from it.
+
+Options:
+  -c, --config <file>      Settings file (default: <dir>/.vscode/settings.json)
+  -f, --format <format>    Output format: ${OUTPUT_FORMATS.join(' | ')} (default: text)
+  -o, --output <file>      Write output to a file instead of stdout
+  -g, --granularity <g>    Diagram nodes (mermaid, dot, plantuml and markdown): ${GRANULARITIES.join(' | ')}
+                           (default: architSearch.diagramGranularity, folder)
+      --max-warnings <n>   Exit with code 1 when more than <n> warnings are found
+      --update-baseline    Record all current violations in the baseline file
+      --no-baseline        Report all violations and leave the baseline file untouched
+  -h, --help               Show this help`;
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {{command: string | undefined, dir: string, config?: string, format: string, output?: string, granularity?: string, maxWarnings: number, baseline: boolean, updateBaseline: boolean, help: boolean}}
+ * @throws {Error} On unknown options or missing option values
+ */
+function parseArgs(argv) {
+    const options = {
+        command: undefined,
+        dir: '.',
+        format: 'text',
+        maxWarnings: Infinity,
+        baseline: true,
+        updateBaseline: false,
+        help: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const takeValue = () => {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return value;
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-c':
+            case '--config':
+                options.config = takeValue();
+                break;
+            case '-f':
+            case '--format':
+                options.format = takeValue();
+                break;
+            case '-o':
+            case '--output':
+                options.output = takeValue();
+                break;
+            case '-g':
+            case '--granularity':
+                options.granularity = takeValue();
+                if (!GRANULARITIES.includes(options.granularity)) {
+                    throw new Error(`Unknown granularity: ${options.granularity}`);
+                }
+                break;
+            case '--max-warnings':
+                options.maxWarnings = Number(takeValue());
+                if (!Number.isInteger(options.maxWarnings) || options.maxWarnings < 0) {
+                    throw new Error('--max-warnings must be a non-negative integer');
+                }
+                break;
+            case '--update-baseline':
+                options.updateBaseline = true;
+                break;
+            case '--no-baseline':
+                options.baseline = false;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    options.command = positional[0];
+    if (positional[1]) {
+        options.dir = positional[1];
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    if (options.updateBaseline && !options.baseline) {
+        throw new Error('--update-baseline cannot be combined with --no-baseline');
+    }
+
+    return options;
+}
+
+/**
+ * Formats violations as human-readable text grouped by file.
+ *
+ * @param {Array<{file: string, line: number, column: number, severity: string, message: string, ruleId?: string}>} violations
+ * @param {number} errorCount - Number of errors
+ * @param {number} warningCount - Number of warnings
+ * @param {number} [baselinedCount=0] - Number of violations left out because they are in the baseline
+ * @returns {string} Formatted output
+ */
+function formatText(violations, errorCount, warningCount, baselinedCount = 0) {
+    const baselined = baselinedCount > 0 ? ` ${baselinedCount} known violation${baselinedCount === 1 ? '' : 's'} in the baseline.` : '';
+    if (violations.length === 0) {
+        return `✅ No ${baselinedCount > 0 ? 'new ' : ''}architecture violations found.${baselined}\n`;
+    }
+
+    const byFile = new Map();
+    for (const violation of violations) {
+        if (!byFile.has(violation.file)) {
+            byFile.set(violation.file, []);
+        }
+        byFile.get(violation.file).push(violation);
+    }
+
+    const lines = [];
+    for (const [file, fileViolations] of byFile) {
+        lines.push(file);
+        for (const v of fileViolations) {
+            lines.push(`  ${`${v.line}:${v.column}`.padEnd(8)} ${v.severity.padEnd(8)} ${v.message}${v.ruleId ? `  ${v.ruleId}` : ''}`);
+        }
+        lines.push('');
+    }
+
+    lines.push(`✖ ${violations.length} problem${violations.length === 1 ? '' : 's'} (${errorCount} error${errorCount === 1 ? '' : 's'}, ${warningCount} warning${warningCount === 1 ? '' : 's'})${baselined}`);
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Runs the `check` command.
+ *
+ * @param {ReturnType<typeof parseArgs>} options - Parsed options
+ * @returns {number} Exit code
+ */
+function runCheck(options) {
+    const rootDir = path.resolve(options.dir);
+    if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) {
+        throw new Error(`Not a directory: ${rootDir}`);
+    }
+
+    const configPath = options.config
+        ? path.resolve(options.config)
+        : ConfigLoader.findConfig(rootDir);
+    const settings = configPath
+        ? ConfigLoader.load(configPath)
+        : ConfigLoader.normalize({});
+
+    const checker = new ProjectChecker(rootDir, settings, { baseline: options.baseline });
+    if (options.updateBaseline) {
+        const { filePath, count } = checker.createBaseline();
+        process.stderr.write(`Recorded ${count} violation${count === 1 ? '' : 's'} in ${path.relative(process.cwd(), filePath) || filePath}\n`);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    const result = checker.run();
+    if (result.prunedCount > 0) {
+        process.stderr.write(`Removed ${result.prunedCount} fixed violation${result.prunedCount === 1 ? '' : 's'} from the baseline\n`);
+    }
+
+    const content = options.format === 'text'
+        ? formatText(result.violations, result.errorCount, result.warningCount, result.baselinedCount)
+        : checker.generateReport(options.format, result.violations, { granularity: options.granularity });
+
+    if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), content, 'utf-8');
+        process.stderr.write(`Report written to ${options.output} (${result.errorCount} errors, ${result.warningCount} warnings)\n`);
+    } else {
+        process.stdout.write(content.endsWith('\n') ? content : `${content}\n`);
+    }
+
+    if (result.errorCount > 0 || result.warningCount > options.maxWarnings) {
+        return EXIT_CODES.VIOLATIONS;
+    }
+    return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * CLI entry point.
+ *
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {number} Exit code
+ */
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.SUCCESS;
+    }
+
+    if (options.command !== 'check') {
+        process.stderr.write(`${options.command ? `Unknown command: ${options.command}\n\n` : ''}${USAGE}\n`);
+        return EXIT_CODES.USAGE;
+    }
+
+    try {
+        return runCheck(options);
+    } catch (error) {
+        process.stderr.write(`archit-search: ${error.message}\n`);
+        return EXIT_CODES.USAGE;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
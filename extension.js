@@ -21,30 +21,44 @@
  * - Unused import detection
  * - Quick fix code actions
  * - Report generation (JSON, HTML, Markdown)
+ * - Interactive dependency graph and layer diagram views
  * - Multi-language localization (English, Thai)
  */
 
 const vscode = require('vscode');
+const path = require('path');
 
 
 // Core validation modules
 const RuleEngine = require('./lib/RuleEngine');
 const ImportParser = require('./lib/ImportParser');
 const Visualizer = require('./lib/Visualizer');
-const GraphAnalyzer = require('./lib/GraphAnalyzer');
 const SmartAdvisor = require('./lib/SmartAdvisor');
 const StatusBarManager = require('./lib/StatusBarManager');
-const AIKernel = require('./lib/AIKernel');
 const Localization = require('./lib/Localization');
 const ArchitSidebarProvider = require('./lib/ArchitSidebarProvider');
 
 // Advanced analysis modules
-const DeepCycleDetector = require('./lib/DeepCycleDetector');
-const MetricsCalculator = require('./lib/MetricsCalculator');
 const QuickFixProvider = require('./lib/QuickFixProvider');
 const ReportExporter = require('./lib/ReportExporter');
 const UnusedImportDetector = require('./lib/UnusedImportDetector');
 const ValidationService = require('./lib/ValidationService');
+const FileScanner = require('./lib/FileScanner');
+const ModuleResolver = require('./lib/ModuleResolver');
+const FolderRegistry = require('./lib/FolderRegistry');
+const FileFilter = require('./lib/FileFilter');
+const WorkspaceWatcher = require('./lib/WorkspaceWatcher');
+const CycleBreakersProvider = require('./lib/CycleBreakersProvider');
+const AnalysisWorkerPool = require('./lib/AnalysisWorkerPool');
+const AnalysisCache = require('./lib/AnalysisCache');
+const ConfigLoader = require('./lib/ConfigLoader');
+const ProjectConfig = require('./lib/ProjectConfig');
+const Baseline = require('./lib/Baseline');
+const ArchitectureGraph = require('./lib/ArchitectureGraph');
+const GraphPanel = require('./lib/GraphPanel');
+
+const { AnalysisCancelledError } = AnalysisWorkerPool;
+const { SCOPE } = ValidationService;
 
 /**
  * Extension configuration defaults
@@ -52,13 +66,14 @@ const ValidationService = require('./lib/ValidationService');
 const DEFAULTS = {
     MAX_IMPORTS: 20,
     VALIDATION_THROTTLE_MS: 500,
-    AI_LEARNING_DELAY_MS: 3000
+    AI_LEARNING_DELAY_MS: 3000,
+    CYCLE_REPORT_TOP_EDGES: 20
 };
 
 /**
  * Supported file extensions for AI learning
  */
-const SUPPORTED_FILE_PATTERNS = '**/*.{js,jsx,ts,tsx,go,py,java,cs,php,rb,rs,dart}';
+const SUPPORTED_FILE_PATTERNS = FileScanner.getGlobPattern();
 
 /**
  * Activates the extension.
@@ -73,34 +88,84 @@ function activate(context) {
     console.log(Localization.get('activeMessage'));
 
     // Initialize core components
+    const resolver = new ModuleResolver();
     const engine = new RuleEngine();
     const parser = new ImportParser();
     const visualizer = new Visualizer();
-    const graph = new GraphAnalyzer();
     const advisor = new SmartAdvisor();
     const statusBar = new StatusBarManager();
-    const aiKernel = new AIKernel();
-    const sidebarProvider = new ArchitSidebarProvider(aiKernel);
+    const unusedImportDetector = new UnusedImportDetector();
+
+    // Each workspace folder gets its own dependency graph, AI model and metrics
+    const folders = new FolderRegistry({ engine, parser, advisor, unusedImportDetector, resolver });
+    folders.setFolders(getWorkspaceFolders());
 
     // Initialize advanced components
-    const deepCycleDetector = new DeepCycleDetector();
-    const metricsCalculator = new MetricsCalculator();
-    const quickFixProvider = new QuickFixProvider();
-    const reportExporter = new ReportExporter(metricsCalculator, deepCycleDetector);
-    const unusedImportDetector = new UnusedImportDetector();
+    const quickFixProvider = new QuickFixProvider({ folders, resolver });
+    const projectConfig = new ProjectConfig();
+    updateFileFilters(folders, projectConfig);
+    const sidebarProvider = new ArchitSidebarProvider(folders, {
+        diagnostics: visualizer.diagnosticCollection,
+        getArchitectureGraph: folder => createArchitectureGraph(folder, engine, projectConfig)
+    });
+    const workerPool = new AnalysisWorkerPool();
+
+    // Workspace-wide analysis state; the persistent cache needs a workspace to store it in
+    const analysis = {
+        workerPool,
+        analysisCache: context.storageUri
+            ? new AnalysisCache(context.storageUri.fsPath, context.extension.packageJSON.version)
+            : null,
+        folders
+    };
 
     // Initialize validation service
     const validationService = new ValidationService({
-        engine, parser, visualizer, graph, advisor, 
-        statusBar, aiKernel, sidebarProvider, 
-        deepCycleDetector, unusedImportDetector
+        visualizer, statusBar, sidebarProvider, folders, projectConfig
     });
 
+    /** @type {vscode.OutputChannel} */
+    const outputChannel = vscode.window.createOutputChannel('Archit Search');
+
     // Register sidebar tree view
     const treeView = vscode.window.createTreeView('architSearchSidebar', {
         treeDataProvider: sidebarProvider
     });
 
+    // Register cycle breakers view (imports to remove to make the project acyclic)
+    const cycleBreakersProvider = new CycleBreakersProvider(folders);
+    const cycleBreakersView = vscode.window.createTreeView('architSearchCycleBreakers', {
+        treeDataProvider: cycleBreakersProvider
+    });
+
+    // Webviews of the dependency graph and the layers of a workspace folder
+    const dependencyGraphPanel = new GraphPanel(context.extensionUri, {
+        viewType: 'architSearch.dependencyGraph',
+        title: 'Dependency Graph',
+        script: 'graph.js',
+        getModel: folder => createArchitectureGraph(folder, engine, projectConfig).build()
+    });
+    const layerDiagramPanel = new GraphPanel(context.extensionUri, {
+        viewType: 'architSearch.layerDiagram',
+        title: 'Layer Diagram',
+        script: 'layers.js',
+        getModel: folder => createArchitectureGraph(folder, engine, projectConfig).buildLayers()
+    });
+    const dependencyMatrixPanel = new GraphPanel(context.extensionUri, {
+        viewType: 'architSearch.dependencyMatrix',
+        title: 'Dependency Matrix',
+        script: 'dsm.js',
+        getModel: (folder, options) => createArchitectureGraph(folder, engine, projectConfig).buildMatrix(options),
+        actions: {
+            // The matrix goes into the report as shown, with the same folders expanded
+            exportReport: (folder, options) => exportReport(folder, engine, projectConfig, {
+                format: ReportExporter.REPORT_FORMATS.HTML,
+                matrixOptions: options
+            })
+        }
+    });
+    const graphPanels = [dependencyGraphPanel, layerDiagramPanel, dependencyMatrixPanel];
+
     // Register Code Action Provider for quick fixes
     const codeActionProvider = vscode.languages.registerCodeActionsProvider(
         { scheme: 'file', pattern: SUPPORTED_FILE_PATTERNS },
@@ -110,32 +175,71 @@ function activate(context) {
 
     // Register commands
     const exportReportCmd = vscode.commands.registerCommand('archit-search.exportReport', async () => {
-        const format = await vscode.window.showQuickPick(['json', 'html', 'markdown'], {
-            placeHolder: 'Select report format'
-        });
-        if (format) {
-            const success = await reportExporter.exportWithDialog(format);
-            if (success) {
-                vscode.window.showInformationMessage('Report exported successfully!');
-            }
+        const folder = await pickFolder(folders, 'Select the workspace folder to report on');
+        if (folder) {
+            await exportReport(folder, engine, projectConfig);
         }
     });
 
     const showMetricsCmd = vscode.commands.registerCommand('archit-search.showMetrics', async () => {
         const editor = vscode.window.activeTextEditor;
         if (editor) {
-            const metrics = metricsCalculator.getFileMetrics(editor.document.uri.fsPath);
+            const filePath = editor.document.uri.fsPath;
+            const metrics = folders.getForFile(filePath).metricsCalculator.getFileMetrics(filePath);
             const message = `Maintainability - ${metrics.maintainability.grade} (${metrics.maintainability.index}) | Instability - ${metrics.instability.classification} (${metrics.instability.instability})`;
             vscode.window.showInformationMessage(message);
         }
     });
 
     const detectDeepCyclesCmd = vscode.commands.registerCommand('archit-search.detectDeepCycles', async () => {
-        const cycles = deepCycleDetector.getAllCycles();
-        if (cycles.length === 0) {
+        const cyclic = folders.getAll()
+            .map(folder => ({ folder, components: folder.deepCycleDetector.getAllCycles() }))
+            .filter(({ components }) => components.length > 0);
+        const groupCount = cyclic.reduce((sum, { components }) => sum + components.length, 0);
+        if (groupCount === 0) {
             vscode.window.showInformationMessage('No deep circular dependencies found!');
-        } else {
-            vscode.window.showWarningMessage(`Found ${cycles.length} deep circular dependencies. Check the Problems panel.`);
+            return;
+        }
+
+        // Cycles are enumerated for the folders that enable it, up to each folder's depth
+        const reports = cyclic
+            .filter(({ folder }) => getFolderConfiguration(folder).get('enumerateAllCycles'))
+            .map(({ folder, components }) => ({
+                name: folder.name,
+                components,
+                elementary: folder.deepCycleDetector.getElementaryCycles(getFolderConfiguration(folder).get('deepCycleMaxDepth'))
+            }));
+        if (reports.length === 0) {
+            vscode.window.showWarningMessage(`Found ${groupCount} deep circular dependencies. Check the Problems panel.`);
+            return;
+        }
+
+        writeCycleReport(outputChannel, reports);
+        outputChannel.show(true);
+        const cycleCount = reports.reduce((sum, { elementary }) => sum + elementary.cycles.length, 0);
+        const truncated = reports.some(({ elementary }) => elementary.truncated);
+        const reportedGroups = reports.reduce((sum, { components }) => sum + components.length, 0);
+        vscode.window.showWarningMessage(`Found ${cycleCount}${truncated ? '+' : ''} circular dependencies in ${reportedGroups} tangled groups. See the Archit Search output for the imports to cut first.`);
+    });
+
+    const showDependencyGraphCmd = vscode.commands.registerCommand('archit-search.showDependencyGraph', async () => {
+        const folder = await pickFolder(folders, 'Select the workspace folder to show the dependency graph of');
+        if (folder) {
+            dependencyGraphPanel.show(folder, folders.getAll().length > 1);
+        }
+    });
+
+    const showLayerDiagramCmd = vscode.commands.registerCommand('archit-search.showLayerDiagram', async () => {
+        const folder = await pickFolder(folders, 'Select the workspace folder to show the layer diagram of');
+        if (folder) {
+            layerDiagramPanel.show(folder, folders.getAll().length > 1);
+        }
+    });
+
+    const showDependencyMatrixCmd = vscode.commands.registerCommand('archit-search.showDependencyMatrix', async () => {
+        const folder = await pickFolder(folders, 'Select the workspace folder to show the dependency matrix of');
+        if (folder) {
+            dependencyMatrixPanel.show(folder, folders.getAll().length > 1);
         }
     });
 
@@ -160,41 +264,233 @@ function activate(context) {
         await vscode.window.withProgress({
             location: vscode.ProgressLocation.Notification,
             title: 'Archit Search',
-            cancellable: false
-        }, async (progress) => {
+            cancellable: true
+        }, async (progress, token) => {
             progress.report({ message: 'Scanning project files...' });
             
-            const files = await vscode.workspace.findFiles(SUPPORTED_FILE_PATTERNS);
-            const filePaths = files.map(f => f.fsPath);
-            
-            progress.report({ message: `Analyzing ${filePaths.length} files...` });
+            const filePaths = await findSourceFiles(folders, token);
             
-            // Run all analyses
-            aiKernel.learn(filePaths);
-            deepCycleDetector.buildGraph(filePaths);
-            metricsCalculator.analyze(filePaths);
+            // Read, parse and resolve on worker threads
+            let reported = 0;
+            try {
+                await analyzeWorkspace(analysis, filePaths, {
+                    token,
+                    onProgress: (done, total) => {
+                        progress.report({
+                            message: `Analyzing files... ${done}/${total}`,
+                            increment: ((done - reported) / total) * 100
+                        });
+                        reported = done;
+                    }
+                });
+            } catch (err) {
+                if (err instanceof AnalysisCancelledError) {
+                    vscode.window.showInformationMessage('Project analysis cancelled.');
+                    return;
+                }
+                throw err;
+            }
             
+            validationService.revalidateAll();
             progress.report({ message: 'Generating report...' });
             
-            const cycles = deepCycleDetector.getAllCycles();
-            const summary = metricsCalculator.getProjectSummary();
+            // One health summary per workspace folder
+            const healths = folders.getAll().map(folder => ({ name: folder.name, ...folder.getHealth() }));
+            const summary = healths.length === 1
+                ? `Health - ${healths[0].healthScore ?? '-'} | Cycles - ${healths[0].cycleCount}`
+                : healths.map(h => `${h.name}: Health ${h.healthScore ?? '-'}, Cycles ${h.cycleCount}`).join(' | ');
             
             sidebarProvider.refresh({});
             
-            const resultMessage = `Analysis complete! Files - ${filePaths.length} | Health - ${summary.healthScore} | Cycles - ${cycles.length}`;
+            const resultMessage = `Analysis complete! Files - ${filePaths.length}${summary ? ` | ${summary}` : ''}`;
             vscode.window.showInformationMessage(resultMessage);
         });
     });
 
+    const clearAnalysisCacheCmd = vscode.commands.registerCommand('archit-search.clearAnalysisCache', async () => {
+        if (analysis.analysisCache) {
+            await analysis.analysisCache.clear();
+        }
+        vscode.window.showInformationMessage('Analysis cache cleared. The next analysis re-reads every file.');
+    });
+
+    const createBaselineCmd = vscode.commands.registerCommand('archit-search.createBaseline', async () => {
+        const folder = await pickFolder(folders, 'Select the workspace folder to record a baseline for');
+        if (!folder) {
+            return;
+        }
+        const { rootDir } = folder;
+        if (!rootDir) {
+            vscode.window.showWarningMessage('Open a folder to create a baseline.');
+            return;
+        }
+
+        const baselinePath = validationService.getBaselinePath(rootDir);
+        if (!baselinePath) {
+            vscode.window.showWarningMessage('No baseline file configured. Set architSearch.baselineFile first.');
+            return;
+        }
+
+        if (new Baseline(baselinePath).exists()) {
+            const replace = await vscode.window.showWarningMessage(
+                `Replace ${path.basename(baselinePath)}? All current violations, including new ones, will be recorded.`,
+                { modal: true },
+                'Replace'
+            );
+            if (replace !== 'Replace') {
+                return;
+            }
+        }
+
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Archit Search',
+            cancellable: true
+        }, async (progress, token) => {
+            try {
+                // The baseline records the violations of the analyzed files, so analyze first if that has not happened yet
+                if (!folder.ready) {
+                    progress.report({ message: 'Analyzing files...' });
+                    const filePaths = await findSourceFiles(folders, token);
+                    await analyzeWorkspace(analysis, filePaths, { token });
+                }
+
+                progress.report({ message: 'Recording current violations...' });
+                const created = await validationService.createBaseline(folder, { token });
+                if (!created) {
+                    return;
+                }
+                validationService.revalidateAll();
+                const { count } = created;
+                vscode.window.showInformationMessage(`Recorded ${count} violation${count === 1 ? '' : 's'} in ${path.relative(rootDir, baselinePath)}. Commit it so that only new violations are reported.`);
+            } catch (err) {
+                if (!(err instanceof AnalysisCancelledError)) {
+                    vscode.window.showErrorMessage(`Archit Search: ${err.message}`);
+                }
+            }
+        });
+    });
+
+    const validateWorkspaceCmd = vscode.commands.registerCommand('archit-search.validateWorkspace', async () => {
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Archit Search',
+            cancellable: true
+        }, async (progress, token) => {
+            // Diagnostics cover the analyzed files, so analyze first if that has not happened yet
+            if (folders.getAll().some(folder => !folder.ready)) {
+                progress.report({ message: 'Analyzing files...' });
+                const filePaths = await findSourceFiles(folders, token);
+                try {
+                    await analyzeWorkspace(analysis, filePaths, { token });
+                } catch (err) {
+                    if (err instanceof AnalysisCancelledError) {
+                        return;
+                    }
+                    throw err;
+                }
+            }
+
+            let reported = 0;
+            const completed = await validationService.validateWorkspace({
+                token,
+                onProgress: (done, total) => {
+                    progress.report({
+                        message: `Validating files... ${done}/${total}`,
+                        increment: ((done - reported) / total) * 100
+                    });
+                    reported = done;
+                }
+            });
+            if (completed) {
+                vscode.window.showInformationMessage(`Validated ${reported} files. See the Problems panel.`);
+            }
+        });
+    });
+
     // Register disposables
     context.subscriptions.push(
-        statusBar, visualizer, treeView, codeActionProvider,
-        exportReportCmd, showMetricsCmd, detectDeepCyclesCmd,
-        showRefactorGuideCmd, explainViolationCmd, analyzeProjectCmd
+        statusBar, visualizer, workerPool, sidebarProvider, treeView, cycleBreakersProvider, cycleBreakersView, ...graphPanels, codeActionProvider, outputChannel,
+        exportReportCmd, showMetricsCmd, detectDeepCyclesCmd, showDependencyGraphCmd, showLayerDiagramCmd, showDependencyMatrixCmd,
+        showRefactorGuideCmd, explainViolationCmd, analyzeProjectCmd, clearAnalysisCacheCmd, createBaselineCmd, validateWorkspaceCmd
     );
 
     // Start background AI learning
-    scheduleAILearning(aiKernel, sidebarProvider, deepCycleDetector, metricsCalculator);
+    scheduleAILearning(analysis, sidebarProvider, validationService);
+
+    // Keep the graphs and AI models current as files change on disk
+    const workspaceWatcher = new WorkspaceWatcher(
+        { folders, validationService },
+        SUPPORTED_FILE_PATTERNS
+    );
+    context.subscriptions.push(workspaceWatcher);
+
+    // Added or removed folders regroup the files, so the workspace is re-analyzed (unchanged files come from the cache)
+    context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        const { removed } = folders.setFolders(getWorkspaceFolders());
+        updateFileFilters(folders, projectConfig);
+        visualizer.retain(uri => !removed.some(folder => folder.contains(uri.fsPath)));
+        learnWorkspace(analysis, sidebarProvider, validationService)
+            .catch(err => console.error('[Archit Search] Workspace analysis failed:', err));
+    }));
+
+    // Import resolution depends on tsconfig/jsconfig aliases and package manifests; re-read them when they change
+    const projectConfigWatcher = vscode.workspace.createFileSystemWatcher('**/{tsconfig*.json,jsconfig*.json,package.json,pnpm-workspace.yaml}');
+    const onProjectConfigChange = () => {
+        resolver.clearCache();
+        folders.getAll().forEach(folder => folder.dependencyGraph.resolveAll());
+        validationService.revalidateAll();
+    };
+    context.subscriptions.push(
+        projectConfigWatcher,
+        projectConfigWatcher.onDidCreate(onProjectConfigChange),
+        projectConfigWatcher.onDidChange(onProjectConfigChange),
+        projectConfigWatcher.onDidDelete(onProjectConfigChange)
+    );
+
+    // Changed include/exclude patterns or .gitignore files change the analyzed files
+    const relearnWorkspace = () => {
+        learnWorkspace(analysis, sidebarProvider, validationService)
+            .catch(err => console.error('[Archit Search] Workspace analysis failed:', err));
+    };
+    const gitignoreWatcher = vscode.workspace.createFileSystemWatcher('**/.gitignore');
+    const onGitignoreChange = () => {
+        folders.getAll().forEach(folder => folder.fileFilter?.clearCache());
+        relearnWorkspace();
+    };
+    context.subscriptions.push(
+        gitignoreWatcher,
+        gitignoreWatcher.onDidCreate(onGitignoreChange),
+        gitignoreWatcher.onDidChange(onGitignoreChange),
+        gitignoreWatcher.onDidDelete(onGitignoreChange)
+    );
+
+    // Checked-in architecture config files (.architrc, archit.config.json) apply immediately
+    const architConfigWatcher = vscode.workspace.createFileSystemWatcher(`**/{${ProjectConfig.getFileNames().join(',')}}`);
+    const onArchitConfigChange = uri => {
+        projectConfig.clearCache();
+        if (updateFileFilters(folders, projectConfig)) {
+            relearnWorkspace();
+        }
+        validationService.revalidateAll();
+        cycleBreakersProvider.refresh();
+        graphPanels.forEach(panel => panel.refresh());
+
+        // Load the changed file right away so that mistakes are reported while editing it
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (folder) {
+            projectConfig.getDirectorySettings(path.dirname(uri.fsPath), folder.uri.fsPath, {});
+        }
+        for (const { message } of projectConfig.getErrors()) {
+            vscode.window.showWarningMessage(`Archit Search: ${message}`);
+        }
+    };
+    context.subscriptions.push(
+        architConfigWatcher,
+        architConfigWatcher.onDidCreate(onArchitConfigChange),
+        architConfigWatcher.onDidChange(onArchitConfigChange),
+        architConfigWatcher.onDidDelete(onArchitConfigChange)
+    );
 
     // Validation state
     let activeEditor = vscode.window.activeTextEditor;
@@ -216,15 +512,34 @@ function activate(context) {
             }
         }),
 
+        // Fixed baseline entries are pruned once the graph is known, so cycles are not mistaken for fixed
+        vscode.workspace.onDidSaveTextDocument(document => {
+            if (folders.getForFile(document.uri.fsPath).ready) {
+                validationService.pruneBaseline(document);
+            }
+        }),
+
         vscode.workspace.onDidChangeConfiguration(event => {
+            if ((event.affectsConfiguration('architSearch') || event.affectsConfiguration('files.exclude')) &&
+                updateFileFilters(folders, projectConfig)) {
+                relearnWorkspace();
+            }
             if (event.affectsConfiguration('architSearch')) {
                 const newConfig = vscode.workspace.getConfiguration('architSearch');
                 Localization.setLanguage(newConfig.get('language') || 'en');
-                if (activeEditor) {
+                cycleBreakersProvider.refresh();
+                graphPanels.forEach(panel => panel.refresh());
+                if (event.affectsConfiguration('architSearch.diagnosticsScope')) {
+                    validationService.applyScope();
+                } else if (validationService.getScope() !== SCOPE.ACTIVE_FILE) {
+                    validationService.revalidateAll();
+                } else if (activeEditor) {
                     validationService.triggerValidation(activeEditor);
                 }
             }
-        })
+        }),
+
+        vscode.window.tabGroups.onDidChangeTabs(event => validationService.handleTabChanges(event))
     );
         
     // Initial validation
@@ -234,47 +549,329 @@ function activate(context) {
 }
 
 /**
- * Schedules AI learning process.
+ * Writes the elementary cycle listing to the output channel: per workspace
+ * folder, the most tangled imports first, then every cycle grouped by component.
  * 
- * @param {AIKernel} aiKernel - AI Kernel instance
+ * @param {vscode.OutputChannel} outputChannel - Target channel
+ * @param {Array<{name: string, components: Array<{cycle: string[], component: string[]}>, elementary: {cycles: string[][], truncated: boolean, edges: Array<{from: string, to: string, cycleCount: number}>}}>} reports
+ *   Cyclic components and elementary cycles of each folder
+ */
+function writeCycleReport(outputChannel, reports) {
+    const relative = file => vscode.workspace.asRelativePath(file);
+
+    outputChannel.clear();
+    reports.forEach(({ name, components, elementary }, reportIndex) => {
+        if (reportIndex > 0) {
+            outputChannel.appendLine('');
+        }
+        const folderLabel = reports.length > 1 ? `[${name}] ` : '';
+        outputChannel.appendLine(`${folderLabel}Circular dependencies: ${elementary.cycles.length}${elementary.truncated ? ' (listing truncated)' : ''} cycles in ${components.length} groups`);
+        outputChannel.appendLine('');
+        outputChannel.appendLine('Imports ranked by the number of cycles they take part in:');
+        for (const edge of elementary.edges.slice(0, DEFAULTS.CYCLE_REPORT_TOP_EDGES)) {
+            outputChannel.appendLine(`  ${String(edge.cycleCount).padStart(5)}  ${relative(edge.from)} → ${relative(edge.to)}`);
+        }
+
+        components.forEach((component, index) => {
+            const members = new Set(component.component);
+            outputChannel.appendLine('');
+            outputChannel.appendLine(`Group ${index + 1} (${members.size} files):`);
+            for (const cycle of elementary.cycles.filter(c => members.has(c[0]))) {
+                outputChannel.appendLine(`  ${cycle.map(relative).join(' → ')}`);
+            }
+        });
+    });
+}
+
+/**
+ * Finds the source files of all workspace folders, leaving out the files each
+ * folder excludes (see FileFilter). Each folder is searched with its own
+ * exclude glob, so excluded directories such as node_modules are not listed.
+ * 
+ * @param {FolderRegistry} folders - Per-folder analyses
+ * @param {vscode.CancellationToken} [token] - Cancellation token
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function findSourceFiles(folders, token) {
+    const found = await Promise.all(folders.getAll().map(async folder => {
+        const files = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(folder.rootDir, SUPPORTED_FILE_PATTERNS),
+            folder.fileFilter ? new vscode.RelativePattern(folder.rootDir, folder.fileFilter.getSearchExclude()) : undefined,
+            undefined,
+            token
+        );
+        // Files of nested folders belong to the innermost one
+        return files.map(f => f.fsPath).filter(filePath => folders.getForFile(filePath) === folder && folder.isIncluded(filePath));
+    }));
+    return found.flat();
+}
+
+/**
+ * Rebuilds the file filter of every workspace folder from its `include`,
+ * `exclude` and `respectGitignore` settings (editor settings merged with the
+ * root project config) and `files.exclude`.
+ * 
+ * @param {FolderRegistry} folders - Per-folder analyses
+ * @param {ProjectConfig} projectConfig - Checked-in project config files
+ * @returns {boolean} Whether any folder's filter changed
+ */
+function updateFileFilters(folders, projectConfig) {
+    let changed = false;
+    for (const folder of folders.getAll()) {
+        const baseSettings = ConfigLoader.fromConfiguration(getFolderConfiguration(folder));
+        const settings = projectConfig.getDirectorySettings(folder.rootDir, folder.rootDir, baseSettings);
+        const filesExclude = vscode.workspace.getConfiguration('files', vscode.Uri.file(folder.rootDir)).get('exclude');
+        const filter = new FileFilter(folder.rootDir, settings, filesExclude);
+
+        if (!folder.fileFilter || folder.fileFilter.getSignature() !== filter.getSignature()) {
+            changed = changed || folder.fileFilter !== null;
+            folder.fileFilter = filter;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Creates the architecture model of a workspace folder for the graph views,
+ * with the settings that apply to each file (editor settings merged with the
+ * project config files).
+ * 
+ * @param {import('./lib/FolderAnalysis')} folder - Folder analysis
+ * @param {RuleEngine} engine - Rule engine
+ * @param {ProjectConfig} projectConfig - Checked-in project config files
+ * @returns {ArchitectureGraph}
+ */
+function createArchitectureGraph(folder, engine, projectConfig) {
+    const { rootDir } = folder;
+    const baseSettings = ConfigLoader.fromConfiguration(getFolderConfiguration(folder));
+    return new ArchitectureGraph({
+        dependencyGraph: folder.dependencyGraph,
+        deepCycleDetector: folder.deepCycleDetector,
+        engine,
+        rootDir,
+        settings: rootDir ? projectConfig.getDirectorySettings(rootDir, rootDir, baseSettings) : baseSettings,
+        getSettings: filePath => (rootDir ? projectConfig.getSettings(filePath, rootDir, baseSettings) : baseSettings)
+    });
+}
+
+/**
+ * Exports the architecture report of a workspace folder to a file chosen by
+ * the user, asking for the format unless one is given. The HTML report
+ * includes the folder's dependency structure matrix; the diagram formats and
+ * the Markdown report draw its dependencies at a granularity the user picks.
+ * 
+ * @param {import('./lib/FolderAnalysis')} folder - Folder analysis
+ * @param {RuleEngine} engine - Rule engine
+ * @param {ProjectConfig} projectConfig - Checked-in project config files
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format] - Report format
+ * @param {object} [options.matrixOptions] - Options of the matrix, e.g. the expanded folders
+ * @returns {Promise<void>}
+ */
+async function exportReport(folder, engine, projectConfig, options = {}) {
+    const { rootDir } = folder;
+    const settings = ConfigLoader.fromConfiguration(getFolderConfiguration(folder));
+    const { reportFormat, diagramGranularity } = rootDir ? projectConfig.getDirectorySettings(rootDir, rootDir, settings) : settings;
+    const { HTML, MARKDOWN, MERMAID, DOT, PLANTUML } = ReportExporter.REPORT_FORMATS;
+
+    // The configured report format and diagram granularity are offered first
+    const formats = ReportExporter.getAvailableFormats();
+    const format = options.format || await vscode.window.showQuickPick(
+        formats.includes(reportFormat) ? [reportFormat, ...formats.filter(f => f !== reportFormat)] : formats,
+        { placeHolder: 'Select report format' }
+    );
+    if (!format) {
+        return;
+    }
+
+    let diagram;
+    if ([MARKDOWN, MERMAID, DOT, PLANTUML].includes(format)) {
+        const granularities = Object.values(ArchitectureGraph.DIAGRAM_GRANULARITY);
+        const granularity = await vscode.window.showQuickPick(
+            granularities.includes(diagramGranularity)
+                ? [diagramGranularity, ...granularities.filter(g => g !== diagramGranularity)]
+                : granularities,
+            { placeHolder: 'Draw the dependencies between files, folders or layers' }
+        );
+        if (!granularity) {
+            return;
+        }
+        diagram = createArchitectureGraph(folder, engine, projectConfig).buildDiagram(granularity);
+    }
+
+    const matrix = format === HTML
+        ? createArchitectureGraph(folder, engine, projectConfig).buildMatrix(options.matrixOptions)
+        : undefined;
+    const reportExporter = new ReportExporter(folder.metricsCalculator, folder.deepCycleDetector, projectConfig);
+    const success = await reportExporter.exportWithDialog(format, { rootDir, settings, matrix, diagram });
+    if (success) {
+        vscode.window.showInformationMessage('Report exported successfully!');
+    }
+}
+
+/**
+ * Gets the workspace folders in the form FolderRegistry expects.
+ * 
+ * @returns {Array<{rootDir: string, name: string}>}
+ */
+function getWorkspaceFolders() {
+    return (vscode.workspace.workspaceFolders || []).map(folder => ({ rootDir: folder.uri.fsPath, name: folder.name }));
+}
+
+/**
+ * Gets the settings of a workspace folder, honouring resource-scoped values.
+ * 
+ * @param {import('./lib/FolderAnalysis')} folder - Folder analysis
+ * @returns {vscode.WorkspaceConfiguration}
+ */
+function getFolderConfiguration(folder) {
+    return vscode.workspace.getConfiguration('architSearch', folder.rootDir ? vscode.Uri.file(folder.rootDir) : undefined);
+}
+
+/**
+ * Asks for the workspace folder a command applies to, offering the folder of
+ * the active file first. No picker is shown with fewer than two folders.
+ * 
+ * @param {FolderRegistry} folders - Per-folder analyses
+ * @param {string} placeHolder - Picker prompt
+ * @returns {Promise<import('./lib/FolderAnalysis') | undefined>} The chosen folder, the analysis of
+ *   loose files when no folder is open, or undefined if the picker was dismissed
+ */
+async function pickFolder(folders, placeHolder) {
+    const all = folders.getAll();
+    if (all.length <= 1) {
+        return all[0] || folders.looseFiles;
+    }
+
+    const activeFile = vscode.window.activeTextEditor?.document.uri.fsPath;
+    const active = activeFile ? folders.getForFile(activeFile) : null;
+    const ordered = all.includes(active) ? [active, ...all.filter(folder => folder !== active)] : all;
+    const picked = await vscode.window.showQuickPick(
+        ordered.map(folder => ({ label: folder.name, description: folder.rootDir, folder })),
+        { placeHolder }
+    );
+    return picked?.folder;
+}
+
+/**
+ * Analyzes workspace files on worker threads, then trains the AI model, rebuilds
+ * the dependency graph and stores maintainability metrics of each workspace folder
+ * from the results. Files unchanged since the cached analysis are not re-read;
+ * the cache is updated afterwards.
+ * 
+ * @param {Object} analysis - Workspace analysis components
+ * @param {AnalysisWorkerPool} analysis.workerPool - Worker pool
+ * @param {AnalysisCache | null} analysis.analysisCache - Persistent cache
+ * @param {FolderRegistry} analysis.folders - Per-folder analyses
+ * @param {string[]} filePaths - Absolute file paths
+ * @param {Object} [options] - Progress callback and cancellation token (see AnalysisWorkerPool.run)
+ * @returns {Promise<void>}
+ * @throws {AnalysisCancelledError} If the token is cancelled
+ */
+async function analyzeWorkspace(analysis, filePaths, options = {}) {
+    const { workerPool, analysisCache } = analysis;
+
+    const results = await workerPool.run(filePaths, { ...options, cache: analysisCache });
+    applyAnalysisResults(analysis, results);
+
+    if (analysisCache) {
+        analysisCache.replaceAll(results);
+        await analysisCache.save();
+    }
+}
+
+/**
+ * Loads the persistent analysis cache so that cycles, metrics and the AI model
+ * are available right after startup, before the workspace is re-analyzed.
+ * 
+ * @param {Object} analysis - Workspace analysis components (see analyzeWorkspace)
+ * @returns {Promise<number>} Number of restored files
+ */
+async function restoreAnalysisCache(analysis) {
+    if (!analysis.analysisCache) {
+        return 0;
+    }
+
+    const count = await analysis.analysisCache.load();
+    if (count > 0) {
+        applyAnalysisResults(analysis, analysis.analysisCache.getAll());
+    }
+    return count;
+}
+
+/**
+ * Feeds per-file analysis results into the AI model, dependency graph and
+ * metrics of the workspace folder each file belongs to.
+ * 
+ * @param {Object} analysis - Workspace analysis components (see analyzeWorkspace)
+ * @param {object[]} results - AnalysisWorker results
+ */
+function applyAnalysisResults(analysis, results) {
+    for (const [folder, folderResults] of analysis.folders.partition(results, result => result.filePath)) {
+        // Files outside every folder can only be stale cache entries of a removed folder,
+        // and cached files may have been excluded since
+        if (folder.rootDir) {
+            folder.applyResults(folderResults.filter(result => folder.isIncluded(result.filePath)));
+        }
+    }
+}
+
+/**
+ * Restores the cached analysis immediately, then schedules the background
+ * re-analysis of the workspace (which only re-reads changed files).
+ * 
+ * @param {Object} analysis - Workspace analysis components (see analyzeWorkspace)
  * @param {ArchitSidebarProvider} sidebarProvider - Sidebar provider instance
- * @param {DeepCycleDetector} deepCycleDetector - Deep cycle detector instance
- * @param {MetricsCalculator} metricsCalculator - Metrics calculator instance
+ * @param {ValidationService} validationService - Validation service instance
  */
-async function scheduleAILearning(aiKernel, sidebarProvider, deepCycleDetector, metricsCalculator) {
+async function scheduleAILearning(analysis, sidebarProvider, validationService) {
+    try {
+        const restored = await restoreAnalysisCache(analysis);
+        if (restored > 0) {
+            sidebarProvider.refresh({});
+            validationService.revalidateAll();
+        }
+    } catch (err) {
+        console.error('[Archit Search] Could not restore analysis cache:', err);
+    }
+
     setTimeout(async () => {
         try {
-            const files = await vscode.workspace.findFiles(SUPPORTED_FILE_PATTERNS);
-            const filePaths = files.map(f => f.fsPath);
-            
-            console.log(Localization.get('learningStart', filePaths.length));
-            
-            // AI Kernel learning
-            aiKernel.learn(filePaths);
-            
-            // Build deep cycle dependency graph
-            if (deepCycleDetector) {
-                deepCycleDetector.buildGraph(filePaths);
-                const graphStats = deepCycleDetector.getGraphStats();
-                console.log(`[Archit Search] Dependency graph built - ${graphStats.totalFiles} files, ${graphStats.totalDependencies} dependencies`);
-            }
-            
-            // Calculate metrics for all files
-            if (metricsCalculator) {
-                metricsCalculator.analyze(filePaths);
-                const summary = metricsCalculator.getProjectSummary();
-                console.log(`[Archit Search] Metrics analyzed - Health Score ${summary.healthScore}`);
-            }
-            
-            console.log(Localization.get('learningDone'));
-            
-            sidebarProvider.refresh({});
+            await learnWorkspace(analysis, sidebarProvider, validationService);
         } catch (err) {
             console.error('AI Learning failed:', err);
         }
     }, DEFAULTS.AI_LEARNING_DELAY_MS);
 }
 
+/**
+ * Analyzes every workspace file and refreshes the sidebar and diagnostics.
+ * 
+ * @param {Object} analysis - Workspace analysis components (see analyzeWorkspace)
+ * @param {ArchitSidebarProvider} sidebarProvider - Sidebar provider instance
+ * @param {ValidationService} validationService - Validation service instance
+ * @returns {Promise<void>}
+ */
+async function learnWorkspace(analysis, sidebarProvider, validationService) {
+    const filePaths = await findSourceFiles(analysis.folders);
+    
+    console.log(Localization.get('learningStart', filePaths.length));
+    
+    // AI Kernel learning, the dependency graphs (cycles and metrics read from them)
+    // and maintainability metrics, read and parsed on worker threads
+    await analyzeWorkspace(analysis, filePaths);
+    for (const folder of analysis.folders.getAll()) {
+        const graphStats = folder.dependencyGraph.getStats();
+        const { healthScore } = folder.getHealth();
+        console.log(`[Archit Search] ${folder.name}: dependency graph built - ${graphStats.totalFiles} files, ${graphStats.totalDependencies} dependencies, Health Score ${healthScore ?? '-'}`);
+    }
+    
+    console.log(Localization.get('learningDone'));
+    
+    sidebarProvider.refresh({});
+    validationService.revalidateAll();
+}
+
 /**
  * Deactivates the extension.
  */
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const FileFilter = require('./FileFilter');
 
 /**
  * File processing configuration
@@ -45,6 +46,9 @@ class AIKernel {
             loc: []
         };
 
+        /** @type {Map<string, number>} File path to import count */
+        this.importCountsByFile = new Map();
+
         /** @type {{mean: number, stdDev: number} | null} Computed statistics model */
         this.statsModel = null;
 
@@ -73,7 +77,7 @@ class AIKernel {
             const targetFiles = filePaths.slice(0, CONFIG.MAX_FILES);
 
             // Reset stats
-            this.projectStats.importCounts = [];
+            this.importCountsByFile.clear();
             this.vectors.clear();
 
             for (const file of targetFiles) {
@@ -81,12 +85,91 @@ class AIKernel {
             }
 
             // Compute statistical model
-            this.statsModel = this._computeStats(this.projectStats.importCounts);
+            this._updateModel();
         } finally {
             this.isLearning = false;
         }
     }
 
+    /**
+     * Learns from features extracted off the main thread (see AnalysisWorkerPool).
+     * Like `learn`, only the first files up to the learning limit are used.
+     * 
+     * @param {Array<{filePath: string, features?: {vector: Map<string, number>, importCount: number} | null}>} results - Per-file features
+     */
+    learnFeatures(results) {
+        if (this.isLearning) {
+            return;
+        }
+
+        this.importCountsByFile.clear();
+        this.vectors.clear();
+
+        for (const { filePath, features } of results.slice(0, CONFIG.MAX_FILES)) {
+            if (features) {
+                this.vectors.set(filePath, features.vector);
+                this.importCountsByFile.set(filePath, features.importCount);
+            }
+        }
+
+        this._updateModel();
+    }
+
+    /**
+     * Extracts the learning features of a file: its token vector and import count.
+     * 
+     * @param {string} content - Source code content
+     * @returns {{vector: Map<string, number>, importCount: number}}
+     */
+    extractFeatures(content) {
+        return {
+            vector: this._vectorize(this._tokenize(content)),
+            importCount: this._countImports(content)
+        };
+    }
+
+    /**
+     * Updates the model for a created or modified file without re-learning the project.
+     * New files are only added while the model holds fewer than the learning limit.
+     * 
+     * @param {string} file - Absolute file path
+     */
+    updateFile(file) {
+        if (this.isLearning || (!this.vectors.has(file) && this.vectors.size >= CONFIG.MAX_FILES)) {
+            return;
+        }
+
+        this.vectors.delete(file);
+        this.importCountsByFile.delete(file);
+        this._processFile(file);
+        this._updateModel();
+    }
+
+    /**
+     * Removes a deleted file from the model.
+     * 
+     * @param {string} file - Absolute file path
+     */
+    removeFile(file) {
+        if (this.isLearning || !this.vectors.has(file)) {
+            return;
+        }
+
+        this.vectors.delete(file);
+        this.importCountsByFile.delete(file);
+        this._updateModel();
+    }
+
+    /**
+     * Recomputes project statistics from the per-file import counts.
+     * 
+     * @private
+     */
+    _updateModel() {
+        this.projectStats.importCounts = [...this.importCountsByFile.values()];
+        this.statsModel = this._computeStats(this.projectStats.importCounts);
+    }
+
     /**
      * Processes a single file for learning.
      * 
@@ -100,17 +183,14 @@ class AIKernel {
             }
 
             const content = fs.readFileSync(file, 'utf-8');
+            if (FileFilter.isGenerated(content)) {
+                return; // Generated code would skew the project statistics
+            }
 
-            // 1. Feature Extraction (Tokenization)
-            const tokens = this._tokenize(content);
-
-            // 2. Vectorization
-            const vector = this._vectorize(tokens);
+            // Tokenize, vectorize and collect import statistics
+            const { vector, importCount } = this.extractFeatures(content);
             this.vectors.set(file, vector);
-
-            // 3. Collect import statistics
-            const importCount = this._countImports(content);
-            this.projectStats.importCounts.push(importCount);
+            this.importCountsByFile.set(file, importCount);
 
         } catch {
             // Silently ignore file read errors
@@ -308,6 +388,7 @@ class AIKernel {
      */
     reset() {
         this.vectors.clear();
+        this.importCountsByFile.clear();
         this.projectStats = { importCounts: [], loc: [] };
         this.statsModel = null;
     }
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Cache file configuration
+ */
+const CONFIG = {
+    /** Bumped whenever the entry layout or the analysis producing it changes */
+    FORMAT_VERSION: 1,
+    /** Cache file name inside the storage directory */
+    FILE_NAME: 'analysis-cache.json.gz'
+};
+
+/**
+ * AnalysisCache persists per-file analysis results across sessions: parsed
+ * imports with their resolved targets, AI token vectors and import counts, and
+ * maintainability metrics.
+ *
+ * Entries are keyed by file path and record the modification time, size and a
+ * SHA-1 hash of the content they were computed from. AnalysisWorker skips files
+ * whose modification time and size still match their entry, and reuses an entry
+ * without re-parsing when the content hash still matches (e.g. after a branch
+ * switch back and forth). The cache is written gzip-compressed to the
+ * given storage directory (the extension's workspace storage).
+ */
+class AnalysisCache {
+    /**
+     * Creates a new AnalysisCache instance.
+     *
+     * @param {string} storageDir - Directory holding the cache file
+     * @param {string} [analyzerVersion] - Version of the producing analyzer; a cache written by another version is discarded
+     */
+    constructor(storageDir, analyzerVersion = '') {
+        /** @type {string} */
+        this.filePath = path.join(storageDir, CONFIG.FILE_NAME);
+
+        /** @type {string} */
+        this.analyzerVersion = analyzerVersion;
+
+        /** @type {Map<string, object>} File path to analysis result (see AnalysisWorker) */
+        this.entries = new Map();
+    }
+
+    /**
+     * Computes the content hash used as cache key.
+     *
+     * @param {string} content - File content
+     * @returns {string} Hex digest
+     */
+    static hash(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /**
+     * Loads the cache file. A missing, corrupt or outdated file leaves the cache empty.
+     *
+     * @returns {Promise<number>} Number of loaded entries
+     */
+    async load() {
+        this.entries.clear();
+
+        try {
+            const data = JSON.parse((await gunzip(await fs.promises.readFile(this.filePath))).toString('utf-8'));
+            if (data.formatVersion !== CONFIG.FORMAT_VERSION || data.analyzerVersion !== this.analyzerVersion) {
+                return 0;
+            }
+
+            for (const entry of data.entries) {
+                if (entry.features) {
+                    entry.features.vector = new Map(entry.features.vector);
+                }
+                this.entries.set(entry.filePath, entry);
+            }
+        } catch {
+            this.entries.clear(); // No usable cache yet
+        }
+
+        return this.entries.size;
+    }
+
+    /**
+     * Writes the cache file (to a temporary file first, so a crash never leaves a truncated cache).
+     *
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const entries = [...this.entries.values()].map(entry => ({
+            ...entry,
+            features: entry.features
+                ? { ...entry.features, vector: [...entry.features.vector] }
+                : entry.features
+        }));
+        const data = {
+            formatVersion: CONFIG.FORMAT_VERSION,
+            analyzerVersion: this.analyzerVersion,
+            entries
+        };
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, await gzip(JSON.stringify(data)));
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (err) {
+            console.error('[Archit Search] Could not write analysis cache:', err);
+        }
+    }
+
+    /**
+     * Gets the cached result of a file.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {object | undefined}
+     */
+    get(filePath) {
+        return this.entries.get(filePath);
+    }
+
+    /**
+     * Gets every cached result.
+     *
+     * @returns {object[]}
+     */
+    getAll() {
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Replaces the cache content with the results of a full workspace analysis.
+     * Results without a content hash (missing or unreadable files) are not kept.
+     *
+     * @param {object[]} results - AnalysisWorker results
+     */
+    replaceAll(results) {
+        this.entries = new Map(results.filter(result => result.hash).map(result => [result.filePath, result]));
+    }
+
+    /**
+     * Deletes the cache file and all entries.
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.entries.clear();
+        await fs.promises.rm(this.filePath, { force: true }).catch(() => {
+            // Nothing to delete
+        });
+    }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const { isMainThread, parentPort } = require('worker_threads');
+const ImportParser = require('./ImportParser');
+const ModuleResolver = require('./ModuleResolver');
+const AIKernel = require('./AIKernel');
+const MetricsCalculator = require('./MetricsCalculator');
+const AnalysisCache = require('./AnalysisCache');
+const FileFilter = require('./FileFilter');
+const { MAX_FILE_SIZE } = require('./DependencyGraph');
+
+/**
+ * AnalysisWorker performs the per-file part of workspace analysis: reading a
+ * file, parsing and resolving its imports, extracting AI learning features and
+ * measuring maintainability. Generated files (see FileFilter) get no learning features.
+ *
+ * Files known from the AnalysisCache are not re-parsed when their modification
+ * time and size, or else their content hash, still match; only their imports
+ * are resolved again, since other files may have appeared or disappeared.
+ *
+ * Loaded as a worker thread script it answers `{files, known}` messages with
+ * `{results}`; AnalysisWorkerPool also uses it in-process as a fallback.
+ */
+class AnalysisWorker {
+    /**
+     * Creates a new AnalysisWorker instance.
+     *
+     * @param {ModuleResolver} [resolver] - Module resolver (each worker thread has its own)
+     */
+    constructor(resolver = new ModuleResolver()) {
+        /** @type {ImportParser} */
+        this.parser = new ImportParser();
+
+        /** @type {ModuleResolver} */
+        this.resolver = resolver;
+
+        /** @type {AIKernel} Used for feature extraction only */
+        this.aiKernel = new AIKernel();
+    }
+
+    /**
+     * Analyzes a batch of files.
+     *
+     * @param {string[]} filePaths - Absolute file paths
+     * @param {Array<object | null>} [known] - Cached entry per file (aligned with `filePaths`)
+     * @returns {object[]} Results (see `analyzeFile`)
+     */
+    analyzeFiles(filePaths, known = []) {
+        return filePaths.map((filePath, i) => this.analyzeFile(filePath, known[i] || null));
+    }
+
+    /**
+     * Analyzes a single file. Missing files yield a result with only `filePath`;
+     * files matching their cached entry yield `unchanged: true` with freshly resolved imports.
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {{mtimeMs: number, size: number, hash: string, imports: Array<{path: string, index: number, line: number}>} | null} [known] - Cached entry
+     * @returns {{filePath: string, unchanged?: boolean, mtimeMs?: number, size?: number, hash?: string, imports?: Array<{path: string, resolved: string | null, index: number, line: number}>, features?: {vector: Map<string, number>, importCount: number} | null, maintainability?: object | null}}
+     */
+    analyzeFile(filePath, known = null) {
+        let stats;
+        try {
+            stats = fs.statSync(filePath, { throwIfNoEntry: false });
+        } catch {
+            stats = null;
+        }
+
+        if (!stats || !stats.isFile()) {
+            return { filePath };
+        }
+
+        if (known && known.mtimeMs === stats.mtimeMs && known.size === stats.size) {
+            return this._unchanged(filePath, stats, known);
+        }
+
+        let content = null;
+        try {
+            content = fs.readFileSync(filePath, 'utf-8');
+        } catch {
+            // Unreadable file - keep it as a node without edges
+        }
+
+        if (content === null) {
+            return { filePath, mtimeMs: stats.mtimeMs, imports: [], features: null, maintainability: null };
+        }
+
+        const hash = AnalysisCache.hash(content);
+        if (known && known.hash === hash) {
+            return this._unchanged(filePath, stats, known);
+        }
+
+        const imports = stats.size <= MAX_FILE_SIZE
+            ? this.parser.parse(content, ImportParser.getLanguageIdForFile(filePath))
+            : [];
+
+        return {
+            filePath,
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            hash,
+            imports: this._resolveImports(filePath, imports),
+            features: FileFilter.isGenerated(content) ? null : this.aiKernel.extractFeatures(content),
+            maintainability: MetricsCalculator.measureMaintainability(content)
+        };
+    }
+
+    /**
+     * Builds the result for a file whose content matches its cached entry.
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {fs.Stats} stats - Current file stats
+     * @param {{hash: string, imports: Array<{path: string, index: number, line: number}>}} known - Cached entry
+     * @returns {{filePath: string, unchanged: boolean, mtimeMs: number, size: number, hash: string, imports: Array}}
+     * @private
+     */
+    _unchanged(filePath, stats, known) {
+        return {
+            filePath,
+            unchanged: true,
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            hash: known.hash,
+            imports: this._resolveImports(filePath, known.imports)
+        };
+    }
+
+    /**
+     * Resolves parsed imports of a file.
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {Array<{path: string, index: number, line: number}>} imports - Parsed imports
+     * @returns {Array<{path: string, resolved: string | null, index: number, line: number}>}
+     * @private
+     */
+    _resolveImports(filePath, imports) {
+        return imports.map(imp => ({
+            path: imp.path,
+            resolved: this.resolver.resolve(filePath, imp.path),
+            index: imp.index,
+            line: imp.line
+        }));
+    }
+}
+
+if (!isMainThread && parentPort) {
+    const worker = new AnalysisWorker();
+    parentPort.on('message', ({ files, known }) => {
+        parentPort.postMessage({ results: worker.analyzeFiles(files, known) });
+    });
+}
+
+module.exports = AnalysisWorker;
@@ -0,0 +1,221 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const AnalysisWorker = require('./AnalysisWorker');
+
+/**
+ * Worker pool configuration
+ */
+const CONFIG = {
+    /** Files sent to a worker per message (smaller = finer progress and faster cancellation) */
+    CHUNK_SIZE: 100,
+    /** Upper bound on worker threads */
+    MAX_WORKERS: 4
+};
+
+/**
+ * Error thrown when an analysis run is cancelled.
+ */
+class AnalysisCancelledError extends Error {
+    constructor() {
+        super('Analysis cancelled');
+        this.name = 'AnalysisCancelledError';
+    }
+}
+
+/**
+ * AnalysisWorkerPool reads, parses and resolves workspace files on worker
+ * threads so that workspace-wide analysis never blocks the extension host.
+ *
+ * Files are dispatched in chunks; progress is reported after every chunk and a
+ * cancellation request terminates the workers immediately. Workers live only for
+ * the duration of a run, so every run sees fresh tsconfig/package.json state.
+ * If a worker cannot be started or crashes, its chunks are analyzed in-process.
+ */
+class AnalysisWorkerPool {
+    /**
+     * Creates a new AnalysisWorkerPool instance.
+     *
+     * @param {number} [size] - Number of worker threads (0 analyzes in-process)
+     */
+    constructor(size = AnalysisWorkerPool.getDefaultSize()) {
+        /** @type {number} */
+        this.size = size;
+
+        /** @type {Set<Worker>} Workers of the running analyses */
+        this.workers = new Set();
+    }
+
+    /**
+     * Gets the default pool size: one thread per spare CPU core, at least one.
+     *
+     * @returns {number}
+     */
+    static getDefaultSize() {
+        const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+        return Math.max(1, Math.min(cores - 1, CONFIG.MAX_WORKERS));
+    }
+
+    /**
+     * Analyzes files on the worker threads.
+     *
+     * @param {string[]} filePaths - Absolute file paths
+     * @param {Object} [options]
+     * @param {(done: number, total: number) => void} [options.onProgress] - Called after each chunk
+     * @param {{isCancellationRequested: boolean, onCancellationRequested?: Function}} [options.token] - Cancellation token (e.g. vscode.CancellationToken)
+     * @param {import('./AnalysisCache')} [options.cache] - Cached results; matching files are not re-parsed
+     * @returns {Promise<Array<object>>} AnalysisWorker results in the order of `filePaths`, with cached entries filled in
+     * @throws {AnalysisCancelledError} If the token is cancelled
+     */
+    async run(filePaths, options = {}) {
+        const { onProgress, token, cache } = options;
+        const chunks = [];
+        for (let i = 0; i < filePaths.length; i += CONFIG.CHUNK_SIZE) {
+            chunks.push(filePaths.slice(i, i + CONFIG.CHUNK_SIZE));
+        }
+
+        const results = new Array(chunks.length);
+        const runWorkers = new Set();
+        let localWorker = null;
+        let next = 0;
+        let done = 0;
+        let cancelled = false;
+
+        const cancel = () => {
+            cancelled = true;
+            runWorkers.forEach(worker => this._terminate(worker));
+        };
+        const subscription = token?.onCancellationRequested?.(cancel);
+
+        const knownFor = chunk => chunk.map(filePath => {
+            const entry = cache?.get(filePath);
+            return entry ? { mtimeMs: entry.mtimeMs, size: entry.size, hash: entry.hash, imports: entry.imports } : null;
+        });
+
+        const analyzeLocally = async chunk => {
+            // Yield first so in-process analysis still lets the host handle events
+            await new Promise(resolve => setImmediate(resolve));
+            localWorker = localWorker || new AnalysisWorker();
+            return localWorker.analyzeFiles(chunk, knownFor(chunk));
+        };
+
+        const lane = async () => {
+            let worker = this.size > 0 ? this._spawn() : null;
+            if (worker) runWorkers.add(worker);
+
+            while (next < chunks.length && !cancelled && !token?.isCancellationRequested) {
+                const index = next++;
+                try {
+                    results[index] = worker
+                        ? await this._post(worker, chunks[index], knownFor(chunks[index]))
+                        : await analyzeLocally(chunks[index]);
+                } catch (err) {
+                    if (cancelled) break;
+                    console.error('[Archit Search] Analysis worker failed, continuing in-process:', err);
+                    this._terminate(worker);
+                    worker = null;
+                    results[index] = await analyzeLocally(chunks[index]);
+                }
+
+                done += chunks[index].length;
+                if (onProgress) onProgress(done, filePaths.length);
+            }
+
+            this._terminate(worker);
+        };
+
+        try {
+            const lanes = Math.max(1, Math.min(this.size, chunks.length));
+            await Promise.all(Array.from({ length: lanes }, lane));
+        } finally {
+            runWorkers.forEach(worker => this._terminate(worker));
+            if (subscription) subscription.dispose();
+        }
+
+        if (cancelled || token?.isCancellationRequested) {
+            throw new AnalysisCancelledError();
+        }
+        // Unchanged files keep their cached features and metrics with the fresh imports
+        return results.flat().map(result => result.unchanged
+            ? { ...cache.get(result.filePath), mtimeMs: result.mtimeMs, imports: result.imports }
+            : result);
+    }
+
+    /**
+     * Starts a worker thread.
+     *
+     * @returns {Worker | null} Worker, or null if threads are unavailable
+     * @private
+     */
+    _spawn() {
+        try {
+            const worker = new Worker(path.join(__dirname, 'AnalysisWorker.js'));
+            worker.unref();
+            this.workers.add(worker);
+            return worker;
+        } catch (err) {
+            console.error('[Archit Search] Could not start analysis worker:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Sends a chunk to a worker and waits for its results.
+     *
+     * @param {Worker} worker - Worker thread
+     * @param {string[]} files - Absolute file paths
+     * @param {Array<object | null>} known - Cached entry per file
+     * @returns {Promise<Array<object>>}
+     * @private
+     */
+    _post(worker, files, known) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                worker.off('message', onMessage);
+                worker.off('error', onError);
+                worker.off('exit', onExit);
+            };
+            const onMessage = message => {
+                cleanup();
+                resolve(message.results);
+            };
+            const onError = err => {
+                cleanup();
+                reject(err);
+            };
+            const onExit = code => {
+                cleanup();
+                reject(new Error(`Analysis worker exited with code ${code}`));
+            };
+
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.on('exit', onExit);
+            worker.postMessage({ files, known });
+        });
+    }
+
+    /**
+     * Terminates a worker.
+     *
+     * @param {Worker | null} worker - Worker thread
+     * @private
+     */
+    _terminate(worker) {
+        if (worker && this.workers.delete(worker)) {
+            worker.terminate().catch(() => {
+                // Already exited
+            });
+        }
+    }
+
+    /**
+     * Terminates all workers of running analyses.
+     */
+    dispose() {
+        [...this.workers].forEach(worker => this._terminate(worker));
+    }
+}
+
+module.exports = AnalysisWorkerPool;
+module.exports.AnalysisCancelledError = AnalysisCancelledError;
@@ -1,4 +1,5 @@
 const vscode = require('vscode');
+const path = require('path');
 const Localization = require('./Localization');
 
 /**
@@ -11,34 +12,93 @@ const STATUS_ICONS = {
     'Idle': 'check'
 };
 
+/**
+ * Icon mapping for violation severities (diagnostic severities and rule severities)
+ */
+const SEVERITY_ICONS = {
+    [vscode.DiagnosticSeverity.Error]: 'error',
+    [vscode.DiagnosticSeverity.Warning]: 'warning',
+    [vscode.DiagnosticSeverity.Information]: 'info',
+    [vscode.DiagnosticSeverity.Hint]: 'lightbulb',
+    'error': 'error',
+    'warning': 'warning',
+    'info': 'info',
+    'hint': 'lightbulb'
+};
+
+/**
+ * Health score thresholds for the folder health icons
+ */
+const HEALTH_THRESHOLDS = {
+    GOOD: 70,
+    FAIR: 50
+};
+
+/**
+ * Sidebar configuration
+ */
+const CONFIG = {
+    /** Number of files listed in the coupling and maintainability sections */
+    TOP_FILES: 10,
+    /** Delay before the tree is rebuilt after diagnostics or graphs changed */
+    REFRESH_DELAY_MS: 500
+};
+
 /**
  * ArchitSidebarProvider provides a tree view for architecture health information.
- * Displays file stats, violations, and AI insights in the VS Code sidebar.
+ * Displays collapsible sections for the active file, the workspace violations
+ * (grouped by rule and by file), the detected cycles and their files, the files
+ * with the highest coupling and lowest maintainability, the health of every
+ * layer, AI insights and the health of every workspace folder. AI insights come
+ * from the model of the active file's folder. Every leaf opens its source location.
  * Supports multi-language display via Localization.
  */
 class ArchitSidebarProvider {
     /**
      * Creates a new ArchitSidebarProvider instance.
      * 
-     * @param {import('./AIKernel')} aiKernel - AI Kernel instance for stats
+     * @param {import('./FolderRegistry')} folders - Per-folder analyses for AI stats and health
+     * @param {Object} [options] - Workspace sections
+     * @param {vscode.DiagnosticCollection} [options.diagnostics] - Published violations, listed in the violations section
+     * @param {(folder: import('./FolderAnalysis')) => import('./ArchitectureGraph')} [options.getArchitectureGraph] - Builds
+     *   the architecture model of a folder for the layer health section
      */
-    constructor(aiKernel) {
+    constructor(folders, options = {}) {
         /** @type {vscode.EventEmitter<void>} */
         this._onDidChangeTreeData = new vscode.EventEmitter();
         
         /** @type {vscode.Event<void>} */
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
         
-        /** @type {import('./AIKernel')} */
-        this.aiKernel = aiKernel;
+        /** @type {import('./FolderRegistry')} */
+        this.folders = folders;
+
+        /** @type {vscode.DiagnosticCollection | null} */
+        this.diagnostics = options.diagnostics || null;
+
+        /** @type {((folder: import('./FolderAnalysis')) => import('./ArchitectureGraph')) | null} */
+        this.getArchitectureGraph = options.getArchitectureGraph || null;
         
         /** @type {Object} */
         this.currentData = this._getDefaultData();
+
+        /** @type {Function[]} Unsubscribe functions of the folder graph listeners */
+        this._graphSubscriptions = [];
+
+        this.refreshTimeout = undefined;
         
         // Subscribe to language changes
         this._unsubscribe = Localization.onLanguageChange(() => {
             this._onDidChangeTreeData.fire();
         });
+
+        // The workspace sections follow the analyzed graphs and the published violations
+        this._subscribeToGraphs();
+        this._unsubscribeFolders = folders.onDidChange(() => {
+            this._subscribeToGraphs();
+            this._scheduleRefresh();
+        });
+        this._diagnosticsSubscription = vscode.languages.onDidChangeDiagnostics(() => this._scheduleRefresh());
     }
 
     /**
@@ -49,6 +109,7 @@ class ArchitSidebarProvider {
     _getDefaultData() {
         return {
             filename: null, // null means "no active file"
+            filePath: null,
             status: 'Idle',
             violations: 0,
             imports: 0,
@@ -86,13 +147,14 @@ class ArchitSidebarProvider {
 
     /**
      * Gets the children of a tree element.
+     * Sections build their children when they are expanded.
      * 
      * @param {vscode.TreeItem | undefined} element - Parent element
      * @returns {vscode.TreeItem[]}
      */
     getChildren(element) {
         if (element) {
-            return [];
+            return element.getChildren ? element.getChildren() : [];
         }
 
         // Root items
@@ -100,7 +162,7 @@ class ArchitSidebarProvider {
     }
 
     /**
-     * Builds the full tree item list for the sidebar.
+     * Builds the sections at the root of the sidebar.
      * 
      * @returns {vscode.TreeItem[]}
      * @private
@@ -108,33 +170,88 @@ class ArchitSidebarProvider {
     _buildTreeItems() {
         const items = [];
 
-        // 1. Current File Header
-        items.push(this._createFileItem());
+        // 1. Current File
+        items.push(this._createSection('currentFile', Localization.get('sidebarCurrentFile'), null,
+            () => this._createCurrentFileItems()));
 
-        // 2. Status
-        items.push(this._createStatusItem());
+        // 2. Workspace Violations
+        if (this.diagnostics) {
+            const violations = this._collectViolations();
+            const section = this._createSection('violations', Localization.get('sidebarWorkspaceViolations', violations.length), null,
+                () => this._createViolationItems(violations));
+            section.tooltip = Localization.get('sidebarViolationsTooltip');
+            items.push(section);
+        }
 
-        // 3. Imports Count
-        items.push(this._createItem(
-            Localization.get('sidebarImports', this.currentData.imports), 
-            'symbol-interface'
-        ));
+        // 3. Cycles
+        const cycles = this._getAnalyses()
+            .flatMap(folder => folder.deepCycleDetector.getAllCycles().map(cycle => ({ folder, ...cycle })));
+        items.push(this._createSection('cycles', Localization.get('sidebarCycles', cycles.length), null,
+            () => this._createCycleItems(cycles)));
 
-        // 4. Violations Count
-        items.push(this._createItem(
-            Localization.get('sidebarViolations', this.currentData.violations), 
-            'alert'
-        ));
+        // 4. Hotspots
+        items.push(this._createSection('coupling', Localization.get('sidebarTopCoupling'), null,
+            () => this._createCouplingItems(), vscode.TreeItemCollapsibleState.Collapsed));
+        items.push(this._createSection('maintainability', Localization.get('sidebarLowMaintainability'), null,
+            () => this._createMaintainabilityItems(), vscode.TreeItemCollapsibleState.Collapsed));
 
-        // 5. Divider
-        items.push(this._createDivider());
+        // 5. Layer Health
+        if (this.getArchitectureGraph) {
+            items.push(this._createSection('layers', Localization.get('sidebarLayers'), null,
+                () => this._createLayerSectionItems(), vscode.TreeItemCollapsibleState.Collapsed));
+        }
 
-        // 6. AI Insights Section
-        items.push(...this._createAIInsightsItems());
+        // 6. AI Insights
+        items.push(this._createSection('aiInsights', Localization.get('sidebarAIInsights'), null,
+            () => this._createAIInsightsItems(), vscode.TreeItemCollapsibleState.Collapsed));
+
+        // 7. Workspace Folder Health
+        const folders = this.folders.getAll();
+        if (folders.length > 0) {
+            items.push(this._createSection('folders', Localization.get('sidebarFolders'), null,
+                () => this._createFolderItems(folders)));
+        }
 
         return items;
     }
 
+    /**
+     * Creates a collapsible section whose children are built on expansion.
+     * The ID keeps the section's expansion state while its label changes.
+     * 
+     * @param {string} id - Stable item ID
+     * @param {string} label - Item label
+     * @param {string | null} iconName - VS Code icon name (sections at the root have an emoji instead)
+     * @param {() => vscode.TreeItem[]} getChildren - Builds the children
+     * @param {vscode.TreeItemCollapsibleState} [state=Expanded] - Initial state
+     * @returns {vscode.TreeItem}
+     * @private
+     */
+    _createSection(id, label, iconName, getChildren, state = vscode.TreeItemCollapsibleState.Expanded) {
+        const item = new vscode.TreeItem(label, state);
+        item.id = id;
+        if (iconName) {
+            item.iconPath = new vscode.ThemeIcon(iconName);
+        }
+        item.getChildren = getChildren;
+        return item;
+    }
+
+    /**
+     * Creates the items of the active file: name, status, imports and violations.
+     * 
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createCurrentFileItems() {
+        return [
+            this._createFileItem(),
+            this._createStatusItem(),
+            this._createItem(Localization.get('sidebarImports', this.currentData.imports), 'symbol-interface'),
+            this._createItem(Localization.get('sidebarViolations', this.currentData.violations), 'alert')
+        ];
+    }
+
     /**
      * Creates the file info tree item.
      * 
@@ -169,15 +286,272 @@ class ArchitSidebarProvider {
     }
 
     /**
-     * Creates a divider tree item.
+     * Collects the published violations of every file.
+     * 
+     * @returns {Array<{uri: vscode.Uri, diagnostic: vscode.Diagnostic, ruleId: string}>}
+     * @private
+     */
+    _collectViolations() {
+        const violations = [];
+        this.diagnostics.forEach((uri, diagnostics) => {
+            for (const diagnostic of diagnostics) {
+                const code = diagnostic.code;
+                violations.push({ uri, diagnostic, ruleId: String(typeof code === 'object' ? code.value : code ?? '') });
+            }
+        });
+        return violations;
+    }
+
+    /**
+     * Creates the violations section items: the violations grouped by rule and by file.
+     * 
+     * @param {Array<{uri: vscode.Uri, diagnostic: vscode.Diagnostic, ruleId: string}>} violations - Published violations
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createViolationItems(violations) {
+        if (violations.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoViolations'), 'check')];
+        }
+
+        const byRule = this._groupBy(violations, violation => violation.ruleId);
+        const byFile = this._groupBy(violations, violation => violation.uri.fsPath);
+
+        return [
+            this._createSection('violations/rule', Localization.get('sidebarByRule'), 'law', () => [...byRule]
+                .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+                .map(([ruleId, group]) => {
+                    const item = this._createSection(`violations/rule/${ruleId}`, ruleId, this._getSeverityIcon(group),
+                        () => group.map(violation => this._createViolationItem(violation, true)),
+                        vscode.TreeItemCollapsibleState.Collapsed);
+                    item.description = String(group.length);
+                    return item;
+                })),
+            this._createSection('violations/file', Localization.get('sidebarByFile'), 'files', () => [...byFile]
+                .sort((a, b) => b[1].length - a[1].length || a[0].localeCompare(b[0]))
+                .map(([filePath, group]) => {
+                    const item = this._createSection(`violations/file/${filePath}`, path.basename(filePath), this._getSeverityIcon(group),
+                        () => group.map(violation => this._createViolationItem(violation, false)),
+                        vscode.TreeItemCollapsibleState.Collapsed);
+                    item.description = `${vscode.workspace.asRelativePath(path.dirname(filePath))} · ${group.length}`;
+                    item.resourceUri = vscode.Uri.file(filePath);
+                    return item;
+                }), vscode.TreeItemCollapsibleState.Collapsed)
+        ];
+    }
+
+    /**
+     * Creates the item of a violation, opening its range.
+     * 
+     * @param {{uri: vscode.Uri, diagnostic: vscode.Diagnostic, ruleId: string}} violation - Published violation
+     * @param {boolean} showFile - Whether to name the file (violations grouped by rule)
+     * @returns {vscode.TreeItem}
+     * @private
+     */
+    _createViolationItem({ uri, diagnostic, ruleId }, showFile) {
+        const line = diagnostic.range.start.line + 1;
+        const item = new vscode.TreeItem(
+            showFile ? `${path.basename(uri.fsPath)}:${line}` : diagnostic.message,
+            vscode.TreeItemCollapsibleState.None
+        );
+        item.description = showFile ? diagnostic.message : `${ruleId} · ${line}`;
+        item.tooltip = `${vscode.workspace.asRelativePath(uri)}:${line}\n${diagnostic.message}`;
+        item.iconPath = new vscode.ThemeIcon(this._getSeverityIcon([{ diagnostic }]));
+        item.command = this._createOpenCommand(uri.fsPath, diagnostic.range);
+        return item;
+    }
+
+    /**
+     * Creates the cycles section items: one item per cycle with its files.
+     * 
+     * @param {Array<{folder: import('./FolderAnalysis'), cycle: string[], component: string[]}>} cycles - Cycles of every folder
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createCycleItems(cycles) {
+        if (cycles.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoCycles'), 'check')];
+        }
+
+        return cycles.map(({ folder, cycle, component }) => {
+            const item = this._createSection(`cycles/${component[0]}`, cycle.map(file => path.basename(file)).join(' → '), 'sync',
+                () => this._createCycleMemberItems(folder, cycle, component), vscode.TreeItemCollapsibleState.Collapsed);
+            item.description = Localization.get('sidebarCycleFiles', component.length);
+            return item;
+        });
+    }
+
+    /**
+     * Creates the items of the files of a cycle, each opening the import that
+     * continues the cycle (the next file of the shortest cycle, if on it).
+     * 
+     * @param {import('./FolderAnalysis')} folder - Folder of the cycle
+     * @param {string[]} cycle - Shortest cycle as a closed path
+     * @param {string[]} component - Files of the cycle
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createCycleMemberItems(folder, cycle, component) {
+        const members = new Set(component);
+        return component.map(file => {
+            const position = cycle.indexOf(file);
+            const next = position >= 0 ? cycle[position + 1] : undefined;
+            const imports = folder.dependencyGraph.getImports(file);
+            const imp = imports.find(i => i.resolved === next) || imports.find(i => members.has(i.resolved));
+
+            const item = new vscode.TreeItem(path.basename(file), vscode.TreeItemCollapsibleState.None);
+            item.resourceUri = vscode.Uri.file(file);
+            item.description = imp ? `→ ${path.basename(imp.resolved)}` : vscode.workspace.asRelativePath(path.dirname(file));
+            item.tooltip = `${vscode.workspace.asRelativePath(file)}${imp ? `\nimport '${imp.path}'` : ''}`;
+            const line = imp?.line ?? 0;
+            item.command = this._createOpenCommand(file, new vscode.Range(line, 0, line, 0));
+            return item;
+        });
+    }
+
+    /**
+     * Creates the items of the files with the highest coupling.
+     * 
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createCouplingItems() {
+        const files = this._getAnalyses().flatMap(folder => folder.dependencyGraph.getFiles()
+            .map(file => ({ file, coupling: folder.metricsCalculator.calculateCoupling(file) })));
+        if (files.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoFiles'), 'info')];
+        }
+
+        return files
+            .sort((a, b) => b.coupling.totalCoupling - a.coupling.totalCoupling)
+            .slice(0, CONFIG.TOP_FILES)
+            .map(({ file, coupling }) => this._createFileMetricItem(
+                file,
+                Localization.get('sidebarCoupling', coupling.totalCoupling, coupling.afferentCoupling, coupling.efferentCoupling),
+                coupling.quality
+            ));
+    }
+
+    /**
+     * Creates the items of the files with the lowest maintainability.
      * 
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createMaintainabilityItems() {
+        const files = this._getAnalyses().flatMap(folder => folder.dependencyGraph.getFiles()
+            .map(file => ({ file, maintainability: folder.metricsCalculator.calculateMaintainability(file) })));
+        if (files.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoFiles'), 'info')];
+        }
+
+        return files
+            .sort((a, b) => a.maintainability.index - b.maintainability.index)
+            .slice(0, CONFIG.TOP_FILES)
+            .map(({ file, maintainability }) => this._createFileMetricItem(
+                file,
+                Localization.get('sidebarMaintainability', maintainability.index, maintainability.grade),
+                maintainability.suggestions.join('\n')
+            ));
+    }
+
+    /**
+     * Creates the item of a file with a metric, opening the file.
+     * 
+     * @param {string} file - Absolute file path
+     * @param {string} metric - Metric shown after the file name
+     * @param {string} details - Extra tooltip lines
      * @returns {vscode.TreeItem}
      * @private
      */
-    _createDivider() {
-        const divider = new vscode.TreeItem('', vscode.TreeItemCollapsibleState.None);
-        divider.description = '─────────────';
-        return divider;
+    _createFileMetricItem(file, metric, details) {
+        const item = new vscode.TreeItem(path.basename(file), vscode.TreeItemCollapsibleState.None);
+        item.resourceUri = vscode.Uri.file(file);
+        item.description = metric;
+        item.tooltip = [vscode.workspace.asRelativePath(file), details].filter(Boolean).join('\n');
+        item.command = this._createOpenCommand(file, new vscode.Range(0, 0, 0, 0));
+        return item;
+    }
+
+    /**
+     * Creates the layer health section items, grouped by workspace folder in
+     * a multi-root workspace.
+     * 
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createLayerSectionItems() {
+        const folders = this.folders.getAll();
+        if (folders.length === 1) {
+            return this._createLayerItems(folders[0]);
+        }
+
+        return folders.map(folder => this._createSection(`layers/${folder.rootDir}`, folder.name, 'root-folder',
+            () => this._createLayerItems(folder)));
+    }
+
+    /**
+     * Creates the health items of the layers of a folder: files, violating
+     * imports made by the layer's files and their average maintainability.
+     * Each layer lists its violating imports.
+     * 
+     * @param {import('./FolderAnalysis')} folder - Folder analysis
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createLayerItems(folder) {
+        const model = this.getArchitectureGraph(folder).build();
+        if (model.layers.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoLayers'), 'info')];
+        }
+
+        const files = new Map(model.nodes.map(node => [node.id, node]));
+        const layers = [...model.layers.map((name, index) => ({ name, index })), { name: Localization.get('sidebarNoLayer'), index: -1 }];
+
+        return layers
+            .map(({ name, index }) => {
+                const nodes = model.nodes.filter(node => node.layer === index);
+                const violations = model.edges.filter(edge => edge.violation && files.get(edge.from).layer === index);
+                return { name, index, nodes, violations };
+            })
+            .filter(layer => layer.index >= 0 || layer.nodes.length > 0)
+            .map(({ name, index, nodes, violations }) => {
+                const maintainability = nodes.length > 0
+                    ? nodes.reduce((sum, node) => sum + folder.metricsCalculator.calculateMaintainability(node.file).index, 0) / nodes.length
+                    : null;
+
+                const item = this._createSection(`layers/${folder.rootDir}/${index}`, name,
+                    violations.length > 0 ? 'error' : maintainability !== null && maintainability < HEALTH_THRESHOLDS.GOOD ? 'warning' : 'pass',
+                    () => this._createLayerViolationItems(violations, files), vscode.TreeItemCollapsibleState.Collapsed);
+                item.description = Localization.get('sidebarLayerHealth', nodes.length, violations.length,
+                    maintainability === null ? '-' : maintainability.toFixed(1));
+                return item;
+            });
+    }
+
+    /**
+     * Creates the items of a layer's violating imports, opening the import.
+     * 
+     * @param {Array<{from: string, to: string, sites: Array<{line: number, specifier: string}>, violation: object}>} edges - Violating imports
+     * @param {Map<string, {file: string}>} files - Files by ID
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createLayerViolationItems(edges, files) {
+        if (edges.length === 0) {
+            return [this._createItem(Localization.get('sidebarNoViolations'), 'check')];
+        }
+
+        return edges.map(edge => {
+            const file = files.get(edge.from).file;
+            const line = edge.sites[0]?.line ?? 0;
+            const item = new vscode.TreeItem(`${path.basename(edge.from)} → ${path.basename(edge.to)}`, vscode.TreeItemCollapsibleState.None);
+            item.description = edge.violation.ruleId;
+            item.tooltip = `${edge.from}:${line + 1}\n${edge.violation.message}`;
+            item.iconPath = new vscode.ThemeIcon(SEVERITY_ICONS[edge.violation.severity] || 'info');
+            item.command = this._createOpenCommand(file, new vscode.Range(line, 0, line, 0));
+            return item;
+        });
     }
 
     /**
@@ -189,13 +563,6 @@ class ArchitSidebarProvider {
     _createAIInsightsItems() {
         const items = [];
 
-        // Section header
-        const headerItem = new vscode.TreeItem(
-            Localization.get('sidebarAIInsights'),
-            vscode.TreeItemCollapsibleState.Expanded
-        );
-        items.push(headerItem);
-
         // Anomaly Score
         items.push(this._createItem(
             Localization.get('sidebarAnomalyScore', this.currentData.anomalyScore),
@@ -217,19 +584,113 @@ class ArchitSidebarProvider {
     }
 
     /**
-     * Gets AI statistics from the kernel.
+     * Creates the workspace folder health section items.
+     * 
+     * @param {import('./FolderAnalysis')[]} folders - Workspace folder analyses
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _createFolderItems(folders) {
+        const items = [];
+
+        for (const folder of folders) {
+            const { healthScore, cycleCount, filesAnalyzed } = folder.getHealth();
+            const item = new vscode.TreeItem(folder.name, vscode.TreeItemCollapsibleState.None);
+
+            if (healthScore === null) {
+                item.description = Localization.get('sidebarFolderNotAnalyzed');
+                item.iconPath = new vscode.ThemeIcon('circle-outline');
+            } else {
+                const score = parseFloat(healthScore);
+                item.description = Localization.get('sidebarFolderHealth', healthScore, cycleCount);
+                item.iconPath = new vscode.ThemeIcon(
+                    score >= HEALTH_THRESHOLDS.GOOD ? 'pass' : score >= HEALTH_THRESHOLDS.FAIR ? 'warning' : 'error'
+                );
+            }
+            item.tooltip = `${folder.rootDir}\n${filesAnalyzed} files analyzed`;
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    /**
+     * Gets AI statistics from the model of the active file's folder.
      * 
      * @returns {{mean: string, stdDev: string}}
      * @private
      */
     _getAIStats() {
-        if (!this.aiKernel?.statsModel) {
+        const folder = this.currentData.filePath
+            ? this.folders.getForFile(this.currentData.filePath)
+            : this.folders.getAll()[0];
+        const statsModel = folder?.aiKernel.statsModel;
+        if (!statsModel) {
             return { mean: '?', stdDev: '?' };
         }
 
         return {
-            mean: String(Math.round(this.aiKernel.statsModel.mean)),
-            stdDev: this.aiKernel.statsModel.stdDev.toFixed(1)
+            mean: String(Math.round(statsModel.mean)),
+            stdDev: statsModel.stdDev.toFixed(1)
+        };
+    }
+
+    /**
+     * Gets the analyses of the workspace folders and of the files outside them.
+     * 
+     * @returns {import('./FolderAnalysis')[]}
+     * @private
+     */
+    _getAnalyses() {
+        return [...this.folders.getAll(), this.folders.looseFiles];
+    }
+
+    /**
+     * Groups items by a key, keeping their order.
+     * 
+     * @template T
+     * @param {T[]} items - Items
+     * @param {(item: T) => string} getKey - Gets the key of an item
+     * @returns {Map<string, T[]>}
+     * @private
+     */
+    _groupBy(items, getKey) {
+        const groups = new Map();
+        for (const item of items) {
+            const key = getKey(item);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        }
+        return groups;
+    }
+
+    /**
+     * Gets the icon of the most severe of some violations.
+     * 
+     * @param {Array<{diagnostic: vscode.Diagnostic}>} violations - Published violations
+     * @returns {string} VS Code icon name
+     * @private
+     */
+    _getSeverityIcon(violations) {
+        const severity = Math.min(...violations.map(violation => violation.diagnostic.severity));
+        return SEVERITY_ICONS[severity] || 'info';
+    }
+
+    /**
+     * Creates the command opening a file at a range.
+     * 
+     * @param {string} file - Absolute file path
+     * @param {vscode.Range} range - Range to reveal
+     * @returns {vscode.Command}
+     * @private
+     */
+    _createOpenCommand(file, range) {
+        return {
+            command: 'vscode.open',
+            title: 'Open',
+            arguments: [vscode.Uri.file(file), { selection: range }]
         };
     }
 
@@ -247,6 +708,32 @@ class ArchitSidebarProvider {
         return item;
     }
 
+    /**
+     * Rebuilds the tree after a short delay (coalesces bursts of changes).
+     * 
+     * @private
+     */
+    _scheduleRefresh() {
+        if (this.refreshTimeout) {
+            clearTimeout(this.refreshTimeout);
+        }
+        this.refreshTimeout = setTimeout(() => {
+            this.refreshTimeout = undefined;
+            this._onDidChangeTreeData.fire();
+        }, CONFIG.REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Subscribes to the dependency graphs of the current workspace folders.
+     * 
+     * @private
+     */
+    _subscribeToGraphs() {
+        this._graphSubscriptions.forEach(unsubscribe => unsubscribe());
+        this._graphSubscriptions = this._getAnalyses()
+            .map(folder => folder.dependencyGraph.onDidChange(() => this._scheduleRefresh()));
+    }
+
     /**
      * Disposes of resources.
      */
@@ -254,6 +741,14 @@ class ArchitSidebarProvider {
         if (this._unsubscribe) {
             this._unsubscribe();
         }
+        if (this._unsubscribeFolders) {
+            this._unsubscribeFolders();
+        }
+        this._diagnosticsSubscription.dispose();
+        this._graphSubscriptions.forEach(unsubscribe => unsubscribe());
+        if (this.refreshTimeout) {
+            clearTimeout(this.refreshTimeout);
+        }
         this._onDidChangeTreeData.dispose();
     }
 }
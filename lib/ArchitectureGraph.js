@@ -0,0 +1,477 @@
+const path = require('path');
+const RuleCatalog = require('./RuleCatalog');
+const GraphAlgorithms = require('./GraphAlgorithms');
+
+/**
+ * Levels of detail of an exported diagram
+ * @readonly
+ * @enum {string}
+ */
+const DIAGRAM_GRANULARITY = {
+    /** One node per file */
+    FILE: 'file',
+    /** One node per folder */
+    FOLDER: 'folder',
+    /** One node per configured layer */
+    LAYER: 'layer'
+};
+
+/**
+ * ArchitectureGraph turns the dependency graph of a workspace folder into a
+ * model for the graph views: files with their configured layer and cyclic
+ * component, and the imports between them (one edge per pair of files, with
+ * every import site) flagged when they form part of a cycle or break a rule
+ * or layer boundary. The layer diagram collapses the files of each
+ * configured layer into one box (`buildLayers`), and the dependency structure
+ * matrix the files of each folder into one row (`buildMatrix`). Exported
+ * diagrams show files, folders or layers as nodes (`buildDiagram`).
+ *
+ * Violations are decided by RuleEngine with the same settings as the
+ * diagnostics, so the views agree with the Problems panel (rules turned off
+ * in `ruleSeverity` are not flagged). Like FileAnalyzer, it has no dependency
+ * on the VS Code API.
+ */
+class ArchitectureGraph {
+    /**
+     * Creates a new ArchitectureGraph instance.
+     *
+     * @param {Object} options
+     * @param {import('./DependencyGraph')} options.dependencyGraph - Dependency graph of the folder
+     * @param {import('./DeepCycleDetector')} options.deepCycleDetector - Cycle detector of the folder
+     * @param {import('./RuleEngine')} options.engine - Rule engine
+     * @param {string | null} options.rootDir - Project root directory (paths are shown relative to it)
+     * @param {object} options.settings - Normalized settings of the project root; its layers assign files to layers
+     * @param {(filePath: string) => object} [options.getSettings] - Settings of a file, for projects with nested
+     *   config files (defaults to `settings`)
+     */
+    constructor(options) {
+        this.dependencyGraph = options.dependencyGraph;
+        this.deepCycleDetector = options.deepCycleDetector;
+        this.engine = options.engine;
+
+        /** @type {string | null} */
+        this.rootDir = options.rootDir;
+
+        /** @type {object} */
+        this.settings = options.settings;
+
+        /** @type {(filePath: string) => object} */
+        this.getSettings = options.getSettings || (() => options.settings);
+    }
+
+    /**
+     * Builds the model of the folder's current graph.
+     *
+     * @returns {{
+     *   layers: string[],
+     *   nodes: Array<{id: string, file: string, label: string, dir: string, layer: number, cycle: number}>,
+     *   edges: Array<{from: string, to: string, sites: Array<{line: number, specifier: string}>, cycle: boolean,
+     *     violation: {ruleId: string, severity: string, message: string} | null}>
+     * }} Layer names (inner to outer); files sorted by path, with the index of their layer and
+     *   cyclic component (-1 if none); edges by importing file
+     */
+    build() {
+        const layers = Array.isArray(this.settings.layers) ? this.settings.layers : [];
+        const components = this.deepCycleDetector.getAllCycles().map(({ component }) => new Set(component));
+        const files = this.dependencyGraph.getFiles().sort();
+        const ids = new Map(files.map(file => [file, this.getRelativePath(file)]));
+
+        const nodes = files.map(file => {
+            const id = ids.get(file);
+            const dir = path.posix.dirname(id);
+            return {
+                id,
+                file,
+                label: path.basename(file),
+                dir: dir === '.' ? '' : dir,
+                layer: this.engine.getLayerIndex(id, layers),
+                cycle: components.findIndex(members => members.has(file))
+            };
+        });
+
+        const edges = [];
+        for (const file of files) {
+            const targets = new Map();
+            for (const imp of this.dependencyGraph.getImports(file)) {
+                if (!imp.resolved || !ids.has(imp.resolved)) {
+                    continue;
+                }
+                if (!targets.has(imp.resolved)) {
+                    targets.set(imp.resolved, []);
+                }
+                targets.get(imp.resolved).push({ line: imp.line, specifier: imp.path });
+            }
+
+            const component = components.find(members => members.has(file));
+            const settings = targets.size > 0 ? this.getSettings(file) : null;
+            for (const [target, sites] of targets) {
+                edges.push({
+                    from: ids.get(file),
+                    to: ids.get(target),
+                    sites,
+                    cycle: Boolean(component?.has(target)),
+                    violation: this._checkEdge(ids.get(file), ids.get(target), settings)
+                });
+            }
+        }
+
+        return { layers: layers.map(layer => layer.name), nodes, edges };
+    }
+
+    /**
+     * Builds the model of the layer diagram: one box per configured layer (plus
+     * one for files in no layer) and the imports between layers, counted per
+     * import site. Imports that cross a layer boundary the importing file's
+     * layer may not cross are counted as violations, whatever custom rules say.
+     *
+     * @returns {{
+     *   layers: Array<{name: string, index: number, files: number}>,
+     *   dependencies: Array<{from: number, to: number, count: number, violations: number,
+     *     sites: Array<{from: string, file: string, to: string, line: number, specifier: string,
+     *       violation: {ruleId: string, severity: string, message: string} | null}>}>
+     * }} Layers inner to outer (`index` -1 for files in no layer, listed only if there are any);
+     *   dependencies between different layers by layer index. No layers without configured layers.
+     */
+    buildLayers() {
+        const { layers, nodes, edges } = this.build();
+        if (layers.length === 0) {
+            return { layers: [], dependencies: [] };
+        }
+
+        const boxes = layers.map((name, index) => ({ name, index, files: 0 }));
+        const unassigned = { name: 'No layer', index: -1, files: 0 };
+        nodes.forEach(node => (node.layer >= 0 ? boxes[node.layer] : unassigned).files++);
+
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const dependencies = new Map();
+        for (const edge of edges) {
+            const from = byId.get(edge.from);
+            const to = byId.get(edge.to);
+            if (from.layer === to.layer) {
+                continue;
+            }
+
+            const key = `${from.layer}>${to.layer}`;
+            if (!dependencies.has(key)) {
+                dependencies.set(key, { from: from.layer, to: to.layer, count: 0, violations: 0, sites: [] });
+            }
+            const dependency = dependencies.get(key);
+            const settings = this.getSettings(from.file);
+            const violation = this._toViolation(
+                this.engine.checkLayers(from.id, to.id, settings.layers, { strictLayers: settings.strictLayers }),
+                settings
+            );
+            for (const site of edge.sites) {
+                dependency.count++;
+                if (violation) {
+                    dependency.violations++;
+                }
+                dependency.sites.push({ from: from.id, file: from.file, to: to.id, line: site.line, specifier: site.specifier, violation });
+            }
+        }
+
+        return {
+            layers: unassigned.files > 0 ? [...boxes, unassigned] : boxes,
+            dependencies: [...dependencies.values()]
+        };
+    }
+
+    /**
+     * Builds a dependency structure matrix (DSM): one row and column per folder,
+     * or per file for expanded folders, where the cell in row A and column B
+     * counts the imports from A to B.
+     *
+     * Folders are ordered by layer (inner first, folders in no layer last) and
+     * within a layer so that imported folders come before their importers,
+     * which keeps the matrix below the diagonal; the files of an expanded
+     * folder stay together. Cells above the diagonal therefore point back up
+     * the order, and those within a cyclic group of rows are marked as cycles.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.expanded] - Folders shown file by file (project-relative, '' for the root)
+     * @returns {{
+     *   layers: string[],
+     *   modules: Array<{id: string, label: string, kind: 'folder' | 'file', folder: string, file?: string, layer: number, files: number}>,
+     *   cells: Array<{row: number, column: number, count: number, violations: number, cycle: boolean,
+     *     sites: Array<{from: string, file: string, to: string, line: number, specifier: string}>}>,
+     *   expanded: string[]
+     * }} Modules in matrix order, with the layer most of their files belong to;
+     *   non-empty cells by module index; the expanded folders that exist
+     */
+    buildMatrix(options = {}) {
+        const { layers, nodes, edges } = this.build();
+        const folderNames = new Set(nodes.map(node => node.dir));
+        const expanded = new Set((options.expanded || []).filter(folder => folderNames.has(folder)));
+        const byId = new Map(nodes.map(node => [node.id, node]));
+
+        // Folders of the whole project are ordered first, so expanding one does not move the others
+        const folderOrder = this._rankComponents(
+            [...folderNames].sort(),
+            edges.map(edge => [byId.get(edge.from).dir, byId.get(edge.to).dir])
+        );
+        const fileOrder = this._rankComponents(nodes.map(node => node.id), edges.map(edge => [edge.from, edge.to]));
+
+        const modules = new Map();
+        const moduleOf = new Map();
+        for (const node of nodes) {
+            const isFile = expanded.has(node.dir);
+            const key = isFile ? `file:${node.id}` : `folder:${node.dir}`;
+            if (!modules.has(key)) {
+                modules.set(key, isFile
+                    ? { id: node.id, label: node.label, kind: 'file', folder: node.dir, file: node.file, layer: node.layer, files: 1 }
+                    : { id: node.dir, label: node.dir || '(root)', kind: 'folder', folder: node.dir, layer: -1, files: 0 });
+            }
+            const module = modules.get(key);
+            if (!isFile) {
+                module.files++;
+            }
+            moduleOf.set(node.id, module);
+        }
+
+        const folderLayers = new Map();
+        for (const node of nodes) {
+            if (!folderLayers.has(node.dir)) {
+                folderLayers.set(node.dir, []);
+            }
+            folderLayers.get(node.dir).push(node.layer);
+        }
+        const folderLayer = new Map([...folderLayers].map(([folder, list]) => [folder, ArchitectureGraph._mostCommon(list)]));
+        const band = folder => (folderLayer.get(folder) < 0 ? layers.length : folderLayer.get(folder));
+
+        const ordered = [...modules.values()].sort((a, b) =>
+            band(a.folder) - band(b.folder) ||
+            folderOrder.get(a.folder) - folderOrder.get(b.folder) ||
+            (a.kind === 'file' && b.kind === 'file' ? fileOrder.get(a.id) - fileOrder.get(b.id) : 0));
+        ordered.filter(module => module.kind === 'folder').forEach(module => {
+            module.layer = folderLayer.get(module.folder);
+        });
+        const indexOf = new Map(ordered.map((module, i) => [module, i]));
+
+        const cells = new Map();
+        for (const edge of edges) {
+            const row = indexOf.get(moduleOf.get(edge.from));
+            const column = indexOf.get(moduleOf.get(edge.to));
+            if (row === column) {
+                continue;
+            }
+            const key = `${row}>${column}`;
+            if (!cells.has(key)) {
+                cells.set(key, { row, column, count: 0, violations: 0, cycle: false, sites: [] });
+            }
+            const cell = cells.get(key);
+            const from = byId.get(edge.from);
+            for (const site of edge.sites) {
+                cell.count++;
+                if (edge.violation) {
+                    cell.violations++;
+                }
+                cell.sites.push({ from: edge.from, file: from.file, to: edge.to, line: site.line, specifier: site.specifier });
+            }
+        }
+
+        // Cells within a strongly connected group of modules belong to a cycle
+        const cellList = [...cells.values()];
+        const moduleComponents = this._rankComponents(ordered.map((module, i) => i), cellList.map(cell => [cell.row, cell.column]), true);
+        cellList.forEach(cell => {
+            const component = moduleComponents.get(cell.row);
+            cell.cycle = component !== undefined && component === moduleComponents.get(cell.column);
+        });
+
+        return {
+            layers,
+            modules: ordered,
+            cells: cellList.sort((a, b) => a.row - b.row || a.column - b.column),
+            expanded: [...expanded].sort()
+        };
+    }
+
+    /**
+     * Builds the model of an exported diagram (see ReportExporter): one node per
+     * file, folder or layer and one edge per pair of nodes with imports between
+     * them. Folders take the layer most of their files belong to. Nodes and
+     * edges within a strongly connected group of nodes are marked as cycles;
+     * at layer granularity, violations are imports crossing a layer boundary
+     * the importing file's layer may not cross (as in `buildLayers`).
+     *
+     * @param {string} [granularity='folder'] - Node granularity (DIAGRAM_GRANULARITY)
+     * @returns {{
+     *   granularity: string,
+     *   layers: string[],
+     *   nodes: Array<{id: string, label: string, layer: number, cycle: boolean}>,
+     *   edges: Array<{from: string, to: string, count: number, violations: number, cycle: boolean}>
+     * }} Layer names (inner to outer); nodes sorted by ID; edge counts per import site
+     * @throws {Error} If the granularity is unknown
+     */
+    buildDiagram(granularity = DIAGRAM_GRANULARITY.FOLDER) {
+        if (granularity === DIAGRAM_GRANULARITY.LAYER) {
+            const model = this.buildLayers();
+            return this._markDiagramCycles({
+                granularity,
+                layers: model.layers.filter(layer => layer.index >= 0).map(layer => layer.name),
+                nodes: model.layers.map(layer => ({ id: String(layer.index), label: layer.name, layer: layer.index, cycle: false })),
+                edges: model.dependencies.map(dependency => ({
+                    from: String(dependency.from),
+                    to: String(dependency.to),
+                    count: dependency.count,
+                    violations: dependency.violations,
+                    cycle: false
+                }))
+            });
+        }
+        if (granularity !== DIAGRAM_GRANULARITY.FILE && granularity !== DIAGRAM_GRANULARITY.FOLDER) {
+            throw new Error(`Unknown diagram granularity: ${granularity}`);
+        }
+
+        const { layers, nodes, edges } = this.build();
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const isFile = granularity === DIAGRAM_GRANULARITY.FILE;
+        const groupOf = id => (isFile ? id : byId.get(id).dir);
+
+        const groups = new Map();
+        for (const node of nodes) {
+            const id = groupOf(node.id);
+            if (!groups.has(id)) {
+                groups.set(id, { id, label: isFile ? node.id : node.dir || '(root)', layers: [] });
+            }
+            groups.get(id).layers.push(node.layer);
+        }
+
+        const links = new Map();
+        for (const edge of edges) {
+            const from = groupOf(edge.from);
+            const to = groupOf(edge.to);
+            if (from === to) {
+                continue;
+            }
+            const key = `${from}>${to}`;
+            if (!links.has(key)) {
+                links.set(key, { from, to, count: 0, violations: 0, cycle: false });
+            }
+            const link = links.get(key);
+            link.count += edge.sites.length;
+            if (edge.violation) {
+                link.violations += edge.sites.length;
+            }
+        }
+
+        return this._markDiagramCycles({
+            granularity,
+            layers,
+            nodes: [...groups.values()]
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .map(group => ({ id: group.id, label: group.label, layer: ArchitectureGraph._mostCommon(group.layers), cycle: false })),
+            edges: [...links.values()]
+        });
+    }
+
+    /**
+     * Marks the nodes and edges of a diagram that lie within a cycle.
+     *
+     * @param {{nodes: Array<{id: string, cycle: boolean}>, edges: Array<{from: string, to: string, cycle: boolean}>}} diagram - Diagram model
+     * @returns {object} The same diagram
+     * @private
+     */
+    _markDiagramCycles(diagram) {
+        const components = this._rankComponents(diagram.nodes.map(node => node.id), diagram.edges.map(edge => [edge.from, edge.to]), true);
+        diagram.nodes.forEach(node => {
+            node.cycle = components.has(node.id);
+        });
+        diagram.edges.forEach(edge => {
+            edge.cycle = components.has(edge.from) && components.get(edge.from) === components.get(edge.to);
+        });
+        return diagram;
+    }
+
+    /**
+     * Gets the path of a file as shown in the views.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string} Path relative to the project root (forward slashes), or the absolute path without a root
+     */
+    getRelativePath(filePath) {
+        return (this.rootDir ? path.relative(this.rootDir, filePath) : filePath).replace(/\\/g, '/');
+    }
+
+    /**
+     * Ranks the nodes of a graph by strongly connected component, in reverse
+     * topological order (imported nodes first).
+     *
+     * @template T
+     * @param {T[]} nodes - Nodes
+     * @param {Array<[T, T]>} links - Directed links (duplicates and self links allowed)
+     * @param {boolean} [cyclicOnly=false] - Give nodes outside a cycle no rank (undefined)
+     * @returns {Map<T, number>} Component position of each node
+     * @private
+     */
+    _rankComponents(nodes, links, cyclicOnly = false) {
+        const neighbors = new Map(nodes.map(node => [node, new Set()]));
+        for (const [from, to] of links) {
+            if (from !== to) {
+                neighbors.get(from).add(to);
+            }
+        }
+
+        const ranks = new Map();
+        GraphAlgorithms.stronglyConnectedComponents(nodes, node => [...neighbors.get(node)])
+            .forEach((component, rank) => {
+                if (!cyclicOnly || component.length > 1) {
+                    component.forEach(node => ranks.set(node, rank));
+                }
+            });
+        return ranks;
+    }
+
+    /**
+     * Gets the most common value of a list (the first of equally common ones).
+     *
+     * @param {number[]} values - Values
+     * @returns {number}
+     * @private
+     */
+    static _mostCommon(values) {
+        const counts = new Map();
+        let best = values[0];
+        for (const value of values) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+            if (counts.get(value) > counts.get(best)) {
+                best = value;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Checks an import between two project files against the rules and layers.
+     *
+     * @param {string} from - Relative path of the importing file
+     * @param {string} to - Relative path of the imported file
+     * @param {object} settings - Settings of the importing file
+     * @returns {{ruleId: string, severity: string, message: string} | null} Reported violation, or null
+     * @private
+     */
+    _checkEdge(from, to, settings) {
+        return this._toViolation(
+            this.engine.validate(from, to, settings.rules, settings.layers, { strictLayers: settings.strictLayers }),
+            settings
+        );
+    }
+
+    /**
+     * Converts a RuleEngine result to a violation with its configured severity.
+     *
+     * @param {{isViolation: boolean, message: string, ruleId: string, severity?: string} | null} result - RuleEngine result
+     * @param {object} settings - Settings of the importing file
+     * @returns {{ruleId: string, severity: string, message: string} | null} Null if valid or the rule is off
+     * @private
+     */
+    _toViolation(result, settings) {
+        if (!result?.isViolation) {
+            return null;
+        }
+        const severity = RuleCatalog.resolveSeverity(result.ruleId, settings, result.severity);
+        return severity ? { ruleId: result.ruleId, severity, message: result.message } : null;
+    }
+}
+
+module.exports = ArchitectureGraph;
+module.exports.DIAGRAM_GRANULARITY = DIAGRAM_GRANULARITY;
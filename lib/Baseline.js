@@ -0,0 +1,225 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Baseline file configuration
+ */
+const CONFIG = {
+    /** Format version written to the file */
+    VERSION: 1,
+    /** Hex characters kept of a fingerprint hash */
+    FINGERPRINT_LENGTH: 16
+};
+
+/**
+ * Baseline records the violations a project already has in a checked-in file
+ * (`architSearch.baselineFile`, `archit-baseline.json` by default) so that only
+ * new violations are reported while the recorded ones are paid down.
+ *
+ * Violations are identified by a fingerprint of their rule ID, file and
+ * offending code (whitespace-insensitive), not by their line, so entries
+ * survive edits elsewhere in the file. Identical violations in one file are
+ * matched as many times as they were recorded. Entries that no longer match a
+ * violation are fixed and get pruned.
+ *
+ * The file is re-read whenever it changes on disk.
+ */
+class Baseline {
+    /**
+     * Creates a new Baseline instance.
+     *
+     * @param {string} filePath - Absolute path of the baseline file
+     */
+    constructor(filePath) {
+        /** @type {string} */
+        this.filePath = filePath;
+
+        /** @type {Map<string, Array<{ruleId: string, fingerprint: string, message: string}>>} Project-relative file to entries */
+        this.files = new Map();
+
+        /** @type {number | null} Modification time of the loaded file, null if missing */
+        this.loadedMtimeMs = null;
+
+        /** @type {boolean} */
+        this.loaded = false;
+    }
+
+    /**
+     * Computes the fingerprint of a violation.
+     *
+     * @param {string} file - Project-relative file path (forward slashes)
+     * @param {string} ruleId - Rule ID
+     * @param {string} text - Source text of the file
+     * @param {number} index - Start offset of the violation
+     * @param {number} length - Length of the offending text
+     * @returns {string}
+     */
+    static fingerprint(file, ruleId, text, index, length) {
+        const code = text.substr(index, length).replace(/\s+/g, ' ').trim();
+        return crypto.createHash('sha1')
+            .update(`${ruleId}\n${file}\n${code}`)
+            .digest('hex')
+            .slice(0, CONFIG.FINGERPRINT_LENGTH);
+    }
+
+    /**
+     * Writes a baseline file recording the given violations, replacing any existing one.
+     *
+     * @param {string} filePath - Absolute path of the baseline file
+     * @param {Array<{file: string, ruleId: string, fingerprint: string, message: string}>} violations - Current violations
+     * @returns {Baseline} The new baseline
+     */
+    static create(filePath, violations) {
+        const baseline = new Baseline(filePath);
+        baseline.loaded = true;
+        for (const { file, ruleId, fingerprint, message } of violations) {
+            if (!baseline.files.has(file)) {
+                baseline.files.set(file, []);
+            }
+            baseline.files.get(file).push({ ruleId, fingerprint, message });
+        }
+        baseline.save();
+        return baseline;
+    }
+
+    /**
+     * Checks whether the baseline file exists.
+     *
+     * @returns {boolean}
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Gets the modification time of the baseline file.
+     *
+     * @returns {number | null} Modification time, or null if the file is missing
+     */
+    getModifiedTime() {
+        const stats = fs.statSync(this.filePath, { throwIfNoEntry: false });
+        return stats ? stats.mtimeMs : null;
+    }
+
+    /**
+     * Separates the violations of a file into new and recorded ones.
+     *
+     * @param {string} file - Project-relative file path (forward slashes)
+     * @param {Array<{fingerprint: string}>} violations - Current violations of the file
+     * @returns {{violations: Array<object>, baselinedCount: number, fixed: string[]}}
+     *   New violations, the number of recorded ones, and fingerprints of entries no longer matched
+     */
+    match(file, violations) {
+        this._ensureLoaded();
+        const remaining = (this.files.get(file) || []).map(entry => entry.fingerprint);
+        const fresh = [];
+
+        for (const violation of violations) {
+            const i = remaining.indexOf(violation.fingerprint);
+            if (i === -1) {
+                fresh.push(violation);
+            } else {
+                remaining.splice(i, 1);
+            }
+        }
+
+        return { violations: fresh, baselinedCount: violations.length - fresh.length, fixed: remaining };
+    }
+
+    /**
+     * Removes fixed entries of a file (one entry per fingerprint occurrence).
+     *
+     * @param {string} file - Project-relative file path
+     * @param {string[]} fingerprints - Fingerprints of fixed entries (see `match`)
+     * @returns {boolean} Whether any entry was removed
+     */
+    prune(file, fingerprints) {
+        this._ensureLoaded();
+        const entries = this.files.get(file);
+        if (!entries || fingerprints.length === 0) {
+            return false;
+        }
+
+        let removed = false;
+        for (const fingerprint of fingerprints) {
+            const i = entries.findIndex(entry => entry.fingerprint === fingerprint);
+            if (i !== -1) {
+                entries.splice(i, 1);
+                removed = true;
+            }
+        }
+        if (entries.length === 0) {
+            this.files.delete(file);
+        }
+        return removed;
+    }
+
+    /**
+     * Removes the entries of files that are no longer part of the project.
+     *
+     * @param {Set<string>} files - Project-relative paths of existing files
+     * @returns {number} Number of removed entries
+     */
+    pruneMissingFiles(files) {
+        this._ensureLoaded();
+        let removed = 0;
+        for (const [file, entries] of this.files) {
+            if (!files.has(file)) {
+                removed += entries.length;
+                this.files.delete(file);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Writes the baseline file (sorted by file, so diffs stay small).
+     */
+    save() {
+        const files = {};
+        [...this.files.keys()].sort().forEach(file => {
+            files[file] = this.files.get(file);
+        });
+        fs.writeFileSync(this.filePath, `${JSON.stringify({ version: CONFIG.VERSION, files }, null, 2)}\n`, 'utf-8');
+        this.loadedMtimeMs = this.getModifiedTime();
+    }
+
+    /**
+     * Loads the baseline file if it has not been loaded or changed on disk.
+     * A missing file is an empty baseline.
+     *
+     * @throws {Error} If the file exists but is not a valid baseline
+     * @private
+     */
+    _ensureLoaded() {
+        const mtimeMs = this.getModifiedTime();
+        if (this.loaded && mtimeMs === this.loadedMtimeMs) {
+            return;
+        }
+
+        this.files.clear();
+        this.loaded = true;
+        this.loadedMtimeMs = mtimeMs;
+        if (mtimeMs === null) {
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid baseline file '${this.filePath}': ${error.message}`);
+        }
+        if (!data || typeof data.files !== 'object' || data.version !== CONFIG.VERSION) {
+            throw new Error(`Invalid baseline file '${this.filePath}': expected version ${CONFIG.VERSION} with 'files'`);
+        }
+
+        for (const [file, entries] of Object.entries(data.files)) {
+            if (Array.isArray(entries)) {
+                this.files.set(file, entries.filter(entry => entry && typeof entry.fingerprint === 'string'));
+            }
+        }
+    }
+}
+
+module.exports = Baseline;
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prefix used by VS Code settings for this extension
+ */
+const SETTINGS_PREFIX = 'architSearch';
+
+/**
+ * Default values for every analysis setting.
+ * Mirrors the defaults declared in package.json `contributes.configuration`.
+ */
+const SETTING_DEFAULTS = {
+    rules: [],
+    layers: [],
+    strictLayers: false,
+    maxImports: 15,
+    enforceEncapsulation: true,
+    checkCycles: true,
+    enableAI: true,
+    checkDeepCycles: true,
+    deepCycleMaxDepth: 10,
+    enumerateAllCycles: false,
+    suggestCycleBreakers: true,
+    detectUnusedImports: false,
+    ruleSeverity: {},
+    baselineFile: 'archit-baseline.json',
+    include: [],
+    exclude: ['**/dist/**', '**/build/**', '**/out/**', '**/vendor/**', '**/coverage/**', '**/*.min.js'],
+    respectGitignore: true,
+    reportFormat: 'html',
+    diagramGranularity: 'folder'
+};
+
+/**
+ * Config files probed (in order) when no explicit path is given
+ */
+const DEFAULT_CONFIG_FILES = [
+    path.join('.vscode', 'settings.json')
+];
+
+/**
+ * ConfigLoader reads Archit Search settings without depending on the VS Code API.
+ * Accepts VS Code `settings.json` files (flat `architSearch.*` keys, comments allowed),
+ * nested `{ "architSearch": { ... } }` objects and plain setting objects.
+ */
+class ConfigLoader {
+    /**
+     * Loads settings from a config file.
+     *
+     * @param {string} configPath - Absolute path of the config file
+     * @returns {object} Settings merged over the defaults
+     * @throws {Error} If the file cannot be read or parsed
+     */
+    static load(configPath) {
+        const content = fs.readFileSync(configPath, 'utf-8');
+        let parsed;
+
+        try {
+            parsed = ConfigLoader.parseJsonc(content);
+        } catch (error) {
+            throw new Error(`Invalid config file '${configPath}': ${error.message}`);
+        }
+
+        return ConfigLoader.normalize(parsed);
+    }
+
+    /**
+     * Finds the default config file for a project directory.
+     *
+     * @param {string} rootDir - Project root directory
+     * @returns {string | null} Absolute config path or null if none exists
+     */
+    static findConfig(rootDir) {
+        for (const candidate of DEFAULT_CONFIG_FILES) {
+            const fullPath = path.join(rootDir, candidate);
+            if (fs.existsSync(fullPath)) {
+                return fullPath;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalizes a raw settings object to un-prefixed keys with defaults applied.
+     *
+     * @param {object} raw - Raw settings object
+     * @returns {object} Normalized settings
+     */
+    static normalize(raw) {
+        return { ...SETTING_DEFAULTS, ...ConfigLoader.unprefix(raw) };
+    }
+
+    /**
+     * Converts a raw settings object to un-prefixed keys without applying defaults.
+     * Keys whose value is null or undefined are dropped.
+     *
+     * @param {object} raw - Raw settings object
+     * @returns {object} Settings present in `raw`
+     */
+    static unprefix(raw) {
+        const settings = {};
+        if (!raw || typeof raw !== 'object') {
+            return settings;
+        }
+
+        const nested = raw[SETTINGS_PREFIX];
+        const source = nested && typeof nested === 'object' ? nested : raw;
+
+        for (const key of Object.keys(source)) {
+            const name = key.startsWith(`${SETTINGS_PREFIX}.`)
+                ? key.slice(SETTINGS_PREFIX.length + 1)
+                : key;
+            if (source[key] !== undefined && source[key] !== null) {
+                settings[name] = source[key];
+            }
+        }
+
+        // Flat `architSearch.*` keys may sit next to a nested object
+        if (source !== raw) {
+            for (const key of Object.keys(raw)) {
+                if (key.startsWith(`${SETTINGS_PREFIX}.`)) {
+                    settings[key.slice(SETTINGS_PREFIX.length + 1)] = raw[key];
+                }
+            }
+        }
+
+        return settings;
+    }
+
+    /**
+     * Reads settings from a VS Code WorkspaceConfiguration.
+     * The configuration object is passed in so this module stays free of the `vscode` API.
+     *
+     * @param {{get: function(string): any}} configuration - Result of `getConfiguration('architSearch')`
+     * @returns {object} Normalized settings
+     */
+    static fromConfiguration(configuration) {
+        const raw = {};
+        for (const key of Object.keys(SETTING_DEFAULTS)) {
+            raw[key] = configuration.get(key);
+        }
+        return ConfigLoader.normalize(raw);
+    }
+
+    /**
+     * Parses JSON with comments and trailing commas (the format of VS Code settings and tsconfig).
+     *
+     * @param {string} text - JSONC text
+     * @returns {any} Parsed value
+     * @throws {SyntaxError} If the text is not valid JSON after stripping comments
+     */
+    static parseJsonc(text) {
+        let output = '';
+        let inString = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            const next = text[i + 1];
+
+            if (inString) {
+                output += char;
+                if (char === '\\') {
+                    output += next ?? '';
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+                output += char;
+            } else if (char === '/' && next === '/') {
+                while (i < text.length && text[i] !== '\n') {
+                    i++;
+                }
+                output += '\n';
+            } else if (char === '/' && next === '*') {
+                i += 2;
+                while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) {
+                    i++;
+                }
+                i++;
+            } else {
+                output += char;
+            }
+        }
+
+        return JSON.parse(ConfigLoader._stripTrailingCommas(output).trim() || '{}');
+    }
+
+    /**
+     * Removes commas that directly precede a closing bracket, ignoring string contents.
+     *
+     * @param {string} text - Comment-free JSON text
+     * @returns {string} Strict JSON text
+     * @private
+     */
+    static _stripTrailingCommas(text) {
+        let output = '';
+        let inString = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                output += char;
+                if (char === '\\') {
+                    output += text[i + 1] ?? '';
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === ',') {
+                let j = i + 1;
+                while (j < text.length && /\s/.test(text[j])) {
+                    j++;
+                }
+                if (text[j] === '}' || text[j] === ']') {
+                    continue;
+                }
+            } else if (char === '"') {
+                inString = true;
+            }
+            output += char;
+        }
+
+        return output;
+    }
+}
+
+module.exports = ConfigLoader;
+module.exports.SETTING_DEFAULTS = SETTING_DEFAULTS;
@@ -0,0 +1,158 @@
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * CycleBreakersProvider provides the "Cycle Breakers" tree view: a small set of
+ * imports whose removal makes the project free of circular dependencies, each
+ * with the number of cycles it resolves. Selecting an item opens the import.
+ * In a multi-root workspace the imports are grouped by workspace folder.
+ * The view refreshes whenever a dependency graph changes.
+ */
+class CycleBreakersProvider {
+    /**
+     * Creates a new CycleBreakersProvider instance.
+     *
+     * @param {import('./FolderRegistry')} folders - Per-folder analyses
+     */
+    constructor(folders) {
+        /** @type {vscode.EventEmitter<void>} */
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+
+        /** @type {vscode.Event<void>} */
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+        /** @type {import('./FolderRegistry')} */
+        this.folders = folders;
+
+        /** @type {Function[]} Unsubscribe functions of the folder graph listeners */
+        this._graphSubscriptions = [];
+
+        this._subscribeToGraphs();
+        this._unsubscribe = folders.onDidChange(() => {
+            this._subscribeToGraphs();
+            this.refresh();
+        });
+    }
+
+    /**
+     * Refreshes the view.
+     */
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Gets the tree item representation for an element.
+     *
+     * @param {vscode.TreeItem} element - Tree element
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * Gets the children of a tree element.
+     *
+     * @param {vscode.TreeItem | undefined} element - Parent element
+     * @returns {vscode.TreeItem[]}
+     */
+    getChildren(element) {
+        if (element) {
+            return element.folder ? this._getEdgeItems(element.folder) : [];
+        }
+
+        const folders = this.folders.getAll();
+        if (folders.length <= 1) {
+            return this._getEdgeItems(folders[0] || this.folders.looseFiles);
+        }
+
+        return folders.map(folder => {
+            const item = new vscode.TreeItem(folder.name, vscode.TreeItemCollapsibleState.Expanded);
+            item.iconPath = new vscode.ThemeIcon('root-folder');
+            item.folder = folder;
+            return item;
+        });
+    }
+
+    /**
+     * Creates the items for the suggested import removals of a folder.
+     *
+     * @param {import('./FolderAnalysis')} folder - Folder analysis
+     * @returns {vscode.TreeItem[]}
+     * @private
+     */
+    _getEdgeItems(folder) {
+        const scope = folder.rootDir ? vscode.Uri.file(folder.rootDir) : undefined;
+        const config = vscode.workspace.getConfiguration('architSearch', scope);
+        const { edges, truncated } = folder.deepCycleDetector.getFeedbackEdges(config.get('deepCycleMaxDepth'), {
+            countCycles: config.get('enumerateAllCycles')
+        });
+
+        if (edges.length === 0) {
+            const item = new vscode.TreeItem('No circular dependencies', vscode.TreeItemCollapsibleState.None);
+            item.iconPath = new vscode.ThemeIcon('check');
+            return [item];
+        }
+
+        return edges.map(edge => this._createEdgeItem(folder, edge, truncated));
+    }
+
+    /**
+     * Creates the tree item for a suggested import removal.
+     *
+     * @param {import('./FolderAnalysis')} folder - Folder the import belongs to
+     * @param {{from: string, to: string, cycleCount: number | null}} edge - Feedback edge
+     * @param {boolean} truncated - Whether cycle counts are lower bounds
+     * @returns {vscode.TreeItem}
+     * @private
+     */
+    _createEdgeItem(folder, edge, truncated) {
+        const item = new vscode.TreeItem(
+            `${path.basename(edge.from)} → ${path.basename(edge.to)}`,
+            vscode.TreeItemCollapsibleState.None
+        );
+        item.iconPath = new vscode.ThemeIcon('debug-disconnect');
+        if (edge.cycleCount > 0) {
+            item.description = `resolves ${edge.cycleCount}${truncated ? '+' : ''} cycle${edge.cycleCount === 1 ? '' : 's'}`;
+        } else if (edge.cycleCount === 0) {
+            item.description = 'resolves longer cycles';
+        }
+
+        const imp = folder.dependencyGraph.getImports(edge.from).find(i => i.resolved === edge.to);
+        item.tooltip = `Remove the import${imp ? ` '${imp.path}'` : ''} from ${vscode.workspace.asRelativePath(edge.from)}\n` +
+            `→ ${vscode.workspace.asRelativePath(edge.to)}`;
+
+        const line = imp?.line ?? 0;
+        item.command = {
+            command: 'vscode.open',
+            title: 'Open Import',
+            arguments: [vscode.Uri.file(edge.from), { selection: new vscode.Range(line, 0, line, 0) }]
+        };
+        return item;
+    }
+
+    /**
+     * Subscribes to the dependency graphs of the current workspace folders.
+     *
+     * @private
+     */
+    _subscribeToGraphs() {
+        this._graphSubscriptions.forEach(unsubscribe => unsubscribe());
+        this._graphSubscriptions = [...this.folders.getAll(), this.folders.looseFiles]
+            .map(folder => folder.dependencyGraph.onDidChange(() => this.refresh()));
+    }
+
+    /**
+     * Disposes of resources.
+     */
+    dispose() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+        }
+        this._graphSubscriptions.forEach(unsubscribe => unsubscribe());
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+module.exports = CycleBreakersProvider;
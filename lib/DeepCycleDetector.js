@@ -1,296 +1,370 @@
-const fs = require('fs');
 const path = require('path');
-const ImportParser = require('./ImportParser');
+const DependencyGraph = require('./DependencyGraph');
+const GraphAlgorithms = require('./GraphAlgorithms');
 
 /**
  * Configuration for deep cycle detection
  */
 const CONFIG = {
-    /** Maximum depth for cycle detection to prevent infinite loops */
+    /** Default maximum cycle length (in imports) reported for a single file */
     MAX_DEPTH: 10,
-    /** Maximum files to analyze in a single cycle check */
-    MAX_FILES_PER_CHECK: 50,
-    /** File size limit in bytes (skip large files) */
-    MAX_FILE_SIZE: 500000
-};
-
-/**
- * Language ID mapping from file extension
- */
-const EXTENSION_TO_LANGUAGE = {
-    '.js': 'javascript',
-    '.jsx': 'javascriptreact',
-    '.ts': 'typescript',
-    '.tsx': 'typescriptreact',
-    '.py': 'python',
-    '.go': 'go',
-    '.cs': 'csharp',
-    '.java': 'java',
-    '.php': 'php',
-    '.rs': 'rust',
-    '.dart': 'dart',
-    '.rb': 'ruby'
+    /** Files of a component tried as BFS roots when picking its representative cycle */
+    MAX_REPRESENTATIVE_ROOTS: 25,
+    /** Upper bound on enumerated elementary cycles (their number can grow exponentially) */
+    MAX_ELEMENTARY_CYCLES: 10000,
+    /** Edges followed while enumerating elementary cycles, over all components (bounds the time a listing takes) */
+    MAX_ELEMENTARY_CYCLE_VISITS: 1000000,
+    /** Node visits per component for dropping redundant feedback edges (bounds the work done on save) */
+    MAX_FEEDBACK_PRUNE_VISITS: 300000
 };
 
 /**
  * DeepCycleDetector detects multi-level circular dependencies in the codebase.
  * Unlike simple A → B → A detection, this finds complex cycles like A → B → C → D → A.
+ *
+ * Strongly connected components are computed over the whole graph with Tarjan's
+ * algorithm and cached until the graph changes; a file is in a cycle exactly when
+ * its component has more than one file, and the reported path is a shortest cycle
+ * through it (breadth-first search inside the component).
  */
 class DeepCycleDetector {
     /**
      * Creates a new DeepCycleDetector instance.
+     * 
+     * @param {DependencyGraph} [dependencyGraph] - Shared dependency graph
      */
-    constructor() {
-        /** @type {ImportParser} */
-        this.parser = new ImportParser();
-        
-        /** @type {Map<string, string[]>} Dependency graph - file path to array of imported files */
-        this.dependencyGraph = new Map();
-        
-        /** @type {Map<string, number>} File modification times for cache invalidation */
-        this.fileTimestamps = new Map();
-        
-        /** @type {boolean} Whether graph is being built */
-        this.isBuilding = false;
+    constructor(dependencyGraph = new DependencyGraph()) {
+        /** @type {DependencyGraph} */
+        this.dependencyGraph = dependencyGraph;
+
+        /** @type {{version: number, components: Array, byFile: Map} | null} Components for a graph version */
+        this._componentCache = null;
+
+        /** @type {{version: number, maxDepth: number, result: object} | null} Elementary cycles for a graph version */
+        this._elementaryCache = null;
+
+        /** @type {{version: number, byComponent: Map<object, {edges: Array<{from: string, to: string}>, byEdge: Map}>} | null} Feedback edges per component for a graph version */
+        this._feedbackCache = null;
+
+        /** @type {(file: string) => string[]} */
+        this._getNeighbors = file => this.dependencyGraph.getDependencies(file);
     }
 
     /**
-     * Builds the dependency graph from the codebase.
+     * Detects deep circular dependencies starting from a file.
      * 
-     * @param {string[]} filePaths - Array of absolute file paths
+     * @param {string} startFile - Absolute path of the file to check
+     * @param {number} [maxDepth] - Maximum cycle length to report
+     * @returns {{hasCycle: boolean, cycle: string[], depth: number, component: string[], message: string} | null}
      */
-    buildGraph(filePaths) {
-        if (this.isBuilding) {
-            return;
+    detectDeepCycle(startFile, maxDepth = CONFIG.MAX_DEPTH) {
+        const component = this.getComponent(startFile);
+        if (!component) {
+            return null;
         }
 
-        this.isBuilding = true;
-
-        try {
-            const limitedFiles = filePaths.slice(0, CONFIG.MAX_FILES_PER_CHECK);
-
-            for (const filePath of limitedFiles) {
-                this._processFileForGraph(filePath);
-            }
-        } finally {
-            this.isBuilding = false;
+        const cycle = GraphAlgorithms.shortestCycle(startFile, this._getNeighbors, {
+            within: component.members,
+            maxLength: maxDepth
+        });
+        if (!cycle) {
+            return null;
         }
+
+        return {
+            hasCycle: true,
+            cycle,
+            depth: cycle.length - 1,
+            component: component.files,
+            message: this._formatMessage(cycle, component.files.length)
+        };
     }
 
     /**
-     * Processes a single file and adds its dependencies to the graph.
+     * Gets the cyclic component (strongly connected component with more than one file) containing a file.
      * 
      * @param {string} filePath - Absolute file path
-     * @private
+     * @returns {{files: string[], members: Set<string>} | null} Component or null if the file is not in a cycle
      */
-    _processFileForGraph(filePath) {
-        try {
-            if (!fs.existsSync(filePath)) {
-                return;
-            }
-
-            const stats = fs.statSync(filePath);
-            
-            // Skip large files
-            if (stats.size > CONFIG.MAX_FILE_SIZE) {
-                return;
-            }
+    getComponent(filePath) {
+        return this._getComponents().byFile.get(filePath) || null;
+    }
 
-            // Check cache validity
-            const cachedTime = this.fileTimestamps.get(filePath);
-            if (cachedTime && cachedTime === stats.mtimeMs) {
-                return; // Already processed and unchanged
-            }
+    /**
+     * Gets all cycles in the dependency graph: one entry per cyclic component,
+     * with a representative shortest cycle and every file of the component.
+     * 
+     * @returns {Array<{cycle: string[], depth: number, component: string[]}>} Cycles, largest component first
+     */
+    getAllCycles() {
+        const { components } = this._getComponents();
 
-            const content = fs.readFileSync(filePath, 'utf-8');
-            const languageId = this._getLanguageId(filePath);
-            const imports = this.parser.parse(content, languageId);
+        return components.map(component => {
+            const cycle = this._findRepresentativeCycle(component);
+            return {
+                cycle,
+                depth: cycle.length - 1,
+                component: component.files
+            };
+        });
+    }
 
-            // Resolve import paths to absolute paths
-            const resolvedImports = [];
-            const fileDir = path.dirname(filePath);
+    /**
+     * Enumerates every elementary cycle (Johnson's algorithm) up to a length,
+     * and ranks imports by the number of cycles they participate in.
+     * Cutting the top-ranked import breaks the most cycles at once.
+     * 
+     * @param {number} [maxDepth] - Maximum cycle length (in imports)
+     * @returns {{cycles: string[][], truncated: boolean, edges: Array<{from: string, to: string, cycleCount: number}>}}
+     *   Cycles as closed paths; edges sorted by cycle count (descending); `truncated` when the
+     *   cycle limit or the search budget stopped the listing early
+     */
+    getElementaryCycles(maxDepth = CONFIG.MAX_DEPTH) {
+        const version = this.dependencyGraph.version;
+        if (this._elementaryCache && this._elementaryCache.version === version && this._elementaryCache.maxDepth === maxDepth) {
+            return this._elementaryCache.result;
+        }
 
-            for (const imp of imports) {
-                if (imp.path.startsWith('.')) {
-                    const resolved = this._resolveImportPath(fileDir, imp.path);
-                    if (resolved) {
-                        resolvedImports.push(resolved);
-                    }
+        const cycles = [];
+        let truncated = false;
+        let visits = 0;
+
+        for (const component of this._getComponents().components) {
+            const found = GraphAlgorithms.elementaryCycles(
+                component.files,
+                file => this._getNeighbors(file).filter(dep => component.members.has(dep)),
+                {
+                    maxLength: maxDepth,
+                    maxCycles: CONFIG.MAX_ELEMENTARY_CYCLES - cycles.length,
+                    maxVisits: CONFIG.MAX_ELEMENTARY_CYCLE_VISITS - visits
                 }
+            );
+            cycles.push(...found.cycles);
+            visits += found.visits;
+            if (found.truncated) {
+                truncated = true;
+                break;
             }
-
-            this.dependencyGraph.set(filePath, resolvedImports);
-            this.fileTimestamps.set(filePath, stats.mtimeMs);
-
-        } catch {
-            // Silently ignore file processing errors
         }
+
+        const result = { cycles, truncated, edges: this._rankEdges(cycles) };
+        this._elementaryCache = { version, maxDepth, result };
+        return result;
     }
 
     /**
-     * Resolves an import path to an absolute file path.
+     * Summarizes the elementary cycles through a file.
      * 
-     * @param {string} fromDir - Directory of the importing file
-     * @param {string} importPath - Import path string
-     * @returns {string | null} Resolved absolute path or null
-     * @private
+     * @param {string} filePath - Absolute file path
+     * @param {number} [maxDepth] - Maximum cycle length (in imports)
+     * @returns {{cycleCount: number, topEdge: {from: string, to: string, cycleCount: number} | null}}
+     *   Number of cycles through the file and the import (on one of them) that breaks the most cycles overall
      */
-    _resolveImportPath(fromDir, importPath) {
-        const extensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', ''];
-        const basePath = path.resolve(fromDir, importPath);
-
-        for (const ext of extensions) {
-            const fullPath = basePath + ext;
-            if (fs.existsSync(fullPath)) {
-                return fullPath;
+    getFileCycleSummary(filePath, maxDepth = CONFIG.MAX_DEPTH) {
+        const { cycles, edges } = this.getElementaryCycles(maxDepth);
+        const fileCycles = cycles.filter(cycle => cycle.includes(filePath));
+        const fileEdges = new Set();
+        for (const cycle of fileCycles) {
+            for (let i = 0; i < cycle.length - 1; i++) {
+                fileEdges.add(`${cycle[i]}\0${cycle[i + 1]}`);
             }
         }
 
-        // Check for index files
-        const indexPaths = extensions.map(ext => path.join(basePath, `index${ext}`));
-        for (const indexPath of indexPaths) {
-            if (fs.existsSync(indexPath)) {
-                return indexPath;
-            }
-        }
+        return {
+            cycleCount: fileCycles.length,
+            topEdge: edges.find(edge => fileEdges.has(`${edge.from}\0${edge.to}`)) || null
+        };
+    }
 
-        return null;
+    /**
+     * Suggests a small set of imports whose removal makes the whole graph acyclic
+     * (a feedback arc set, computed per cyclic component without enumerating cycles).
+     * With `countCycles`, each edge also carries the number of elementary cycles
+     * (up to `maxDepth`) that removing it alone resolves; counting enumerates the
+     * cycles, so it is only done when asked for (`architSearch.enumerateAllCycles`).
+     * 
+     * @param {number} [maxDepth] - Maximum cycle length (in imports) counted per edge
+     * @param {{countCycles?: boolean}} [options] - `countCycles`: fill in `cycleCount`
+     * @returns {{edges: Array<{from: string, to: string, cycleCount: number | null}>, truncated: boolean}}
+     *   Edges sorted by cycle count (descending) when counted, by path otherwise;
+     *   `truncated` when cycle counts are lower bounds
+     */
+    getFeedbackEdges(maxDepth = CONFIG.MAX_DEPTH, { countCycles = false } = {}) {
+        const edges = this._getComponents().components.flatMap(component => this._getComponentFeedback(component).edges);
+        return this._withCycleCounts(edges, maxDepth, countCycles);
     }
 
     /**
-     * Gets the language ID for a file.
+     * Looks up an import in the suggested feedback edge set. Only the component
+     * containing the import is processed.
      * 
-     * @param {string} filePath - File path
-     * @returns {string} Language identifier
-     * @private
+     * @param {string} fromFile - Absolute path of the importing file
+     * @param {string} toFile - Absolute path of the imported file
+     * @param {number} [maxDepth] - Maximum cycle length (in imports) counted per edge
+     * @param {{countCycles?: boolean}} [options] - See getFeedbackEdges
+     * @returns {{from: string, to: string, cycleCount: number | null} | null} The edge, or null if removing it is not suggested
      */
-    _getLanguageId(filePath) {
-        const ext = path.extname(filePath).toLowerCase();
-        return EXTENSION_TO_LANGUAGE[ext] || 'javascript';
+    getFeedbackEdge(fromFile, toFile, maxDepth = CONFIG.MAX_DEPTH, options = {}) {
+        const component = this.getComponent(fromFile);
+        if (!component || !component.members.has(toFile)) {
+            return null;
+        }
+
+        const edge = this._getComponentFeedback(component).byEdge.get(`${fromFile}\0${toFile}`);
+        return edge ? this._withCycleCounts([edge], maxDepth, options.countCycles).edges[0] : null;
     }
 
     /**
-     * Detects deep circular dependencies starting from a file.
+     * Gets the feedback edges of a cyclic component, computing them once per graph version.
      * 
-     * @param {string} startFile - Absolute path of the file to check
-     * @returns {{hasCycle: boolean, cycle: string[], depth: number, message: string} | null}
+     * @param {{files: string[], members: Set<string>}} component - Cyclic component
+     * @returns {{edges: Array<{from: string, to: string}>, byEdge: Map<string, {from: string, to: string}>}}
+     * @private
      */
-    detectDeepCycle(startFile) {
-        const visited = new Set();
-        const recursionStack = new Set();
-        const cyclePath = [];
+    _getComponentFeedback(component) {
+        const version = this.dependencyGraph.version;
+        if (!this._feedbackCache || this._feedbackCache.version !== version) {
+            this._feedbackCache = { version, byComponent: new Map() };
+        }
 
-        const hasCycle = this._dfs(startFile, visited, recursionStack, cyclePath, 0);
+        let feedback = this._feedbackCache.byComponent.get(component);
+        if (!feedback) {
+            const edges = GraphAlgorithms.feedbackArcSet(component.files, this._getNeighbors, {
+                maxPruneVisits: CONFIG.MAX_FEEDBACK_PRUNE_VISITS
+            });
+            feedback = { edges, byEdge: new Map(edges.map(edge => [`${edge.from}\0${edge.to}`, edge])) };
+            this._feedbackCache.byComponent.set(component, feedback);
+        }
+        return feedback;
+    }
 
-        if (hasCycle && cyclePath.length > 2) {
-            const fileNames = cyclePath.map(f => path.basename(f));
+    /**
+     * Attaches cycle counts to feedback edges and sorts them.
+     * 
+     * @param {Array<{from: string, to: string}>} edges - Feedback edges
+     * @param {number} maxDepth - Maximum cycle length (in imports)
+     * @param {boolean} countCycles - Whether to enumerate cycles for the counts
+     * @returns {{edges: Array<{from: string, to: string, cycleCount: number | null}>, truncated: boolean}}
+     * @private
+     */
+    _withCycleCounts(edges, maxDepth, countCycles) {
+        const byPath = (a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to);
+        if (!countCycles) {
             return {
-                hasCycle: true,
-                cycle: cyclePath,
-                depth: cyclePath.length - 1,
-                message: `🔄 Deep Circular Dependency Detected (${cyclePath.length - 1} levels) - ${fileNames.join(' → ')}`
+                edges: edges.map(({ from, to }) => ({ from, to, cycleCount: null })).sort(byPath),
+                truncated: false
             };
         }
 
-        return null;
+        const elementary = this.getElementaryCycles(maxDepth);
+        const cycleCounts = new Map(elementary.edges.map(edge => [`${edge.from}\0${edge.to}`, edge.cycleCount]));
+        return {
+            edges: edges
+                .map(({ from, to }) => ({ from, to, cycleCount: cycleCounts.get(`${from}\0${to}`) || 0 }))
+                .sort((a, b) => b.cycleCount - a.cycleCount || byPath(a, b)),
+            truncated: elementary.truncated
+        };
     }
 
     /**
-     * Depth-first search for cycle detection.
+     * Counts how many cycles each import participates in.
      * 
-     * @param {string} file - Current file path
-     * @param {Set<string>} visited - Globally visited nodes
-     * @param {Set<string>} recursionStack - Current recursion stack
-     * @param {string[]} cyclePath - Path of the cycle
-     * @param {number} depth - Current depth
-     * @returns {boolean} True if cycle found
+     * @param {string[][]} cycles - Closed cycle paths
+     * @returns {Array<{from: string, to: string, cycleCount: number}>} Edges sorted by cycle count (descending)
      * @private
      */
-    _dfs(file, visited, recursionStack, cyclePath, depth) {
-        if (depth > CONFIG.MAX_DEPTH) {
-            return false;
+    _rankEdges(cycles) {
+        const counts = new Map();
+        for (const cycle of cycles) {
+            for (let i = 0; i < cycle.length - 1; i++) {
+                const key = `${cycle[i]}\0${cycle[i + 1]}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
         }
 
-        const normalizedFile = file.toLowerCase().replace(/\\/g, '/');
-
-        // Cycle found
-        if (recursionStack.has(normalizedFile)) {
-            cyclePath.push(file);
-            return true;
-        }
+        return [...counts.entries()]
+            .map(([key, cycleCount]) => {
+                const [from, to] = key.split('\0');
+                return { from, to, cycleCount };
+            })
+            .sort((a, b) => b.cycleCount - a.cycleCount || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+    }
 
-        if (visited.has(normalizedFile)) {
-            return false;
+    /**
+     * Gets cyclic components, recomputing them only when the graph changed.
+     * 
+     * @returns {{components: Array<{files: string[], members: Set<string>}>, byFile: Map<string, {files: string[], members: Set<string>}>}}
+     * @private
+     */
+    _getComponents() {
+        if (this._componentCache && this._componentCache.version === this.dependencyGraph.version) {
+            return this._componentCache;
         }
 
-        visited.add(normalizedFile);
-        recursionStack.add(normalizedFile);
-        cyclePath.push(file);
-
-        const dependencies = this.dependencyGraph.get(file) || [];
+        const components = GraphAlgorithms
+            .stronglyConnectedComponents(this.dependencyGraph.getFiles(), this._getNeighbors)
+            .filter(files => files.length > 1)
+            .map(files => ({ files: files.sort(), members: new Set(files) }))
+            .sort((a, b) => b.files.length - a.files.length);
 
-        for (const dep of dependencies) {
-            if (this._dfs(dep, visited, recursionStack, cyclePath, depth + 1)) {
-                return true;
-            }
+        const byFile = new Map();
+        for (const component of components) {
+            component.files.forEach(file => byFile.set(file, component));
         }
 
-        cyclePath.pop();
-        recursionStack.delete(normalizedFile);
-        return false;
+        this._componentCache = { version: this.dependencyGraph.version, components, byFile };
+        return this._componentCache;
     }
 
     /**
-     * Gets all cycles in the dependency graph.
+     * Finds a short cycle representing a component (shortest over a bounded set of roots).
      * 
-     * @returns {Array<{cycle: string[], depth: number}>} Array of detected cycles
+     * @param {{files: string[], members: Set<string>}} component - Cyclic component
+     * @returns {string[]} Closed cycle path
+     * @private
      */
-    getAllCycles() {
-        const allCycles = [];
-        const globalVisited = new Set();
-
-        for (const file of this.dependencyGraph.keys()) {
-            if (!globalVisited.has(file.toLowerCase())) {
-                const result = this.detectDeepCycle(file);
-                if (result?.hasCycle) {
-                    allCycles.push({
-                        cycle: result.cycle,
-                        depth: result.depth
-                    });
-                    // Mark all files in cycle as visited
-                    result.cycle.forEach(f => globalVisited.add(f.toLowerCase()));
-                }
+    _findRepresentativeCycle(component) {
+        let best = null;
+
+        for (const root of component.files.slice(0, CONFIG.MAX_REPRESENTATIVE_ROOTS)) {
+            const cycle = GraphAlgorithms.shortestCycle(root, this._getNeighbors, {
+                within: component.members,
+                maxLength: best ? best.length - 2 : Infinity
+            });
+            if (cycle && (!best || cycle.length < best.length)) {
+                best = cycle;
+            }
+            if (best && best.length === 3) {
+                break; // A ↔ B is the shortest possible cycle
             }
         }
 
-        return allCycles;
+        return best;
     }
 
     /**
-     * Gets statistics about the dependency graph.
+     * Formats the diagnostic message for a cycle.
      * 
-     * @returns {{totalFiles: number, totalDependencies: number, averageDependencies: number}}
+     * @param {string[]} cycle - Closed cycle path
+     * @param {number} componentSize - Number of files in the tangled component
+     * @returns {string}
+     * @private
      */
-    getGraphStats() {
-        let totalDependencies = 0;
-        for (const deps of this.dependencyGraph.values()) {
-            totalDependencies += deps.length;
-        }
-
-        const totalFiles = this.dependencyGraph.size;
-        return {
-            totalFiles,
-            totalDependencies,
-            averageDependencies: totalFiles > 0 ? (totalDependencies / totalFiles).toFixed(2) : '0.00'
-        };
+    _formatMessage(cycle, componentSize) {
+        const fileNames = cycle.map(f => path.basename(f));
+        const tangle = componentSize > cycle.length - 1
+            ? ` (${componentSize} files are mutually dependent)`
+            : '';
+        return `🔄 Deep Circular Dependency Detected (${cycle.length - 1} levels) - ${fileNames.join(' → ')}${tangle}`;
     }
 
     /**
-     * Clears the dependency graph and cache.
+     * Gets statistics about the dependency graph.
+     * 
+     * @returns {{totalFiles: number, totalDependencies: number, averageDependencies: string}}
      */
-    clear() {
-        this.dependencyGraph.clear();
-        this.fileTimestamps.clear();
+    getGraphStats() {
+        return this.dependencyGraph.getStats();
     }
 }
 
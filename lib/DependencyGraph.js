@@ -0,0 +1,553 @@
+const fs = require('fs');
+const path = require('path');
+const ImportParser = require('./ImportParser');
+const ModuleResolver = require('./ModuleResolver');
+
+/**
+ * Configuration for graph building
+ */
+const CONFIG = {
+    /** File size limit in bytes (larger files are kept as nodes without edges) */
+    MAX_FILE_SIZE: 500000
+};
+
+/**
+ * DependencyGraph is the single workspace dependency graph.
+ *
+ * Every file is read and parsed once (re-parsed only when its modification time
+ * changes), imports are resolved through the shared ModuleResolver, and both
+ * forward (file → imported files) and reverse (file → importing files) edges are
+ * kept in sync. GraphAnalyzer, DeepCycleDetector and MetricsCalculator all query
+ * this graph, so cycles, coupling and instability are computed from the same edges.
+ */
+class DependencyGraph {
+    /**
+     * Creates a new DependencyGraph instance.
+     *
+     * @param {ModuleResolver} [resolver] - Shared module resolver
+     */
+    constructor(resolver = new ModuleResolver()) {
+        /** @type {ImportParser} */
+        this.parser = new ImportParser();
+
+        /** @type {ModuleResolver} */
+        this.resolver = resolver;
+
+        /** @type {Map<string, {mtimeMs: number, imports: Array<{path: string, resolved: string | null, index: number, line: number}>}>} Parsed files */
+        this.nodes = new Map();
+
+        /** @type {Map<string, string[]>} File to distinct resolved files it imports */
+        this.forward = new Map();
+
+        /** @type {Map<string, Set<string>>} File to files that import it */
+        this.reverse = new Map();
+
+        /** @type {Map<string, string[]>} File to distinct unresolved (external) specifiers */
+        this.external = new Map();
+
+        /** @type {Map<string, Set<string>>} Candidate name (see `_candidateName`) to files with an unresolved specifier of that name */
+        this.unresolvedByName = new Map();
+
+        /** @type {number} Incremented whenever nodes or edges change; lets consumers cache derived results */
+        this.version = 0;
+
+        /** @type {Function[]} Listeners notified after a batch of changes */
+        this._changeListeners = [];
+    }
+
+    /**
+     * Registers a listener called after `build`, `applyChanges`, `resolveAll`
+     * or `clear` changed the graph.
+     *
+     * @param {Function} listener - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onDidChange(listener) {
+        this._changeListeners.push(listener);
+
+        return () => {
+            const index = this._changeListeners.indexOf(listener);
+            if (index > -1) {
+                this._changeListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Synchronizes the graph with a set of files: new and modified files are
+     * (re-)parsed, files no longer in the set are removed.
+     *
+     * @param {string[]} filePaths - Absolute paths of all files in the workspace
+     */
+    build(filePaths) {
+        const startVersion = this.version;
+        const wanted = new Set(filePaths);
+        let membershipChanged = false;
+
+        for (const filePath of [...this.nodes.keys()]) {
+            if (!wanted.has(filePath)) {
+                this._removeNode(filePath);
+                membershipChanged = true;
+            }
+        }
+
+        // Parse first and resolve once every node is in place
+        const parsed = [];
+        for (const filePath of filePaths) {
+            const known = this.nodes.has(filePath);
+            if (this._parseFile(filePath)) {
+                parsed.push(filePath);
+            }
+            if (known !== this.nodes.has(filePath)) {
+                membershipChanged = true;
+            }
+        }
+
+        // Added or removed files can change what other files' imports resolve to
+        for (const filePath of membershipChanged ? this.nodes.keys() : parsed) {
+            this._resolveNode(filePath);
+        }
+        this._notifyListeners(startVersion);
+    }
+
+    /**
+     * Synchronizes the graph with files analyzed off the main thread (see AnalysisWorkerPool).
+     * Imports arrive parsed and resolved, so no file is read here; files without
+     * parsed imports (missing or unreadable) and files not in the results are removed.
+     *
+     * @param {Array<{filePath: string, mtimeMs?: number, imports?: Array<{path: string, resolved: string | null, index: number, line: number}>}>} results - Analysis results for every workspace file
+     */
+    applyAnalysis(results) {
+        const startVersion = this.version;
+        const analyzed = new Map(results.filter(result => result.imports).map(result => [result.filePath, result]));
+
+        for (const filePath of [...this.nodes.keys()]) {
+            if (!analyzed.has(filePath)) {
+                this._removeNode(filePath);
+            }
+        }
+
+        for (const { filePath, mtimeMs, imports } of analyzed.values()) {
+            this.nodes.set(filePath, { mtimeMs, imports });
+            this._linkNode(filePath);
+        }
+
+        this._notifyListeners(startVersion);
+    }
+
+    /**
+     * Re-parses a file if it changed on disk since it was last read.
+     * Files that do not exist are removed from the graph.
+     *
+     * @param {string} filePath - Absolute file path
+     */
+    refreshFile(filePath) {
+        if (this._parseFile(filePath)) {
+            this._resolveNode(filePath);
+        }
+    }
+
+    /**
+     * Re-parses a file if it changed on disk, leaving its imports unresolved.
+     * Files that do not exist are removed from the graph.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean} Whether the file was (re-)parsed and needs resolving
+     * @private
+     */
+    _parseFile(filePath) {
+        let stats;
+        try {
+            stats = fs.statSync(filePath, { throwIfNoEntry: false });
+        } catch {
+            stats = null;
+        }
+
+        if (!stats || !stats.isFile()) {
+            this._removeNode(filePath);
+            return false;
+        }
+
+        const cached = this.nodes.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return false;
+        }
+
+        let imports = [];
+        if (stats.size <= CONFIG.MAX_FILE_SIZE) {
+            try {
+                const content = fs.readFileSync(filePath, 'utf-8');
+                imports = this.parser.parse(content, ImportParser.getLanguageIdForFile(filePath));
+            } catch {
+                // Unreadable file - keep it as a node without edges
+            }
+        }
+
+        this.nodes.set(filePath, {
+            mtimeMs: stats.mtimeMs,
+            imports: imports.map(imp => ({
+                path: imp.path,
+                resolved: null,
+                index: imp.index,
+                line: imp.line
+            }))
+        });
+        return true;
+    }
+
+    /**
+     * Applies file system changes incrementally: only the given files are re-parsed,
+     * importers of deleted files are re-resolved, and so are files whose unresolved
+     * specifiers name a created file or one of its directories.
+     *
+     * @param {string[]} changedFiles - Created or modified files
+     * @param {string[]} deletedFiles - Deleted files
+     * @returns {Set<string>} Files whose analysis results may have changed: the changed
+     *   files, re-resolved importers, and every file that transitively imports one of them
+     */
+    applyChanges(changedFiles, deletedFiles) {
+        const startVersion = this.version;
+        const seeds = new Set([...changedFiles, ...deletedFiles]);
+        const created = [];
+
+        for (const filePath of deletedFiles) {
+            this._removeNode(filePath);
+        }
+
+        for (const filePath of changedFiles) {
+            const known = this.nodes.has(filePath);
+            this.refreshFile(filePath);
+            if (!known && this.nodes.has(filePath)) {
+                created.push(filePath);
+            }
+        }
+
+        // Imports of a removed file, and unresolved imports a created file may satisfy, now resolve differently
+        const candidates = new Set();
+        for (const filePath of seeds) {
+            if (!this.nodes.has(filePath)) {
+                for (const dependent of this.reverse.get(filePath) || []) {
+                    candidates.add(dependent);
+                }
+            }
+        }
+        for (const filePath of created) {
+            for (const name of this._candidateNames(filePath)) {
+                for (const dependent of this.unresolvedByName.get(name) || []) {
+                    candidates.add(dependent);
+                }
+            }
+        }
+
+        for (const filePath of candidates) {
+            if (seeds.has(filePath) || !this.nodes.has(filePath)) {
+                continue;
+            }
+            const before = this.getDependencies(filePath);
+            this._resolveNode(filePath);
+            const after = this.getDependencies(filePath);
+            if (after.length !== before.length || after.some(dep => !before.includes(dep))) {
+                seeds.add(filePath);
+            }
+        }
+
+        this._notifyListeners(startVersion);
+        return this.getTransitiveDependents(seeds);
+    }
+
+    /**
+     * Collects files together with every file that imports them, directly or indirectly.
+     *
+     * @param {Iterable<string>} filePaths - Starting files
+     * @returns {Set<string>} Starting files and their transitive importers
+     */
+    getTransitiveDependents(filePaths) {
+        const result = new Set(filePaths);
+        const pending = [...result];
+
+        while (pending.length > 0) {
+            const filePath = pending.pop();
+            for (const dependent of this.reverse.get(filePath) || []) {
+                if (!result.has(dependent)) {
+                    result.add(dependent);
+                    pending.push(dependent);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Re-resolves the imports of every file without re-parsing.
+     * Call after the resolver's configuration (tsconfig, package.json) changed.
+     */
+    resolveAll() {
+        const startVersion = this.version;
+        for (const filePath of this.nodes.keys()) {
+            this._resolveNode(filePath);
+        }
+        this._notifyListeners(startVersion);
+    }
+
+    /**
+     * Checks whether a file is part of the graph.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    hasFile(filePath) {
+        return this.nodes.has(filePath);
+    }
+
+    /**
+     * Gets all files in the graph.
+     *
+     * @returns {string[]} Absolute file paths
+     */
+    getFiles() {
+        return [...this.nodes.keys()];
+    }
+
+    /**
+     * Gets the modification time of a file when it was last parsed.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {number | null} Modification time in milliseconds, or null if the file is not in the graph
+     */
+    getModifiedTime(filePath) {
+        return this.nodes.get(filePath)?.mtimeMs ?? null;
+    }
+
+    /**
+     * Gets the parsed imports of a file with their resolved targets.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {Array<{path: string, resolved: string | null, index: number, line: number}>}
+     */
+    getImports(filePath) {
+        return this.nodes.get(filePath)?.imports || [];
+    }
+
+    /**
+     * Gets the files a file imports (forward edges).
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string[]} Distinct resolved file paths
+     */
+    getDependencies(filePath) {
+        return this.forward.get(filePath) || [];
+    }
+
+    /**
+     * Gets the files that import a file (reverse edges).
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string[]} Importing file paths
+     */
+    getDependents(filePath) {
+        return [...(this.reverse.get(filePath) || [])];
+    }
+
+    /**
+     * Gets the imports of a file that do not resolve to a file (packages, system modules).
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string[]} Distinct specifiers
+     */
+    getExternalDependencies(filePath) {
+        return this.external.get(filePath) || [];
+    }
+
+    /**
+     * Gets statistics about the graph.
+     *
+     * @returns {{totalFiles: number, totalDependencies: number, averageDependencies: string}}
+     */
+    getStats() {
+        let totalDependencies = 0;
+        for (const deps of this.forward.values()) {
+            totalDependencies += deps.length;
+        }
+
+        const totalFiles = this.nodes.size;
+        return {
+            totalFiles,
+            totalDependencies,
+            averageDependencies: totalFiles > 0 ? (totalDependencies / totalFiles).toFixed(2) : '0.00'
+        };
+    }
+
+    /**
+     * Resolves a node's imports and rewrites its forward and reverse edges.
+     *
+     * @param {string} filePath - Absolute file path
+     * @private
+     */
+    _resolveNode(filePath) {
+        for (const imp of this.nodes.get(filePath).imports) {
+            imp.resolved = this.resolver.resolve(filePath, imp.path);
+        }
+        this._linkNode(filePath);
+    }
+
+    /**
+     * Rewrites a node's forward and reverse edges from its resolved imports.
+     *
+     * @param {string} filePath - Absolute file path
+     * @private
+     */
+    _linkNode(filePath) {
+        const node = this.nodes.get(filePath);
+        const targets = new Set();
+        const external = new Set();
+
+        for (const imp of node.imports) {
+            if (imp.resolved) {
+                targets.add(imp.resolved);
+            } else {
+                external.add(imp.path);
+            }
+        }
+
+        this._unlinkForward(filePath);
+        this._unindexExternal(filePath);
+        this.forward.set(filePath, [...targets]);
+        this.external.set(filePath, [...external]);
+        for (const specifier of external) {
+            const name = this._candidateName(filePath, specifier);
+            if (!this.unresolvedByName.has(name)) {
+                this.unresolvedByName.set(name, new Set());
+            }
+            this.unresolvedByName.get(name).add(filePath);
+        }
+        this.version++;
+
+        for (const target of targets) {
+            if (!this.reverse.has(target)) {
+                this.reverse.set(target, new Set());
+            }
+            this.reverse.get(target).add(filePath);
+        }
+    }
+
+    /**
+     * Removes a file's outgoing edges from the reverse index.
+     *
+     * @param {string} filePath - Absolute file path
+     * @private
+     */
+    _unlinkForward(filePath) {
+        for (const target of this.forward.get(filePath) || []) {
+            const dependents = this.reverse.get(target);
+            if (dependents) {
+                dependents.delete(filePath);
+                if (dependents.size === 0) {
+                    this.reverse.delete(target);
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes a file's unresolved specifiers from the name index.
+     *
+     * @param {string} filePath - Absolute file path
+     * @private
+     */
+    _unindexExternal(filePath) {
+        for (const specifier of this.external.get(filePath) || []) {
+            const name = this._candidateName(filePath, specifier);
+            const files = this.unresolvedByName.get(name);
+            if (files) {
+                files.delete(filePath);
+                if (files.size === 0) {
+                    this.unresolvedByName.delete(name);
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets the name a file must have to satisfy a specifier: the last path segment
+     * up to its first dot (`./user.service.js` → `user`, `@acme/billing` → `billing`).
+     * A file may also satisfy it through a directory of that name (index files,
+     * package entry points), see `_candidateNames`.
+     *
+     * @param {string} filePath - Importing file
+     * @param {string} specifier - Import specifier
+     * @returns {string}
+     * @private
+     */
+    _candidateName(filePath, specifier) {
+        const target = specifier.startsWith('.') ? path.resolve(path.dirname(filePath), specifier) : specifier;
+        return target.split(/[\\/]/).pop().split('.')[0];
+    }
+
+    /**
+     * Gets the names under which a file may satisfy an unresolved specifier:
+     * its own name and the names of its directories.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string[]}
+     * @private
+     */
+    _candidateNames(filePath) {
+        return filePath.split(/[\\/]/).filter(Boolean).map(segment => segment.split('.')[0]);
+    }
+
+    /**
+     * Removes a file and its outgoing edges.
+     * Incoming edges remain until the importing files are re-resolved.
+     *
+     * @param {string} filePath - Absolute file path
+     * @private
+     */
+    _removeNode(filePath) {
+        if (!this.nodes.has(filePath)) {
+            return;
+        }
+        this._unlinkForward(filePath);
+        this._unindexExternal(filePath);
+        this.forward.delete(filePath);
+        this.external.delete(filePath);
+        this.nodes.delete(filePath);
+        this.version++;
+    }
+
+    /**
+     * Notifies listeners if the graph changed since a version.
+     *
+     * @param {number} startVersion - Version before the batch of changes
+     * @private
+     */
+    _notifyListeners(startVersion) {
+        if (this.version === startVersion) {
+            return;
+        }
+        for (const listener of this._changeListeners) {
+            try {
+                listener(this);
+            } catch {
+                // Ignore listener errors
+            }
+        }
+    }
+
+    /**
+     * Clears the whole graph.
+     */
+    clear() {
+        const startVersion = this.version;
+        this.nodes.clear();
+        this.forward.clear();
+        this.reverse.clear();
+        this.external.clear();
+        this.unresolvedByName.clear();
+        this.version++;
+        this._notifyListeners(startVersion);
+    }
+}
+
+module.exports = DependencyGraph;
+module.exports.MAX_FILE_SIZE = CONFIG.MAX_FILE_SIZE;
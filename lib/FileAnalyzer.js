@@ -0,0 +1,257 @@
+const path = require('path');
+const Localization = require('./Localization');
+const ModuleResolver = require('./ModuleResolver');
+const RuleCatalog = require('./RuleCatalog');
+const SuppressionParser = require('./SuppressionParser');
+const FileFilter = require('./FileFilter');
+
+const { SEVERITY, RULE_IDS } = RuleCatalog;
+
+/**
+ * FileAnalyzer runs every architecture check against a single file's source text.
+ * It has no dependency on the VS Code API so the same checks power both the
+ * editor (via ValidationService) and the headless CLI.
+ *
+ * Violations are reported with character offsets (`index`, `length`) into the text;
+ * callers convert them to editor ranges or line/column pairs. Each violation
+ * carries its rule ID and the severity configured for it (see RuleCatalog);
+ * rules configured as `off` are not reported. Violations covered by
+ * `archit-*` suppression comments are dropped (see SuppressionParser).
+ * Generated files (see FileFilter) are not checked.
+ */
+class FileAnalyzer {
+    /**
+     * @param {Object} components - Dependency components
+     * @param {import('./RuleEngine')} components.engine
+     * @param {import('./ImportParser')} components.parser
+     * @param {import('./GraphAnalyzer')} components.graph
+     * @param {import('./SmartAdvisor')} components.advisor
+     * @param {import('./AIKernel')} components.aiKernel
+     * @param {import('./DeepCycleDetector')} components.deepCycleDetector
+     * @param {import('./UnusedImportDetector')} components.unusedImportDetector
+     * @param {import('./ModuleResolver')} [components.resolver]
+     */
+    constructor(components) {
+        this.engine = components.engine;
+        this.parser = components.parser;
+        this.graph = components.graph;
+        this.advisor = components.advisor;
+        this.aiKernel = components.aiKernel;
+        this.deepCycleDetector = components.deepCycleDetector;
+        this.unusedImportDetector = components.unusedImportDetector;
+        this.resolver = components.resolver || new ModuleResolver();
+    }
+
+    /**
+     * Analyzes a file and returns all violations found.
+     *
+     * @param {{filePath: string, text: string, languageId: string, rootDir?: string}} file - File to analyze
+     * @param {object} settings - Normalized settings (see ConfigLoader)
+     * @returns {{violations: Array<{index: number, length: number, message: string, severity: string, ruleId: string}>, stats: {importCount: number, anomalyScore: string, suppressedCount: number, generated: boolean}}}
+     */
+    analyze(file, settings) {
+        const { filePath, text, languageId, rootDir } = file;
+        const currentFilePathRelative = rootDir
+            ? path.relative(rootDir, filePath)
+            : path.basename(filePath);
+
+        const imports = this.parser.parse(text, languageId);
+        if (FileFilter.isGenerated(text)) {
+            return {
+                violations: [],
+                stats: { importCount: imports.length, anomalyScore: '0.0', suppressedCount: 0, generated: true }
+            };
+        }
+        const violations = [];
+        let anomalyScore = '0.0';
+
+        // 1. God Object Check
+        if (imports.length > settings.maxImports) {
+            this._report(violations, settings, RULE_IDS.COUPLING_MAX_IMPORTS, 0, 0,
+                Localization.get('godObject', imports.length, settings.maxImports));
+        }
+
+        // 2. AI Anomaly Detection
+        if (settings.enableAI && this.aiKernel) {
+            const anomaly = this.aiKernel.detectAnomaly(text);
+            if (anomaly) {
+                anomalyScore = anomaly.score;
+                if (anomaly.isAnomaly) {
+                    this._report(violations, settings, RULE_IDS.AI_ANOMALY, 0, 0,
+                        Localization.get('anomaly', anomaly.score, Math.round(this.aiKernel.statsModel?.mean || 0)));
+                }
+            }
+        }
+
+        // 3. Unused Imports
+        if (settings.detectUnusedImports && this.unusedImportDetector) {
+            const unusedImports = this.unusedImportDetector.detect(text, languageId);
+            for (const unused of unusedImports) {
+                this._report(violations, settings, RULE_IDS.IMPORT_UNUSED, unused.index, unused.length,
+                    `Unused import '${unused.name}' - Consider removing it`);
+            }
+        }
+
+        // 4. Deep Cycles
+        if (settings.checkDeepCycles && this.deepCycleDetector) {
+            const deepCycleResult = this.deepCycleDetector.detectDeepCycle(filePath, settings.deepCycleMaxDepth);
+            if (deepCycleResult?.hasCycle) {
+                this._report(violations, settings, RULE_IDS.CYCLE_DEEP, 0, 0, deepCycleResult.message);
+            }
+        }
+
+        // 5. Individual Import Checks
+        for (const imp of imports) {
+            violations.push(...this._checkImport(imp, filePath, currentFilePathRelative, rootDir, settings));
+        }
+
+        // 6. Suppression comments
+        const suppressed = SuppressionParser.apply(text, violations, (ruleId, index, length, message) => {
+            const reported = [];
+            this._report(reported, settings, ruleId, index, length, message);
+            return reported[0] || null;
+        }, languageId);
+
+        return {
+            violations: suppressed.violations,
+            stats: {
+                importCount: imports.length,
+                anomalyScore,
+                suppressedCount: suppressed.suppressedCount,
+                generated: false
+            }
+        };
+    }
+
+    /**
+     * Runs the per-import checks (rules, layers, encapsulation, cycles, semantics).
+     *
+     * @param {{path: string, index: number, length: number}} imp - Parsed import
+     * @param {string} filePath - Absolute path of the importing file
+     * @param {string} currentFilePathRelative - Importing file relative to the root
+     * @param {string | undefined} rootDir - Project root directory
+     * @param {object} settings - Normalized settings
+     * @returns {Array<{index: number, length: number, message: string, severity: string, ruleId: string}>}
+     * @private
+     */
+    _checkImport(imp, filePath, currentFilePathRelative, rootDir, settings) {
+        const violations = [];
+
+        let resolvedRelativePath = imp.path;
+
+        // Relative imports and tsconfig/jsconfig aliases resolve to a real file;
+        // unresolvable relative imports still get rule checks on their literal location
+        let resolvedAbsolutePath = this.resolver.resolve(filePath, imp.path);
+        if (!resolvedAbsolutePath && imp.path.startsWith('.')) {
+            resolvedAbsolutePath = path.resolve(path.dirname(filePath), imp.path);
+        }
+
+        if (resolvedAbsolutePath) {
+            resolvedRelativePath = rootDir
+                ? path.relative(rootDir, resolvedAbsolutePath)
+                : resolvedAbsolutePath;
+        }
+
+        // Rule Engine Validation
+        const archResult = this.engine.validate(
+            currentFilePathRelative,
+            resolvedRelativePath,
+            settings.rules,
+            settings.layers,
+            { external: !resolvedAbsolutePath, strictLayers: settings.strictLayers }
+        );
+
+        if (archResult?.isViolation &&
+            this._report(violations, settings, archResult.ruleId, imp.index, imp.length, archResult.message, archResult.severity)) {
+            return violations;
+        }
+
+        if (!resolvedAbsolutePath) return violations;
+
+        // Encapsulation
+        if (settings.enforceEncapsulation) {
+            const encResult = this.engine.checkEncapsulation(resolvedAbsolutePath);
+            if (encResult?.isViolation) {
+                this._report(violations, settings, RULE_IDS.ENCAPSULATION_INDEX, imp.index, imp.length, encResult.message);
+            }
+        }
+
+        // Circular Dependencies
+        if (settings.checkCycles && this.graph) {
+            const cycleResult = this.graph.checkCycle(filePath, resolvedAbsolutePath);
+            if (cycleResult?.isCycle) {
+                this._report(violations, settings, RULE_IDS.CYCLE_DIRECT, imp.index, imp.length, cycleResult.message);
+            }
+        }
+
+        // Cycle breakers - imports in the suggested feedback edge set. Cycles are not enumerated
+        // here (that runs on every change); the view and the quick fix tell the counts.
+        if (settings.checkDeepCycles && settings.suggestCycleBreakers && this.deepCycleDetector) {
+            const edge = this.deepCycleDetector.getFeedbackEdge(filePath, resolvedAbsolutePath, settings.deepCycleMaxDepth);
+            if (edge) {
+                this._report(violations, settings, RULE_IDS.CYCLE_BREAKER, imp.index, imp.length, this._formatCycleBreaker(edge));
+            }
+        }
+
+        // Semantic Analysis
+        if (settings.enableAI && this.advisor) {
+            const aiResult = this.advisor.analyze(filePath, resolvedAbsolutePath);
+            if (aiResult?.isSuspicious) {
+                this._report(violations, settings, RULE_IDS.AI_SEMANTIC, imp.index, imp.length, aiResult.message);
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Formats the message for an import in the suggested feedback edge set.
+     *
+     * @param {{from: string, to: string}} edge - Feedback edge
+     * @returns {string}
+     * @private
+     */
+    _formatCycleBreaker(edge) {
+        return `✂️ Cycle Breaker: remove the import '${path.basename(edge.from)} → ${path.basename(edge.to)}' - breaks the cycles it is part of`;
+    }
+
+    /**
+     * Adds a violation with the severity configured for its rule, unless the rule is off.
+     *
+     * @param {Array} violations - Violations to add to
+     * @param {object} settings - Normalized settings
+     * @param {string} ruleId - Rule ID (see RuleCatalog)
+     * @param {number} index - Start offset in the source text
+     * @param {number} length - Length of the offending text
+     * @param {string} message - Violation message
+     * @param {string} [severityOverride] - Severity of the individual custom rule
+     * @returns {boolean} Whether the violation was added
+     * @private
+     */
+    _report(violations, settings, ruleId, index, length, message, severityOverride) {
+        const severity = RuleCatalog.resolveSeverity(ruleId, settings, severityOverride);
+        if (!severity) {
+            return false;
+        }
+        violations.push(this._createViolation(index, length, message, severity, ruleId));
+        return true;
+    }
+
+    /**
+     * Creates a violation object.
+     *
+     * @param {number} index - Start offset in the source text
+     * @param {number} length - Length of the offending text
+     * @param {string} message - Violation message
+     * @param {string} severity - One of SEVERITY
+     * @param {string} ruleId - Rule ID
+     * @returns {{index: number, length: number, message: string, severity: string, ruleId: string}}
+     * @private
+     */
+    _createViolation(index, length, message, severity, ruleId) {
+        return { index, length, message, severity, ruleId };
+    }
+}
+
+module.exports = FileAnalyzer;
+module.exports.SEVERITY = SEVERITY;
@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const { Minimatch } = require('minimatch');
+const FileScanner = require('./FileScanner');
+
+/**
+ * File filter configuration
+ */
+const CONFIG = {
+    /** Ignore file read in every directory */
+    GITIGNORE_FILE: '.gitignore',
+    /** Characters at the start of a file searched for a generated-file marker */
+    GENERATED_HEADER_LENGTH: 2048,
+    /** `@generated` (Facebook/Buck convention) or Go's `Code generated ... DO NOT EDIT.` */
+    GENERATED_MARKER: /@generated\b|\bCode generated\b.*\bDO NOT EDIT\b/
+};
+
+/**
+ * Glob options: dotfiles match, and patterns without a slash match the file name at any depth
+ */
+const GLOB_OPTIONS = { dot: true, matchBase: true };
+
+/**
+ * FileFilter decides which files of a project are analyzed. A file is left out
+ * when it lies in node_modules or .git, does not match `include` (if set),
+ * matches `exclude` or `files.exclude`, or is ignored by a `.gitignore` file
+ * (with `respectGitignore`). Patterns are relative to the project root and
+ * also exclude everything below a matching directory.
+ *
+ * Generated files (see `isGenerated`) are not filtered here: they stay in the
+ * dependency graph, but FileAnalyzer does not check them.
+ */
+class FileFilter {
+    /**
+     * Creates a new FileFilter instance.
+     *
+     * @param {string} rootDir - Project root directory
+     * @param {{include?: string[], exclude?: string[], respectGitignore?: boolean}} settings - Normalized settings (see ConfigLoader)
+     * @param {Object<string, any>} [filesExclude] - `files.exclude` globs; entries set to `true` exclude
+     */
+    constructor(rootDir, settings, filesExclude = {}) {
+        /** @type {string} */
+        this.rootDir = path.resolve(rootDir);
+
+        /** @type {string[]} */
+        this.include = FileFilter._patterns(settings.include);
+
+        /** @type {string[]} */
+        this.exclude = [
+            ...FileFilter._patterns(settings.exclude),
+            ...Object.keys(filesExclude || {}).filter(pattern => filesExclude[pattern] === true)
+        ];
+
+        /** @type {Minimatch[]} Compiled `include` patterns */
+        this._includeMatchers = this.include.map(pattern => new Minimatch(pattern, GLOB_OPTIONS));
+
+        /** @type {Minimatch[]} Compiled `exclude` and `files.exclude` patterns */
+        this._excludeMatchers = this.exclude.map(pattern => new Minimatch(pattern, GLOB_OPTIONS));
+
+        /** @type {boolean} */
+        this.respectGitignore = settings.respectGitignore !== false;
+
+        /** @type {Map<string, Array<{pattern: string, negated: boolean, dirOnly: boolean, matcher: Minimatch}>>} Directory to its compiled .gitignore rules */
+        this.gitignoreCache = new Map();
+
+        /** @type {Map<string, boolean>} Project-relative directory to whether it is ignored */
+        this.ignoredDirCache = new Map();
+    }
+
+    /**
+     * Checks whether a file's text carries a generated-file marker in its header.
+     *
+     * @param {string} text - Source text
+     * @returns {boolean}
+     */
+    static isGenerated(text) {
+        return CONFIG.GENERATED_MARKER.test(text.slice(0, CONFIG.GENERATED_HEADER_LENGTH));
+    }
+
+    /**
+     * Checks whether a file is analyzed.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    includes(filePath) {
+        if (FileScanner.isIgnoredPath(filePath)) {
+            return false;
+        }
+
+        const relative = path.relative(this.rootDir, filePath).replace(/\\/g, '/');
+        if (relative.startsWith('../') || path.isAbsolute(relative)) {
+            return true; // Outside the project; its own folder decides
+        }
+
+        if (this._includeMatchers.length > 0 && !this._includeMatchers.some(matcher => matcher.match(relative))) {
+            return false;
+        }
+        if (FileFilter._ancestorsAndSelf(relative).some(p => this._excludeMatchers.some(matcher => matcher.match(p)))) {
+            return false;
+        }
+        return !this.respectGitignore || !this._isGitIgnored(relative);
+    }
+
+    /**
+     * Gets a glob of the files to leave out of a workspace file search: the
+     * always-ignored directories plus the `exclude` and `files.exclude`
+     * patterns. `include` and .gitignore files are not covered, so search
+     * results still go through `includes`.
+     *
+     * @returns {string} Glob relative to the project root
+     */
+    getSearchExclude() {
+        const globs = new Set([...FileScanner.IGNORED_DIRECTORIES].map(dir => `**/${dir}/**`));
+        for (const pattern of this.exclude) {
+            // Brace groups cannot be nested; `includes` still leaves out what such patterns match
+            if (/[{},]/.test(pattern)) {
+                continue;
+            }
+            const glob = pattern.includes('/') ? pattern : `**/${pattern}`;
+            globs.add(glob);
+            if (!glob.endsWith('/**')) {
+                globs.add(`${glob}/**`); // Everything below a matching directory
+            }
+        }
+        return `{${[...globs].join(',')}}`;
+    }
+
+    /**
+     * Gets a string identifying the filter's patterns, to tell whether settings changed.
+     *
+     * @returns {string}
+     */
+    getSignature() {
+        return JSON.stringify([this.include, this.exclude, this.respectGitignore]);
+    }
+
+    /**
+     * Drops cached .gitignore rules so that changed files are re-read.
+     */
+    clearCache() {
+        this.gitignoreCache.clear();
+        this.ignoredDirCache.clear();
+    }
+
+    /**
+     * Checks whether a file or one of its directories is ignored by the
+     * .gitignore files from the project root down to the file's directory.
+     * Deeper files override outer ones, later rules override earlier ones, and
+     * a file below an ignored directory cannot be re-included (as in git).
+     *
+     * @param {string} relative - Project-relative file path (forward slashes)
+     * @returns {boolean}
+     * @private
+     */
+    _isGitIgnored(relative) {
+        const segments = relative.split('/');
+        for (let depth = 1; depth < segments.length; depth++) {
+            if (this._isIgnoredEntry(segments, depth, true)) {
+                return true;
+            }
+        }
+        return this._isIgnoredEntry(segments, segments.length, false);
+    }
+
+    /**
+     * Checks whether an entry (the first `depth` segments of a path) is ignored.
+     * Directory results are cached.
+     *
+     * @param {string[]} segments - Path segments
+     * @param {number} depth - Number of segments of the entry
+     * @param {boolean} isDirectory - Whether the entry is a directory
+     * @returns {boolean}
+     * @private
+     */
+    _isIgnoredEntry(segments, depth, isDirectory) {
+        const entry = segments.slice(0, depth).join('/');
+        if (isDirectory && this.ignoredDirCache.has(entry)) {
+            return this.ignoredDirCache.get(entry);
+        }
+
+        let ignored = false;
+        for (let level = 0; level < depth; level++) {
+            const rules = this._getGitignoreRules(path.join(this.rootDir, ...segments.slice(0, level)));
+            const candidate = segments.slice(level, depth).join('/');
+            for (const rule of rules) {
+                if ((!rule.dirOnly || isDirectory) && rule.matcher.match(candidate)) {
+                    ignored = !rule.negated;
+                }
+            }
+        }
+
+        if (isDirectory) {
+            this.ignoredDirCache.set(entry, ignored);
+        }
+        return ignored;
+    }
+
+    /**
+     * Reads and compiles the .gitignore rules of a directory.
+     *
+     * @param {string} dir - Absolute directory path
+     * @returns {Array<{pattern: string, negated: boolean, dirOnly: boolean, matcher: Minimatch}>} Rules (empty without a .gitignore file)
+     * @private
+     */
+    _getGitignoreRules(dir) {
+        if (!this.gitignoreCache.has(dir)) {
+            let content = '';
+            try {
+                content = fs.readFileSync(path.join(dir, CONFIG.GITIGNORE_FILE), 'utf-8');
+            } catch {
+                // No .gitignore in this directory
+            }
+            this.gitignoreCache.set(dir, FileFilter.parseGitignore(content)
+                .map(rule => ({ ...rule, matcher: new Minimatch(rule.pattern, { dot: true }) })));
+        }
+        return this.gitignoreCache.get(dir);
+    }
+
+    /**
+     * Converts .gitignore lines to glob rules relative to the file's directory.
+     *
+     * @param {string} content - .gitignore content
+     * @returns {Array<{pattern: string, negated: boolean, dirOnly: boolean}>}
+     */
+    static parseGitignore(content) {
+        const rules = [];
+        for (const rawLine of content.split(/\r?\n/)) {
+            let line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const negated = line.startsWith('!');
+            if (negated) line = line.slice(1);
+            line = line.replace(/^\\([#!])/, '$1');
+
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.slice(0, -1);
+
+            // A slash before the end anchors the pattern to the .gitignore's directory
+            const anchored = line.includes('/');
+            line = line.replace(/^\//, '');
+            if (!line) {
+                continue;
+            }
+
+            rules.push({ pattern: anchored ? line : `**/${line}`, negated, dirOnly });
+        }
+        return rules;
+    }
+
+    /**
+     * Normalizes a pattern list setting.
+     *
+     * @param {any} patterns - Setting value
+     * @returns {string[]} Non-empty patterns without a leading `./`
+     * @private
+     */
+    static _patterns(patterns) {
+        return Array.isArray(patterns)
+            ? patterns.filter(p => typeof p === 'string' && p.trim()).map(p => p.trim().replace(/^\.\//, ''))
+            : [];
+    }
+
+    /**
+     * Gets a relative path and the paths of its parent directories.
+     *
+     * @param {string} relative - Relative path (forward slashes)
+     * @returns {string[]} E.g. `a/b/c.js`, `a/b`, `a`
+     * @private
+     */
+    static _ancestorsAndSelf(relative) {
+        const paths = [];
+        for (let p = relative; p && p !== '.'; p = path.posix.dirname(p)) {
+            paths.push(p);
+        }
+        return paths;
+    }
+}
+
+module.exports = FileFilter;
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Source file extensions analyzed by Archit Search
+ */
+const SOURCE_EXTENSIONS = ['js', 'jsx', 'ts', 'tsx', 'go', 'py', 'java', 'cs', 'php', 'rb', 'rs', 'dart'];
+
+/**
+ * Directories that never contain project sources
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.vscode-test']);
+
+/**
+ * FileScanner walks a directory tree and collects analyzable source files.
+ * Used where `vscode.workspace.findFiles` is unavailable (e.g. the CLI).
+ */
+class FileScanner {
+    /**
+     * Creates a new FileScanner instance.
+     *
+     * @param {string[]} [extensions] - File extensions (without dot) to collect
+     */
+    constructor(extensions = SOURCE_EXTENSIONS) {
+        /** @type {Set<string>} */
+        this.extensions = new Set(extensions.map(ext => `.${ext}`));
+    }
+
+    /**
+     * Recursively collects source files under a directory.
+     *
+     * @param {string} rootDir - Directory to scan
+     * @returns {string[]} Absolute paths of matching files, sorted
+     */
+    scan(rootDir) {
+        return FileScanner._walk(rootDir, name => this.extensions.has(path.extname(name).toLowerCase()));
+    }
+
+    /**
+     * Recursively collects files with one of the given names (e.g. config files).
+     *
+     * @param {string} rootDir - Directory to scan
+     * @param {string[]} fileNames - Exact file names to collect
+     * @returns {string[]} Absolute paths of matching files, sorted
+     */
+    static findByName(rootDir, fileNames) {
+        const names = new Set(fileNames);
+        return FileScanner._walk(rootDir, name => names.has(name));
+    }
+
+    /**
+     * Walks a directory tree, skipping ignored directories.
+     *
+     * @param {string} rootDir - Directory to walk
+     * @param {(name: string) => boolean} accept - Decides by file name whether a file is collected
+     * @returns {string[]} Absolute paths of accepted files, sorted
+     * @private
+     */
+    static _walk(rootDir, accept) {
+        const files = [];
+        const pending = [path.resolve(rootDir)];
+
+        while (pending.length > 0) {
+            const dir = pending.pop();
+            let entries;
+
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch {
+                continue; // Unreadable directory
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    if (!IGNORED_DIRECTORIES.has(entry.name)) {
+                        pending.push(fullPath);
+                    }
+                } else if (entry.isFile() && accept(entry.name)) {
+                    files.push(fullPath);
+                }
+            }
+        }
+
+        return files.sort();
+    }
+
+    /**
+     * Checks whether a path lies inside an ignored directory (e.g. node_modules).
+     *
+     * @param {string} filePath - Absolute or relative path
+     * @returns {boolean}
+     */
+    static isIgnoredPath(filePath) {
+        return filePath.split(/[\\/]/).some(segment => IGNORED_DIRECTORIES.has(segment));
+    }
+
+    /**
+     * Gets the glob pattern matching all supported source files.
+     *
+     * @returns {string} Glob pattern (e.g. `**\/*.{js,ts}`)
+     */
+    static getGlobPattern() {
+        return `**/*.{${SOURCE_EXTENSIONS.join(',')}}`;
+    }
+}
+
+module.exports = FileScanner;
+module.exports.SOURCE_EXTENSIONS = SOURCE_EXTENSIONS;
+module.exports.IGNORED_DIRECTORIES = IGNORED_DIRECTORIES;
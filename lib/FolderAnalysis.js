@@ -0,0 +1,122 @@
+const path = require('path');
+const DependencyGraph = require('./DependencyGraph');
+const AIKernel = require('./AIKernel');
+const DeepCycleDetector = require('./DeepCycleDetector');
+const MetricsCalculator = require('./MetricsCalculator');
+const GraphAnalyzer = require('./GraphAnalyzer');
+const FileAnalyzer = require('./FileAnalyzer');
+
+/**
+ * FolderAnalysis holds the analysis state of one workspace folder: its
+ * dependency graph, AI model, cycle detector, metrics and file analyzer.
+ * In a multi-root workspace every folder has its own, so the graphs and
+ * statistics of separate repositories never mix (see FolderRegistry).
+ *
+ * Stateless components (parser, rule engine, resolver, advisor) are shared
+ * between folders. Like FileAnalyzer, it has no dependency on the VS Code API.
+ */
+class FolderAnalysis {
+    /**
+     * Creates a new FolderAnalysis instance.
+     *
+     * @param {string | null} rootDir - Workspace folder path, or null for files outside every folder
+     * @param {string} name - Display name of the folder
+     * @param {Object} shared - Components shared by all folders
+     * @param {import('./RuleEngine')} shared.engine
+     * @param {import('./ImportParser')} shared.parser
+     * @param {import('./SmartAdvisor')} shared.advisor
+     * @param {import('./UnusedImportDetector')} shared.unusedImportDetector
+     * @param {import('./ModuleResolver')} shared.resolver
+     */
+    constructor(rootDir, name, shared) {
+        /** @type {string | null} */
+        this.rootDir = rootDir;
+
+        /** @type {string} */
+        this.name = name;
+
+        this.dependencyGraph = new DependencyGraph(shared.resolver);
+        this.aiKernel = new AIKernel();
+        this.deepCycleDetector = new DeepCycleDetector(this.dependencyGraph);
+        this.metricsCalculator = new MetricsCalculator(this.dependencyGraph);
+        this.graph = new GraphAnalyzer(this.dependencyGraph);
+
+        /** @type {FileAnalyzer} */
+        this.analyzer = new FileAnalyzer({
+            ...shared,
+            graph: this.graph,
+            aiKernel: this.aiKernel,
+            deepCycleDetector: this.deepCycleDetector
+        });
+
+        /** @type {import('./FileFilter') | null} Decides which files are analyzed; null analyzes all */
+        this.fileFilter = null;
+
+        /** @type {boolean} Whether analysis results have been applied at least once */
+        this.ready = false;
+
+        /** @type {{version: number, health: object} | null} Health summary of a graph version */
+        this._healthCache = null;
+    }
+
+    /**
+     * Checks whether a file lies inside the folder.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    contains(filePath) {
+        if (!this.rootDir) {
+            return false;
+        }
+        const relative = path.relative(this.rootDir, filePath);
+        return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+    }
+
+    /**
+     * Checks whether a file of the folder is analyzed (see FileFilter).
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    isIncluded(filePath) {
+        return !this.fileFilter || this.fileFilter.includes(filePath);
+    }
+
+    /**
+     * Feeds the folder's analysis results (see AnalysisWorker) into its AI model,
+     * dependency graph and metrics. Files not in the results are dropped from the graph.
+     *
+     * @param {object[]} results - Analysis results of every file of the folder
+     */
+    applyResults(results) {
+        this.aiKernel.learnFeatures(results);
+        this.dependencyGraph.applyAnalysis(results);
+        this.metricsCalculator.loadMaintainability(results);
+        this.ready = true;
+    }
+
+    /**
+     * Summarizes the health of the folder. The summary is cached until the graph changes.
+     *
+     * @returns {{filesAnalyzed: number, healthScore: string | null, cycleCount: number}}
+     *   Health score is null while no file has been analyzed
+     */
+    getHealth() {
+        const { version } = this.dependencyGraph;
+        if (this._healthCache?.version !== version) {
+            const summary = this.metricsCalculator.getProjectSummary();
+            this._healthCache = {
+                version,
+                health: {
+                    filesAnalyzed: summary.filesAnalyzed,
+                    healthScore: summary.filesAnalyzed > 0 ? summary.healthScore : null,
+                    cycleCount: this.deepCycleDetector.getAllCycles().length
+                }
+            };
+        }
+        return this._healthCache.health;
+    }
+}
+
+module.exports = FolderAnalysis;
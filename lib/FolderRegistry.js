@@ -0,0 +1,166 @@
+const FolderAnalysis = require('./FolderAnalysis');
+
+/**
+ * FolderRegistry keeps one FolderAnalysis per workspace folder and finds the
+ * folder a file belongs to. With nested folders the innermost one wins.
+ * Files outside every folder (e.g. a single opened file) share a fallback
+ * analysis without a root.
+ */
+class FolderRegistry {
+    /**
+     * Creates a new FolderRegistry instance.
+     *
+     * @param {Object} shared - Components shared by all folders (see FolderAnalysis)
+     */
+    constructor(shared) {
+        this.shared = shared;
+
+        /** @type {Map<string, FolderAnalysis>} Folder path to analysis, in workspace order */
+        this.folders = new Map();
+
+        /** @type {FolderAnalysis} Analysis of files outside every workspace folder */
+        this.looseFiles = new FolderAnalysis(null, '', shared);
+
+        /** @type {Function[]} Listeners notified when folders are added or removed */
+        this._changeListeners = [];
+    }
+
+    /**
+     * Registers a listener called after `setFolders` added or removed folders.
+     *
+     * @param {Function} listener - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    onDidChange(listener) {
+        this._changeListeners.push(listener);
+
+        return () => {
+            const index = this._changeListeners.indexOf(listener);
+            if (index > -1) {
+                this._changeListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Synchronizes the registry with the workspace folders. Existing folders
+     * keep their analysis; added folders start empty.
+     *
+     * @param {Array<{rootDir: string, name: string}>} folders - Workspace folders
+     * @returns {{added: FolderAnalysis[], removed: FolderAnalysis[]}}
+     */
+    setFolders(folders) {
+        const previous = this.folders;
+        const added = [];
+        this.folders = new Map();
+
+        for (const { rootDir, name } of folders) {
+            let folder = previous.get(rootDir);
+            if (folder) {
+                folder.name = name;
+            } else {
+                folder = new FolderAnalysis(rootDir, name, this.shared);
+                added.push(folder);
+            }
+            this.folders.set(rootDir, folder);
+        }
+
+        const removed = [...previous.values()].filter(folder => !this.folders.has(folder.rootDir));
+        if (added.length > 0 || removed.length > 0) {
+            this._notifyListeners();
+        }
+        return { added, removed };
+    }
+
+    /**
+     * Gets the analyses of all workspace folders.
+     *
+     * @returns {FolderAnalysis[]}
+     */
+    getAll() {
+        return [...this.folders.values()];
+    }
+
+    /**
+     * Gets the analysis of a workspace folder.
+     *
+     * @param {string} rootDir - Folder path
+     * @returns {FolderAnalysis | undefined}
+     */
+    get(rootDir) {
+        return this.folders.get(rootDir);
+    }
+
+    /**
+     * Gets the analysis a file belongs to: the innermost workspace folder
+     * containing it, or the fallback for files outside every folder.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {FolderAnalysis}
+     */
+    getForFile(filePath) {
+        let match = null;
+        for (const folder of this.folders.values()) {
+            if (folder.contains(filePath) && (!match || folder.rootDir.length > match.rootDir.length)) {
+                match = folder;
+            }
+        }
+        return match || this.looseFiles;
+    }
+
+    /**
+     * Groups items by the analysis their file belongs to.
+     *
+     * @template T
+     * @param {T[]} items - Items to group
+     * @param {(item: T) => string} [getPath] - Gets the absolute file path of an item
+     * @returns {Map<FolderAnalysis, T[]>} Every workspace folder (possibly with no items), then the fallback if it has items
+     */
+    partition(items, getPath = item => item) {
+        const groups = new Map(this.getAll().map(folder => [folder, []]));
+        for (const item of items) {
+            const folder = this.getForFile(getPath(item));
+            if (!groups.has(folder)) {
+                groups.set(folder, []);
+            }
+            groups.get(folder).push(item);
+        }
+        return groups;
+    }
+
+    /**
+     * Gets every analyzed file of all workspace folders.
+     *
+     * @returns {string[]} Absolute file paths
+     */
+    getFiles() {
+        return this.getAll().flatMap(folder => folder.dependencyGraph.getFiles());
+    }
+
+    /**
+     * Checks whether a file has been analyzed as part of its folder.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {boolean}
+     */
+    hasFile(filePath) {
+        return this.getForFile(filePath).dependencyGraph.hasFile(filePath);
+    }
+
+    /**
+     * Notifies listeners that folders were added or removed.
+     *
+     * @private
+     */
+    _notifyListeners() {
+        for (const listener of this._changeListeners) {
+            try {
+                listener(this);
+            } catch {
+                // Ignore listener errors
+            }
+        }
+    }
+}
+
+module.exports = FolderRegistry;
@@ -0,0 +1,410 @@
+/**
+ * GraphAlgorithms provides graph algorithms over adjacency functions:
+ * strongly connected components, shortest cycles, elementary cycle enumeration
+ * and feedback arc sets.
+ *
+ * Graphs are described by a node list and a `getNeighbors(node)` callback, so the
+ * algorithms work directly on DependencyGraph without copying it. All algorithms
+ * are iterative to avoid call stack overflows on large workspaces.
+ */
+class GraphAlgorithms {
+    /**
+     * Finds strongly connected components with Tarjan's algorithm in O(V + E).
+     *
+     * @param {string[]} nodes - All nodes
+     * @param {(node: string) => string[]} getNeighbors - Outgoing edges of a node
+     * @returns {string[][]} Components in reverse topological order (each node appears once)
+     */
+    static stronglyConnectedComponents(nodes, getNeighbors) {
+        const indexOf = new Map();
+        const lowLink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let nextIndex = 0;
+
+        for (const root of nodes) {
+            if (indexOf.has(root)) {
+                continue;
+            }
+
+            // Each frame holds a node and the position of the next neighbor to visit
+            const callStack = [{ node: root, neighbors: getNeighbors(root), position: 0 }];
+            indexOf.set(root, nextIndex);
+            lowLink.set(root, nextIndex);
+            nextIndex++;
+            stack.push(root);
+            onStack.add(root);
+
+            while (callStack.length > 0) {
+                const frame = callStack[callStack.length - 1];
+
+                if (frame.position < frame.neighbors.length) {
+                    const next = frame.neighbors[frame.position++];
+                    if (!indexOf.has(next)) {
+                        indexOf.set(next, nextIndex);
+                        lowLink.set(next, nextIndex);
+                        nextIndex++;
+                        stack.push(next);
+                        onStack.add(next);
+                        callStack.push({ node: next, neighbors: getNeighbors(next), position: 0 });
+                    } else if (onStack.has(next)) {
+                        lowLink.set(frame.node, Math.min(lowLink.get(frame.node), indexOf.get(next)));
+                    }
+                    continue;
+                }
+
+                // All neighbors visited - close the frame
+                callStack.pop();
+                if (callStack.length > 0) {
+                    const parent = callStack[callStack.length - 1].node;
+                    lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)));
+                }
+
+                if (lowLink.get(frame.node) === indexOf.get(frame.node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.node);
+                    components.push(component);
+                }
+            }
+        }
+
+        return components;
+    }
+
+    /**
+     * Finds a shortest cycle through a node using breadth-first search.
+     *
+     * @param {string} start - Node the cycle must pass through
+     * @param {(node: string) => string[]} getNeighbors - Outgoing edges of a node
+     * @param {object} [options]
+     * @param {Set<string>} [options.within] - Restrict the search to these nodes (e.g. the node's component)
+     * @param {number} [options.maxLength] - Maximum number of edges in the cycle
+     * @returns {string[] | null} Cycle as a closed path `[start, ..., start]`, or null
+     */
+    static shortestCycle(start, getNeighbors, options = {}) {
+        const { within, maxLength = Infinity } = options;
+        const parent = new Map([[start, null]]);
+        let frontier = [start];
+
+        for (let length = 1; length <= maxLength && frontier.length > 0; length++) {
+            const nextFrontier = [];
+
+            for (const node of frontier) {
+                for (const next of getNeighbors(node)) {
+                    if (next === start) {
+                        const path = [start];
+                        for (let current = node; current !== null; current = parent.get(current)) {
+                            path.push(current);
+                        }
+                        return path.reverse();
+                    }
+                    if (!parent.has(next) && (!within || within.has(next))) {
+                        parent.set(next, node);
+                        nextFrontier.push(next);
+                    }
+                }
+            }
+
+            frontier = nextFrontier;
+        }
+
+        return null;
+    }
+
+    /**
+     * Enumerates elementary cycles with Johnson's algorithm, optionally bounded in length.
+     *
+     * Each cycle is reported once, as a closed path starting at its smallest node
+     * (in the order of `nodes`). The search from a start node only enters nodes that
+     * can still get back to it within `maxLength` (a backward breadth-first search
+     * over the later nodes, so it stays inside the start node's component). When a
+     * path is cut off by `maxLength` its nodes are not blocked, so the bound never
+     * hides shorter cycles; `maxVisits` caps the work this can take on dense tangles.
+     *
+     * @param {string[]} nodes - Nodes to search (typically one strongly connected component)
+     * @param {(node: string) => string[]} getNeighbors - Outgoing edges of a node
+     * @param {object} [options]
+     * @param {number} [options.maxLength] - Maximum number of edges per cycle
+     * @param {number} [options.maxCycles] - Stop after this many cycles
+     * @param {number} [options.maxVisits] - Stop after following this many edges
+     * @returns {{cycles: string[][], truncated: boolean, visits: number}} Cycles, whether
+     *   `maxCycles` or `maxVisits` was hit, and the number of edges followed
+     */
+    static elementaryCycles(nodes, getNeighbors, options = {}) {
+        const { maxLength = Infinity, maxCycles = Infinity, maxVisits = Infinity } = options;
+        const order = new Map(nodes.map((node, i) => [node, i]));
+        const predecessors = new Map(nodes.map(node => [node, []]));
+        let visits = 0;
+        for (const node of nodes) {
+            for (const next of getNeighbors(node)) {
+                visits++;
+                if (order.has(next)) {
+                    predecessors.get(next).push(node);
+                }
+            }
+        }
+
+        const cycles = [];
+        const stop = truncated => ({ cycles, truncated, visits });
+
+        for (let i = 0; i < nodes.length; i++) {
+            const start = nodes[i];
+
+            // Edges left to get back to `start`; only nodes after it take part, so every
+            // cycle is found from its smallest node
+            const distance = new Map([[start, 0]]);
+            let frontier = [start];
+            for (let length = 1; length < maxLength && frontier.length > 0; length++) {
+                const nextFrontier = [];
+                for (const node of frontier) {
+                    for (const previous of predecessors.get(node)) {
+                        visits++;
+                        if (!distance.has(previous) && order.get(previous) > i) {
+                            distance.set(previous, length);
+                            nextFrontier.push(previous);
+                        }
+                    }
+                }
+                frontier = nextFrontier;
+            }
+            if (visits > maxVisits) {
+                return stop(true);
+            }
+            const neighborsOf = node => getNeighbors(node).filter(next => distance.has(next));
+
+            const blocked = new Set([start]);
+            const blockedBy = new Map();
+            const unblock = node => {
+                const pending = [node];
+                while (pending.length > 0) {
+                    const current = pending.pop();
+                    if (blocked.delete(current)) {
+                        pending.push(...(blockedBy.get(current) || []));
+                        blockedBy.delete(current);
+                    }
+                }
+            };
+
+            const path = [start];
+            const frames = [{ node: start, neighbors: neighborsOf(start), position: 0, found: false }];
+
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+
+                if (frame.position < frame.neighbors.length) {
+                    if (++visits > maxVisits) {
+                        return stop(true);
+                    }
+                    const next = frame.neighbors[frame.position++];
+                    if (next === start) {
+                        cycles.push([...path, start]);
+                        frame.found = true;
+                        if (cycles.length >= maxCycles) {
+                            return stop(true);
+                        }
+                    } else if (!blocked.has(next)) {
+                        if (path.length + distance.get(next) <= maxLength) {
+                            blocked.add(next);
+                            path.push(next);
+                            frames.push({ node: next, neighbors: neighborsOf(next), position: 0, found: false });
+                        } else {
+                            frame.found = true; // Cut off by the bound - do not block
+                        }
+                    }
+                    continue;
+                }
+
+                frames.pop();
+                path.pop();
+                if (frame.found) {
+                    unblock(frame.node);
+                } else {
+                    for (const next of frame.neighbors) {
+                        if (!blockedBy.has(next)) {
+                            blockedBy.set(next, new Set());
+                        }
+                        blockedBy.get(next).add(frame.node);
+                    }
+                }
+                if (frames.length > 0 && frame.found) {
+                    frames[frames.length - 1].found = true;
+                }
+            }
+        }
+
+        return stop(false);
+    }
+
+    /**
+     * Computes a small feedback arc set: edges whose removal makes the graph acyclic.
+     *
+     * Uses the Eades-Lin-Smyth greedy ordering (sinks to the back, sources to the
+     * front, otherwise the node with the largest out-degree minus in-degree to the
+     * front); edges pointing backwards in that order form the set. Edges that no
+     * longer close a cycle once the others are removed are then dropped again,
+     * within a work budget (an edge kept because the budget ran out is never wrong,
+     * only possibly redundant).
+     *
+     * @param {string[]} nodes - Nodes (typically one strongly connected component)
+     * @param {(node: string) => string[]} getNeighbors - Outgoing edges of a node
+     * @param {object} [options]
+     * @param {number} [options.maxPruneVisits] - Node visits allowed for dropping redundant edges
+     * @returns {Array<{from: string, to: string}>} Feedback edges
+     */
+    static feedbackArcSet(nodes, getNeighbors, options = {}) {
+        const budget = { remaining: options.maxPruneVisits ?? 2000000 };
+        const nodeSet = new Set(nodes);
+        const outgoing = new Map();
+        const incoming = new Map(nodes.map(node => [node, new Set()]));
+        for (const node of nodes) {
+            const targets = new Set(getNeighbors(node).filter(next => nodeSet.has(next) && next !== node));
+            outgoing.set(node, targets);
+            targets.forEach(next => incoming.get(next).add(node));
+        }
+
+        const order = GraphAlgorithms._greedyOrder(nodes, outgoing, incoming);
+        const position = new Map(order.map((node, i) => [node, i]));
+
+        const feedback = [];
+        for (const node of nodes) {
+            for (const next of outgoing.get(node)) {
+                if (position.get(next) < position.get(node)) {
+                    feedback.push({ from: node, to: next });
+                }
+            }
+        }
+
+        // Work on the acyclic remainder and put back every edge that does not close a cycle
+        for (const edge of feedback) {
+            outgoing.get(edge.from).delete(edge.to);
+        }
+        return feedback.filter(edge => {
+            if (GraphAlgorithms._canReach(edge.to, edge.from, outgoing, budget)) {
+                return true;
+            }
+            outgoing.get(edge.from).add(edge.to);
+            return false;
+        });
+    }
+
+    /**
+     * Builds the Eades-Lin-Smyth vertex order.
+     *
+     * @param {string[]} nodes - Nodes
+     * @param {Map<string, Set<string>>} outgoing - Outgoing edges (not modified)
+     * @param {Map<string, Set<string>>} incoming - Incoming edges (not modified)
+     * @returns {string[]} Vertex order
+     * @private
+     */
+    static _greedyOrder(nodes, outgoing, incoming) {
+        const outDegree = new Map(nodes.map(node => [node, outgoing.get(node).size]));
+        const inDegree = new Map(nodes.map(node => [node, incoming.get(node).size]));
+        const remaining = new Set(nodes);
+        const front = [];
+        const back = [];
+
+        // Buckets of nodes by out-degree minus in-degree for the "largest delta" step
+        const buckets = new Map();
+        const bucketOf = new Map();
+        let maxDelta = -Infinity;
+        const place = node => {
+            const delta = outDegree.get(node) - inDegree.get(node);
+            if (!buckets.has(delta)) {
+                buckets.set(delta, new Set());
+            }
+            buckets.get(delta).add(node);
+            bucketOf.set(node, delta);
+            maxDelta = Math.max(maxDelta, delta);
+        };
+        nodes.forEach(place);
+
+        const sinks = nodes.filter(node => outDegree.get(node) === 0);
+        const sources = nodes.filter(node => inDegree.get(node) === 0 && outDegree.get(node) > 0);
+
+        const remove = node => {
+            remaining.delete(node);
+            buckets.get(bucketOf.get(node)).delete(node);
+            for (const next of outgoing.get(node)) {
+                if (remaining.has(next)) {
+                    inDegree.set(next, inDegree.get(next) - 1);
+                    buckets.get(bucketOf.get(next)).delete(next);
+                    place(next);
+                    if (inDegree.get(next) === 0) sources.push(next);
+                }
+            }
+            for (const previous of incoming.get(node)) {
+                if (remaining.has(previous)) {
+                    outDegree.set(previous, outDegree.get(previous) - 1);
+                    buckets.get(bucketOf.get(previous)).delete(previous);
+                    place(previous);
+                    if (outDegree.get(previous) === 0) sinks.push(previous);
+                }
+            }
+        };
+
+        while (remaining.size > 0) {
+            if (sinks.length > 0) {
+                const node = sinks.pop();
+                if (remaining.has(node)) {
+                    back.push(node);
+                    remove(node);
+                }
+                continue;
+            }
+            if (sources.length > 0) {
+                const node = sources.pop();
+                if (remaining.has(node)) {
+                    front.push(node);
+                    remove(node);
+                }
+                continue;
+            }
+
+            while (!buckets.get(maxDelta) || buckets.get(maxDelta).size === 0) {
+                maxDelta--;
+            }
+            const node = buckets.get(maxDelta).values().next().value;
+            front.push(node);
+            remove(node);
+        }
+
+        return front.concat(back.reverse());
+    }
+
+    /**
+     * Checks whether `target` is reachable from `source`.
+     * Answers true once the shared visit budget is exhausted.
+     *
+     * @param {string} source - Start node
+     * @param {string} target - Node to reach
+     * @param {Map<string, Set<string>>} outgoing - Outgoing edges
+     * @param {{remaining: number}} budget - Remaining node visits
+     * @returns {boolean}
+     * @private
+     */
+    static _canReach(source, target, outgoing, budget) {
+        const visited = new Set([source]);
+        const pending = [source];
+        while (pending.length > 0) {
+            const node = pending.pop();
+            if (node === target || --budget.remaining < 0) {
+                return true;
+            }
+            for (const next of outgoing.get(node) || []) {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    pending.push(next);
+                }
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = GraphAlgorithms;
@@ -0,0 +1,210 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+
+/**
+ * Graph panel configuration
+ */
+const CONFIG = {
+    /** Delay before a changed graph is sent to the view (coalesces bursts of file changes) */
+    REFRESH_DELAY_MS: 500,
+    /** Directory of the webview scripts and styles, relative to the extension */
+    MEDIA_DIR: ['resources', 'webview'],
+    /** Script shared by every view (messaging, pan and zoom, layer colors) */
+    COMMON_SCRIPT: 'common.js',
+    /** Stylesheet shared by every view */
+    STYLESHEET: 'views.css'
+};
+
+/**
+ * GraphPanel shows a view of a workspace folder's architecture in a webview
+ * panel, e.g. the dependency graph. The view is a script in `resources/webview`
+ * that renders the model built by `getModel` for the folder; the model is sent
+ * again whenever the folder's dependency graph changes.
+ *
+ * One panel is kept per view and reused when the view is shown for another folder.
+ * The view may ask to open a file of the folder (`{type: 'open', file, line}`),
+ * rebuild the model with other options (`{type: 'options', options}`, e.g. the
+ * expanded folders of the matrix) or run one of the view's actions
+ * (`{type: 'action', name}`).
+ */
+class GraphPanel {
+    /**
+     * Creates a new GraphPanel instance.
+     *
+     * @param {vscode.Uri} extensionUri - Root of the extension
+     * @param {Object} view - View description
+     * @param {string} view.viewType - Webview panel type
+     * @param {string} view.title - Panel title (the folder name is appended in multi-root workspaces)
+     * @param {string} view.script - Script of the view in `resources/webview`
+     * @param {(folder: import('./FolderAnalysis'), options: object) => object} view.getModel - Builds the model
+     *   the script renders, with the options chosen in the view
+     * @param {Object<string, (folder: import('./FolderAnalysis'), options: object) => any>} [view.actions] - Actions the view may run
+     */
+    constructor(extensionUri, view) {
+        this.extensionUri = extensionUri;
+        this.view = view;
+
+        /** @type {vscode.WebviewPanel | null} */
+        this.panel = null;
+
+        /** @type {import('./FolderAnalysis') | null} Folder shown in the panel */
+        this.folder = null;
+
+        /** @type {object} Model options chosen in the view */
+        this.options = {};
+
+        /** @type {Function | null} Unsubscribes from the folder's graph */
+        this._unsubscribe = null;
+
+        this.refreshTimeout = undefined;
+    }
+
+    /**
+     * Shows the view of a folder, creating the panel or revealing the existing one.
+     *
+     * @param {import('./FolderAnalysis')} folder - Folder analysis
+     * @param {boolean} [multiRoot=false] - Whether to name the folder in the title
+     */
+    show(folder, multiRoot = false) {
+        if (!this.panel) {
+            this.panel = vscode.window.createWebviewPanel(this.view.viewType, this.view.title, vscode.ViewColumn.Beside, {
+                enableScripts: true,
+                localResourceRoots: [vscode.Uri.joinPath(this.extensionUri, ...CONFIG.MEDIA_DIR)]
+            });
+            this.panel.webview.html = this._getHtml(this.panel.webview);
+            this.panel.webview.onDidReceiveMessage(message => this._onMessage(message));
+            this.panel.onDidDispose(() => this._onDidDisposePanel());
+        } else {
+            this.panel.reveal();
+        }
+
+        this.panel.title = multiRoot && folder.name ? `${this.view.title} — ${folder.name}` : this.view.title;
+        if (folder !== this.folder) {
+            this.folder = folder;
+            this.options = {};
+            if (this._unsubscribe) {
+                this._unsubscribe();
+            }
+            this._unsubscribe = folder.dependencyGraph.onDidChange(() => this.refresh());
+            this._postModel();
+        }
+    }
+
+    /**
+     * Sends the model again after a short delay, e.g. when the settings changed.
+     */
+    refresh() {
+        if (!this.panel) {
+            return;
+        }
+        if (this.refreshTimeout) {
+            clearTimeout(this.refreshTimeout);
+        }
+        this.refreshTimeout = setTimeout(() => {
+            this.refreshTimeout = undefined;
+            this._postModel();
+        }, CONFIG.REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Builds the model of the shown folder and sends it to the view.
+     *
+     * @private
+     */
+    _postModel() {
+        if (!this.panel || !this.folder) {
+            return;
+        }
+        try {
+            this.panel.webview.postMessage({ type: 'model', model: this.view.getModel(this.folder, this.options) });
+        } catch (error) {
+            console.error('[Archit Search] Building the graph view failed:', error);
+            this.panel.webview.postMessage({ type: 'error', message: error.message });
+        }
+    }
+
+    /**
+     * Handles a message from the view.
+     *
+     * @param {{type: string, file?: string, line?: number, options?: object, name?: string}} message - View message
+     * @private
+     */
+    _onMessage(message) {
+        if (message.type === 'ready' || message.type === 'options') {
+            // Sent on load (also after the hidden panel is shown again) with the options kept by the view
+            if (message.options && typeof message.options === 'object') {
+                this.options = message.options;
+            }
+            this._postModel();
+        } else if (message.type === 'action' && this.folder && Object.hasOwn(this.view.actions || {}, message.name)) {
+            Promise.resolve(this.view.actions[message.name](this.folder, this.options))
+                .catch(error => console.error(`[Archit Search] Graph view action '${message.name}' failed:`, error));
+        } else if (message.type === 'open' && this.folder?.dependencyGraph.hasFile(message.file)) {
+            const line = Number.isInteger(message.line) ? message.line : 0;
+            vscode.window.showTextDocument(vscode.Uri.file(message.file), {
+                viewColumn: this.panel.viewColumn === vscode.ViewColumn.One ? vscode.ViewColumn.Two : vscode.ViewColumn.One,
+                selection: new vscode.Range(line, 0, line, 0)
+            });
+        }
+    }
+
+    /**
+     * Creates the HTML of the panel: the shared script and stylesheet plus the view's script.
+     *
+     * @param {vscode.Webview} webview - Panel webview
+     * @returns {string}
+     * @private
+     */
+    _getHtml(webview) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const media = file => webview.asWebviewUri(vscode.Uri.joinPath(this.extensionUri, ...CONFIG.MEDIA_DIR, file));
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="${media(CONFIG.STYLESHEET)}">
+    <title>${this.view.title}</title>
+</head>
+<body>
+    <header id="toolbar"></header>
+    <main id="content"><p class="empty">Loading…</p></main>
+    <script nonce="${nonce}" src="${media(CONFIG.COMMON_SCRIPT)}"></script>
+    <script nonce="${nonce}" src="${media(this.view.script)}"></script>
+</body>
+</html>`;
+    }
+
+    /**
+     * Forgets the panel after it was closed.
+     *
+     * @private
+     */
+    _onDidDisposePanel() {
+        this.panel = null;
+        this.folder = null;
+        this.options = {};
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+        if (this.refreshTimeout) {
+            clearTimeout(this.refreshTimeout);
+            this.refreshTimeout = undefined;
+        }
+    }
+
+    /**
+     * Disposes of resources.
+     */
+    dispose() {
+        if (this.panel) {
+            this.panel.dispose();
+        }
+        this._onDidDisposePanel();
+    }
+}
+
+module.exports = GraphPanel;
@@ -1,30 +1,22 @@
+const path = require('path');
+const JsImportScanner = require('./JsImportScanner');
+const LineIndex = require('./LineIndex');
+
+/**
+ * Languages parsed with the JavaScript/TypeScript tokenizer instead of regexes
+ */
+const SCANNED_LANGUAGES = new Set(['javascript', 'typescript', 'javascriptreact', 'typescriptreact']);
+
+/**
+ * Languages whose files may contain JSX (React projects often use it in plain .js files)
+ */
+const JSX_LANGUAGES = new Set(['javascript', 'javascriptreact', 'typescriptreact']);
+
 /**
  * Language-specific regex patterns for import detection.
  * Each pattern captures the import path in group 1.
  */
 const IMPORT_PATTERNS = {
-    'javascript': [
-        /(?:import\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:import\s+['"](.*?)['"])/g,
-        /(?:export\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:require\(['"](.*?)['"]\))/g
-    ],
-    'typescript': [
-        /(?:import\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:import\s+['"](.*?)['"])/g,
-        /(?:export\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:require\(['"](.*?)['"]\))/g
-    ],
-    'javascriptreact': [
-        /(?:import\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:import\s+['"](.*?)['"])/g,
-        /(?:require\(['"](.*?)['"]\))/g
-    ],
-    'typescriptreact': [
-        /(?:import\s+.*?from\s+['"](.*?)['"])/g,
-        /(?:import\s+['"](.*?)['"])/g,
-        /(?:require\(['"](.*?)['"]\))/g
-    ],
     'python': [
         /(?:from\s+(.*?)\s+import)/g,
         /(?:import\s+(.*?)(?:\s+as\s+.*)?$)/gm
@@ -57,9 +49,29 @@ const IMPORT_PATTERNS = {
     ]
 };
 
+/**
+ * Language ID mapping from file extension to VS Code language identifier
+ */
+const EXTENSION_TO_LANGUAGE = {
+    '.js': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript',
+    '.tsx': 'typescriptreact',
+    '.py': 'python',
+    '.go': 'go',
+    '.cs': 'csharp',
+    '.java': 'java',
+    '.php': 'php',
+    '.rs': 'rust',
+    '.dart': 'dart',
+    '.rb': 'ruby',
+    '.swift': 'swift'
+};
+
 /**
  * ImportParser extracts import statements from source code.
- * Supports multiple programming languages with language-specific regex patterns.
+ * JavaScript and TypeScript (including JSX/TSX) are tokenized by JsImportScanner, which
+ * also reports specifiers and statement kinds; other languages use regex patterns.
  */
 class ImportParser {
     /**
@@ -68,16 +80,27 @@ class ImportParser {
     constructor() {
         /** @type {typeof IMPORT_PATTERNS} */
         this.regexMap = IMPORT_PATTERNS;
+
+        /** @type {JsImportScanner} */
+        this.jsScanner = new JsImportScanner();
     }
 
     /**
      * Parses source code and extracts all import statements.
      * 
+     * For JavaScript/TypeScript languages each entry additionally carries `kind`,
+     * `specifiers`, `typeOnly`, `sideEffect` and the exact module path range
+     * (`pathIndex`, `pathLength`) - see JsImportScanner.
+     * 
      * @param {string} text - Source code to parse
      * @param {string} languageId - VS Code language identifier
-     * @returns {Array<{path: string, index: number, length: number, fullMatch: string}>} Array of import information
+     * @returns {Array<{path: string, index: number, length: number, fullMatch: string, line: number}>} Array of import information (`line` is 0-based)
      */
     parse(text, languageId) {
+        if (SCANNED_LANGUAGES.has(languageId)) {
+            return this.jsScanner.scan(text, { jsx: JSX_LANGUAGES.has(languageId) });
+        }
+
         const regexes = this.regexMap[languageId] || [];
         
         if (regexes.length === 0) {
@@ -93,12 +116,13 @@ class ImportParser {
      * 
      * @param {string} text - Source code text
      * @param {RegExp[]} regexes - Array of regex patterns
-     * @returns {Array<{path: string, index: number, length: number, fullMatch: string}>}
+     * @returns {Array<{path: string, index: number, length: number, fullMatch: string, line: number}>}
      * @private
      */
     _extractImports(text, regexes) {
         const imports = [];
         const seen = new Set(); // Prevent duplicate imports at same position
+        const lines = new LineIndex(text);
 
         for (const regex of regexes) {
             // Reset regex state for each iteration
@@ -115,7 +139,8 @@ class ImportParser {
                         path: importPath,
                         index: match.index,
                         length: match[0].length,
-                        fullMatch: match[0]
+                        fullMatch: match[0],
+                        line: lines.lineAt(match.index)
                     });
                 }
             }
@@ -131,7 +156,7 @@ class ImportParser {
      * @returns {boolean} True if language is supported
      */
     isLanguageSupported(languageId) {
-        return languageId in this.regexMap;
+        return SCANNED_LANGUAGES.has(languageId) || languageId in this.regexMap;
     }
 
     /**
@@ -140,8 +165,33 @@ class ImportParser {
      * @returns {string[]} Array of supported language IDs
      */
     getSupportedLanguages() {
-        return Object.keys(this.regexMap);
+        return [...SCANNED_LANGUAGES, ...Object.keys(this.regexMap)];
+    }
+
+    /**
+     * Checks if a language is parsed with the structured JavaScript/TypeScript scanner.
+     * 
+     * @param {string} languageId - VS Code language identifier
+     * @returns {boolean} True if parse results include specifiers
+     */
+    isStructured(languageId) {
+        return SCANNED_LANGUAGES.has(languageId);
+    }
+
+    /**
+     * Gets the VS Code language identifier for a file based on its extension.
+     * Used outside the editor, where no TextDocument is available.
+     * 
+     * @param {string} filePath - File path
+     * @returns {string} Language identifier (defaults to 'javascript')
+     */
+    static getLanguageIdForFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return EXTENSION_TO_LANGUAGE[ext] || 'javascript';
     }
 }
 
 module.exports = ImportParser;
+module.exports.EXTENSION_TO_LANGUAGE = EXTENSION_TO_LANGUAGE;
+module.exports.SCANNED_LANGUAGES = SCANNED_LANGUAGES;
+module.exports.JSX_LANGUAGES = JSX_LANGUAGES;
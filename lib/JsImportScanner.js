@@ -0,0 +1,833 @@
+/**
+ * Keywords after which a `/` starts a regular expression rather than a division
+ */
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Declaration keywords that may bind the result of `require()`
+ */
+const DECLARATION_KEYWORDS = new Set(['const', 'let', 'var']);
+
+/**
+ * `<` followed by a tag name or `>` (fragment). A trailing `,` or `extends` marks
+ * TypeScript type parameters of a generic arrow function (`<T,>(x: T) => x`) instead.
+ */
+const JSX_START_PATTERN = /<(?:>|[A-Za-z_$][\w$.:-]*\s*(,|extends\b)?)/y;
+
+/**
+ * Token types produced by the tokenizer
+ * @readonly
+ * @enum {string}
+ */
+const TOKEN = {
+    IDENTIFIER: 'identifier',
+    STRING: 'string',
+    TEMPLATE: 'template',
+    NUMBER: 'number',
+    REGEX: 'regex',
+    PUNCTUATOR: 'punctuator'
+};
+
+/**
+ * JsImportScanner extracts import declarations from JavaScript and TypeScript
+ * (including JSX/TSX) using a lightweight tokenizer instead of regexes.
+ *
+ * Comments, string contents, template literals, regex literals and JSX text are skipped by
+ * the tokenizer, so commented-out imports are ignored and multi-line statements are handled.
+ *
+ * Each import describes its kind, the specifiers it binds and exact character ranges:
+ * - `static`  — `import ... from 'x'` / `import 'x'` / `import x = require('x')`
+ * - `export`  — `export ... from 'x'` re-exports
+ * - `require` — CommonJS `require('x')`
+ * - `dynamic` — `import('x')`
+ */
+class JsImportScanner {
+    /**
+     * Scans source text for import declarations.
+     *
+     * @param {string} text - Source code
+     * @param {{jsx?: boolean}} [options] - `jsx`: the source may contain JSX elements
+     * @returns {Array<{path: string, index: number, length: number, fullMatch: string, line: number, kind: string, typeOnly: boolean, sideEffect: boolean, pathIndex: number, pathLength: number, specifiers: Array<{kind: string, imported: string | null, local: string | null, typeOnly: boolean, index: number, length: number}>}>}
+     */
+    scan(text, options = {}) {
+        const tokens = this.tokenize(text, options);
+        const imports = [];
+        const lineTracker = { offset: 0, line: 0 };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== TOKEN.IDENTIFIER || this._isMemberAccess(tokens, i)) {
+                continue;
+            }
+
+            let result = null;
+            if (token.value === 'import') {
+                result = this._parseImport(tokens, i);
+            } else if (token.value === 'export') {
+                result = this._parseExport(tokens, i);
+            } else if (token.value === 'require') {
+                result = this._parseRequire(tokens, i);
+            }
+
+            if (result) {
+                imports.push(this._finalize(text, result.entry, lineTracker));
+                i = result.next - 1;
+            }
+        }
+
+        return imports;
+    }
+
+    /**
+     * Finds the comments of source text. Comment markers inside strings, template
+     * literals, regex literals and JSX text are not comments.
+     *
+     * @param {string} text - Source code
+     * @param {{jsx?: boolean}} [options] - `jsx`: the source may contain JSX elements
+     * @returns {Array<{start: number, end: number}>} Comment ranges in source order (`end` is exclusive)
+     */
+    findComments(text, options = {}) {
+        const comments = [];
+        this.tokenize(text, { ...options, comments });
+        return comments;
+    }
+
+    /**
+     * Splits source text into tokens, skipping whitespace and comments.
+     *
+     * @param {string} text - Source code
+     * @param {{jsx?: boolean, comments?: Array<{start: number, end: number}>}} [options] - `jsx`: the source
+     *   may contain JSX elements; `comments`: receives the range of every skipped comment
+     * @returns {Array<{type: string, value: string, start: number, end: number}>}
+     */
+    tokenize(text, { jsx = false, comments = null } = {}) {
+        const tokens = [];
+        const templateStack = []; // Brace depths at which `${` expressions were opened
+        const jsxStack = []; // Open JSX tags, element children and `{ ... }` expressions inside them
+        let braceDepth = 0;
+        let i = 0;
+
+        // Hashbang line
+        if (text.startsWith('#!')) {
+            while (i < text.length && text[i] !== '\n') i++;
+        }
+
+        while (i < text.length) {
+            const char = text[i];
+            const next = text[i + 1];
+            const jsxContext = jsxStack[jsxStack.length - 1];
+
+            // JSX child text is not code: skip to the next tag or `{ ... }` expression
+            if (jsxContext?.kind === 'children') {
+                while (i < text.length && text[i] !== '<' && text[i] !== '{') i++;
+                if (text[i] === '<') {
+                    jsxStack.push({ kind: 'tag', closing: text[i + 1] === '/' });
+                    tokens.push({ type: TOKEN.PUNCTUATOR, value: '<', start: i, end: i + 1 });
+                    i++;
+                } else if (text[i] === '{') {
+                    jsxStack.push({ kind: 'expression', depth: braceDepth++ });
+                    tokens.push({ type: TOKEN.PUNCTUATOR, value: '{', start: i, end: i + 1 });
+                    i++;
+                }
+                continue;
+            }
+
+            // Inside a JSX tag only attribute expressions are code
+            if (jsxContext?.kind === 'tag') {
+                if (char === '{') {
+                    jsxStack.push({ kind: 'expression', depth: braceDepth++ });
+                    tokens.push({ type: TOKEN.PUNCTUATOR, value: '{', start: i, end: i + 1 });
+                    i++;
+                } else if (char === '"' || char === '\'') {
+                    const end = text.indexOf(char, i + 1);
+                    i = end === -1 ? text.length : end + 1;
+                } else if (char === '>' || (char === '/' && next === '>' && !jsxContext.closing)) {
+                    const end = char === '>' ? i + 1 : i + 2;
+                    jsxStack.pop();
+                    if (jsxContext.closing) {
+                        if (jsxStack[jsxStack.length - 1]?.kind === 'children') {
+                            jsxStack.pop();
+                        }
+                    } else if (char === '>') {
+                        jsxStack.push({ kind: 'children' });
+                    }
+                    tokens.push({ type: TOKEN.PUNCTUATOR, value: '>', start: end - 1, end });
+                    i = end;
+                } else {
+                    i++;
+                }
+                continue;
+            }
+
+            // Whitespace
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comments
+            if (char === '/' && next === '/') {
+                const start = i;
+                while (i < text.length && text[i] !== '\n') i++;
+                comments?.push({ start, end: i });
+                continue;
+            }
+            if (char === '/' && next === '*') {
+                const start = i;
+                const end = text.indexOf('*/', i + 2);
+                i = end === -1 ? text.length : end + 2;
+                comments?.push({ start, end: i });
+                continue;
+            }
+
+            // Strings
+            if (char === '"' || char === '\'') {
+                const end = this._scanString(text, i, char);
+                tokens.push({ type: TOKEN.STRING, value: text.slice(i + 1, end - 1), start: i, end });
+                i = end;
+                continue;
+            }
+
+            // Template literals (and their continuation after `${ ... }`)
+            if (char === '`' || (char === '}' && templateStack.length > 0 && templateStack[templateStack.length - 1] === braceDepth)) {
+                if (char === '}') {
+                    templateStack.pop();
+                }
+                const result = this._scanTemplate(text, i + 1);
+                tokens.push({ type: TOKEN.TEMPLATE, value: text.slice(i, result.end), start: i, end: result.end });
+                if (result.opensExpression) {
+                    templateStack.push(braceDepth);
+                }
+                i = result.end;
+                continue;
+            }
+
+            // Identifiers and keywords
+            if (/[A-Za-z_$\u00C0-\uFFFF]/.test(char)) {
+                let end = i + 1;
+                while (end < text.length && /[\w$\u00C0-\uFFFF]/.test(text[end])) end++;
+                tokens.push({ type: TOKEN.IDENTIFIER, value: text.slice(i, end), start: i, end });
+                i = end;
+                continue;
+            }
+
+            // Numbers
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next))) {
+                let end = i + 1;
+                while (end < text.length && /[\w.]/.test(text[end])) end++;
+                tokens.push({ type: TOKEN.NUMBER, value: text.slice(i, end), start: i, end });
+                i = end;
+                continue;
+            }
+
+            // JSX elements
+            if (char === '<' && jsx && this._isJsxStart(text, i, tokens[tokens.length - 1])) {
+                jsxStack.push({ kind: 'tag', closing: false });
+                tokens.push({ type: TOKEN.PUNCTUATOR, value: '<', start: i, end: i + 1 });
+                i++;
+                continue;
+            }
+
+            // Regular expression literals
+            if (char === '/' && this._regexAllowed(tokens[tokens.length - 1])) {
+                const end = this._scanRegex(text, i);
+                if (end !== -1) {
+                    tokens.push({ type: TOKEN.REGEX, value: text.slice(i, end), start: i, end });
+                    i = end;
+                    continue;
+                }
+            }
+
+            // Punctuators (spread is the only multi-character one the parser cares about)
+            if (char === '.' && next === '.' && text[i + 2] === '.') {
+                tokens.push({ type: TOKEN.PUNCTUATOR, value: '...', start: i, end: i + 3 });
+                i += 3;
+                continue;
+            }
+            if (char === '{') braceDepth++;
+            if (char === '}') {
+                braceDepth--;
+                if (jsxContext?.kind === 'expression' && jsxContext.depth === braceDepth) {
+                    jsxStack.pop();
+                }
+            }
+            tokens.push({ type: TOKEN.PUNCTUATOR, value: char, start: i, end: i + 1 });
+            i++;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Scans a quoted string. Unterminated strings end at the line break.
+     *
+     * @param {string} text - Source code
+     * @param {number} start - Index of the opening quote
+     * @param {string} quote - Quote character
+     * @returns {number} Index just past the closing quote
+     * @private
+     */
+    _scanString(text, start, quote) {
+        let i = start + 1;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+            if (char === quote) {
+                return i + 1;
+            }
+            if (char === '\n') {
+                return i;
+            }
+            i++;
+        }
+        return text.length;
+    }
+
+    /**
+     * Scans template literal text up to the closing backtick or the next `${`.
+     *
+     * @param {string} text - Source code
+     * @param {number} start - Index just past the backtick or closing brace
+     * @returns {{end: number, opensExpression: boolean}}
+     * @private
+     */
+    _scanTemplate(text, start) {
+        let i = start;
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+            if (char === '`') {
+                return { end: i + 1, opensExpression: false };
+            }
+            if (char === '$' && text[i + 1] === '{') {
+                return { end: i + 2, opensExpression: true };
+            }
+            i++;
+        }
+        return { end: text.length, opensExpression: false };
+    }
+
+    /**
+     * Scans a regular expression literal.
+     *
+     * @param {string} text - Source code
+     * @param {number} start - Index of the opening slash
+     * @returns {number} Index just past the flags, or -1 if this is not a regex
+     * @private
+     */
+    _scanRegex(text, start) {
+        let i = start + 1;
+        let inClass = false;
+
+        while (i < text.length) {
+            const char = text[i];
+            if (char === '\n') {
+                return -1;
+            }
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+            if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                i++;
+                while (i < text.length && /[a-z]/i.test(text[i])) i++;
+                return i;
+            }
+            i++;
+        }
+        return -1;
+    }
+
+    /**
+     * Decides whether a `/` after the given token starts a regular expression.
+     *
+     * @param {{type: string, value: string} | undefined} previous - Previous token
+     * @returns {boolean}
+     * @private
+     */
+    _regexAllowed(previous) {
+        if (!previous) {
+            return true;
+        }
+        switch (previous.type) {
+            case TOKEN.IDENTIFIER:
+                return REGEX_PRECEDING_KEYWORDS.has(previous.value);
+            case TOKEN.PUNCTUATOR:
+                return ![')', ']'].includes(previous.value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Decides whether a `<` opens a JSX element: it must stand where an expression
+     * may start and be followed by a tag name or `>`.
+     *
+     * @param {string} text - Source code
+     * @param {number} i - Index of the `<`
+     * @param {{type: string, value: string} | undefined} previous - Previous token
+     * @returns {boolean}
+     * @private
+     */
+    _isJsxStart(text, i, previous) {
+        if (!this._regexAllowed(previous)) {
+            return false;
+        }
+        JSX_START_PATTERN.lastIndex = i;
+        const match = JSX_START_PATTERN.exec(text);
+        return Boolean(match) && !match[1];
+    }
+
+    /**
+     * Checks whether the identifier at `i` is a property access (`obj.import`).
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} i - Token index
+     * @returns {boolean}
+     * @private
+     */
+    _isMemberAccess(tokens, i) {
+        const previous = tokens[i - 1];
+        return this._isPunct(previous, '.');
+    }
+
+    /**
+     * Parses `import` declarations, `import x = require()` and dynamic `import()`.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} start - Index of the `import` token
+     * @returns {{entry: object, next: number} | null}
+     * @private
+     */
+    _parseImport(tokens, start) {
+        let i = start + 1;
+        let token = tokens[i];
+        if (!token) {
+            return null;
+        }
+
+        // Dynamic import: import('x')
+        if (this._isPunct(token, '(')) {
+            const source = tokens[i + 1];
+            if (source?.type === TOKEN.STRING && this._isPunct(tokens[i + 2], ')')) {
+                const previous = tokens[start - 1];
+                return {
+                    entry: this._createEntry('dynamic', tokens[start], tokens[i + 2], source, [], {
+                        typeOnly: Boolean(previous && previous.value === 'typeof')
+                    }),
+                    next: i + 3
+                };
+            }
+            return null;
+        }
+
+        // import.meta
+        if (this._isPunct(token, '.')) {
+            return null;
+        }
+
+        // Side-effect import: import 'x'
+        if (token.type === TOKEN.STRING) {
+            return {
+                entry: this._createEntry('static', tokens[start], token, token, [], { sideEffect: true }),
+                next: i + 1
+            };
+        }
+
+        // `import type ...` (but not a default import named `type`)
+        let typeOnly = false;
+        if (token.type === TOKEN.IDENTIFIER && token.value === 'type') {
+            const after = tokens[i + 1];
+            const isDefaultNamedType = after && (
+                (after.type === TOKEN.IDENTIFIER && after.value === 'from' && tokens[i + 2]?.type === TOKEN.STRING) ||
+                this._isPunct(after, ',') ||
+                this._isPunct(after, '=')
+            );
+            if (!isDefaultNamedType && after && (after.type === TOKEN.IDENTIFIER || this._isPunct(after, '{') || this._isPunct(after, '*'))) {
+                typeOnly = true;
+                i++;
+                token = tokens[i];
+            }
+        }
+
+        const specifiers = [];
+
+        // Default import (or TypeScript import-equals)
+        if (token?.type === TOKEN.IDENTIFIER) {
+            // import x = require('y')
+            if (this._isPunct(tokens[i + 1], '=')) {
+                const requireToken = tokens[i + 2];
+                if (requireToken?.value === 'require' && this._isPunct(tokens[i + 3], '(') &&
+                    tokens[i + 4]?.type === TOKEN.STRING && this._isPunct(tokens[i + 5], ')')) {
+                    specifiers.push(this._createSpecifier('default', 'default', token, typeOnly));
+                    return {
+                        entry: this._createEntry('static', tokens[start], tokens[i + 5], tokens[i + 4], specifiers, { typeOnly }),
+                        next: i + 6
+                    };
+                }
+                return null;
+            }
+
+            specifiers.push(this._createSpecifier('default', 'default', token, typeOnly));
+            i++;
+            if (this._isPunct(tokens[i], ',')) {
+                i++;
+            }
+        }
+
+        // Namespace import: * as ns
+        if (this._isPunct(tokens[i], '*')) {
+            const local = tokens[i + 2];
+            if (tokens[i + 1]?.value !== 'as' || local?.type !== TOKEN.IDENTIFIER) {
+                return null;
+            }
+            specifiers.push(this._createSpecifier('namespace', '*', local, typeOnly, tokens[i]));
+            i += 3;
+        }
+
+        // Named imports: { a, b as c, type d }
+        if (this._isPunct(tokens[i], '{')) {
+            const named = this._parseNamedList(tokens, i, typeOnly);
+            if (!named) {
+                return null;
+            }
+            specifiers.push(...named.specifiers);
+            i = named.next;
+        }
+
+        if (tokens[i]?.value !== 'from' || tokens[i + 1]?.type !== TOKEN.STRING) {
+            return null;
+        }
+
+        return {
+            entry: this._createEntry('static', tokens[start], tokens[i + 1], tokens[i + 1], specifiers, { typeOnly }),
+            next: i + 2
+        };
+    }
+
+    /**
+     * Parses re-exports: `export * from`, `export * as ns from`, `export { a } from`.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} start - Index of the `export` token
+     * @returns {{entry: object, next: number} | null}
+     * @private
+     */
+    _parseExport(tokens, start) {
+        let i = start + 1;
+        let typeOnly = false;
+
+        if (tokens[i]?.value === 'type' && (this._isPunct(tokens[i + 1], '{') || this._isPunct(tokens[i + 1], '*'))) {
+            typeOnly = true;
+            i++;
+        }
+
+        const specifiers = [];
+
+        if (this._isPunct(tokens[i], '*')) {
+            const starToken = tokens[i];
+            i++;
+            if (tokens[i]?.value === 'as' && tokens[i + 1]) {
+                specifiers.push(this._createSpecifier('namespace', '*', tokens[i + 1], typeOnly, starToken));
+                i += 2;
+            } else {
+                specifiers.push({ kind: 'namespace', imported: '*', local: null, typeOnly, index: starToken.start, length: 1 });
+            }
+        } else if (this._isPunct(tokens[i], '{')) {
+            const named = this._parseNamedList(tokens, i, typeOnly);
+            if (!named) {
+                return null;
+            }
+            specifiers.push(...named.specifiers);
+            i = named.next;
+        } else {
+            return null;
+        }
+
+        if (tokens[i]?.value !== 'from' || tokens[i + 1]?.type !== TOKEN.STRING) {
+            return null;
+        }
+
+        return {
+            entry: this._createEntry('export', tokens[start], tokens[i + 1], tokens[i + 1], specifiers, { typeOnly }),
+            next: i + 2
+        };
+    }
+
+    /**
+     * Parses `require('x')`, including the declaration binding it if present:
+     * `const x = require('x')` and `const { a, b: c } = require('x')`.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} start - Index of the `require` token
+     * @returns {{entry: object, next: number} | null}
+     * @private
+     */
+    _parseRequire(tokens, start) {
+        const source = tokens[start + 2];
+        const closing = tokens[start + 3];
+        if (!this._isPunct(tokens[start + 1], '(') || source?.type !== TOKEN.STRING || !this._isPunct(closing, ')')) {
+            return null;
+        }
+
+        let startToken = tokens[start];
+        const specifiers = [];
+
+        // Look back for `const <binding> =`
+        if (this._isPunct(tokens[start - 1], '=')) {
+            const bindingEnd = start - 2;
+            const binding = tokens[bindingEnd];
+
+            if (binding?.type === TOKEN.IDENTIFIER && DECLARATION_KEYWORDS.has(tokens[bindingEnd - 1]?.value)) {
+                specifiers.push(this._createSpecifier('default', 'default', binding, false));
+                startToken = tokens[bindingEnd - 1];
+            } else if (this._isPunct(binding, '}')) {
+                const openIndex = this._findOpeningBrace(tokens, bindingEnd);
+                if (openIndex > 0 && DECLARATION_KEYWORDS.has(tokens[openIndex - 1]?.value)) {
+                    specifiers.push(...this._parseDestructuring(tokens, openIndex, bindingEnd));
+                    startToken = tokens[openIndex - 1];
+                }
+            }
+        }
+
+        return {
+            entry: this._createEntry('require', startToken, closing, source, specifiers, {
+                sideEffect: specifiers.length === 0 && !this._isPunct(tokens[start - 1], '=')
+            }),
+            next: start + 4
+        };
+    }
+
+    /**
+     * Parses a `{ a, b as c, type d }` list used by imports and re-exports.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} open - Index of the `{` token
+     * @param {boolean} typeOnly - Whether the whole declaration is type-only
+     * @returns {{specifiers: Array, next: number} | null}
+     * @private
+     */
+    _parseNamedList(tokens, open, typeOnly) {
+        const specifiers = [];
+        let i = open + 1;
+
+        while (i < tokens.length && !this._isPunct(tokens[i], '}')) {
+            let token = tokens[i];
+            let specifierTypeOnly = typeOnly;
+
+            // `type Foo` inside braces (but not a binding named `type`)
+            if (token.value === 'type' && tokens[i + 1] && (tokens[i + 1].type === TOKEN.IDENTIFIER || tokens[i + 1].type === TOKEN.STRING) && tokens[i + 1].value !== 'as') {
+                specifierTypeOnly = true;
+                i++;
+                token = tokens[i];
+            }
+
+            if (token.type !== TOKEN.IDENTIFIER && token.type !== TOKEN.STRING) {
+                return null;
+            }
+
+            let localToken = token;
+            i++;
+            if (tokens[i]?.value === 'as' && tokens[i + 1]) {
+                localToken = tokens[i + 1];
+                i += 2;
+            }
+
+            specifiers.push({
+                kind: 'named',
+                imported: token.value,
+                local: localToken.value,
+                typeOnly: specifierTypeOnly,
+                index: token.start,
+                length: localToken.end - token.start
+            });
+
+            if (this._isPunct(tokens[i], ',')) {
+                i++;
+            } else if (!this._isPunct(tokens[i], '}')) {
+                return null;
+            }
+        }
+
+        if (!this._isPunct(tokens[i], '}')) {
+            return null;
+        }
+        return { specifiers, next: i + 1 };
+    }
+
+    /**
+     * Parses the bindings of a `{ a, b: c }` destructuring pattern.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} open - Index of the `{` token
+     * @param {number} close - Index of the `}` token
+     * @returns {Array} Named specifiers
+     * @private
+     */
+    _parseDestructuring(tokens, open, close) {
+        const specifiers = [];
+        let i = open + 1;
+
+        while (i < close) {
+            const token = tokens[i];
+            if (token.type !== TOKEN.IDENTIFIER) {
+                i++;
+                continue;
+            }
+
+            let localToken = token;
+            let end = i + 1;
+            if (this._isPunct(tokens[i + 1], ':') && tokens[i + 2]?.type === TOKEN.IDENTIFIER) {
+                localToken = tokens[i + 2];
+                end = i + 3;
+            }
+
+            specifiers.push({
+                kind: 'named',
+                imported: token.value,
+                local: localToken.value,
+                typeOnly: false,
+                index: token.start,
+                length: localToken.end - token.start
+            });
+
+            // Skip default values and nested patterns up to the next top-level comma
+            let depth = 0;
+            i = end;
+            while (i < close && !(depth === 0 && this._isPunct(tokens[i], ','))) {
+                if (this._isPunct(tokens[i], '{') || this._isPunct(tokens[i], '[') || this._isPunct(tokens[i], '(')) depth++;
+                if (this._isPunct(tokens[i], '}') || this._isPunct(tokens[i], ']') || this._isPunct(tokens[i], ')')) depth--;
+                i++;
+            }
+            i++;
+        }
+
+        return specifiers;
+    }
+
+    /**
+     * Finds the `{` matching the `}` at `close`.
+     *
+     * @param {Array} tokens - Token list
+     * @param {number} close - Index of the closing brace
+     * @returns {number} Index of the opening brace or -1
+     * @private
+     */
+    _findOpeningBrace(tokens, close) {
+        let depth = 0;
+        for (let i = close; i >= 0; i--) {
+            if (this._isPunct(tokens[i], '}')) depth++;
+            if (this._isPunct(tokens[i], '{')) {
+                depth--;
+                if (depth === 0) {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Creates a specifier descriptor.
+     *
+     * @param {string} kind - 'default' | 'named' | 'namespace'
+     * @param {string} imported - Imported name
+     * @param {{value: string, start: number, end: number}} localToken - Local binding token
+     * @param {boolean} typeOnly - Type-only flag
+     * @param {{start: number}} [startToken] - First token of the specifier (defaults to the local token)
+     * @returns {{kind: string, imported: string, local: string, typeOnly: boolean, index: number, length: number}}
+     * @private
+     */
+    _createSpecifier(kind, imported, localToken, typeOnly, startToken = localToken) {
+        return {
+            kind,
+            imported,
+            local: localToken.value,
+            typeOnly,
+            index: startToken.start,
+            length: localToken.end - startToken.start
+        };
+    }
+
+    /**
+     * Creates an import entry spanning from `startToken` to `endToken`.
+     *
+     * @param {string} kind - Import kind
+     * @param {{start: number}} startToken - First token of the statement
+     * @param {{end: number}} endToken - Last token of the statement
+     * @param {{value: string, start: number, end: number}} sourceToken - Module specifier string token
+     * @param {Array} specifiers - Bound specifiers
+     * @param {{typeOnly?: boolean, sideEffect?: boolean}} [flags] - Extra flags
+     * @returns {object}
+     * @private
+     */
+    _createEntry(kind, startToken, endToken, sourceToken, specifiers, flags = {}) {
+        return {
+            path: sourceToken.value,
+            index: startToken.start,
+            length: endToken.end - startToken.start,
+            kind,
+            typeOnly: Boolean(flags.typeOnly) || (specifiers.length > 0 && specifiers.every(s => s.typeOnly)),
+            sideEffect: Boolean(flags.sideEffect),
+            pathIndex: sourceToken.start + 1,
+            pathLength: sourceToken.value.length,
+            specifiers
+        };
+    }
+
+    /**
+     * Adds the matched text and 0-based line number to an entry.
+     * Entries arrive in source order, so line counting resumes from the previous entry.
+     *
+     * @param {string} text - Source code
+     * @param {object} entry - Import entry
+     * @param {{offset: number, line: number}} lineTracker - Running line count
+     * @returns {object} Completed entry
+     * @private
+     */
+    _finalize(text, entry, lineTracker) {
+        // `require` entries may start before the previous entry ended (look-back bindings)
+        if (entry.index < lineTracker.offset) {
+            lineTracker.offset = 0;
+            lineTracker.line = 0;
+        }
+        for (let i = lineTracker.offset; i < entry.index; i++) {
+            if (text.charCodeAt(i) === 10) {
+                lineTracker.line++;
+            }
+        }
+        lineTracker.offset = entry.index;
+
+        entry.fullMatch = text.slice(entry.index, entry.index + entry.length);
+        entry.line = lineTracker.line;
+        return entry;
+    }
+
+    /**
+     * Checks whether a token is the given punctuator.
+     *
+     * @param {{type: string, value: string} | undefined} token - Token
+     * @param {string} value - Punctuator
+     * @returns {boolean}
+     * @private
+     */
+    _isPunct(token, value) {
+        return Boolean(token && token.type === TOKEN.PUNCTUATOR && token.value === value);
+    }
+}
+
+module.exports = JsImportScanner;
+module.exports.TOKEN = TOKEN;
@@ -0,0 +1,65 @@
+/**
+ * LineIndex converts character offsets of a text to line numbers and columns.
+ *
+ * The start offset of every line is collected once, so each lookup is a
+ * binary search instead of a scan over the text.
+ */
+class LineIndex {
+    /**
+     * Creates a new LineIndex instance.
+     *
+     * @param {string} text - Text to index
+     */
+    constructor(text) {
+        /** @type {number[]} Start offset of every line */
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+    }
+
+    /**
+     * Finds the 0-based line containing an offset.
+     *
+     * @param {number} offset - Character offset
+     * @returns {number} Line number
+     */
+    lineAt(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Gets the start offset of a line.
+     *
+     * @param {number} line - 0-based line number
+     * @returns {number} Character offset
+     */
+    lineStart(line) {
+        return this.lineStarts[line];
+    }
+
+    /**
+     * Converts an offset to a 0-based line and character.
+     *
+     * @param {number} offset - Character offset
+     * @returns {{line: number, character: number}}
+     */
+    positionAt(offset) {
+        const line = this.lineAt(offset);
+        return { line, character: offset - this.lineStarts[line] };
+    }
+}
+
+module.exports = LineIndex;
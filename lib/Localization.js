@@ -11,8 +11,10 @@ const TRANSLATIONS = {
         statusBarHealthy: 'Archit Search: Healthy',
         statusBarError: 'Archit Search: {0} Error{1}',
         statusBarWarning: 'Archit Search: {0} Warning{1}',
+        statusBarInfo: 'Archit Search: {0} Info',
+        statusBarHint: 'Archit Search: {0} Hint{1}',
         statusBarTooltipHealthy: 'No architecture violations detected.',
-        statusBarTooltipViolations: 'Architecture Check: {0} Error(s), {1} Warning(s)',
+        statusBarTooltipViolations: 'Architecture Check: {0} Error(s), {1} Warning(s), {2} Info, {3} Hint(s)',
         
         // === Sidebar ===
         sidebarNoActiveFile: 'No active file',
@@ -24,6 +26,27 @@ const TRANSLATIONS = {
         sidebarAnomalyScore: 'Anomaly Score (Z): {0}',
         sidebarProjectAvgImports: 'Project Avg Imports: {0}',
         sidebarProjectStdDev: 'Project StdDev: {0}',
+        sidebarFolders: '📁 Workspace Folders',
+        sidebarFolderHealth: 'Health {0} · {1} cycle(s)',
+        sidebarFolderNotAnalyzed: 'Not analyzed yet',
+        sidebarCurrentFile: '📄 Current File',
+        sidebarWorkspaceViolations: '🚨 Violations ({0})',
+        sidebarViolationsTooltip: 'Violations in the Problems panel (set architSearch.diagnosticsScope to "workspace" to list every file)',
+        sidebarByRule: 'By Rule',
+        sidebarByFile: 'By File',
+        sidebarNoViolations: 'No violations',
+        sidebarCycles: '🔄 Cycles ({0})',
+        sidebarCycleFiles: '{0} files',
+        sidebarNoCycles: 'No circular dependencies',
+        sidebarTopCoupling: '🔗 Highest Coupling',
+        sidebarCoupling: '{0} (in {1} · out {2})',
+        sidebarLowMaintainability: '🩺 Lowest Maintainability',
+        sidebarMaintainability: 'MI {0} · {1}',
+        sidebarNoFiles: 'No files analyzed yet',
+        sidebarLayers: '🧱 Layer Health',
+        sidebarLayerHealth: '{0} files · {1} violation(s) · MI {2}',
+        sidebarNoLayers: 'No layers configured',
+        sidebarNoLayer: 'No layer',
         
         // === Status Types ===
         statusHealthy: 'Healthy',
@@ -55,8 +78,10 @@ const TRANSLATIONS = {
         statusBarHealthy: 'Archit Search: สมบูรณ์',
         statusBarError: 'Archit Search: พบ {0} ข้อผิดพลาด',
         statusBarWarning: 'Archit Search: พบ {0} คำเตือน',
+        statusBarInfo: 'Archit Search: พบ {0} ข้อมูล',
+        statusBarHint: 'Archit Search: พบ {0} คำแนะนำ',
         statusBarTooltipHealthy: 'ไม่พบปัญหาในสถาปัตยกรรม',
-        statusBarTooltipViolations: 'ตรวจสอบสถาปัตยกรรม: {0} ข้อผิดพลาด, {1} คำเตือน',
+        statusBarTooltipViolations: 'ตรวจสอบสถาปัตยกรรม: {0} ข้อผิดพลาด, {1} คำเตือน, {2} ข้อมูล, {3} คำแนะนำ',
         
         // === Sidebar ===
         sidebarNoActiveFile: 'ไม่มีไฟล์ที่เปิดอยู่',
@@ -68,6 +93,27 @@ const TRANSLATIONS = {
         sidebarAnomalyScore: 'คะแนนความผิดปกติ (Z): {0}',
         sidebarProjectAvgImports: 'ค่าเฉลี่ย Import ของโปรเจค: {0}',
         sidebarProjectStdDev: 'ค่าเบี่ยงเบนมาตรฐาน: {0}',
+        sidebarFolders: '📁 โฟลเดอร์ในเวิร์กสเปซ',
+        sidebarFolderHealth: 'สุขภาพ {0} · วงจร {1}',
+        sidebarFolderNotAnalyzed: 'ยังไม่ได้วิเคราะห์',
+        sidebarCurrentFile: '📄 ไฟล์ปัจจุบัน',
+        sidebarWorkspaceViolations: '🚨 ปัญหาทั้งหมด ({0})',
+        sidebarViolationsTooltip: 'ปัญหาที่แสดงใน Problems panel (ตั้งค่า architSearch.diagnosticsScope เป็น "workspace" เพื่อแสดงทุกไฟล์)',
+        sidebarByRule: 'ตามกฎ',
+        sidebarByFile: 'ตามไฟล์',
+        sidebarNoViolations: 'ไม่พบปัญหา',
+        sidebarCycles: '🔄 วงจร ({0})',
+        sidebarCycleFiles: '{0} ไฟล์',
+        sidebarNoCycles: 'ไม่พบการพึ่งพาแบบวงจร',
+        sidebarTopCoupling: '🔗 Coupling สูงสุด',
+        sidebarCoupling: '{0} (เข้า {1} · ออก {2})',
+        sidebarLowMaintainability: '🩺 Maintainability ต่ำสุด',
+        sidebarMaintainability: 'MI {0} · {1}',
+        sidebarNoFiles: 'ยังไม่มีไฟล์ที่วิเคราะห์',
+        sidebarLayers: '🧱 สุขภาพของ Layer',
+        sidebarLayerHealth: '{0} ไฟล์ · ปัญหา {1} · MI {2}',
+        sidebarNoLayers: 'ยังไม่ได้กำหนด Layer',
+        sidebarNoLayer: 'ไม่อยู่ใน Layer',
         
         // === Status Types ===
         statusHealthy: 'สมบูรณ์',
@@ -1,20 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const ImportParser = require('./ImportParser');
-
-
-
-/**
- * Language ID mapping
- */
-const EXTENSION_TO_LANGUAGE = {
-    '.js': 'javascript',
-    '.jsx': 'javascriptreact',
-    '.ts': 'typescript',
-    '.tsx': 'typescriptreact',
-    '.py': 'python',
-    '.go': 'go'
-};
+const DependencyGraph = require('./DependencyGraph');
 
 /**
  * MetricsCalculator computes software architecture metrics.
@@ -23,113 +9,31 @@ const EXTENSION_TO_LANGUAGE = {
 class MetricsCalculator {
     /**
      * Creates a new MetricsCalculator instance.
-     */
-    constructor() {
-        /** @type {ImportParser} */
-        this.parser = new ImportParser();
-        
-        /** @type {Map<string, {afferent: number, efferent: number}>} */
-        this.couplingData = new Map();
-        
-        /** @type {Map<string, string[]>} File to its dependencies */
-        this.dependencyMap = new Map();
-        
-        /** @type {Map<string, string[]>} File to files that depend on it */
-        this.dependentMap = new Map();
-    }
-
-    /**
-     * Analyzes codebase and builds metric data.
      * 
-     * @param {string[]} filePaths - Array of absolute file paths
+     * @param {DependencyGraph} [dependencyGraph] - Shared dependency graph
      */
-    analyze(filePaths) {
-        // Reset maps
-        this.dependencyMap.clear();
-        this.dependentMap.clear();
-        this.couplingData.clear();
-
-        // First pass - build dependency map
-        for (const filePath of filePaths) {
-            const deps = this._getFileDependencies(filePath);
-            this.dependencyMap.set(filePath, deps);
-        }
-
-        // Second pass - build dependent map (reverse dependencies)
-        for (const [file, deps] of this.dependencyMap.entries()) {
-            for (const dep of deps) {
-                const normalizedDep = this._normalizePath(dep);
-                const matchedFile = this._findMatchingFile(normalizedDep, filePaths);
-                
-                if (matchedFile) {
-                    if (!this.dependentMap.has(matchedFile)) {
-                        this.dependentMap.set(matchedFile, []);
-                    }
-                    this.dependentMap.get(matchedFile).push(file);
-                }
-            }
-        }
+    constructor(dependencyGraph = new DependencyGraph()) {
+        /** @type {DependencyGraph} */
+        this.dependencyGraph = dependencyGraph;
 
-        // Calculate coupling for each file
-        for (const filePath of filePaths) {
-            const efferent = this.dependencyMap.get(filePath)?.length || 0;
-            const afferent = this.dependentMap.get(filePath)?.length || 0;
-            
-            this.couplingData.set(filePath, { afferent, efferent });
-        }
+        /** @type {Map<string, {mtimeMs: number, result: object}>} File path to maintainability result */
+        this.maintainabilityCache = new Map();
     }
 
     /**
-     * Gets dependencies of a file.
+     * Gets afferent (incoming) and efferent (outgoing) coupling of a file.
+     * Efferent coupling counts distinct imported files plus distinct external packages.
      * 
      * @param {string} filePath - Absolute file path
-     * @returns {string[]} Array of dependency paths
+     * @returns {{afferent: number, efferent: number}}
      * @private
      */
-    _getFileDependencies(filePath) {
-        try {
-            if (!fs.existsSync(filePath)) {
-                return [];
-            }
-
-            const content = fs.readFileSync(filePath, 'utf-8');
-            const ext = path.extname(filePath).toLowerCase();
-            const languageId = EXTENSION_TO_LANGUAGE[ext] || 'javascript';
-            
-            const imports = this.parser.parse(content, languageId);
-            return imports.map(imp => imp.path);
-        } catch {
-            return [];
-        }
-    }
-
-    /**
-     * Normalizes a file path for comparison.
-     * 
-     * @param {string} filePath - Path to normalize
-     * @returns {string} Normalized path
-     * @private
-     */
-    _normalizePath(filePath) {
-        return filePath.toLowerCase().replace(/\\/g, '/').replace(/\.[^/.]+$/, '');
-    }
-
-    /**
-     * Finds a matching file in the file list.
-     * 
-     * @param {string} normalizedPath - Normalized path to match
-     * @param {string[]} filePaths - List of file paths
-     * @returns {string | null} Matching file path or null
-     * @private
-     */
-    _findMatchingFile(normalizedPath, filePaths) {
-        for (const file of filePaths) {
-            const normalizedFile = this._normalizePath(file);
-            if (normalizedFile.endsWith(normalizedPath) || normalizedPath.endsWith(normalizedFile)) {
-                return file;
-            }
-        }
-        return null;
+    _getCoupling(filePath) {
+        return {
+            afferent: this.dependencyGraph.getDependents(filePath).length,
+            efferent: this.dependencyGraph.getDependencies(filePath).length +
+                this.dependencyGraph.getExternalDependencies(filePath).length
+        };
     }
 
     /**
@@ -141,8 +45,7 @@ class MetricsCalculator {
      * @returns {{instability: number, classification: string, afferent: number, efferent: number}}
      */
     calculateInstability(filePath) {
-        const coupling = this.couplingData.get(filePath) || { afferent: 0, efferent: 0 };
-        const { afferent, efferent } = coupling;
+        const { afferent, efferent } = this._getCoupling(filePath);
         
         const total = afferent + efferent;
         const instability = total > 0 ? efferent / total : 0;
@@ -173,8 +76,7 @@ class MetricsCalculator {
      * @returns {{afferentCoupling: number, efferentCoupling: number, totalCoupling: number, quality: string}}
      */
     calculateCoupling(filePath) {
-        const coupling = this.couplingData.get(filePath) || { afferent: 0, efferent: 0 };
-        const { afferent, efferent } = coupling;
+        const { afferent, efferent } = this._getCoupling(filePath);
         const total = afferent + efferent;
 
         let quality;
@@ -198,73 +100,106 @@ class MetricsCalculator {
 
     /**
      * Estimates Maintainability Index for a file.
-     * Simplified formula based on Halstead Volume, Cyclomatic Complexity, and Lines of Code.
+     * Results are cached until the file's modification time in the dependency graph changes.
      * 
      * @param {string} filePath - Absolute file path
      * @returns {{index: number, grade: string, suggestions: string[]}}
      */
     calculateMaintainability(filePath) {
+        const modifiedTime = this.dependencyGraph.getModifiedTime(filePath);
+        const cached = this.maintainabilityCache.get(filePath);
+        if (cached && modifiedTime !== null && cached.mtimeMs === modifiedTime) {
+            return cached.result;
+        }
+
         try {
             if (!fs.existsSync(filePath)) {
                 return { index: 0, grade: 'Unknown', suggestions: [] };
             }
 
-            const content = fs.readFileSync(filePath, 'utf-8');
-            const lines = content.split('\n');
-            const loc = lines.length;
-            
-            // Count complexity indicators
-            const complexityIndicators = (content.match(/\b(if|else|for|while|switch|case|catch|&&|\|\||\?)/g) || []).length;
-            
-            // Count operators and operands (simplified Halstead)
-            const operators = (content.match(/[+\-*/%=<>!&|^~]+/g) || []).length;
-            const operands = (content.match(/\b[a-zA-Z_][a-zA-Z0-9_]*\b/g) || []).length;
-            
-            // Simplified Maintainability Index formula
-            // MI = 171 - 5.2 * ln(Halstead Volume) - 0.23 * Cyclomatic Complexity - 16.2 * ln(LOC)
-            const volume = Math.log(operators + operands + 1);
-            const complexity = complexityIndicators;
-            const locLog = Math.log(loc + 1);
-            
-            let mi = 171 - (5.2 * volume) - (0.23 * complexity) - (16.2 * locLog);
-            mi = Math.max(0, Math.min(100, mi)); // Clamp to 0-100
-
-            const suggestions = [];
-            let grade;
-
-            if (mi >= 80) {
-                grade = 'A (Excellent)';
-            } else if (mi >= 60) {
-                grade = 'B (Good)';
-            } else if (mi >= 40) {
-                grade = 'C (Moderate)';
-                suggestions.push('Consider breaking down large functions');
-            } else if (mi >= 20) {
-                grade = 'D (Poor)';
-                suggestions.push('File needs refactoring');
-                suggestions.push('Reduce cyclomatic complexity');
-            } else {
-                grade = 'F (Critical)';
-                suggestions.push('Urgent refactoring required');
-                suggestions.push('Split into smaller modules');
-                suggestions.push('Add documentation');
+            const result = MetricsCalculator.measureMaintainability(fs.readFileSync(filePath, 'utf-8'));
+            if (modifiedTime !== null) {
+                this.maintainabilityCache.set(filePath, { mtimeMs: modifiedTime, result });
             }
+            return result;
+        } catch {
+            return { index: 0, grade: 'Error', suggestions: ['Could not analyze file'] };
+        }
+    }
 
-            if (loc > 300) {
-                suggestions.push('File is too long, consider splitting');
-            }
-            if (complexityIndicators > 20) {
-                suggestions.push('High cyclomatic complexity detected');
+    /**
+     * Stores maintainability results computed elsewhere (worker threads, persistent cache).
+     * 
+     * @param {Array<{filePath: string, mtimeMs?: number, maintainability?: {index: number, grade: string, suggestions: string[]}}>} results - Per-file results
+     */
+    loadMaintainability(results) {
+        for (const { filePath, mtimeMs, maintainability } of results) {
+            if (maintainability && mtimeMs !== undefined) {
+                this.maintainabilityCache.set(filePath, { mtimeMs, result: maintainability });
             }
+        }
+    }
 
-            return {
-                index: parseFloat(mi.toFixed(1)),
-                grade,
-                suggestions
-            };
-        } catch {
-            return { index: 0, grade: 'Error', suggestions: ['Could not analyze file'] };
+    /**
+     * Computes the Maintainability Index of source code.
+     * Simplified formula based on Halstead Volume, Cyclomatic Complexity, and Lines of Code.
+     * 
+     * @param {string} content - Source code content
+     * @returns {{index: number, grade: string, suggestions: string[]}}
+     */
+    static measureMaintainability(content) {
+        const lines = content.split('\n');
+        const loc = lines.length;
+        
+        // Count complexity indicators
+        const complexityIndicators = (content.match(/\b(if|else|for|while|switch|case|catch|&&|\|\||\?)/g) || []).length;
+        
+        // Count operators and operands (simplified Halstead)
+        const operators = (content.match(/[+\-*/%=<>!&|^~]+/g) || []).length;
+        const operands = (content.match(/\b[a-zA-Z_][a-zA-Z0-9_]*\b/g) || []).length;
+        
+        // Simplified Maintainability Index formula
+        // MI = 171 - 5.2 * ln(Halstead Volume) - 0.23 * Cyclomatic Complexity - 16.2 * ln(LOC)
+        const volume = Math.log(operators + operands + 1);
+        const complexity = complexityIndicators;
+        const locLog = Math.log(loc + 1);
+        
+        let mi = 171 - (5.2 * volume) - (0.23 * complexity) - (16.2 * locLog);
+        mi = Math.max(0, Math.min(100, mi)); // Clamp to 0-100
+
+        const suggestions = [];
+        let grade;
+
+        if (mi >= 80) {
+            grade = 'A (Excellent)';
+        } else if (mi >= 60) {
+            grade = 'B (Good)';
+        } else if (mi >= 40) {
+            grade = 'C (Moderate)';
+            suggestions.push('Consider breaking down large functions');
+        } else if (mi >= 20) {
+            grade = 'D (Poor)';
+            suggestions.push('File needs refactoring');
+            suggestions.push('Reduce cyclomatic complexity');
+        } else {
+            grade = 'F (Critical)';
+            suggestions.push('Urgent refactoring required');
+            suggestions.push('Split into smaller modules');
+            suggestions.push('Add documentation');
         }
+
+        if (loc > 300) {
+            suggestions.push('File is too long, consider splitting');
+        }
+        if (complexityIndicators > 20) {
+            suggestions.push('High cyclomatic complexity detected');
+        }
+
+        return {
+            index: parseFloat(mi.toFixed(1)),
+            grade,
+            suggestions
+        };
     }
 
     /**
@@ -294,7 +229,7 @@ class MetricsCalculator {
         let totalMaintainability = 0;
         let fileCount = 0;
 
-        for (const [filePath] of this.couplingData.entries()) {
+        for (const filePath of this.dependencyGraph.getFiles()) {
             const instability = this.calculateInstability(filePath);
             const maintainability = this.calculateMaintainability(filePath);
             
@@ -329,15 +264,6 @@ class MetricsCalculator {
         const score = (avgMaintainability * 0.6) + (stabilityScore * 0.4);
         return score.toFixed(1);
     }
-
-    /**
-     * Clears all metric data.
-     */
-    clear() {
-        this.dependencyMap.clear();
-        this.dependentMap.clear();
-        this.couplingData.clear();
-    }
 }
 
 module.exports = MetricsCalculator;
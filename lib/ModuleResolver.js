@@ -0,0 +1,522 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./ConfigLoader');
+const WorkspacePackages = require('./WorkspacePackages');
+
+/**
+ * Extensions probed when an import omits the file extension
+ */
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * Project config files that may declare `baseUrl` and `paths`, in lookup order
+ */
+const PROJECT_CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+/**
+ * Maximum `extends` chain length (guards against cycles)
+ */
+const MAX_EXTENDS_DEPTH = 10;
+
+/**
+ * Maximum nesting of `exports`/`imports` targets, counting condition objects, fallback
+ * arrays and targets that name another package (guards against self-referencing manifests)
+ */
+const MAX_TARGET_DEPTH = 16;
+
+/**
+ * package.json fields naming the entry point when there is no `exports`, in priority order.
+ * `source` (used by several bundlers) points at the untranspiled sources when present.
+ */
+const ENTRY_FIELDS = ['source', 'module', 'main'];
+
+/**
+ * Conditions tried last in `exports`/`imports` condition objects:
+ * they usually point at declaration files rather than sources.
+ */
+const LOW_PRIORITY_CONDITIONS = ['types', 'typings'];
+
+/**
+ * ModuleResolver turns import specifiers into absolute file paths.
+ *
+ * Handles relative imports, TypeScript/JavaScript project aliases
+ * (`baseUrl` and `paths` from the nearest tsconfig.json or jsconfig.json,
+ * following `extends` chains), package.json `imports` (`#internal/*`) and
+ * packages of npm/yarn/pnpm workspaces through their `exports`, `source`,
+ * `module` and `main` fields. Packages outside the workspace stay unresolved.
+ * Shared by ValidationService, GraphAnalyzer, DeepCycleDetector and MetricsCalculator
+ * so every check sees the same resolved files.
+ */
+class ModuleResolver {
+    /**
+     * Creates a new ModuleResolver instance.
+     */
+    constructor() {
+        /** @type {Map<string, {baseUrl: string | null, paths: Array<{pattern: string, targets: string[]}>, pathsBase: string} | null>} Directory to effective compiler options */
+        this.projectCache = new Map();
+
+        /** @type {Map<string, object | null>} Config file path to parsed (merged) compiler options */
+        this.configCache = new Map();
+
+        /** @type {WorkspacePackages} */
+        this.workspace = new WorkspacePackages();
+    }
+
+    /**
+     * Resolves an import specifier to an absolute file path.
+     *
+     * @param {string} fromFile - Absolute path of the importing file
+     * @param {string} specifier - Import specifier as written in source
+     * @returns {string | null} Absolute file path or null if it cannot be resolved to a file
+     */
+    resolve(fromFile, specifier) {
+        if (!specifier) {
+            return null;
+        }
+
+        const fromDir = path.dirname(fromFile);
+
+        if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+            return this.resolveFile(path.resolve(fromDir, specifier));
+        }
+
+        if (specifier.startsWith('#')) {
+            return this._resolvePackageImports(fromDir, specifier);
+        }
+
+        return this._resolveAlias(fromDir, specifier) || this._resolvePackage(fromDir, specifier);
+    }
+
+    /**
+     * Resolves a path without extension to an existing file,
+     * probing known extensions and directory index files.
+     *
+     * @param {string} basePath - Absolute path, with or without extension
+     * @returns {string | null} Existing file path or null
+     */
+    resolveFile(basePath) {
+        if (this._isFile(basePath)) {
+            return basePath;
+        }
+
+        for (const ext of RESOLVE_EXTENSIONS) {
+            if (this._isFile(basePath + ext)) {
+                return basePath + ext;
+            }
+        }
+
+        // ESM-style TypeScript imports reference the emitted `.js` file
+        const jsExt = path.extname(basePath);
+        if (['.js', '.jsx', '.mjs', '.cjs'].includes(jsExt)) {
+            const withoutExt = basePath.slice(0, -jsExt.length);
+            for (const ext of ['.ts', '.tsx', '.mts', '.cts']) {
+                if (this._isFile(withoutExt + ext)) {
+                    return withoutExt + ext;
+                }
+            }
+        }
+
+        for (const ext of RESOLVE_EXTENSIONS) {
+            const indexPath = path.join(basePath, `index${ext}`);
+            if (this._isFile(indexPath)) {
+                return indexPath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolves a bare specifier through `paths` and `baseUrl`.
+     *
+     * @param {string} fromDir - Directory of the importing file
+     * @param {string} specifier - Bare import specifier
+     * @returns {string | null}
+     * @private
+     */
+    _resolveAlias(fromDir, specifier) {
+        const options = this._getProjectOptions(fromDir);
+        if (!options) {
+            return null;
+        }
+
+        // 1. `paths` - exact patterns first, then the longest matching wildcard prefix
+        const candidates = this._matchPaths(options.paths, specifier);
+        for (const target of candidates) {
+            const resolved = this.resolveFile(path.resolve(options.pathsBase, target));
+            if (resolved) {
+                return resolved;
+            }
+        }
+
+        // 2. `baseUrl` - non-relative imports are looked up from the base directory
+        if (options.baseUrl) {
+            return this.resolveFile(path.resolve(options.baseUrl, specifier));
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolves a `#` subpath import through the `imports` field of the nearest package.json.
+     *
+     * @param {string} fromDir - Directory of the importing file
+     * @param {string} specifier - Specifier starting with `#`
+     * @returns {string | null}
+     * @private
+     */
+    _resolvePackageImports(fromDir, specifier) {
+        const manifestPath = this.workspace.findNearestManifest(fromDir);
+        const imports = manifestPath ? this.workspace.readManifest(manifestPath).imports : null;
+        if (!imports || typeof imports !== 'object') {
+            return null;
+        }
+
+        const match = this._matchSubpath(imports, specifier);
+        return match ? this._resolveTarget(path.dirname(manifestPath), match.target, match.wildcard, 0) : null;
+    }
+
+    /**
+     * Resolves a bare specifier naming a workspace package (or the enclosing package itself).
+     *
+     * @param {string} fromDir - Directory of the importing file
+     * @param {string} specifier - Bare specifier, e.g. `@acme/billing` or `@acme/billing/invoices`
+     * @param {number} [depth] - Current target depth when reached through an `exports`/`imports` target
+     * @returns {string | null}
+     * @private
+     */
+    _resolvePackage(fromDir, specifier, depth = 0) {
+        const segments = specifier.split('/');
+        const nameLength = specifier.startsWith('@') ? 2 : 1;
+        if (segments.length < nameLength) {
+            return null;
+        }
+
+        const name = segments.slice(0, nameLength).join('/');
+        const rest = segments.slice(nameLength).join('/');
+        const packageDir = this.workspace.findPackageDir(fromDir, name);
+        if (!packageDir) {
+            return null;
+        }
+
+        return this._resolvePackageEntry(packageDir, rest ? `./${rest}` : '.', depth);
+    }
+
+    /**
+     * Resolves a subpath (`.` or `./x`) of a package directory.
+     *
+     * @param {string} packageDir - Absolute package directory
+     * @param {string} subpath - Package subpath
+     * @param {number} depth - Current target depth
+     * @returns {string | null}
+     * @private
+     */
+    _resolvePackageEntry(packageDir, subpath, depth) {
+        const manifest = this.workspace.readManifest(path.join(packageDir, 'package.json')) || {};
+
+        if (manifest.exports !== undefined && manifest.exports !== null) {
+            // A string, array or condition object is shorthand for the "." entry
+            const exportsMap = typeof manifest.exports === 'object' && !Array.isArray(manifest.exports) &&
+                Object.keys(manifest.exports).some(key => key.startsWith('.'))
+                ? manifest.exports
+                : { '.': manifest.exports };
+
+            const match = this._matchSubpath(exportsMap, subpath);
+            return match ? this._resolveTarget(packageDir, match.target, match.wildcard, depth) : null;
+        }
+
+        if (subpath === '.') {
+            for (const field of ENTRY_FIELDS) {
+                if (typeof manifest[field] === 'string') {
+                    const resolved = this.resolveFile(path.resolve(packageDir, manifest[field]));
+                    if (resolved) {
+                        return resolved;
+                    }
+                }
+            }
+            return this.resolveFile(path.join(packageDir, 'index'));
+        }
+
+        return this.resolveFile(path.resolve(packageDir, subpath));
+    }
+
+    /**
+     * Finds the `exports`/`imports` entry for a subpath: exact keys first,
+     * then the `*` pattern with the longest prefix.
+     *
+     * @param {object} map - Subpath map
+     * @param {string} subpath - Requested subpath (e.g. `./utils` or `#db`)
+     * @returns {{target: any, wildcard: string | null} | null}
+     * @private
+     */
+    _matchSubpath(map, subpath) {
+        if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+            return { target: map[subpath], wildcard: null };
+        }
+
+        let best = null;
+        let bestPrefixLength = -1;
+        for (const key of Object.keys(map)) {
+            const starIndex = key.indexOf('*');
+            if (starIndex === -1) {
+                continue;
+            }
+
+            const prefix = key.slice(0, starIndex);
+            const suffix = key.slice(starIndex + 1);
+            if (subpath.length >= prefix.length + suffix.length &&
+                subpath.startsWith(prefix) && subpath.endsWith(suffix) &&
+                prefix.length > bestPrefixLength) {
+                best = { target: map[key], wildcard: subpath.slice(prefix.length, subpath.length - suffix.length) };
+                bestPrefixLength = prefix.length;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Resolves an `exports`/`imports` target (string, fallback array or condition object).
+     *
+     * @param {string} packageDir - Directory of the declaring package.json
+     * @param {any} target - Target value
+     * @param {string | null} wildcard - Text matched by `*` in the key
+     * @param {number} depth - Current target depth
+     * @returns {string | null}
+     * @private
+     */
+    _resolveTarget(packageDir, target, wildcard, depth) {
+        if (depth > MAX_TARGET_DEPTH) {
+            return null;
+        }
+
+        if (typeof target === 'string') {
+            const substituted = wildcard !== null ? target.split('*').join(wildcard) : target;
+            if (substituted.startsWith('./')) {
+                return this.resolveFile(path.resolve(packageDir, substituted));
+            }
+            // `imports` may map to another package
+            return this._resolvePackage(packageDir, substituted, depth + 1);
+        }
+
+        if (Array.isArray(target)) {
+            for (const candidate of target) {
+                const resolved = this._resolveTarget(packageDir, candidate, wildcard, depth + 1);
+                if (resolved) {
+                    return resolved;
+                }
+            }
+            return null;
+        }
+
+        if (target && typeof target === 'object') {
+            const conditions = Object.keys(target).sort((a, b) =>
+                Number(LOW_PRIORITY_CONDITIONS.includes(a)) - Number(LOW_PRIORITY_CONDITIONS.includes(b)));
+            for (const condition of conditions) {
+                const resolved = this._resolveTarget(packageDir, target[condition], wildcard, depth + 1);
+                if (resolved) {
+                    return resolved;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the `paths` substitutions that apply to a specifier.
+     *
+     * @param {Array<{pattern: string, targets: string[]}>} paths - Path mappings
+     * @param {string} specifier - Import specifier
+     * @returns {string[]} Substituted target paths, in priority order
+     * @private
+     */
+    _matchPaths(paths, specifier) {
+        let best = null;
+        let bestPrefixLength = -1;
+
+        for (const mapping of paths) {
+            const starIndex = mapping.pattern.indexOf('*');
+
+            if (starIndex === -1) {
+                if (mapping.pattern === specifier) {
+                    return mapping.targets;
+                }
+                continue;
+            }
+
+            const prefix = mapping.pattern.slice(0, starIndex);
+            const suffix = mapping.pattern.slice(starIndex + 1);
+            if (specifier.length >= prefix.length + suffix.length &&
+                specifier.startsWith(prefix) && specifier.endsWith(suffix) &&
+                prefix.length > bestPrefixLength) {
+                const matched = specifier.slice(prefix.length, specifier.length - suffix.length);
+                best = mapping.targets.map(target => target.replace('*', matched));
+                bestPrefixLength = prefix.length;
+            }
+        }
+
+        return best || [];
+    }
+
+    /**
+     * Gets the effective alias options for files in a directory,
+     * using the nearest tsconfig.json / jsconfig.json.
+     *
+     * @param {string} dir - Directory of the importing file
+     * @returns {{baseUrl: string | null, paths: Array, pathsBase: string} | null}
+     * @private
+     */
+    _getProjectOptions(dir) {
+        if (this.projectCache.has(dir)) {
+            return this.projectCache.get(dir);
+        }
+
+        let options = null;
+        const configPath = PROJECT_CONFIG_FILES
+            .map(name => path.join(dir, name))
+            .find(candidate => this._isFile(candidate));
+
+        if (configPath) {
+            options = this._buildOptions(this._loadCompilerOptions(configPath, 0));
+        } else {
+            const parent = path.dirname(dir);
+            options = parent !== dir ? this._getProjectOptions(parent) : null;
+        }
+
+        this.projectCache.set(dir, options);
+        return options;
+    }
+
+    /**
+     * Converts merged compiler options into resolver options.
+     *
+     * @param {object | null} compilerOptions - Merged options with absolute `baseUrl` and `pathsBase`
+     * @returns {{baseUrl: string | null, paths: Array, pathsBase: string} | null}
+     * @private
+     */
+    _buildOptions(compilerOptions) {
+        if (!compilerOptions || (!compilerOptions.baseUrl && !compilerOptions.paths)) {
+            return null;
+        }
+
+        const paths = Object.entries(compilerOptions.paths || {})
+            .filter(([, targets]) => Array.isArray(targets))
+            .map(([pattern, targets]) => ({ pattern, targets }));
+
+        return {
+            baseUrl: compilerOptions.baseUrl || null,
+            paths,
+            // `paths` are relative to baseUrl when set, otherwise to the config that declared them
+            pathsBase: compilerOptions.baseUrl || compilerOptions.pathsBase
+        };
+    }
+
+    /**
+     * Loads compiler options from a config file, following its `extends` chain.
+     * `baseUrl` is made absolute relative to the config that declares it.
+     *
+     * @param {string} configPath - Absolute config path
+     * @param {number} depth - Current `extends` depth
+     * @returns {object | null} Merged compiler options or null
+     * @private
+     */
+    _loadCompilerOptions(configPath, depth) {
+        if (this.configCache.has(configPath)) {
+            return this.configCache.get(configPath);
+        }
+        if (depth > MAX_EXTENDS_DEPTH) {
+            return null;
+        }
+
+        let result = null;
+        try {
+            const config = ConfigLoader.parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+            const configDir = path.dirname(configPath);
+
+            // Base configs first; later entries and the config itself override them
+            const parents = [].concat(config.extends || []);
+            result = {};
+            for (const parent of parents) {
+                const parentPath = this._resolveExtends(configDir, parent);
+                const parentOptions = parentPath ? this._loadCompilerOptions(parentPath, depth + 1) : null;
+                Object.assign(result, parentOptions);
+            }
+
+            const own = config.compilerOptions || {};
+            if (typeof own.baseUrl === 'string') {
+                result.baseUrl = path.resolve(configDir, own.baseUrl);
+            }
+            if (own.paths && typeof own.paths === 'object') {
+                result.paths = own.paths;
+                result.pathsBase = configDir;
+            }
+        } catch {
+            result = null; // Unreadable or invalid config
+        }
+
+        this.configCache.set(configPath, result);
+        return result;
+    }
+
+    /**
+     * Resolves an `extends` entry to a config file path.
+     * Supports relative paths and package configs from node_modules (e.g. `@tsconfig/node18`).
+     *
+     * @param {string} configDir - Directory of the extending config
+     * @param {string} extendsValue - `extends` entry
+     * @returns {string | null} Absolute config path or null
+     * @private
+     */
+    _resolveExtends(configDir, extendsValue) {
+        if (typeof extendsValue !== 'string') {
+            return null;
+        }
+
+        const candidates = [];
+        if (extendsValue.startsWith('.') || path.isAbsolute(extendsValue)) {
+            const base = path.resolve(configDir, extendsValue);
+            candidates.push(base, `${base}.json`);
+        } else {
+            // Walk up node_modules directories
+            for (let dir = configDir; ; dir = path.dirname(dir)) {
+                const base = path.join(dir, 'node_modules', extendsValue);
+                candidates.push(base, `${base}.json`, path.join(base, 'tsconfig.json'));
+                if (path.dirname(dir) === dir) {
+                    break;
+                }
+            }
+        }
+
+        return candidates.find(candidate => this._isFile(candidate)) || null;
+    }
+
+    /**
+     * Checks whether a path is an existing file.
+     *
+     * @param {string} filePath - Path to check
+     * @returns {boolean}
+     * @private
+     */
+    _isFile(filePath) {
+        try {
+            const stats = fs.statSync(filePath, { throwIfNoEntry: false });
+            return Boolean(stats && stats.isFile());
+        } catch {
+            // ENOTDIR when a parent path component is a file, EACCES, ...
+            return false;
+        }
+    }
+
+    /**
+     * Clears cached project configuration.
+     * Call when a tsconfig.json, jsconfig.json, package.json or pnpm-workspace.yaml changes.
+     */
+    clearCache() {
+        this.projectCache.clear();
+        this.configCache.clear();
+        this.workspace.clearCache();
+    }
+}
+
+module.exports = ModuleResolver;
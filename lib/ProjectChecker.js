@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+
+const RuleEngine = require('./RuleEngine');
+const ImportParser = require('./ImportParser');
+const GraphAnalyzer = require('./GraphAnalyzer');
+const SmartAdvisor = require('./SmartAdvisor');
+const AIKernel = require('./AIKernel');
+const DeepCycleDetector = require('./DeepCycleDetector');
+const MetricsCalculator = require('./MetricsCalculator');
+const UnusedImportDetector = require('./UnusedImportDetector');
+const ReportExporter = require('./ReportExporter');
+const FileAnalyzer = require('./FileAnalyzer');
+const FileScanner = require('./FileScanner');
+const FileFilter = require('./FileFilter');
+const ModuleResolver = require('./ModuleResolver');
+const DependencyGraph = require('./DependencyGraph');
+const ProjectConfig = require('./ProjectConfig');
+const Baseline = require('./Baseline');
+const ArchitectureGraph = require('./ArchitectureGraph');
+const LineIndex = require('./LineIndex');
+
+const { SEVERITY } = FileAnalyzer;
+
+/**
+ * ProjectChecker runs the full analysis pipeline over a directory without VS Code.
+ * It wires the same engine components the extension uses and collects every
+ * violation with file/line/column information for CI output.
+ *
+ * Files left out by `include`, `exclude`, `files.exclude` (from
+ * `.vscode/settings.json`) or `.gitignore` are not analyzed (see FileFilter).
+ * Violations recorded in the baseline file are left out and entries of the
+ * baseline that no longer occur are pruned from it.
+ */
+class ProjectChecker {
+    /**
+     * Creates a new ProjectChecker instance.
+     *
+     * @param {string} rootDir - Project root directory
+     * @param {object} settings - Normalized settings (see ConfigLoader); project config files are merged over them per file
+     * @param {Object} [options]
+     * @param {boolean} [options.baseline=true] - Leave out violations recorded in the baseline file and prune fixed ones
+     */
+    constructor(rootDir, settings, options = {}) {
+        /** @type {string} */
+        this.rootDir = path.resolve(rootDir);
+
+        /** @type {object} */
+        this.settings = settings;
+
+        /** @type {boolean} */
+        this.useBaseline = options.baseline !== false;
+
+        /** @type {ProjectConfig} Invalid config files fail the check instead of being skipped */
+        this.projectConfig = new ProjectConfig({ strict: true });
+
+        this.parser = new ImportParser();
+        this.resolver = new ModuleResolver();
+        this.dependencyGraph = new DependencyGraph(this.resolver);
+        this.aiKernel = new AIKernel();
+        this.deepCycleDetector = new DeepCycleDetector(this.dependencyGraph);
+        this.metricsCalculator = new MetricsCalculator(this.dependencyGraph);
+
+        /** @type {RuleEngine} */
+        this.engine = new RuleEngine();
+
+        /** @type {FileAnalyzer} */
+        this.analyzer = new FileAnalyzer({
+            engine: this.engine,
+            parser: this.parser,
+            graph: new GraphAnalyzer(this.dependencyGraph),
+            advisor: new SmartAdvisor(),
+            aiKernel: this.aiKernel,
+            deepCycleDetector: this.deepCycleDetector,
+            unusedImportDetector: new UnusedImportDetector(),
+            resolver: this.resolver
+        });
+
+        /** @type {ReportExporter} */
+        this.reportExporter = new ReportExporter(this.metricsCalculator, this.deepCycleDetector, this.projectConfig);
+    }
+
+    /**
+     * Scans the project and checks every supported file.
+     *
+     * @returns {{files: string[], violations: Array<{file: string, line: number, column: number, severity: string, message: string, ruleId: string, fingerprint: string}>, errorCount: number, warningCount: number, baselinedCount: number, prunedCount: number}}
+     * @throws {Error} If a project config file or the baseline file is invalid
+     */
+    run() {
+        const { files, violations: all } = this._checkProject();
+        const baselinePath = this.useBaseline ? this.getBaselinePath() : null;
+
+        let violations = all;
+        let baselinedCount = 0;
+        let prunedCount = 0;
+        if (baselinePath) {
+            const baseline = new Baseline(baselinePath);
+            const byFile = new Map(files.map(filePath => [this._relative(filePath), []]));
+            all.forEach(v => byFile.get(v.file).push(v));
+
+            violations = [];
+            for (const [file, fileViolations] of byFile) {
+                const matched = baseline.match(file, fileViolations);
+                violations.push(...matched.violations);
+                baselinedCount += matched.baselinedCount;
+                if (baseline.prune(file, matched.fixed)) {
+                    prunedCount += matched.fixed.length;
+                }
+            }
+
+            prunedCount += baseline.pruneMissingFiles(new Set(byFile.keys()));
+            if (prunedCount > 0) {
+                baseline.save();
+            }
+        }
+
+        return {
+            files,
+            violations,
+            errorCount: violations.filter(v => v.severity === SEVERITY.ERROR).length,
+            warningCount: violations.filter(v => v.severity === SEVERITY.WARNING).length,
+            baselinedCount,
+            prunedCount
+        };
+    }
+
+    /**
+     * Records every current violation in the baseline file, replacing its content.
+     *
+     * @returns {{filePath: string, count: number}} Baseline file and number of recorded violations
+     * @throws {Error} If no baseline file is configured or a project config file is invalid
+     */
+    createBaseline() {
+        const filePath = this.getBaselinePath();
+        if (!filePath) {
+            throw new Error('No baseline file configured (architSearch.baselineFile is empty)');
+        }
+
+        const { violations } = this._checkProject();
+        Baseline.create(filePath, violations);
+        return { filePath, count: violations.length };
+    }
+
+    /**
+     * Gets the baseline file of the project (`baselineFile` of the root settings).
+     *
+     * @returns {string | null} Absolute path, or null if baselines are disabled
+     * @throws {Error} If a project config file is invalid
+     */
+    getBaselinePath() {
+        const { baselineFile } = this.projectConfig.getDirectorySettings(this.rootDir, this.rootDir, this.settings);
+        return baselineFile ? path.resolve(this.rootDir, baselineFile) : null;
+    }
+
+    /**
+     * Scans the project and checks every supported file, ignoring the baseline.
+     *
+     * @returns {{files: string[], violations: Array<object>}}
+     * @throws {Error} If a project config file is invalid
+     * @private
+     */
+    _checkProject() {
+        // Fail fast on broken config files, before any analysis work
+        this.projectConfig.findAll(this.rootDir)
+            .forEach(configPath => this.projectConfig.getDirectorySettings(path.dirname(configPath), this.rootDir, this.settings));
+
+        const rootSettings = this.projectConfig.getDirectorySettings(this.rootDir, this.rootDir, this.settings);
+        const filter = new FileFilter(this.rootDir, rootSettings, rootSettings['files.exclude']);
+        const files = new FileScanner().scan(this.rootDir).filter(filePath => filter.includes(filePath));
+
+        // Project-wide models must exist before per-file checks
+        this.aiKernel.learn(files);
+        this.dependencyGraph.build(files);
+
+        const violations = [];
+        for (const filePath of files) {
+            violations.push(...this.checkFile(filePath));
+        }
+
+        return { files, violations };
+    }
+
+    /**
+     * Checks a single file and converts offsets to 1-based line/column positions.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {Array<{file: string, line: number, column: number, severity: string, message: string, ruleId: string, fingerprint: string}>}
+     */
+    checkFile(filePath) {
+        let text;
+        try {
+            text = fs.readFileSync(filePath, 'utf-8');
+        } catch {
+            return [];
+        }
+
+        const { violations } = this.analyzer.analyze({
+            filePath,
+            text,
+            languageId: ImportParser.getLanguageIdForFile(filePath),
+            rootDir: this.rootDir
+        }, this.projectConfig.getSettings(filePath, this.rootDir, this.settings));
+
+        const relativePath = this._relative(filePath);
+        const lines = new LineIndex(text);
+        return violations.map(v => {
+            const { line, character } = lines.positionAt(v.index);
+            return {
+                file: relativePath,
+                line: line + 1,
+                column: character + 1,
+                severity: v.severity,
+                message: v.message,
+                ruleId: v.ruleId,
+                fingerprint: Baseline.fingerprint(relativePath, v.ruleId, text, v.index, v.length)
+            };
+        });
+    }
+
+    /**
+     * Generates a report (json/html/markdown) including the collected violations,
+     * or a diagram of the dependencies (mermaid/dot/plantuml).
+     * The HTML report also shows the dependency structure matrix of the folders,
+     * and the Markdown report embeds the Mermaid diagram.
+     *
+     * @param {string} format - Report format
+     * @param {Array} violations - Violations returned by `run()`
+     * @param {Object} [options]
+     * @param {string} [options.granularity] - Diagram nodes: file, folder or layer
+     *   (default: `diagramGranularity` of the root settings)
+     * @returns {string} Report content
+     */
+    generateReport(format, violations, options = {}) {
+        const { HTML, MARKDOWN, MERMAID, DOT, PLANTUML } = ReportExporter.REPORT_FORMATS;
+        const graph = this._createArchitectureGraph();
+        const granularity = options.granularity || graph.settings.diagramGranularity;
+        return this.reportExporter.generateReport(format, {
+            violations,
+            rootDir: this.rootDir,
+            settings: this.settings,
+            matrix: format === HTML ? graph.buildMatrix() : undefined,
+            diagram: [MARKDOWN, MERMAID, DOT, PLANTUML].includes(format) ? graph.buildDiagram(granularity) : undefined
+        });
+    }
+
+    /**
+     * Creates the architecture model of the checked project.
+     *
+     * @returns {ArchitectureGraph}
+     * @private
+     */
+    _createArchitectureGraph() {
+        return new ArchitectureGraph({
+            dependencyGraph: this.dependencyGraph,
+            deepCycleDetector: this.deepCycleDetector,
+            engine: this.engine,
+            rootDir: this.rootDir,
+            settings: this.projectConfig.getDirectorySettings(this.rootDir, this.rootDir, this.settings),
+            getSettings: filePath => this.projectConfig.getSettings(filePath, this.rootDir, this.settings)
+        });
+    }
+
+    /**
+     * Gets the project-relative path of a file with forward slashes.
+     *
+     * @param {string} filePath - Absolute file path
+     * @returns {string}
+     * @private
+     */
+    _relative(filePath) {
+        return path.relative(this.rootDir, filePath).replace(/\\/g, '/');
+    }
+}
+
+module.exports = ProjectChecker;
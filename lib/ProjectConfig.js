@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./ConfigLoader');
+const FileScanner = require('./FileScanner');
+
+/**
+ * Project config file configuration
+ */
+const CONFIG = {
+    /** Config file names, in order of precedence within one directory */
+    FILE_NAMES: ['.architrc', '.architrc.json', 'archit.config.json'],
+    /** Preset file looked up inside a package named in `extends` */
+    PRESET_FILE_NAME: 'archit.config.json',
+    /** Maximum length of an `extends` chain */
+    MAX_EXTENDS_DEPTH: 10,
+    /** Keys describing the config file itself rather than analysis settings */
+    META_KEYS: ['$schema', 'root', 'extends']
+};
+
+/**
+ * ProjectConfig reads the checked-in project config files (`.architrc`,
+ * `.architrc.json`, `archit.config.json`) so that the editor and the CLI enforce
+ * the same rules for every developer.
+ *
+ * Config files apply to the files below their directory. For a given file, the
+ * configs from the project root down to the file's directory are merged over the
+ * base settings (VS Code settings or the CLI settings file): nearer configs
+ * override keys of outer ones, except `rules`, which nested configs append to.
+ * A config with `"root": true` stops the lookup at its directory.
+ *
+ * `extends` names other config files (relative paths) or presets published as
+ * packages (resolved from the config's directory, `<package>/archit.config.json`
+ * first). Patterns starting with `./` or `../` are relative to the directory of
+ * the config file in the project tree, also when they come from a preset.
+ */
+class ProjectConfig {
+    /**
+     * Creates a new ProjectConfig instance.
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - Throw on invalid config files instead of skipping them
+     */
+    constructor(options = {}) {
+        /** @type {boolean} */
+        this.strict = Boolean(options.strict);
+
+        /** @type {Map<string, string | null>} Directory to the config file it contains */
+        this.directoryCache = new Map();
+
+        /** @type {Map<string, {settings: object, root: boolean} | null>} Config path to loaded config */
+        this.fileCache = new Map();
+
+        /** @type {Map<string, string>} Config path to the error that made it unusable */
+        this.errors = new Map();
+    }
+
+    /**
+     * Gets the recognized config file names.
+     *
+     * @returns {string[]}
+     */
+    static getFileNames() {
+        return [...CONFIG.FILE_NAMES];
+    }
+
+    /**
+     * Gets the settings that apply to a file.
+     *
+     * @param {string} filePath - Absolute file path
+     * @param {string} rootDir - Project root directory (configs above it are ignored)
+     * @param {object} baseSettings - Normalized settings the project configs are merged over
+     * @returns {object} Effective settings
+     * @throws {Error} In strict mode, if a config file is invalid
+     */
+    getSettings(filePath, rootDir, baseSettings) {
+        return this.getDirectorySettings(path.dirname(filePath), rootDir, baseSettings);
+    }
+
+    /**
+     * Gets the settings that apply to the files of a directory.
+     *
+     * @param {string} dir - Absolute directory path
+     * @param {string} rootDir - Project root directory
+     * @param {object} baseSettings - Normalized settings the project configs are merged over
+     * @returns {object} Effective settings
+     * @throws {Error} In strict mode, if a config file is invalid
+     */
+    getDirectorySettings(dir, rootDir, baseSettings) {
+        let settings = { ...baseSettings };
+
+        this.getConfigFiles(dir, rootDir).forEach((configPath, depth) => {
+            const config = this._load(configPath);
+            if (!config) {
+                return;
+            }
+
+            const configDir = path.relative(rootDir, path.dirname(configPath)).replace(/\\/g, '/');
+            settings = ProjectConfig._merge(settings, ProjectConfig._resolvePatterns(config.settings, configDir), depth > 0);
+        });
+
+        return settings;
+    }
+
+    /**
+     * Gets the config files applying to a directory, outermost first.
+     *
+     * @param {string} dir - Absolute directory path
+     * @param {string} rootDir - Project root directory
+     * @returns {string[]} Absolute config file paths
+     */
+    getConfigFiles(dir, rootDir) {
+        const root = path.resolve(rootDir);
+        let current = path.resolve(dir);
+        const relative = path.relative(root, current);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return [];
+        }
+
+        const files = [];
+        for (;;) {
+            const configPath = this._findInDirectory(current);
+            if (configPath) {
+                files.unshift(configPath);
+                if (this._load(configPath)?.root) {
+                    break;
+                }
+            }
+            if (current === root) {
+                break;
+            }
+            current = path.dirname(current);
+        }
+
+        return files;
+    }
+
+    /**
+     * Finds every config file in a project.
+     *
+     * @param {string} rootDir - Project root directory
+     * @returns {string[]} Absolute config file paths, sorted
+     */
+    findAll(rootDir) {
+        return FileScanner.findByName(rootDir, CONFIG.FILE_NAMES)
+            .filter(configPath => this._findInDirectory(path.dirname(configPath)) === configPath);
+    }
+
+    /**
+     * Gets the errors of config files that could not be used.
+     *
+     * @returns {Array<{file: string, message: string}>}
+     */
+    getErrors() {
+        return [...this.errors].map(([file, message]) => ({ file, message }));
+    }
+
+    /**
+     * Clears cached config files (call when a config file changes).
+     */
+    clearCache() {
+        this.directoryCache.clear();
+        this.fileCache.clear();
+        this.errors.clear();
+    }
+
+    /**
+     * Finds the config file of a single directory.
+     *
+     * @param {string} dir - Absolute directory path
+     * @returns {string | null} Config path or null
+     * @private
+     */
+    _findInDirectory(dir) {
+        if (!this.directoryCache.has(dir)) {
+            const configPath = CONFIG.FILE_NAMES
+                .map(name => path.join(dir, name))
+                .find(candidate => fs.existsSync(candidate)) || null;
+            this.directoryCache.set(dir, configPath);
+        }
+        return this.directoryCache.get(dir);
+    }
+
+    /**
+     * Loads a config file with its `extends` chain.
+     *
+     * @param {string} configPath - Absolute config path
+     * @returns {{settings: object, root: boolean} | null} Config, or null if unusable (non-strict mode)
+     * @throws {Error} In strict mode, if the config or one of its presets is invalid
+     * @private
+     */
+    _load(configPath) {
+        if (this.fileCache.has(configPath)) {
+            return this.fileCache.get(configPath);
+        }
+
+        let config = null;
+        try {
+            config = this._read(configPath, []);
+        } catch (error) {
+            if (this.strict) {
+                throw error;
+            }
+            this.errors.set(configPath, error.message);
+        }
+
+        this.fileCache.set(configPath, config);
+        return config;
+    }
+
+    /**
+     * Reads and parses a config file, resolving presets.
+     *
+     * @param {string} configPath - Absolute config path
+     * @param {string[]} chain - Config files extending this one (for cycle detection)
+     * @returns {{settings: object, root: boolean}}
+     * @throws {Error} If the file or a preset cannot be read, parsed or resolved
+     * @private
+     */
+    _read(configPath, chain) {
+        if (chain.includes(configPath)) {
+            throw new Error(`Circular 'extends' in config file '${configPath}'`);
+        }
+        if (chain.length >= CONFIG.MAX_EXTENDS_DEPTH) {
+            throw new Error(`'extends' chain of config file '${chain[0]}' is too deep`);
+        }
+
+        let raw;
+        try {
+            raw = ConfigLoader.parseJsonc(fs.readFileSync(configPath, 'utf-8'));
+        } catch (error) {
+            throw new Error(`Invalid config file '${configPath}': ${error.message}`);
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error(`Invalid config file '${configPath}': expected an object`);
+        }
+
+        const own = { ...raw };
+        CONFIG.META_KEYS.forEach(key => delete own[key]);
+
+        let settings = {};
+        const presets = raw.extends === undefined ? [] : [].concat(raw.extends);
+        for (const preset of presets) {
+            if (typeof preset !== 'string') {
+                throw new Error(`Invalid config file '${configPath}': 'extends' must name config files`);
+            }
+            const presetPath = this._resolvePreset(preset, path.dirname(configPath));
+            settings = ProjectConfig._merge(settings, this._read(presetPath, [...chain, configPath]).settings, true);
+        }
+
+        return {
+            settings: ProjectConfig._merge(settings, ConfigLoader.unprefix(own), true),
+            root: raw.root === true
+        };
+    }
+
+    /**
+     * Resolves an `extends` entry to a config file path.
+     *
+     * @param {string} preset - Relative/absolute path or package name
+     * @param {string} fromDir - Directory of the extending config
+     * @returns {string} Absolute config path
+     * @throws {Error} If the preset cannot be found
+     * @private
+     */
+    _resolvePreset(preset, fromDir) {
+        if (preset.startsWith('.') || path.isAbsolute(preset)) {
+            return path.resolve(fromDir, preset);
+        }
+
+        const requests = path.extname(preset) === '.json'
+            ? [preset]
+            : [`${preset}/${CONFIG.PRESET_FILE_NAME}`, preset];
+        for (const request of requests) {
+            try {
+                return require.resolve(request, { paths: [fromDir] });
+            } catch {
+                // Try the next candidate
+            }
+        }
+        throw new Error(`Cannot find config preset '${preset}' (extended from ${fromDir})`);
+    }
+
+    /**
+     * Merges settings: keys of `override` replace those of `base`.
+     *
+     * @param {object} base - Base settings
+     * @param {object} override - Overriding settings
+     * @param {boolean} appendRules - Append `rules` instead of replacing them
+     * @returns {object} Merged settings
+     * @private
+     */
+    static _merge(base, override, appendRules) {
+        const merged = { ...base, ...override };
+        if (appendRules && Array.isArray(base.rules) && Array.isArray(override.rules)) {
+            merged.rules = [...base.rules, ...override.rules];
+        }
+        return merged;
+    }
+
+    /**
+     * Rewrites `./` and `../` patterns of rules and layers relative to the project root.
+     *
+     * @param {object} settings - Settings of one config file
+     * @param {string} configDir - Directory of the config file relative to the project root ('' for the root)
+     * @returns {object} Settings with project-relative patterns
+     * @private
+     */
+    static _resolvePatterns(settings, configDir) {
+        const resolve = pattern => {
+            if (typeof pattern !== 'string' || !/^\.\.?\//.test(pattern)) {
+                return pattern;
+            }
+            const resolved = path.posix.normalize(path.posix.join(configDir, pattern));
+            return resolved.startsWith('./') ? resolved.slice(2) : resolved;
+        };
+
+        const resolved = { ...settings };
+        if (Array.isArray(settings.rules)) {
+            resolved.rules = settings.rules.map(rule => {
+                const resolvedRule = { ...rule, source: resolve(rule.source) };
+                for (const key of ['disallow', 'allow', 'except']) {
+                    if (Array.isArray(rule[key])) {
+                        resolvedRule[key] = rule[key].map(resolve);
+                    }
+                }
+                return resolvedRule;
+            });
+        }
+        if (Array.isArray(settings.layers)) {
+            resolved.layers = settings.layers.map(layer => ({
+                ...layer,
+                ...(layer.pattern !== undefined ? { pattern: resolve(layer.pattern) } : {}),
+                ...(Array.isArray(layer.patterns) ? { patterns: layer.patterns.map(resolve) } : {})
+            }));
+        }
+        return resolved;
+    }
+}
+
+module.exports = ProjectConfig;
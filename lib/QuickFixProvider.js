@@ -1,10 +1,32 @@
 const vscode = require('vscode');
+const path = require('path');
+const ImportParser = require('./ImportParser');
+const SuppressionParser = require('./SuppressionParser');
+const { RULE_IDS } = require('./RuleCatalog');
 
 /**
  * QuickFixProvider provides Code Actions for architecture violations.
  * Implements vscode.CodeActionProvider to offer quick fixes in the editor.
  */
 class QuickFixProvider {
+    /**
+     * Creates a new QuickFixProvider instance.
+     * 
+     * @param {Object} [components] - Analysis components used by edge-specific fixes
+     * @param {import('./FolderRegistry')} [components.folders] - Per-folder analyses (cycle detectors)
+     * @param {import('./ModuleResolver')} [components.resolver]
+     */
+    constructor(components = {}) {
+        /** @type {ImportParser} */
+        this.parser = new ImportParser();
+
+        /** @type {import('./FolderRegistry') | undefined} */
+        this.folders = components.folders;
+
+        /** @type {import('./ModuleResolver') | undefined} */
+        this.resolver = components.resolver;
+    }
+
     /**
      * Provides code actions for a document.
      * 
@@ -21,40 +43,59 @@ class QuickFixProvider {
                 continue;
             }
 
-            const message = diagnostic.message.toLowerCase();
+            const ruleId = QuickFixProvider.getRuleId(diagnostic);
+            const category = ruleId ? ruleId.split('/')[0] : '';
 
             // Circular Dependency fixes
-            if (message.includes('circular') || message.includes('cycle')) {
+            if (category === 'cycle') {
                 actions.push(...this._createCycleActions(document, diagnostic));
             }
 
-            // Layer Violation fixes
-            if (message.includes('layer')) {
+            // Layer and custom rule violation fixes
+            if (category === 'layer' || category === 'rules') {
                 actions.push(...this._createLayerActions(document, diagnostic));
             }
 
             // Encapsulation fixes
-            if (message.includes('encapsulation') || message.includes('index')) {
+            if (category === 'encapsulation') {
                 actions.push(...this._createEncapsulationActions(document, diagnostic));
             }
 
-            // High Coupling fixes
-            if (message.includes('coupling') || message.includes('god object') || message.includes('imports')) {
+            // High Coupling fixes (also for files with statistically unusual import counts)
+            if (category === 'coupling' || ruleId === RULE_IDS.AI_ANOMALY) {
                 actions.push(...this._createCouplingActions(document, diagnostic));
             }
 
             // AI Suspicious dependency
-            if (message.includes('suspicious') || message.includes('semantic')) {
+            if (ruleId === RULE_IDS.AI_SEMANTIC) {
                 actions.push(...this._createSemanticActions(document, diagnostic));
             }
 
+            // Stale suppression comments
+            if (ruleId === RULE_IDS.SUPPRESSION_UNUSED) {
+                actions.push(this._createRemoveSuppressionAction(document, diagnostic));
+            }
+
             // Generic action - Add comment to suppress
-            actions.push(this._createSuppressAction(document, diagnostic));
+            if (ruleId && category !== 'suppression') {
+                actions.push(this._createSuppressAction(document, diagnostic, ruleId));
+            }
         }
 
         return actions;
     }
 
+    /**
+     * Gets the rule ID of an Archit Search diagnostic.
+     * 
+     * @param {vscode.Diagnostic} diagnostic - The diagnostic
+     * @returns {string | null} Rule ID, or null for diagnostics without one
+     */
+    static getRuleId(diagnostic) {
+        const code = typeof diagnostic.code === 'object' ? diagnostic.code?.value : diagnostic.code;
+        return typeof code === 'string' && code.includes('/') ? code : null;
+    }
+
     /**
      * Creates actions for circular dependency violations.
      * 
@@ -66,19 +107,25 @@ class QuickFixProvider {
     _createCycleActions(document, diagnostic) {
         const actions = [];
 
-        // Action 1 - Extract to shared module
-        const extractAction = new vscode.CodeAction(
-            '📦 Extract shared code to a common module',
-            vscode.CodeActionKind.Refactor
-        );
-        extractAction.diagnostics = [diagnostic];
-        extractAction.isPreferred = false;
-        extractAction.command = {
-            command: 'archit-search.showRefactorGuide',
-            title: 'Show Refactor Guide',
-            arguments: ['cycle', document.uri]
-        };
-        actions.push(extractAction);
+        // Action 1 - Remove the exact import suggested by the feedback edge set,
+        // or fall back to the generic extraction guide
+        const breakAction = this._createCycleBreakerAction(document, diagnostic);
+        if (breakAction) {
+            actions.push(breakAction);
+        } else {
+            const extractAction = new vscode.CodeAction(
+                '📦 Extract shared code to a common module',
+                vscode.CodeActionKind.Refactor
+            );
+            extractAction.diagnostics = [diagnostic];
+            extractAction.isPreferred = false;
+            extractAction.command = {
+                command: 'archit-search.showRefactorGuide',
+                title: 'Show Refactor Guide',
+                arguments: ['cycle', document.uri]
+            };
+            actions.push(extractAction);
+        }
 
         // Action 2 - Convert to dependency injection
         const diAction = new vscode.CodeAction(
@@ -105,6 +152,58 @@ class QuickFixProvider {
         return actions;
     }
 
+    /**
+     * Creates the action removing an import that belongs to the suggested
+     * feedback edge set (the imports whose removal makes the project acyclic).
+     * 
+     * @param {vscode.TextDocument} document - The document
+     * @param {vscode.Diagnostic} diagnostic - The diagnostic
+     * @returns {vscode.CodeAction | null} Action, or null if the import is not a suggested edge
+     * @private
+     */
+    _createCycleBreakerAction(document, diagnostic) {
+        if (!this.folders || !this.resolver) {
+            return null;
+        }
+
+        const imp = this._findImportAt(document, diagnostic.range);
+        const target = imp && this.resolver.resolve(document.uri.fsPath, imp.path);
+        if (!target) {
+            return null;
+        }
+
+        const config = vscode.workspace.getConfiguration('architSearch', document.uri);
+        const { deepCycleDetector } = this.folders.getForFile(document.uri.fsPath);
+        const edge = deepCycleDetector.getFeedbackEdge(document.uri.fsPath, target, config.get('deepCycleMaxDepth'), {
+            countCycles: config.get('enumerateAllCycles')
+        });
+        if (!edge) {
+            return null;
+        }
+
+        let resolves = '';
+        if (edge.cycleCount > 0) {
+            resolves = ` (resolves ${edge.cycleCount} cycle${edge.cycleCount === 1 ? '' : 's'})`;
+        } else if (edge.cycleCount === 0) {
+            resolves = ' (resolves longer cycles)';
+        }
+        const action = new vscode.CodeAction(
+            `✂️ Remove edge '${path.basename(edge.from)} → ${path.basename(edge.to)}'${resolves}`,
+            vscode.CodeActionKind.QuickFix
+        );
+        action.diagnostics = [diagnostic];
+        action.isPreferred = true;
+
+        // Delete the whole statement including its line break
+        const edit = new vscode.WorkspaceEdit();
+        const startLine = document.positionAt(imp.index).line;
+        const endLine = document.positionAt(imp.index + imp.length).line;
+        edit.delete(document.uri, new vscode.Range(startLine, 0, endLine + 1, 0));
+        action.edit = edit;
+
+        return action;
+    }
+
     /**
      * Creates actions for layer violations.
      * 
@@ -255,34 +354,74 @@ class QuickFixProvider {
     }
 
     /**
-     * Creates a suppress action that adds a comment.
+     * Creates a suppress action that adds a suppression comment with a reason
+     * placeholder. File-level diagnostics get an `archit-ignore-file` comment at
+     * the top of the file, others an `archit-ignore-next-line` comment above them.
      * 
      * @param {vscode.TextDocument} document - The document
      * @param {vscode.Diagnostic} diagnostic - The diagnostic
+     * @param {string} ruleId - Rule ID of the diagnostic
      * @returns {vscode.CodeAction}
      * @private
      */
-    _createSuppressAction(document, diagnostic) {
+    _createSuppressAction(document, diagnostic, ruleId) {
+        const fileLevel = diagnostic.range.isEmpty && diagnostic.range.start.line === 0 && diagnostic.range.start.character === 0;
         const action = new vscode.CodeAction(
-            '🔇 Suppress this warning with comment',
+            fileLevel ? `🔇 Suppress '${ruleId}' for this file` : `🔇 Suppress '${ruleId}' with comment`,
             vscode.CodeActionKind.QuickFix
         );
         action.diagnostics = [diagnostic];
         
-        const edit = new vscode.WorkspaceEdit();
         const line = diagnostic.range.start.line;
-        const position = new vscode.Position(line, 0);
         const lineText = document.lineAt(line).text;
-        const indent = lineText.match(/^\s*/)[0];
-        
-        edit.insert(document.uri, position, `${indent}// archit-ignore: ${diagnostic.code}\n`);
+        const indent = fileLevel ? '' : lineText.match(/^\s*/)[0];
+        const directive = fileLevel ? 'archit-ignore-file' : 'archit-ignore-next-line';
+        const comment = SuppressionParser.getCommentToken(document.languageId);
+
+        const snippet = new vscode.SnippetString(`${indent}${comment} ${directive} ${ruleId} -- `)
+            .appendPlaceholder('reason')
+            .appendText('\n');
+        const edit = new vscode.WorkspaceEdit();
+        edit.set(document.uri, [vscode.SnippetTextEdit.insert(new vscode.Position(line, 0), snippet)]);
         action.edit = edit;
 
         return action;
     }
 
     /**
-     * Creates an edit to comment out a line.
+     * Creates the action removing a suppression comment that suppresses nothing.
+     * The whole line is deleted when it holds only the comment.
+     * 
+     * @param {vscode.TextDocument} document - The document
+     * @param {vscode.Diagnostic} diagnostic - The diagnostic (covers the comment)
+     * @returns {vscode.CodeAction}
+     * @private
+     */
+    _createRemoveSuppressionAction(document, diagnostic) {
+        const action = new vscode.CodeAction('🧹 Remove unused suppression', vscode.CodeActionKind.QuickFix);
+        action.diagnostics = [diagnostic];
+        action.isPreferred = true;
+
+        const { start, end } = diagnostic.range;
+        const line = document.lineAt(start.line);
+        const before = line.text.slice(0, start.character);
+        const after = line.text.slice(end.character);
+
+        const edit = new vscode.WorkspaceEdit();
+        if (start.line === end.line && before.trim() === '' && after.trim() === '') {
+            edit.delete(document.uri, line.rangeIncludingLineBreak);
+        } else {
+            const trailingSpace = before.length - before.trimEnd().length;
+            edit.delete(document.uri, new vscode.Range(start.translate(0, -trailingSpace), end));
+        }
+        action.edit = edit;
+
+        return action;
+    }
+
+    /**
+     * Creates an edit to comment out the import statement at a range.
+     * Multi-line imports are commented out line by line.
      * 
      * @param {vscode.TextDocument} document - The document
      * @param {vscode.Range} range - The range to comment
@@ -291,13 +430,31 @@ class QuickFixProvider {
      */
     _createCommentEdit(document, range) {
         const edit = new vscode.WorkspaceEdit();
-        const line = document.lineAt(range.start.line);
-        const lineText = line.text;
-        
-        edit.replace(document.uri, line.range, `// ${lineText}`);
+        const imp = this._findImportAt(document, range);
+        const startLine = imp ? document.positionAt(imp.index).line : range.start.line;
+        const endLine = imp ? document.positionAt(imp.index + imp.length).line : range.start.line;
+
+        for (let lineNumber = startLine; lineNumber <= endLine; lineNumber++) {
+            const line = document.lineAt(lineNumber);
+            edit.replace(document.uri, line.range, `// ${line.text}`);
+        }
         return edit;
     }
 
+    /**
+     * Finds the parsed import statement containing the start of a range.
+     * 
+     * @param {vscode.TextDocument} document - The document
+     * @param {vscode.Range} range - Range inside the import
+     * @returns {object | null} Parsed import or null
+     * @private
+     */
+    _findImportAt(document, range) {
+        const offset = document.offsetAt(range.start);
+        const imports = this.parser.parse(document.getText(), document.languageId);
+        return imports.find(imp => offset >= imp.index && offset <= imp.index + imp.length) || null;
+    }
+
     /**
      * Creates an edit to fix import to use index file.
      * 
@@ -308,29 +465,28 @@ class QuickFixProvider {
      */
     _createIndexImportEdit(document, diagnostic) {
         try {
-            const line = document.lineAt(diagnostic.range.start.line);
-            const lineText = line.text;
-            
-            // Match import path patterns
-            const importMatch = lineText.match(/from\s+['"]([^'"]+)['"]/);
-            const requireMatch = lineText.match(/require\s*\(\s*['"]([^'"]+)['"]\s*\)/);
-            
-            const match = importMatch || requireMatch;
-            if (!match) {
+            const imp = this._findImportAt(document, diagnostic.range);
+            if (!imp) {
                 return null;
             }
 
-            const originalPath = match[1];
+            const originalPath = imp.path;
             const parts = originalPath.split('/');
             
             // Remove the specific file, keep directory
             if (parts.length > 1) {
                 parts.pop(); // Remove filename
                 const newPath = parts.join('/');
-                const newLineText = lineText.replace(originalPath, newPath);
+                
+                // Structured parses know the exact module path range; regex parses do not
+                const pathStart = imp.pathIndex ?? imp.index + imp.fullMatch.lastIndexOf(originalPath);
+                const pathRange = new vscode.Range(
+                    document.positionAt(pathStart),
+                    document.positionAt(pathStart + originalPath.length)
+                );
                 
                 const edit = new vscode.WorkspaceEdit();
-                edit.replace(document.uri, line.range, newLineText);
+                edit.replace(document.uri, pathRange, newPath);
                 return edit;
             }
         } catch {
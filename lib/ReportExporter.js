@@ -1,6 +1,7 @@
-const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const ConfigLoader = require('./ConfigLoader');
+const { DIAGRAM_GRANULARITY } = require('./ArchitectureGraph');
 
 /**
  * Available report export formats
@@ -13,7 +14,13 @@ const REPORT_FORMATS = {
     /** HTML format with styled dashboard visualization */
     HTML: 'html',
     /** Markdown format for documentation and wikis */
-    MARKDOWN: 'markdown'
+    MARKDOWN: 'markdown',
+    /** Mermaid `graph LR` of the dependency diagram, for Markdown docs */
+    MERMAID: 'mermaid',
+    /** Graphviz DOT digraph of the dependency diagram */
+    DOT: 'dot',
+    /** PlantUML component diagram of the dependency diagram */
+    PLANTUML: 'plantuml'
 };
 
 /**
@@ -23,7 +30,21 @@ const REPORT_FORMATS = {
 const FORMAT_EXTENSIONS = {
     [REPORT_FORMATS.JSON]: 'json',
     [REPORT_FORMATS.HTML]: 'html',
-    [REPORT_FORMATS.MARKDOWN]: 'md'
+    [REPORT_FORMATS.MARKDOWN]: 'md',
+    [REPORT_FORMATS.MERMAID]: 'mmd',
+    [REPORT_FORMATS.DOT]: 'dot',
+    [REPORT_FORMATS.PLANTUML]: 'puml'
+};
+
+/**
+ * Edge and node colors of the exported diagrams
+ * @readonly
+ */
+const DIAGRAM_COLORS = {
+    /** Imports breaking a rule or layer boundary */
+    VIOLATION: '#d32f2f',
+    /** Imports and nodes within a cycle */
+    CYCLE: '#f57c00'
 };
 
 /**
@@ -46,7 +67,11 @@ const EXTENSION_VERSION = '0.0.1';
 
 /**
  * ReportExporter generates comprehensive architecture analysis reports.
- * Supports JSON, HTML, and Markdown export formats with metrics visualization.
+ * Supports JSON, HTML, and Markdown export formats with metrics visualization,
+ * and exports the dependency diagram (ArchitectureGraph.buildDiagram) as
+ * Mermaid, Graphviz DOT or PlantUML. Imports within a cycle are drawn dashed
+ * and imports breaking a rule or layer boundary red; files or folders are
+ * grouped by layer.
  */
 class ReportExporter {
     /**
@@ -54,13 +79,17 @@ class ReportExporter {
      * 
      * @param {import('./MetricsCalculator')} metricsCalculator - Metrics calculator for project analysis
      * @param {import('./DeepCycleDetector')} deepCycleDetector - Deep cycle detector for dependency graph
+     * @param {import('./ProjectConfig')} [projectConfig] - Project config files described in the report
      */
-    constructor(metricsCalculator, deepCycleDetector) {
+    constructor(metricsCalculator, deepCycleDetector, projectConfig = null) {
         /** @type {import('./MetricsCalculator') | null} */
         this.metrics = metricsCalculator;
 
         /** @type {import('./DeepCycleDetector') | null} */
         this.cycleDetector = deepCycleDetector;
+
+        /** @type {import('./ProjectConfig') | null} */
+        this.projectConfig = projectConfig;
     }
 
     /**
@@ -71,12 +100,16 @@ class ReportExporter {
      * @param {object} [additionalData={}] - Additional data to include in the report
      * @param {Array} [additionalData.violations] - Array of detected violations
      * @param {Array} [additionalData.fileMetrics] - Array of per-file metrics
+     * @param {string} [additionalData.rootDir] - Project root; enables the configuration section
+     * @param {object} [additionalData.settings] - Base settings the project config files are merged over
+     * @param {object} [additionalData.matrix] - Dependency structure matrix (ArchitectureGraph.buildMatrix) for the HTML report
+     * @param {object} [additionalData.diagram] - Dependency diagram (ArchitectureGraph.buildDiagram) for the diagram
+     *   formats; embedded as a Mermaid graph in the Markdown report
      * @returns {Promise<boolean>} True if export succeeded, false otherwise
      */
     async exportReport(format, outputPath, additionalData = {}) {
         try {
-            const reportData = this._collectReportData(additionalData);
-            const content = this._generateContent(format, reportData);
+            const content = this.generateReport(format, additionalData);
             
             fs.writeFileSync(outputPath, content, 'utf-8');
             return true;
@@ -86,6 +119,20 @@ class ReportExporter {
         }
     }
 
+    /**
+     * Generates report content without writing it to disk.
+     * Does not touch the VS Code API, so it can run from the CLI.
+     * 
+     * @param {string} format - Report format (use REPORT_FORMATS enum)
+     * @param {object} [additionalData={}] - Additional data to include in the report
+     * @returns {string} Generated report content
+     * @throws {Error} If format is unknown
+     */
+    generateReport(format, additionalData = {}) {
+        const reportData = this._collectReportData(additionalData);
+        return this._generateContent(format, reportData);
+    }
+
     /**
      * Generates report content based on format.
      * 
@@ -103,6 +150,12 @@ class ReportExporter {
                 return this._generateHTML(reportData);
             case REPORT_FORMATS.MARKDOWN:
                 return this._generateMarkdown(reportData);
+            case REPORT_FORMATS.MERMAID:
+                return this._generateMermaid(reportData.diagram);
+            case REPORT_FORMATS.DOT:
+                return this._generateDot(reportData.diagram);
+            case REPORT_FORMATS.PLANTUML:
+                return this._generatePlantUML(reportData.diagram);
             default:
                 throw new Error(`Unknown format: ${format}`);
         }
@@ -134,10 +187,54 @@ class ReportExporter {
             })),
             violations: additionalData.violations || [],
             fileMetrics: additionalData.fileMetrics || [],
+            configuration: this._collectConfiguration(additionalData.rootDir, additionalData.settings),
+            matrix: this._collectMatrix(additionalData.matrix),
+            diagram: additionalData.diagram || null,
             recommendations: this._generateRecommendations(projectSummary, cycles)
         };
     }
 
+    /**
+     * Reduces a dependency structure matrix to what the report shows: the rows
+     * and the counts of the cells, without absolute paths or import sites.
+     * 
+     * @param {object | undefined} matrix - Matrix built by ArchitectureGraph.buildMatrix
+     * @returns {{layers: string[], modules: object[], cells: object[]} | null} Null without matrix
+     * @private
+     */
+    _collectMatrix(matrix) {
+        if (!matrix) {
+            return null;
+        }
+        return {
+            layers: matrix.layers,
+            modules: matrix.modules.map(({ id, label, kind, layer, files }) => ({ id, label, kind, layer, files })),
+            cells: matrix.cells.map(({ row, column, count, violations, cycle }) => ({ row, column, count, violations, cycle }))
+        };
+    }
+
+    /**
+     * Describes the configuration the report was produced with: the project
+     * config files and the rules and layers in effect at the project root.
+     * 
+     * @param {string | undefined} rootDir - Project root directory
+     * @param {object | undefined} settings - Base settings
+     * @returns {{files: string[], rules: number, layers: string[]} | null} Null without project config or root
+     * @private
+     */
+    _collectConfiguration(rootDir, settings) {
+        if (!this.projectConfig || !rootDir) {
+            return null;
+        }
+
+        const effective = this.projectConfig.getDirectorySettings(rootDir, rootDir, settings || ConfigLoader.normalize({}));
+        return {
+            files: this.projectConfig.findAll(rootDir).map(file => path.relative(rootDir, file).replace(/\\/g, '/')),
+            rules: (effective.rules || []).length,
+            layers: (effective.layers || []).map(layer => layer.name)
+        };
+    }
+
     /**
      * Generates actionable recommendations based on analysis results.
      * 
@@ -218,9 +315,35 @@ class ReportExporter {
             .map(r => `<li>${this._escapeHtml(r)}</li>`)
             .join('');
 
+        const violationsHtml = data.violations
+            .map(v => `<li class="violation-item severity-${this._escapeHtml(String(v.severity))}"><span class="location">${this._escapeHtml(this._formatLocation(v))}</span> ${this._escapeHtml(v.message)}${v.ruleId ? ` <span class="rule-id">${this._escapeHtml(v.ruleId)}</span>` : ''}</li>`)
+            .join('');
 
         const cyclesCount = data.cycles.length;
 
+        const matrixHtml = data.matrix && data.matrix.modules.length > 0 ? `
+        <div class="section">
+            <div class="card">
+                <h2>🧮 Dependency Structure Matrix</h2>
+                <p class="hint">Row imports column. Rows are ordered by layer, imported modules first, so cycles show up above the diagonal.</p>
+                <div class="dsm-scroll">${this._generateMatrixTable(data.matrix)}</div>
+            </div>
+        </div>
+        ` : '';
+
+        const configHtml = data.configuration ? `
+        <div class="section">
+            <div class="card">
+                <h2>⚙️ Configuration</h2>
+                <ul>
+                    <li>Config files: ${data.configuration.files.length > 0 ? data.configuration.files.map(f => `<span class="location">${this._escapeHtml(f)}</span>`).join(' ') : 'none (editor settings only)'}</li>
+                    <li>Layers (inner → outer): ${data.configuration.layers.length > 0 ? this._escapeHtml(data.configuration.layers.join(' → ')) : 'none'}</li>
+                    <li>Rules at the project root: ${data.configuration.rules}</li>
+                </ul>
+            </div>
+        </div>
+        ` : '';
+
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -273,7 +396,24 @@ class ReportExporter {
         li:last-child { border-bottom: none; }
         .cycle-item { font-family: 'Fira Code', monospace; font-size: 0.9rem; }
         .depth { color: #888; font-size: 0.8rem; }
+        .violation-item { font-size: 0.9rem; }
+        .location { font-family: 'Fira Code', monospace; color: #888; margin-right: 0.5rem; }
+        .severity-error .location { color: #f87171; }
+        .severity-warning .location { color: #fbbf24; }
+        .rule-id { font-family: 'Fira Code', monospace; color: #888; font-size: 0.8rem; margin-left: 0.5rem; }
         .section { margin-top: 2rem; }
+        .hint { color: #888; font-size: 0.9rem; margin-bottom: 1rem; }
+        .dsm-scroll { overflow-x: auto; }
+        .dsm { border-collapse: collapse; font-size: 0.8rem; }
+        .dsm th, .dsm td { border: 1px solid rgba(255, 255, 255, 0.1); padding: 0.2rem 0.4rem; text-align: center; }
+        .dsm th { color: #888; font-weight: normal; }
+        .dsm th.module { text-align: left; color: #eee; font-family: 'Fira Code', monospace; white-space: nowrap; }
+        .dsm th.file { padding-left: 1.5rem; }
+        .dsm td { min-width: 1.8rem; }
+        .dsm td.self { background: rgba(255, 255, 255, 0.15); }
+        .dsm td.count { background: rgba(102, 126, 234, 0.35); }
+        .dsm td.cycle { background: #f87171; color: #1a1a2e; }
+        .dsm td.violation { outline: 2px solid #f87171; outline-offset: -2px; font-weight: bold; }
         footer { 
             text-align: center; 
             color: #666; 
@@ -317,6 +457,19 @@ class ReportExporter {
         </div>
         ` : ''}
 
+        ${data.violations.length > 0 ? `
+        <div class="section">
+            <div class="card">
+                <h2>🚨 Violations (${data.violations.length})</h2>
+                <ul>${violationsHtml}</ul>
+            </div>
+        </div>
+        ` : ''}
+
+        ${matrixHtml}
+
+        ${configHtml}
+
         <div class="section">
             <div class="card">
                 <h2>💡 Recommendations</h2>
@@ -332,6 +485,41 @@ class ReportExporter {
 </html>`;
     }
 
+    /**
+     * Generates the table of a dependency structure matrix: the cell in row A
+     * and column B counts the imports from A to B; cycle cells above the
+     * diagonal are highlighted and cells with violating imports outlined.
+     * 
+     * @param {{layers: string[], modules: object[], cells: object[]}} matrix - Collected matrix
+     * @returns {string} HTML table
+     * @private
+     */
+    _generateMatrixTable(matrix) {
+        const cells = new Map(matrix.cells.map(cell => [`${cell.row}>${cell.column}`, cell]));
+        const header = matrix.modules
+            .map((module, column) => `<th title="${this._escapeHtml(module.id || module.label)}">${column + 1}</th>`)
+            .join('');
+
+        const rows = matrix.modules.map((module, row) => {
+            const layer = module.layer >= 0 ? matrix.layers[module.layer] : 'no layer';
+            const columns = matrix.modules.map((_, column) => {
+                const cell = cells.get(`${row}>${column}`);
+                if (row === column) {
+                    return '<td class="self"></td>';
+                }
+                if (!cell) {
+                    return '<td></td>';
+                }
+                const classes = ['count', cell.cycle && column > row ? 'cycle' : '', cell.violations > 0 ? 'violation' : ''].filter(Boolean).join(' ');
+                const title = `${cell.count} import(s)${cell.violations > 0 ? `, ${cell.violations} violating` : ''}${cell.cycle ? ', in a cycle' : ''}`;
+                return `<td class="${classes}" title="${title}">${cell.count}</td>`;
+            }).join('');
+            return `<tr><th class="module ${module.kind}" title="${this._escapeHtml(`${module.id || module.label} · ${layer}`)}">${this._escapeHtml(module.label)}</th><th>${row + 1}</th>${columns}</tr>`;
+        }).join('');
+
+        return `<table class="dsm"><thead><tr><th></th><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
     /**
      * Gets CSS class for health score display.
      * 
@@ -360,6 +548,24 @@ class ReportExporter {
         return 'metric-bad';
     }
 
+    /**
+     * Formats a violation location as `file:line:column`.
+     * 
+     * @param {{file?: string, line?: number, column?: number}} violation - Violation entry
+     * @returns {string} Location string
+     * @private
+     */
+    _formatLocation(violation) {
+        const parts = [violation.file || '?'];
+        if (violation.line) {
+            parts.push(violation.line);
+            if (violation.column) {
+                parts.push(violation.column);
+            }
+        }
+        return parts.join(':');
+    }
+
     /**
      * Escapes HTML special characters to prevent XSS.
      * 
@@ -398,6 +604,25 @@ class ReportExporter {
             ? `\n## 🔄 Circular Dependencies (${data.cycles.length})\n\n${cyclesList}\n`
             : '';
 
+        const violationsList = data.violations
+            .map(v => `| \`${this._formatLocation(v)}\` | ${v.severity} | ${String(v.message).replace(/\|/g, '\\|')} | ${v.ruleId ? `\`${v.ruleId}\`` : ''} |`)
+            .join('\n');
+
+        const violationsSection = data.violations.length > 0
+            ? `\n## 🚨 Violations (${data.violations.length})\n\n| Location | Severity | Message | Rule |\n|----------|----------|---------|------|\n${violationsList}\n`
+            : '';
+
+        const diagramSection = data.diagram && data.diagram.nodes.length > 0
+            ? `\n## 🗺️ Dependency Diagram (${data.diagram.granularity})\n\n\`\`\`mermaid\n${this._generateMermaid(data.diagram)}\`\`\`\n`
+            : '';
+
+        const configSection = data.configuration
+            ? `\n## ⚙️ Configuration\n\n` +
+                `- **Config files:** ${data.configuration.files.length > 0 ? data.configuration.files.map(f => `\`${f}\``).join(', ') : 'none (editor settings only)'}\n` +
+                `- **Layers (inner → outer):** ${data.configuration.layers.length > 0 ? data.configuration.layers.join(' → ') : 'none'}\n` +
+                `- **Rules at the project root:** ${data.configuration.rules}\n`
+            : '';
+
         return `# 🏛️ Architecture Report
 
 **Generated:** ${data.metadata.generatedAt}  
@@ -414,7 +639,8 @@ class ReportExporter {
 | Avg Instability | ${data.summary.averageInstability || '0.00'} |
 | Avg Maintainability | ${data.summary.averageMaintainability || '0.00'} |
 | Circular Dependencies | ${data.cycles.length} |
-${cyclesSection}
+| Violations | ${data.violations.length} |
+${cyclesSection}${violationsSection}${diagramSection}${configSection}
 ## 💡 Recommendations
 
 ${recsList}
@@ -425,6 +651,182 @@ ${recsList}
 `;
     }
 
+    /**
+     * Generates a Mermaid `graph LR` of a dependency diagram.
+     * 
+     * @param {object | null} diagram - Diagram model built by ArchitectureGraph.buildDiagram
+     * @returns {string} Mermaid source
+     * @private
+     */
+    _generateMermaid(diagram) {
+        const { groups, ungrouped, ids } = this._groupDiagramNodes(diagram);
+        const label = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+        const node = n => `${ids.get(n.id)}[${label(n.label)}]`;
+
+        const lines = ['graph LR'];
+        groups.forEach(({ name, nodes }, index) => {
+            lines.push(`    subgraph layer${index}[${label(name)}]`);
+            nodes.forEach(n => lines.push(`        ${node(n)}`));
+            lines.push('    end');
+        });
+        ungrouped.forEach(n => lines.push(`    ${node(n)}`));
+
+        const edges = diagram?.edges || [];
+        edges.forEach(edge => {
+            const text = this._getDiagramEdgeLabel(edge);
+            lines.push(`    ${ids.get(edge.from)} ${edge.cycle ? '-.->' : '-->'}${text ? `|${label(text)}|` : ''} ${ids.get(edge.to)}`);
+        });
+
+        const cyclic = (diagram?.nodes || []).filter(n => n.cycle).map(n => ids.get(n.id));
+        if (cyclic.length > 0) {
+            lines.push(`    classDef cycle stroke:${DIAGRAM_COLORS.CYCLE},stroke-width:2px`);
+            lines.push(`    class ${cyclic.join(',')} cycle`);
+        }
+        // Link styles refer to the edges by their position
+        const styled = (predicate, style) => {
+            const indices = edges.map((edge, index) => (predicate(edge) ? index : -1)).filter(index => index >= 0);
+            if (indices.length > 0) {
+                lines.push(`    linkStyle ${indices.join(',')} ${style}`);
+            }
+        };
+        styled(edge => edge.violations > 0, `stroke:${DIAGRAM_COLORS.VIOLATION},stroke-width:2px`);
+        styled(edge => edge.cycle && edge.violations === 0, `stroke:${DIAGRAM_COLORS.CYCLE}`);
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Generates a Graphviz DOT digraph of a dependency diagram.
+     * 
+     * @param {object | null} diagram - Diagram model built by ArchitectureGraph.buildDiagram
+     * @returns {string} DOT source
+     * @private
+     */
+    _generateDot(diagram) {
+        const { groups, ungrouped, ids } = this._groupDiagramNodes(diagram);
+        const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const node = n => `${ids.get(n.id)} [label=${quote(n.label)}${n.cycle ? `, color="${DIAGRAM_COLORS.CYCLE}", penwidth=2` : ''}];`;
+
+        const lines = [
+            'digraph architecture {',
+            '    rankdir=LR;',
+            '    node [shape=box, style=rounded, fontname="Helvetica"];',
+            '    edge [fontname="Helvetica", fontsize=10];'
+        ];
+        groups.forEach(({ name, nodes }, index) => {
+            lines.push(`    subgraph cluster_layer${index} {`);
+            lines.push(`        label=${quote(name)};`);
+            nodes.forEach(n => lines.push(`        ${node(n)}`));
+            lines.push('    }');
+        });
+        ungrouped.forEach(n => lines.push(`    ${node(n)}`));
+
+        for (const edge of diagram?.edges || []) {
+            const attributes = [];
+            const text = this._getDiagramEdgeLabel(edge);
+            if (text) {
+                attributes.push(`label=${quote(text)}`);
+            }
+            if (edge.violations > 0) {
+                attributes.push(`color="${DIAGRAM_COLORS.VIOLATION}"`, `fontcolor="${DIAGRAM_COLORS.VIOLATION}"`, 'penwidth=2');
+            } else if (edge.cycle) {
+                attributes.push(`color="${DIAGRAM_COLORS.CYCLE}"`);
+            }
+            if (edge.cycle) {
+                attributes.push('style=dashed');
+            }
+            lines.push(`    ${ids.get(edge.from)} -> ${ids.get(edge.to)}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+        }
+        lines.push('}');
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Generates a PlantUML component diagram of a dependency diagram.
+     * 
+     * @param {object | null} diagram - Diagram model built by ArchitectureGraph.buildDiagram
+     * @returns {string} PlantUML source
+     * @private
+     */
+    _generatePlantUML(diagram) {
+        const { groups, ungrouped, ids } = this._groupDiagramNodes(diagram);
+        // PlantUML strings cannot escape double quotes
+        const quote = text => `"${String(text).replace(/"/g, "'")}"`;
+        const node = n => `component ${quote(n.label)} as ${ids.get(n.id)}${n.cycle ? ' <<cycle>>' : ''}`;
+
+        const lines = [
+            '@startuml',
+            'left to right direction',
+            'skinparam componentStyle rectangle',
+            'skinparam component {',
+            `    BorderColor<<cycle>> ${DIAGRAM_COLORS.CYCLE}`,
+            '}'
+        ];
+        groups.forEach(({ name, nodes }) => {
+            lines.push(`package ${quote(name)} {`);
+            nodes.forEach(n => lines.push(`    ${node(n)}`));
+            lines.push('}');
+        });
+        ungrouped.forEach(n => lines.push(node(n)));
+
+        for (const edge of diagram?.edges || []) {
+            const style = [
+                edge.violations > 0 ? DIAGRAM_COLORS.VIOLATION : edge.cycle ? DIAGRAM_COLORS.CYCLE : '',
+                edge.cycle ? 'dashed' : '',
+                edge.violations > 0 ? 'bold' : ''
+            ].filter(Boolean).join(',');
+            const text = this._getDiagramEdgeLabel(edge);
+            lines.push(`${ids.get(edge.from)} -${style ? `[${style}]` : ''}-> ${ids.get(edge.to)}${text ? ` : ${text}` : ''}`);
+        }
+        lines.push('@enduml');
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Groups the nodes of a diagram by layer (files and folders only; layer
+     * nodes stay ungrouped) and gives every node a short identifier.
+     * 
+     * @param {object | null} diagram - Diagram model
+     * @returns {{groups: Array<{name: string, nodes: object[]}>, ungrouped: object[], ids: Map<string, string>}}
+     *   Groups inner to outer; nodes in no layer
+     * @private
+     */
+    _groupDiagramNodes(diagram) {
+        const nodes = diagram?.nodes || [];
+        const ids = new Map(nodes.map((node, index) => [node.id, `n${index}`]));
+        if (!diagram || diagram.granularity === DIAGRAM_GRANULARITY.LAYER) {
+            return { groups: [], ungrouped: nodes, ids };
+        }
+
+        const groups = diagram.layers.map(name => ({ name, nodes: [] }));
+        const ungrouped = [];
+        for (const node of nodes) {
+            (node.layer >= 0 ? groups[node.layer].nodes : ungrouped).push(node);
+        }
+        return { groups: groups.filter(group => group.nodes.length > 0), ungrouped, ids };
+    }
+
+    /**
+     * Gets the label of a diagram edge: the number of imports when there are
+     * several, and the number of violating ones.
+     * 
+     * @param {{count: number, violations: number}} edge - Diagram edge
+     * @returns {string} Label, empty for a single valid import
+     * @private
+     */
+    _getDiagramEdgeLabel(edge) {
+        const parts = [];
+        if (edge.count > 1) {
+            parts.push(String(edge.count));
+        }
+        if (edge.violations > 0) {
+            parts.push(`⚠ ${edge.violations}`);
+        }
+        return parts.join(' · ');
+    }
+
     /**
      * Opens a save dialog and exports the report to the selected location.
      * 
@@ -433,12 +835,15 @@ ${recsList}
      * @returns {Promise<boolean>} True if export succeeded, false if cancelled or failed
      */
     async exportWithDialog(format, data = {}) {
+        // Loaded lazily so report generation stays usable outside VS Code
+        const vscode = require('vscode');
         const ext = FORMAT_EXTENSIONS[format] || 'txt';
         const timestamp = new Date().toISOString().split('T')[0];
         const defaultFilename = `archit-report-${timestamp}.${ext}`;
 
+        // Reports of a workspace folder are offered to be saved in that folder
         const uri = await vscode.window.showSaveDialog({
-            defaultUri: vscode.Uri.file(defaultFilename),
+            defaultUri: vscode.Uri.file(data.rootDir ? path.join(data.rootDir, defaultFilename) : defaultFilename),
             filters: {
                 'Report Files': [ext]
             },
@@ -0,0 +1,132 @@
+/**
+ * Editor-independent violation severities.
+ * ValidationService maps these to `vscode.DiagnosticSeverity`.
+ * @readonly
+ * @enum {string}
+ */
+const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info',
+    HINT: 'hint'
+};
+
+/**
+ * Severity value that disables a rule
+ */
+const SEVERITY_OFF = 'off';
+
+/**
+ * Stable IDs of every check
+ * @readonly
+ * @enum {string}
+ */
+const RULE_IDS = {
+    RULES_DISALLOW: 'rules/disallow',
+    RULES_ALLOW_ONLY: 'rules/allow-only',
+    LAYER_INWARD_ONLY: 'layer/inward-only',
+    LAYER_ALLOWED_LAYERS: 'layer/allowed-layers',
+    ENCAPSULATION_INDEX: 'encapsulation/index-import',
+    CYCLE_DIRECT: 'cycle/direct',
+    CYCLE_DEEP: 'cycle/deep',
+    CYCLE_BREAKER: 'cycle/breaker',
+    COUPLING_MAX_IMPORTS: 'coupling/max-imports',
+    AI_ANOMALY: 'ai/anomaly',
+    AI_SEMANTIC: 'ai/semantic',
+    IMPORT_UNUSED: 'import/unused',
+    SUPPRESSION_INVALID: 'suppression/invalid',
+    SUPPRESSION_UNUSED: 'suppression/unused'
+};
+
+/**
+ * Default severity and summary of every rule
+ */
+const RULES = {
+    [RULE_IDS.RULES_DISALLOW]: { severity: SEVERITY.ERROR, description: 'Import matches a `disallow` pattern of a custom rule' },
+    [RULE_IDS.RULES_ALLOW_ONLY]: { severity: SEVERITY.ERROR, description: 'Import is not in the `allow` list of a custom rule' },
+    [RULE_IDS.LAYER_INWARD_ONLY]: { severity: SEVERITY.ERROR, description: 'Inner layer depends on an outer layer' },
+    [RULE_IDS.LAYER_ALLOWED_LAYERS]: { severity: SEVERITY.ERROR, description: 'Layer depends on a layer outside its `canDependOn` list or, in strict mode, a non-adjacent layer' },
+    [RULE_IDS.ENCAPSULATION_INDEX]: { severity: SEVERITY.WARNING, description: 'Import bypasses the index file of a module' },
+    [RULE_IDS.CYCLE_DIRECT]: { severity: SEVERITY.WARNING, description: 'Two files import each other' },
+    [RULE_IDS.CYCLE_DEEP]: { severity: SEVERITY.WARNING, description: 'File is part of a multi-file circular dependency' },
+    [RULE_IDS.CYCLE_BREAKER]: { severity: SEVERITY.INFO, description: 'Import suggested for removal to make the project acyclic' },
+    [RULE_IDS.COUPLING_MAX_IMPORTS]: { severity: SEVERITY.WARNING, description: 'File has more imports than `maxImports`' },
+    [RULE_IDS.AI_ANOMALY]: { severity: SEVERITY.WARNING, description: 'File has unusually many imports for this project' },
+    [RULE_IDS.AI_SEMANTIC]: { severity: SEVERITY.WARNING, description: 'Dependency between conceptually mismatched modules' },
+    [RULE_IDS.IMPORT_UNUSED]: { severity: SEVERITY.HINT, description: 'Imported name is never used' },
+    [RULE_IDS.SUPPRESSION_INVALID]: { severity: SEVERITY.WARNING, description: 'Suppression comment without a reason or with an unknown rule ID' },
+    [RULE_IDS.SUPPRESSION_UNUSED]: { severity: SEVERITY.WARNING, description: 'Suppression comment that suppresses nothing' }
+};
+
+/**
+ * Rule documentation (one heading per rule ID)
+ */
+const DOCS_URL = 'https://github.com/Thirawat27/archit-search/blob/main/docs/rules.md';
+
+/**
+ * RuleCatalog lists the checks with their stable IDs, default severities and
+ * documentation links, and resolves the severity configured for a rule.
+ *
+ * Severities are configured per rule ID in `architSearch.ruleSeverity`
+ * (`off`, `hint`, `info`, `warning` or `error`); custom rules may also carry
+ * their own `severity`, which takes precedence.
+ */
+class RuleCatalog {
+    /**
+     * Gets all rule IDs.
+     *
+     * @returns {string[]}
+     */
+    static getRuleIds() {
+        return Object.keys(RULES);
+    }
+
+    /**
+     * Gets the default severity and summary of a rule.
+     *
+     * @param {string} ruleId - Rule ID
+     * @returns {{severity: string, description: string} | undefined}
+     */
+    static getRule(ruleId) {
+        return RULES[ruleId];
+    }
+
+    /**
+     * Gets the documentation link of a rule.
+     *
+     * @param {string} ruleId - Rule ID
+     * @returns {string} URL
+     */
+    static getDocsUrl(ruleId) {
+        // GitHub heading anchors drop the slash
+        return `${DOCS_URL}#${ruleId.replace(/[^a-z0-9-]/g, '')}`;
+    }
+
+    /**
+     * Gets the valid severity values, including `off`.
+     *
+     * @returns {string[]}
+     */
+    static getSeverityLevels() {
+        return [SEVERITY_OFF, SEVERITY.HINT, SEVERITY.INFO, SEVERITY.WARNING, SEVERITY.ERROR];
+    }
+
+    /**
+     * Resolves the severity of a rule for the given settings.
+     *
+     * @param {string} ruleId - Rule ID
+     * @param {object} settings - Normalized settings (see ConfigLoader)
+     * @param {string} [override] - Severity set on the individual custom rule
+     * @returns {string | null} One of SEVERITY, or null if the rule is off
+     */
+    static resolveSeverity(ruleId, settings, override) {
+        const configured = [override, settings.ruleSeverity?.[ruleId]]
+            .find(value => RuleCatalog.getSeverityLevels().includes(value));
+        const severity = configured || RULES[ruleId]?.severity || SEVERITY.WARNING;
+        return severity === SEVERITY_OFF ? null : severity;
+    }
+}
+
+module.exports = RuleCatalog;
+module.exports.SEVERITY = SEVERITY;
+module.exports.RULE_IDS = RULE_IDS;
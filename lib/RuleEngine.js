@@ -1,19 +1,37 @@
 const fs = require('fs');
 const path = require('path');
-const { minimatch } = require('minimatch');
+const { minimatch, escape } = require('minimatch');
+const { RULE_IDS } = require('./RuleCatalog');
 
 /**
  * Index file extensions to check for encapsulation
  */
 const INDEX_EXTENSIONS = ['js', 'ts', 'jsx', 'tsx'];
 
+/**
+ * Capture groups in rule source patterns: `(*)` captures one path segment, `(**)` any number
+ */
+const CAPTURE_PATTERN = /\((\*\*?)\)/g;
+
 /**
  * RuleEngine validates architecture rules and layer dependencies.
  * Enforces Clean Architecture principles through glob pattern matching.
+ *
+ * A rule applies to importing files matching `source`. Its `disallow` patterns
+ * forbid targets; its `allow` patterns, when given, are the only project files
+ * the source may import (package imports are left to `disallow`). Targets
+ * matching `except` are exempt from the rule. Capture groups in `source`
+ * (`features/(*)/**`) can be referenced as `$1`, `$2`, ... in the target patterns
+ * and the message, e.g. `allow: ['features/$1/**', 'shared/**']`.
+ *
+ * Layers are listed from inner to outer and match files by `pattern` and/or
+ * `patterns`. A layer may depend on the layers inside it (in strict mode only
+ * on the adjacent one), unless it lists the layers it may depend on in
+ * `canDependOn`, e.g. sibling adapters that may only use ports and the domain.
  */
 class RuleEngine {
     constructor() {
-        /** @type {Map<string, any>} */
+        /** @type {Map<string, any>} Compiled capture patterns */
         this.cache = new Map();
     }
 
@@ -22,23 +40,26 @@ class RuleEngine {
      * 
      * @param {string} sourceRelativePath - Relative path of the source file
      * @param {string} targetRelativePath - Relative path of the import target
-     * @param {Array<{source: string, disallow: string[], message?: string}>} rules - Architecture rules
-     * @param {Array<{name: string, pattern: string}>} layers - Layer definitions (ordered from inner to outer)
-     * @returns {{isViolation: boolean, message: string} | null} Violation result or null if valid
+     * @param {Array<{source: string, disallow?: string[], allow?: string[], except?: string[], message?: string}>} rules - Architecture rules
+     * @param {Array<{name: string, pattern?: string, patterns?: string[], canDependOn?: string[]}>} layers - Layer definitions (ordered from inner to outer)
+     * @param {object} [options]
+     * @param {boolean} [options.external=false] - The target is a package outside the project (not restricted by `allow`)
+     * @param {boolean} [options.strictLayers=false] - Layers without `canDependOn` may only depend on the adjacent inner layer
+     * @returns {{isViolation: boolean, message: string, ruleId: string, severity?: string} | null} Violation result (with the custom rule's own severity, if any) or null if valid
      */
-    validate(sourceRelativePath, targetRelativePath, rules, layers) {
+    validate(sourceRelativePath, targetRelativePath, rules, layers, options = {}) {
         // Normalize paths to forward slashes for cross-platform compatibility
         const normalizedSource = this._normalizePath(sourceRelativePath);
         const normalizedTarget = this._normalizePath(targetRelativePath);
 
         // 1. Check Explicit Rules (Disallow patterns)
-        const ruleViolation = this._checkRuleViolations(normalizedSource, normalizedTarget, rules);
+        const ruleViolation = this._checkRuleViolations(normalizedSource, normalizedTarget, rules, Boolean(options.external));
         if (ruleViolation) {
             return ruleViolation;
         }
 
         // 2. Check Layer Architecture (Dependency direction)
-        const layerViolation = this._checkLayerViolations(normalizedSource, normalizedTarget, layers);
+        const layerViolation = this._checkLayerViolations(normalizedSource, normalizedTarget, layers, Boolean(options.strictLayers));
         if (layerViolation) {
             return layerViolation;
         }
@@ -46,6 +67,39 @@ class RuleEngine {
         return null;
     }
 
+    /**
+     * Checks only the layer boundaries between two files, leaving out custom rules.
+     *
+     * @param {string} sourceRelativePath - Relative path of the source file
+     * @param {string} targetRelativePath - Relative path of the import target
+     * @param {Array<{name: string, pattern?: string, patterns?: string[], canDependOn?: string[]}>} layers - Layer definitions
+     * @param {object} [options]
+     * @param {boolean} [options.strictLayers=false] - Layers without `canDependOn` may only depend on the adjacent inner layer
+     * @returns {{isViolation: boolean, message: string, ruleId: string} | null} Violation result or null if valid
+     */
+    checkLayers(sourceRelativePath, targetRelativePath, layers, options = {}) {
+        return this._checkLayerViolations(
+            this._normalizePath(sourceRelativePath),
+            this._normalizePath(targetRelativePath),
+            layers,
+            Boolean(options.strictLayers)
+        );
+    }
+
+    /**
+     * Finds the layer a file belongs to.
+     *
+     * @param {string} relativePath - Relative path of the file
+     * @param {Array<{name: string, pattern?: string, patterns?: string[]}>} layers - Layer definitions
+     * @returns {number} Index of the first matching layer, or -1 if the file is in no layer
+     */
+    getLayerIndex(relativePath, layers) {
+        if (!Array.isArray(layers) || layers.length === 0) {
+            return -1;
+        }
+        return this._findLayerIndex(this._normalizePath(relativePath), layers);
+    }
+
     /**
      * Checks for encapsulation violations (importing internal files when index exists).
      * 
@@ -92,45 +146,151 @@ class RuleEngine {
     }
 
     /**
-     * Checks if an import violates any explicit disallow rules.
+     * Checks if an import violates any explicit rule.
      * @param {string} source - Normalized source path
      * @param {string} target - Normalized target path
      * @param {Array} rules - Architecture rules
-     * @returns {{isViolation: boolean, message: string} | null}
+     * @param {boolean} external - Whether the target is a package outside the project
+     * @returns {{isViolation: boolean, message: string, ruleId: string, severity?: string} | null}
      * @private
      */
-    _checkRuleViolations(source, target, rules) {
-        for (const rule of rules) {
-            if (minimatch(source, rule.source, { matchBase: true })) {
-                if (rule.disallow) {
-                    for (const pattern of rule.disallow) {
-                        if (minimatch(target, pattern, { matchBase: true })) {
-                            return {
-                                isViolation: true,
-                                message: rule.message || `Violation: '${source}' cannot import from '${pattern}'`
-                            };
-                        }
-                    }
-                }
+    _checkRuleViolations(source, target, rules, external) {
+        for (const rule of rules || []) {
+            const captures = this._matchSource(source, rule.source);
+            if (!captures) {
+                continue;
+            }
+
+            const expand = pattern => this._substitute(pattern, captures, true);
+            const matches = pattern => minimatch(target, expand(pattern), { matchBase: true });
+
+            if (rule.except && rule.except.some(matches)) {
+                continue;
+            }
+
+            const disallowed = rule.disallow && rule.disallow.find(matches);
+            if (disallowed) {
+                return {
+                    isViolation: true,
+                    message: rule.message
+                        ? this._substitute(rule.message, captures, false)
+                        : `Violation: '${source}' cannot import from '${expand(disallowed)}'`,
+                    ruleId: RULE_IDS.RULES_DISALLOW,
+                    severity: rule.severity
+                };
+            }
+
+            if (rule.allow && !external && !rule.allow.some(matches)) {
+                return {
+                    isViolation: true,
+                    message: rule.message
+                        ? this._substitute(rule.message, captures, false)
+                        : `Violation: '${source}' may only import from ${rule.allow.map(p => `'${expand(p)}'`).join(', ')}`,
+                    ruleId: RULE_IDS.RULES_ALLOW_ONLY,
+                    severity: rule.severity
+                };
             }
         }
         return null;
     }
 
+    /**
+     * Matches a source path against a rule's source pattern.
+     * @param {string} source - Normalized source path
+     * @param {string} pattern - Source pattern, optionally with `(*)` / `(**)` capture groups
+     * @returns {string[] | null} Captured values (empty without groups), or null if not matching
+     * @private
+     */
+    _matchSource(source, pattern) {
+        if (typeof pattern !== 'string') {
+            return null;
+        }
+        if (!pattern.includes('(*')) {
+            return minimatch(source, pattern, { matchBase: true }) ? [] : null;
+        }
+
+        const compiled = this._compileCapturePattern(pattern);
+        const subject = compiled.basenameOnly ? path.posix.basename(source) : source;
+        const match = compiled.regex.exec(subject);
+        if (!match) {
+            return null;
+        }
+
+        // Brace expansion may repeat a group; the alternative that matched defines it
+        const captures = [];
+        compiled.groups.forEach((groupIndex, i) => {
+            if (match[i + 1] !== undefined && captures[groupIndex] === undefined) {
+                captures[groupIndex] = match[i + 1];
+            }
+        });
+        return captures;
+    }
+
+    /**
+     * Compiles a source pattern with capture groups to a regular expression (cached).
+     * @param {string} pattern - Source pattern
+     * @returns {{regex: RegExp, groups: number[], basenameOnly: boolean}} Regex and the capture index of each regex group
+     * @private
+     */
+    _compileCapturePattern(pattern) {
+        if (!this.cache.has(pattern)) {
+            const kinds = [];
+            const placeholder = i => `ARCHITCAPTURE${i}X`;
+            const glob = pattern.replace(CAPTURE_PATTERN, (_, stars) => placeholder(kinds.push(stars) - 1));
+            const base = minimatch.makeRe(glob);
+
+            const groups = [];
+            const source = base.source.replace(/ARCHITCAPTURE(\d+)X/g, (_, index) => {
+                groups.push(Number(index));
+                return kinds[index] === '**' ? '(.+?)' : '([^/]+)';
+            });
+
+            this.cache.set(pattern, {
+                regex: new RegExp(source, base.flags),
+                groups,
+                basenameOnly: !pattern.includes('/')
+            });
+        }
+        return this.cache.get(pattern);
+    }
+
+    /**
+     * Replaces `$1`, `$2`, ... with captured values.
+     * @param {string} text - Pattern or message
+     * @param {string[]} captures - Captured values
+     * @param {boolean} isPattern - Escape glob characters in the values
+     * @returns {string} Text with references replaced (unknown references are kept)
+     * @private
+     */
+    _substitute(text, captures, isPattern) {
+        if (captures.length === 0) {
+            return text;
+        }
+        return text.replace(/\$(\d)/g, (reference, digit) => {
+            const value = captures[Number(digit) - 1];
+            if (value === undefined) {
+                return reference;
+            }
+            return isPattern ? escape(value) : value;
+        });
+    }
+
     /**
      * Checks if an import violates layer architecture boundaries.
      * 
      * Layer Rule: Dependencies can only point INWARDS (lower index).
      * - Domain (index 0) -> Cannot import UI (index 3) = VIOLATION
      * - UI (index 3) -> Can import Domain (index 0) = OK
+     * In strict mode UI (index 3) may only import index 2; `canDependOn` replaces both.
      * 
      * @param {string} source - Normalized source path
      * @param {string} target - Normalized target path
      * @param {Array} layers - Layer definitions
-     * @returns {{isViolation: boolean, message: string} | null}
+     * @param {boolean} strict - Adjacent-only mode
+     * @returns {{isViolation: boolean, message: string, ruleId: string} | null}
      * @private
      */
-    _checkLayerViolations(source, target, layers) {
+    _checkLayerViolations(source, target, layers, strict) {
         if (!layers || layers.length === 0) {
             return null;
         }
@@ -139,21 +299,46 @@ class RuleEngine {
         const targetLayerIndex = this._findLayerIndex(target, layers);
 
         // Both must be in defined layers to check
-        if (sourceLayerIndex === -1 || targetLayerIndex === -1) {
+        if (sourceLayerIndex === -1 || targetLayerIndex === -1 || sourceLayerIndex === targetLayerIndex) {
             return null;
         }
 
-        // Violation if inner layer (lower index) imports outer layer (higher index)
-        if (sourceLayerIndex < targetLayerIndex) {
-            const sourceName = layers[sourceLayerIndex].name;
-            const targetName = layers[targetLayerIndex].name;
-            return {
-                isViolation: true,
-                message: `Layer Violation: '${sourceName}' layer cannot depend on outer '${targetName}' layer.`
-            };
+        const sourceLayer = layers[sourceLayerIndex];
+        const targetLayer = layers[targetLayerIndex];
+        const allowed = this._getAllowedLayers(sourceLayerIndex, layers, strict);
+        if (allowed.includes(targetLayer.name)) {
+            return null;
         }
 
-        return null;
+        // Inner layer (lower index) importing an outer one is named as such
+        const direction = sourceLayerIndex < targetLayerIndex && !Array.isArray(sourceLayer.canDependOn) ? 'outer ' : '';
+        const hint = allowed.length > 0
+            ? `Allowed layers: ${allowed.map(name => `'${name}'`).join(', ')}.`
+            : `'${sourceLayer.name}' may not depend on other layers.`;
+        return {
+            isViolation: true,
+            message: `Layer Violation: '${sourceLayer.name}' layer cannot depend on ${direction}'${targetLayer.name}' layer. ${hint}`,
+            ruleId: direction ? RULE_IDS.LAYER_INWARD_ONLY : RULE_IDS.LAYER_ALLOWED_LAYERS
+        };
+    }
+
+    /**
+     * Gets the names of the layers a layer may depend on (besides itself).
+     * @param {number} index - Layer index
+     * @param {Array} layers - Layer definitions
+     * @param {boolean} strict - Adjacent-only mode
+     * @returns {string[]} Layer names, nearest first
+     * @private
+     */
+    _getAllowedLayers(index, layers, strict) {
+        const layer = layers[index];
+        if (Array.isArray(layer.canDependOn)) {
+            return layer.canDependOn.filter(name => name !== layer.name);
+        }
+        if (strict) {
+            return index > 0 ? [layers[index - 1].name] : [];
+        }
+        return layers.slice(0, index).map(inner => inner.name).reverse();
     }
 
     /**
@@ -165,7 +350,11 @@ class RuleEngine {
      */
     _findLayerIndex(filePath, layers) {
         for (let i = 0; i < layers.length; i++) {
-            if (minimatch(filePath, layers[i].pattern)) {
+            const patterns = [
+                ...(layers[i].pattern ? [layers[i].pattern] : []),
+                ...(Array.isArray(layers[i].patterns) ? layers[i].patterns : [])
+            ];
+            if (patterns.some(pattern => minimatch(filePath, pattern))) {
                 return i;
             }
         }
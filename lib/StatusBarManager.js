@@ -7,7 +7,9 @@ const Localization = require('./Localization');
 const STATUS_COLORS = {
     HEALTHY: '#58d258',
     ERROR: '#ff4444',
-    WARNING: '#ffbb33'
+    WARNING: '#ffbb33',
+    INFO: '#4fa3ff',
+    HINT: '#9da5b4'
 };
 
 /**
@@ -16,7 +18,9 @@ const STATUS_COLORS = {
 const STATUS_ICONS = {
     HEALTHY: '✅',
     ERROR: '⛔',
-    WARNING: '⚠️'
+    WARNING: '⚠️',
+    INFO: 'ℹ️',
+    HINT: '💡'
 };
 
 /**
@@ -74,25 +78,32 @@ class StatusBarManager {
     }
 
     /**
-     * Sets the status bar to violation state with error/warning count.
+     * Sets the status bar to violation state, showing the count of the most severe kind.
      * @param {Array<{severity?: vscode.DiagnosticSeverity}>} violations - Array of violations
      * @private
      */
     _setViolationStatus(violations) {
-        const errorCount = violations.filter(
-            v => !v.severity || v.severity === vscode.DiagnosticSeverity.Error
-        ).length;
-        const warningCount = violations.length - errorCount;
+        const count = severity => violations.filter(v => (v.severity ?? vscode.DiagnosticSeverity.Error) === severity).length;
+        const errorCount = count(vscode.DiagnosticSeverity.Error);
+        const warningCount = count(vscode.DiagnosticSeverity.Warning);
+        const infoCount = count(vscode.DiagnosticSeverity.Information);
+        const hintCount = count(vscode.DiagnosticSeverity.Hint);
 
         if (errorCount > 0) {
             this.statusBarItem.text = `${STATUS_ICONS.ERROR} ${Localization.get('statusBarError', errorCount, Localization.plural(errorCount))}`;
             this.statusBarItem.color = STATUS_COLORS.ERROR;
-        } else {
+        } else if (warningCount > 0) {
             this.statusBarItem.text = `${STATUS_ICONS.WARNING} ${Localization.get('statusBarWarning', warningCount, Localization.plural(warningCount))}`;
             this.statusBarItem.color = STATUS_COLORS.WARNING;
+        } else if (infoCount > 0) {
+            this.statusBarItem.text = `${STATUS_ICONS.INFO} ${Localization.get('statusBarInfo', infoCount)}`;
+            this.statusBarItem.color = STATUS_COLORS.INFO;
+        } else {
+            this.statusBarItem.text = `${STATUS_ICONS.HINT} ${Localization.get('statusBarHint', hintCount, Localization.plural(hintCount))}`;
+            this.statusBarItem.color = STATUS_COLORS.HINT;
         }
         
-        this.statusBarItem.tooltip = Localization.get('statusBarTooltipViolations', errorCount, warningCount);
+        this.statusBarItem.tooltip = Localization.get('statusBarTooltipViolations', errorCount, warningCount, infoCount, hintCount);
     }
 
     /**
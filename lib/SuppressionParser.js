@@ -0,0 +1,321 @@
+const ImportParser = require('./ImportParser');
+const JsImportScanner = require('./JsImportScanner');
+const LineIndex = require('./LineIndex');
+const RuleCatalog = require('./RuleCatalog');
+
+const { RULE_IDS } = RuleCatalog;
+const { SCANNED_LANGUAGES, JSX_LANGUAGES } = ImportParser;
+
+/**
+ * Suppression comment configuration
+ */
+const CONFIG = {
+    /** Directive at the start of a comment (`//`, `/*` or `#`); longer keywords first */
+    DIRECTIVE_PATTERN: /^(\/\/|\/\*|#)[ \t]*archit-(ignore-next-line|ignore-file|ignore|disable|enable)(?![\w-])[ \t]*:?([^\r\n]*)/,
+    /** Separates the rule IDs from the reason */
+    REASON_SEPARATOR: /\s--\s*|^--\s*/,
+    /** Languages whose comments start with `#` instead of `//` */
+    HASH_COMMENT_LANGUAGES: new Set(['python', 'ruby']),
+    /** Languages where `'` starts a character literal rather than a string */
+    CHAR_LITERAL_LANGUAGES: new Set(['csharp', 'go', 'java', 'rust']),
+    /** Languages with `'''` / `"""` multi-line strings */
+    TRIPLE_QUOTE_LANGUAGES: new Set(['python', 'dart']),
+    /** Longest character literal, e.g. `'\u{1F600}'` */
+    MAX_CHAR_LITERAL_LENGTH: 12
+};
+
+/**
+ * Finds comments in JavaScript and TypeScript sources
+ */
+const jsScanner = new JsImportScanner();
+
+/**
+ * Rules reporting on suppression comments themselves (these cannot be suppressed)
+ */
+const SUPPRESSION_RULES = new Set([RULE_IDS.SUPPRESSION_INVALID, RULE_IDS.SUPPRESSION_UNUSED]);
+
+/**
+ * SuppressionParser reads `archit-*` suppression comments from a file and
+ * filters the violations they cover.
+ *
+ * Directives name the rule IDs they suppress (comma or space separated,
+ * `category/*` for a whole category, none for every rule) and must give a
+ * reason after `--`:
+ *
+ * - `archit-ignore <ids> -- <reason>`: the line of the comment, or the next
+ *   line when the comment stands on a line of its own
+ * - `archit-ignore-next-line <ids> -- <reason>`: the next line
+ * - `archit-disable <ids> -- <reason>` ... `archit-enable [ids]`: a block
+ *   (to the end of the file if not re-enabled)
+ * - `archit-ignore-file <ids> -- <reason>`: the whole file, including
+ *   file-level checks such as `coupling/max-imports`
+ *
+ * Directives without a reason or with unknown rule IDs are not honoured.
+ * They are reported as `suppression/invalid`, and directives that suppress
+ * nothing as `suppression/unused`.
+ *
+ * Only real comments are read: JavaScript and TypeScript through the
+ * JsImportScanner tokenizer, other languages skipping their string literals.
+ */
+class SuppressionParser {
+    /**
+     * Parses the suppression directives of a file.
+     *
+     * @param {string} text - Source text
+     * @param {string} [languageId] - VS Code language identifier (decides the comment syntax)
+     * @returns {Array<{kind: string, ruleIds: string[] | null, reason: string, index: number, length: number, startLine: number, endLine: number, error: string | null, used: boolean}>}
+     *   Directives; `ruleIds` is null for all rules, `endLine` is Infinity for open blocks
+     */
+    static parse(text, languageId) {
+        const lines = new LineIndex(text);
+        const directives = [];
+        const openBlocks = [];
+
+        for (const range of SuppressionParser._findComments(text, languageId)) {
+            const match = CONFIG.DIRECTIVE_PATTERN.exec(text.slice(range.start, range.end));
+            if (!match) {
+                continue;
+            }
+            const [comment, opener, kind, rest] = match;
+            const index = range.start;
+            const body = opener === '/*' ? rest.replace(/\*\/.*$/, '') : rest;
+            const line = lines.lineAt(index);
+            const { ruleIds, reason, error } = SuppressionParser._parseBody(body, kind !== 'enable');
+            const length = opener === '/*' && rest.includes('*/')
+                ? comment.length - rest.length + rest.indexOf('*/') + 2
+                : comment.trimEnd().length;
+
+            if (kind === 'enable') {
+                // Close the blocks naming one of the IDs, or all blocks if none are named
+                for (let i = openBlocks.length - 1; i >= 0; i--) {
+                    const block = openBlocks[i];
+                    if (!ruleIds || !block.ruleIds || block.ruleIds.some(id => ruleIds.includes(id))) {
+                        block.endLine = line;
+                        openBlocks.splice(i, 1);
+                    }
+                }
+                continue;
+            }
+
+            const standalone = text.slice(lines.lineStart(line), index).trim() === '';
+            const directive = { kind, ruleIds, reason, index, length, startLine: line, endLine: line, error, used: false };
+            if (kind === 'ignore-next-line' || (kind === 'ignore' && standalone)) {
+                directive.startLine = directive.endLine = line + 1;
+            } else if (kind === 'ignore-file') {
+                directive.startLine = 0;
+                directive.endLine = Infinity;
+            } else if (kind === 'disable') {
+                directive.endLine = Infinity;
+                if (!error) openBlocks.push(directive);
+            }
+            directives.push(directive);
+        }
+
+        return directives;
+    }
+
+    /**
+     * Removes the violations covered by valid directives and adds the
+     * `suppression/invalid` and `suppression/unused` violations.
+     *
+     * @param {string} text - Source text
+     * @param {Array<{index: number, length: number, ruleId: string}>} violations - Violations of the file
+     * @param {(ruleId: string, index: number, length: number, message: string) => object | null} report - Creates a violation, or null if the rule is off
+     * @param {string} [languageId] - VS Code language identifier (decides the comment syntax)
+     * @returns {{violations: Array<object>, suppressedCount: number}}
+     */
+    static apply(text, violations, report, languageId) {
+        const directives = SuppressionParser.parse(text, languageId);
+        if (directives.length === 0) {
+            return { violations, suppressedCount: 0 };
+        }
+
+        const lines = new LineIndex(text);
+        const kept = [];
+        let suppressedCount = 0;
+
+        for (const violation of violations) {
+            const line = lines.lineAt(violation.index);
+            // File-level checks report at offset 0 with no length; only file directives reach them
+            const fileLevel = violation.index === 0 && violation.length === 0;
+            const covering = SUPPRESSION_RULES.has(violation.ruleId) ? [] : directives.filter(directive =>
+                !directive.error &&
+                (!fileLevel || directive.kind === 'ignore-file') &&
+                line >= directive.startLine && line <= directive.endLine &&
+                SuppressionParser._matchesRule(directive.ruleIds, violation.ruleId)
+            );
+
+            if (covering.length === 0) {
+                kept.push(violation);
+                continue;
+            }
+            covering.forEach(directive => { directive.used = true; });
+            suppressedCount++;
+        }
+
+        for (const directive of directives) {
+            let created = null;
+            if (directive.error) {
+                created = report(RULE_IDS.SUPPRESSION_INVALID, directive.index, directive.length,
+                    `Suppression ignored: ${directive.error}`);
+            } else if (!directive.used) {
+                const rules = directive.ruleIds ? directive.ruleIds.map(id => `'${id}'`).join(', ') : 'any rule';
+                created = report(RULE_IDS.SUPPRESSION_UNUSED, directive.index, directive.length,
+                    `Unused suppression: no violation of ${rules} here - remove 'archit-${directive.kind}'`);
+            }
+            if (created) kept.push(created);
+        }
+
+        return { violations: kept, suppressedCount };
+    }
+
+    /**
+     * Gets the line comment token of a language.
+     *
+     * @param {string} languageId - VS Code language identifier
+     * @returns {string} `#` or `//`
+     */
+    static getCommentToken(languageId) {
+        return CONFIG.HASH_COMMENT_LANGUAGES.has(languageId) ? '#' : '//';
+    }
+
+    /**
+     * Finds the comments of a file.
+     *
+     * @param {string} text - Source text
+     * @param {string} [languageId] - VS Code language identifier
+     * @returns {Array<{start: number, end: number}>} Comment ranges in source order
+     * @private
+     */
+    static _findComments(text, languageId) {
+        if (SCANNED_LANGUAGES.has(languageId)) {
+            return jsScanner.findComments(text, { jsx: JSX_LANGUAGES.has(languageId) });
+        }
+
+        const hashComments = CONFIG.HASH_COMMENT_LANGUAGES.has(languageId);
+        const comments = [];
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            const next = text[i + 1];
+
+            if (hashComments ? char === '#' : char === '/' && next === '/') {
+                const end = text.indexOf('\n', i);
+                comments.push({ start: i, end: end === -1 ? text.length : end });
+                i = end === -1 ? text.length : end;
+            } else if (!hashComments && char === '/' && next === '*') {
+                const close = text.indexOf('*/', i + 2);
+                const end = close === -1 ? text.length : close + 2;
+                comments.push({ start: i, end });
+                i = end;
+            } else if (char === '"' || char === '\'' || char === '`') {
+                i = SuppressionParser._skipString(text, i, languageId);
+            } else {
+                i++;
+            }
+        }
+        return comments;
+    }
+
+    /**
+     * Skips a string or character literal. Unterminated strings end at the line
+     * break, except for multi-line (backtick and triple-quoted) strings.
+     *
+     * @param {string} text - Source text
+     * @param {number} start - Index of the opening quote
+     * @param {string} [languageId] - VS Code language identifier
+     * @returns {number} Index just past the literal
+     * @private
+     */
+    static _skipString(text, start, languageId) {
+        const quote = text[start];
+
+        // Character literals are short; anything else (e.g. a Rust lifetime) is not a literal
+        if (quote === '\'' && CONFIG.CHAR_LITERAL_LANGUAGES.has(languageId)) {
+            const close = text.indexOf('\'', start + (text[start + 1] === '\\' ? 3 : 2));
+            const literal = text.slice(start, close + 1);
+            return close !== -1 && literal.length <= CONFIG.MAX_CHAR_LITERAL_LENGTH && !literal.includes('\n')
+                ? close + 1
+                : start + 1;
+        }
+
+        const triple = quote.repeat(3);
+        if (quote !== '`' && CONFIG.TRIPLE_QUOTE_LANGUAGES.has(languageId) && text.startsWith(triple, start)) {
+            const close = text.indexOf(triple, start + 3);
+            return close === -1 ? text.length : close + 3;
+        }
+
+        for (let i = start + 1; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && quote !== '`') {
+                i++;
+            } else if (char === quote) {
+                return i + 1;
+            } else if (char === '\n' && quote !== '`') {
+                return i;
+            }
+        }
+        return text.length;
+    }
+
+    /**
+     * Parses the rule IDs and reason following a directive keyword.
+     *
+     * @param {string} body - Text after the keyword
+     * @param {boolean} requireReason - Whether a reason is mandatory
+     * @returns {{ruleIds: string[] | null, reason: string, error: string | null}}
+     * @private
+     */
+    static _parseBody(body, requireReason) {
+        const separator = body.match(CONFIG.REASON_SEPARATOR);
+        const idText = separator ? body.slice(0, separator.index) : body;
+        const reason = separator ? body.slice(separator.index + separator[0].length).trim() : '';
+
+        const ids = idText.split(/[\s,]+/).filter(Boolean);
+        const ruleIds = ids.length > 0 ? ids : null;
+
+        let error = null;
+        const unknown = ids.filter(id => !SuppressionParser._isKnownRule(id));
+        if (unknown.length > 0) {
+            error = `unknown rule ID ${unknown.map(id => `'${id}'`).join(', ')}`;
+        } else if (requireReason && !reason) {
+            error = "a reason is required after '--'";
+        }
+
+        return { ruleIds, reason, error };
+    }
+
+    /**
+     * Checks whether a directive rule ID names a known rule or category.
+     *
+     * @param {string} id - Rule ID or `category/*`
+     * @returns {boolean}
+     * @private
+     */
+    static _isKnownRule(id) {
+        if (SUPPRESSION_RULES.has(id)) {
+            return false;
+        }
+        if (id.endsWith('/*')) {
+            const category = id.slice(0, -1);
+            return RuleCatalog.getRuleIds().some(ruleId => ruleId.startsWith(category) && !SUPPRESSION_RULES.has(ruleId));
+        }
+        return RuleCatalog.getRule(id) !== undefined;
+    }
+
+    /**
+     * Checks whether a directive's rule IDs cover a rule.
+     *
+     * @param {string[] | null} ruleIds - Directive rule IDs (null for all rules)
+     * @param {string} ruleId - Rule ID of the violation
+     * @returns {boolean}
+     * @private
+     */
+    static _matchesRule(ruleIds, ruleId) {
+        return !ruleIds || ruleIds.some(id =>
+            id === ruleId || (id.endsWith('/*') && ruleId.startsWith(id.slice(0, -1)))
+        );
+    }
+}
+
+module.exports = SuppressionParser;
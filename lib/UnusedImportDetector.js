@@ -1,4 +1,5 @@
 const ImportParser = require('./ImportParser');
+const { TOKEN } = require('./JsImportScanner');
 
 /**
  * Configuration for unused import detection
@@ -18,7 +19,8 @@ const CONFIG = {
 
 /**
  * UnusedImportDetector identifies imports that are not used in the file.
- * Supports JavaScript, TypeScript, and common import patterns.
+ * JavaScript and TypeScript use the structured parse result (specifiers and token
+ * stream), so names inside comments and strings never count as usages.
  */
 class UnusedImportDetector {
     constructor() {
@@ -39,6 +41,10 @@ class UnusedImportDetector {
         
         // Parse all imports
         const imports = this.parser.parse(content, languageId);
+
+        if (this.parser.isStructured(languageId)) {
+            return this._detectStructured(content, imports);
+        }
         
         for (const imp of imports) {
             // Skip side-effect imports
@@ -66,6 +72,84 @@ class UnusedImportDetector {
         return unusedImports;
     }
 
+    /**
+     * Detects unused bindings using structured import specifiers.
+     * Re-exports, dynamic imports and side-effect imports bind nothing and are skipped.
+     * 
+     * @param {string} content - File content
+     * @param {Array} imports - Structured imports from ImportParser
+     * @returns {Array<{name: string, line: number, index: number, length: number, type: string}>}
+     * @private
+     */
+    _detectStructured(content, imports) {
+        const unusedImports = [];
+        const bindingImports = imports.filter(imp =>
+            (imp.kind === 'static' || imp.kind === 'require') && imp.specifiers.length > 0
+        );
+
+        if (bindingImports.length === 0) {
+            return unusedImports;
+        }
+
+        const usedNames = this._collectUsedIdentifiers(content, bindingImports);
+
+        for (const imp of bindingImports) {
+            for (const specifier of imp.specifiers) {
+                if (!specifier.local || usedNames.has(specifier.local)) {
+                    continue;
+                }
+
+                const precedingText = content.slice(imp.index, specifier.index);
+                unusedImports.push({
+                    name: specifier.local,
+                    line: imp.line + (precedingText.match(/\n/g) || []).length,
+                    index: specifier.index,
+                    length: specifier.length,
+                    type: specifier.kind
+                });
+            }
+        }
+
+        return unusedImports;
+    }
+
+    /**
+     * Collects identifiers referenced outside import statements.
+     * Property names after `.` are member accesses, not references to a binding.
+     * 
+     * @param {string} content - File content
+     * @param {Array<{index: number, length: number}>} imports - Import statements to exclude
+     * @returns {Set<string>} Referenced identifier names
+     * @private
+     */
+    _collectUsedIdentifiers(content, imports) {
+        const tokens = this.parser.jsScanner.tokenize(content);
+        const used = new Set();
+        let importIndex = 0;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            // Skip tokens that belong to an import statement (imports are in source order)
+            while (importIndex < imports.length && token.start >= imports[importIndex].index + imports[importIndex].length) {
+                importIndex++;
+            }
+            const current = imports[importIndex];
+            if (current && token.start >= current.index && token.end <= current.index + current.length) {
+                continue;
+            }
+
+            if (token.type === TOKEN.IDENTIFIER) {
+                const previous = tokens[i - 1];
+                if (!(previous && previous.type === TOKEN.PUNCTUATOR && previous.value === '.')) {
+                    used.add(token.value);
+                }
+            }
+        }
+
+        return used;
+    }
+
     /**
      * Checks if an import is a side-effect import (no bindings).
      * 
@@ -1,43 +1,76 @@
 const vscode = require('vscode');
+const fs = require('fs');
 const path = require('path');
-const Localization = require('./Localization');
+const ConfigLoader = require('./ConfigLoader');
+const ProjectConfig = require('./ProjectConfig');
+const FileAnalyzer = require('./FileAnalyzer');
+const Baseline = require('./Baseline');
+const ImportParser = require('./ImportParser');
+const LineIndex = require('./LineIndex');
+
+const { SEVERITY } = FileAnalyzer;
+
+/**
+ * Maps editor-independent severities to VS Code diagnostic severities
+ */
+const SEVERITY_MAP = {
+    [SEVERITY.ERROR]: vscode.DiagnosticSeverity.Error,
+    [SEVERITY.WARNING]: vscode.DiagnosticSeverity.Warning,
+    [SEVERITY.INFO]: vscode.DiagnosticSeverity.Information,
+    [SEVERITY.HINT]: vscode.DiagnosticSeverity.Hint
+};
+
+/**
+ * Files whose diagnostics are published (`architSearch.diagnosticsScope`)
+ * @readonly
+ * @enum {string}
+ */
+const SCOPE = {
+    ACTIVE_FILE: 'activeFile',
+    OPEN_FILES: 'openFiles',
+    WORKSPACE: 'workspace'
+};
 
 /**
  * Service responsible for orchestrating real-time file validation.
  * Handles duplicate checks, caching, and UI updates.
+ * Each file is checked against the graph, AI model and settings of its own
+ * workspace folder (see FolderRegistry), and violations recorded in that
+ * folder's baseline file are not shown. Files the folder leaves out of
+ * analysis (see FileFilter) get no diagnostics.
+ *
+ * The active editor is always validated. Depending on the diagnostics scope,
+ * the other files open in tabs or every analyzed workspace file also get
+ * diagnostics, which are kept up to date as files they depend on change.
  */
 class ValidationService {
     /**
      * @param {Object} components - Dependency components
-     * @param {import('./RuleEngine')} components.engine
-     * @param {import('./ImportParser')} components.parser
-     * @param {import('./Visualizer')} components.visualizer
-     * @param {import('./GraphAnalyzer')} components.graph
-     * @param {import('./SmartAdvisor')} components.advisor
-     * @param {import('./StatusBarManager')} components.statusBar
-     * @param {import('./AIKernel')} components.aiKernel
-     * @param {import('./ArchitSidebarProvider')} components.sidebarProvider
-     * @param {import('./DeepCycleDetector')} components.deepCycleDetector
-     * @param {import('./UnusedImportDetector')} components.unusedImportDetector
+     * @param {import('./Visualizer')} components.visualizer - Shows and publishes diagnostics
+     * @param {import('./StatusBarManager')} components.statusBar - Summarizes the active file's violations
+     * @param {import('./ArchitSidebarProvider')} components.sidebarProvider - Shows the active file's analysis
+     * @param {import('./FolderRegistry')} components.folders - Per-folder analyses; also list the analyzed files for the workspace scope
+     * @param {ProjectConfig} [components.projectConfig] - Checked-in project config files
      */
     constructor(components) {
-        this.engine = components.engine;
-        this.parser = components.parser;
         this.visualizer = components.visualizer;
-        this.graph = components.graph;
-        this.advisor = components.advisor;
         this.statusBar = components.statusBar;
-        this.aiKernel = components.aiKernel;
         this.sidebarProvider = components.sidebarProvider;
-        this.deepCycleDetector = components.deepCycleDetector;
-        this.unusedImportDetector = components.unusedImportDetector;
+        this.folders = components.folders;
+
+        /** @type {ProjectConfig} */
+        this.projectConfig = components.projectConfig || new ProjectConfig();
+
+        /** @type {Map<string, Baseline>} Baseline file path to baseline */
+        this.baselines = new Map();
 
         this.validationTimeout = undefined;
+        this.revalidatePass = null; // Cancellation token of the running full re-validation
         this.validationCache = new Map(); // Key: fsPath, Value: { version, violations, stats }
         
         this.DEFAULTS = {
             VALIDATION_THROTTLE_MS: 500,
-            MAX_IMPORTS: 20
+            WORKSPACE_BATCH_SIZE: 25
         };
     }
 
@@ -74,201 +107,488 @@ class ValidationService {
      */
     validateFile(editor) {
         if (!editor) return;
-        
-        const doc = editor.document;
-        const cacheKey = doc.uri.fsPath;
-        const cached = this.validationCache.get(cacheKey);
 
-        // Optimization: Use cached result if document version hasn't changed
-        // This makes tab switching instant
-        if (cached && cached.version === doc.version) {
-            this._updateUI(editor, cached.violations, cached.stats);
+        const { violations, stats } = this._analyzeDocument(editor.document);
+        this._updateUI(editor, violations, stats);
+    }
+
+    /**
+     * Re-validates visible editors showing any of the given files, and the other
+     * given files within the diagnostics scope.
+     * Cached results for those files are dropped even when the document version is
+     * unchanged, because their result depends on other files (e.g. a new cycle).
+     * Only the active editor updates the status bar and sidebar.
+     * 
+     * @param {Set<string>} filePaths - Absolute paths of affected files
+     * @param {{isCancellationRequested: boolean}} [token] - Stops publishing files outside the visible editors
+     */
+    revalidateFiles(filePaths, token) {
+        for (const filePath of filePaths) {
+            this.validationCache.delete(filePath);
+        }
+
+        const activeEditor = vscode.window.activeTextEditor;
+        const shown = new Set();
+        for (const editor of vscode.window.visibleTextEditors) {
+            const doc = editor.document;
+            if (doc.uri.scheme !== 'file' || !filePaths.has(doc.uri.fsPath)) {
+                continue;
+            }
+
+            shown.add(doc.uri.fsPath);
+            if (editor === activeEditor) {
+                this.triggerValidation(editor);
+            } else {
+                this.visualizer.report(editor, this._analyzeDocument(doc).violations);
+            }
+        }
+
+        // Deleted files lose their diagnostics in every scope
+        const inScope = this._getScopeFilter();
+        const others = [...filePaths].filter(filePath => !shown.has(filePath) && (inScope(filePath) || !fs.existsSync(filePath)));
+        this._publishFiles(others, { token }).catch(err => console.error('[Archit Search] Validation failed:', err));
+    }
+
+    /**
+     * Drops all cached results and re-validates the visible editors and every
+     * other file within the diagnostics scope (e.g. after the graph was rebuilt
+     * or settings changed).
+     */
+    revalidateAll() {
+        this.clearCache();
+
+        const filePaths = new Set(vscode.window.visibleTextEditors.map(editor => editor.document.uri.fsPath));
+        const scope = this.getScope();
+        if (scope === SCOPE.OPEN_FILES) {
+            this._getOpenFiles().forEach(filePath => filePaths.add(filePath));
+        } else if (scope === SCOPE.WORKSPACE) {
+            this.folders.getFiles().forEach(filePath => filePaths.add(filePath));
+        }
+
+        // A newer full pass supersedes the running one
+        if (this.revalidatePass) {
+            this.revalidatePass.isCancellationRequested = true;
+        }
+        this.revalidatePass = { isCancellationRequested: false };
+        this.revalidateFiles(filePaths, this.revalidatePass);
+    }
+
+    /**
+     * Publishes diagnostics for every analyzed workspace file, whatever the scope.
+     * 
+     * @param {Object} [options]
+     * @param {{isCancellationRequested: boolean}} [options.token] - Cancellation token
+     * @param {(done: number, total: number) => void} [options.onProgress] - Called after each batch
+     * @returns {Promise<boolean>} Whether every file was validated (false if cancelled)
+     */
+    validateWorkspace(options = {}) {
+        const filePaths = this.folders.getFiles();
+        filePaths.forEach(filePath => this.validationCache.delete(filePath));
+        return this._publishFiles(filePaths, options);
+    }
+
+    /**
+     * Applies a changed diagnostics scope: diagnostics of files outside the new
+     * scope are removed and the files inside it are validated.
+     */
+    applyScope() {
+        const inScope = this._getScopeFilter();
+        const active = vscode.window.activeTextEditor?.document.uri.fsPath;
+        this.visualizer.retain(uri => uri.fsPath === active || inScope(uri.fsPath));
+        this.revalidateAll();
+    }
+
+    /**
+     * Updates diagnostics when editor tabs are opened or closed (open files scope).
+     * 
+     * @param {vscode.TabChangeEvent} event - Tab change event
+     */
+    handleTabChanges(event) {
+        if (this.getScope() !== SCOPE.OPEN_FILES) {
             return;
         }
 
-        const text = doc.getText();
-        const config = vscode.workspace.getConfiguration('architSearch');
-
-        // Validation Settings
-        const rules = config.get('rules') || [];
-        const layers = config.get('layers') || [];
-        const maxImports = config.get('maxImports') || this.DEFAULTS.MAX_IMPORTS;
-        const checkEncapsulation = config.get('enforceEncapsulation') !== false;
-        const checkCycles = config.get('checkCycles') !== false;
-        const enableAI = config.get('enableAI') !== false;
-        const detectUnused = config.get('detectUnusedImports') === true;
-        const checkDeepCycles = config.get('checkDeepCycles') !== false;
-
-        const workspaceFolder = vscode.workspace.getWorkspaceFolder(doc.uri);
-        const currentFilePathRelative = workspaceFolder
-            ? vscode.workspace.asRelativePath(doc.uri, false)
-            : path.basename(doc.fileName);
-
-        // Run Analysis
-        const imports = this.parser.parse(text, doc.languageId);
-        const violations = [];
-        let anomalyScore = '0.0';
-
-        // 1. God Object Check
-        if (imports.length > maxImports) {
-            violations.push(this._createViolation(
-                new vscode.Range(0, 0, 0, 0),
-                Localization.get('godObject', imports.length, maxImports),
-                vscode.DiagnosticSeverity.Warning
-            ));
+        const uriOf = tab => (tab.input instanceof vscode.TabInputText ? tab.input.uri : null);
+        const openFiles = this._getOpenFiles();
+
+        const closed = event.closed.map(uriOf).filter(uri => uri && ValidationService._isSourceUri(uri) && !openFiles.has(uri.fsPath));
+        closed.forEach(uri => this.visualizer.clearForDocument(uri));
+
+        const opened = event.opened.map(uriOf).filter(uri => uri && ValidationService._isSourceUri(uri)).map(uri => uri.fsPath);
+        this._publishFiles(opened).catch(err => console.error('[Archit Search] Validation failed:', err));
+    }
+
+    /**
+     * Gets the configured diagnostics scope.
+     * 
+     * @returns {string} One of SCOPE
+     */
+    getScope() {
+        const scope = vscode.workspace.getConfiguration('architSearch').get('diagnosticsScope');
+        return Object.values(SCOPE).includes(scope) ? scope : SCOPE.ACTIVE_FILE;
+    }
+
+    /**
+     * Records every current violation of a workspace folder's analyzed files in
+     * its baseline file, replacing its content. The files are checked against
+     * the folder's existing analysis, yielding between batches; open documents
+     * are checked with their unsaved content.
+     * 
+     * @param {import('./FolderAnalysis')} folder - Analyzed workspace folder
+     * @param {Object} [options] - Cancellation token and progress callback (see validateWorkspace)
+     * @returns {Promise<{filePath: string, count: number} | null>} Baseline file and number of
+     *   recorded violations, or null if cancelled
+     * @throws {Error} If no baseline file is configured
+     */
+    async createBaseline(folder, options = {}) {
+        const filePath = this.getBaselinePath(folder.rootDir);
+        if (!filePath) {
+            throw new Error('No baseline file configured (architSearch.baselineFile is empty)');
         }
 
-        // 2. AI Anomaly Detection
-        if (enableAI) {
-            const anomaly = this.aiKernel.detectAnomaly(text);
-            if (anomaly) {
-                anomalyScore = anomaly.score;
-                if (anomaly.isAnomaly) {
-                    violations.push(this._createViolation(
-                        new vscode.Range(0, 0, 0, 0),
-                        Localization.get('anomaly', anomaly.score, Math.round(this.aiKernel.statsModel?.mean || 0)),
-                        vscode.DiagnosticSeverity.Warning
-                    ));
+        const violations = [];
+        const filePaths = folder.dependencyGraph.getFiles().filter(file => folder.isIncluded(file));
+        const completed = await this._forEachFile(filePaths, options, (file, doc) => {
+            let text = doc?.getText();
+            if (text === undefined) {
+                try {
+                    text = fs.readFileSync(file, 'utf-8');
+                } catch {
+                    return;
                 }
             }
-        }
 
-        // 3. Unused Imports
-        if (detectUnused) {
-            const unusedImports = this.unusedImportDetector.detect(text, doc.languageId);
-            for (const unused of unusedImports) {
-                const startPos = doc.positionAt(unused.index);
-                const endPos = doc.positionAt(unused.index + unused.length);
-                violations.push(this._createViolation(
-                    new vscode.Range(startPos, endPos),
-                    `Unused import '${unused.name}' - Consider removing it`,
-                    vscode.DiagnosticSeverity.Hint
-                ));
+            const baselineFile = path.relative(folder.rootDir, file).replace(/\\/g, '/');
+            const languageId = doc ? doc.languageId : ImportParser.getLanguageIdForFile(file);
+            for (const v of this._checkText(folder, vscode.Uri.file(file), text, languageId).result.violations) {
+                violations.push({
+                    file: baselineFile,
+                    ruleId: v.ruleId,
+                    fingerprint: Baseline.fingerprint(baselineFile, v.ruleId, text, v.index, v.length),
+                    message: v.message
+                });
             }
+        });
+        if (!completed) {
+            return null;
         }
 
-        // 4. Deep Cycles
-        if (checkDeepCycles && this.deepCycleDetector) {
-            const deepCycleResult = this.deepCycleDetector.detectDeepCycle(doc.uri.fsPath);
-            if (deepCycleResult?.hasCycle) {
-                violations.push(this._createViolation(
-                    new vscode.Range(0, 0, 0, 0),
-                    `🔄 ${deepCycleResult.message}`,
-                    vscode.DiagnosticSeverity.Warning
-                ));
-            }
+        this.baselines.set(filePath, Baseline.create(filePath, violations));
+        return { filePath, count: violations.length };
+    }
+
+    /**
+     * Gets the baseline file of a workspace folder (`baselineFile` of its root settings).
+     * 
+     * @param {string} rootDir - Workspace folder path
+     * @returns {string | null} Absolute path, or null if baselines are disabled
+     */
+    getBaselinePath(rootDir) {
+        const baseSettings = ConfigLoader.fromConfiguration(vscode.workspace.getConfiguration('architSearch', vscode.Uri.file(rootDir)));
+        const { baselineFile } = this.projectConfig.getDirectorySettings(rootDir, rootDir, baseSettings);
+        return baselineFile ? path.resolve(rootDir, baselineFile) : null;
+    }
+
+    /**
+     * Removes the baseline entries of a saved document that no longer occur.
+     * Call only once the dependency graph is built, so cycles are not mistaken for fixed.
+     * 
+     * @param {vscode.TextDocument} doc - Saved document
+     */
+    pruneBaseline(doc) {
+        if (doc.uri.scheme !== 'file' || doc.isDirty) {
+            return;
         }
 
-        // 5. Individual Import Checks
-        for (const imp of imports) {
-            const importViolations = this._checkImport(
-                imp, doc, currentFilePathRelative,
-                { rules, layers, checkEncapsulation, checkCycles, enableAI }
-            );
-            violations.push(...importViolations);
+        const { baseline, baselineFile, baselineFixed } = this._analyzeDocument(doc);
+        if (!baseline || baselineFixed.length === 0) {
+            return;
         }
 
-        // Process Stats
-        const stats = {
-            importCount: imports.length,
-            anomalyScore: anomalyScore
-        };
+        try {
+            if (baseline.prune(baselineFile, baselineFixed)) {
+                baseline.save();
+            }
+            this.validationCache.delete(doc.uri.fsPath);
+        } catch (err) {
+            console.error('[Archit Search] Could not update baseline:', err);
+        }
+    }
+
+    /**
+     * Analyzes a document, reusing the cached result while its version is unchanged.
+     * @param {vscode.TextDocument} doc
+     * @returns {{violations: Array, stats: {importCount: number, anomalyScore: string, suppressedCount: number, baselinedCount: number}, baseline: Baseline | null, baselineFile: string, baselineFixed: string[], baselineMtimeMs: number | null}}
+     * @private
+     */
+    _analyzeDocument(doc) {
+        const cacheKey = doc.uri.fsPath;
+        const cached = this.validationCache.get(cacheKey);
+
+        // Optimization: Use cached result if document version hasn't changed
+        // This makes tab switching instant (unless the baseline file changed meanwhile)
+        if (cached && cached.version === doc.version &&
+            (!cached.baseline || cached.baseline.getModifiedTime() === cached.baselineMtimeMs)) {
+            return cached;
+        }
 
         // Cache Results
-        this.validationCache.set(cacheKey, {
+        const entry = {
             version: doc.version,
-            violations,
-            stats
-        });
+            ...this._analyzeText(doc.uri, doc.getText(), doc.languageId, doc)
+        };
+        this.validationCache.set(cacheKey, entry);
 
-        // Update UI
-        this._updateUI(editor, violations, stats);
+        return entry;
     }
 
-    _updateUI(editor, violations, stats) {
-        this.visualizer.report(editor, violations);
-        this.statusBar.update(violations);
-        this._updateSidebar(editor.document, violations, stats.importCount, stats.anomalyScore);
+    /**
+     * Analyzes the text of a file, leaving out violations recorded in the baseline.
+     * @param {vscode.Uri} uri - File URI
+     * @param {string} text - File content
+     * @param {string} languageId - Language identifier
+     * @param {{positionAt: (offset: number) => vscode.Position}} positions - Converts offsets to positions
+     * @returns {{violations: Array, stats: object, baseline: Baseline | null, baselineFile: string, baselineFixed: string[], baselineMtimeMs: number | null}}
+     * @private
+     */
+    _analyzeText(uri, text, languageId, positions) {
+        const folder = this.folders.getForFile(uri.fsPath);
+        if (!folder.isIncluded(uri.fsPath)) {
+            return {
+                violations: [],
+                stats: { importCount: 0, anomalyScore: '0.0', suppressedCount: 0, generated: false, baselinedCount: 0 },
+                baseline: null,
+                baselineFile: '',
+                baselineFixed: [],
+                baselineMtimeMs: null
+            };
+        }
+
+        const { result, workspaceFolder } = this._checkText(folder, uri, text, languageId);
+
+        // Leave out violations recorded in the baseline
+        let found = result.violations;
+        let baselinedCount = 0;
+        let baselineFixed = [];
+        const baseline = workspaceFolder ? this._getBaseline(workspaceFolder.uri.fsPath) : null;
+        const baselineFile = workspaceFolder
+            ? path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/')
+            : '';
+        if (baseline) {
+            try {
+                const matched = baseline.match(baselineFile, found.map(v => ({
+                    ...v,
+                    fingerprint: Baseline.fingerprint(baselineFile, v.ruleId, text, v.index, v.length)
+                })));
+                found = matched.violations;
+                baselinedCount = matched.baselinedCount;
+                baselineFixed = matched.fixed;
+            } catch (err) {
+                console.error('[Archit Search] Could not read baseline:', err);
+            }
+        }
+
+        const violations = found.map(v => this._createViolation(
+            this._createRangeFromOffsets(positions, v.index, v.length),
+            v.message,
+            SEVERITY_MAP[v.severity],
+            v.ruleId
+        ));
+
+        return {
+            violations,
+            stats: { ...result.stats, baselinedCount },
+            baseline,
+            baselineFile,
+            baselineFixed,
+            baselineMtimeMs: baseline ? baseline.getModifiedTime() : null
+        };
     }
 
-    _checkImport(imp, doc, currentFilePathRelative, options) {
-        const { rules, layers, checkEncapsulation, checkCycles, enableAI } = options;
-        const violations = [];
+    /**
+     * Runs the folder's file analyzer on the text of a file with the settings
+     * that apply to it, ignoring the baseline.
+     * @param {import('./FolderAnalysis')} folder - Folder of the file
+     * @param {vscode.Uri} uri - File URI
+     * @param {string} text - File content
+     * @param {string} languageId - Language identifier
+     * @returns {{result: {violations: Array, stats: object}, workspaceFolder: vscode.WorkspaceFolder | undefined}}
+     * @private
+     */
+    _checkText(folder, uri, text, languageId) {
+        // Resource-scoped settings may differ per workspace folder
+        const config = vscode.workspace.getConfiguration('architSearch', uri);
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(uri);
+
+        // Project config files override the editor settings for the files below them
+        const baseSettings = ConfigLoader.fromConfiguration(config);
+        let settings = baseSettings;
+        if (workspaceFolder) {
+            settings = this.projectConfig.getSettings(uri.fsPath, workspaceFolder.uri.fsPath, baseSettings);
+        }
 
-        let resolvedRelativePath = imp.path;
-        let resolvedAbsolutePath = null;
+        const result = folder.analyzer.analyze({
+            filePath: uri.fsPath,
+            text,
+            languageId,
+            rootDir: workspaceFolder?.uri.fsPath
+        }, settings);
 
-        if (imp.path.startsWith('.')) {
-            const currentDir = path.dirname(doc.uri.fsPath);
-            resolvedAbsolutePath = path.resolve(currentDir, imp.path);
-            resolvedRelativePath = vscode.workspace.asRelativePath(resolvedAbsolutePath, false);
+        return { result, workspaceFolder };
+    }
+
+    /**
+     * Validates files and publishes their diagnostics, yielding between batches.
+     * Open documents are analyzed with their unsaved content; files that no longer
+     * exist lose their diagnostics.
+     * @param {string[]} filePaths - Absolute file paths
+     * @param {Object} [options] - Cancellation token and progress callback (see validateWorkspace)
+     * @returns {Promise<boolean>} Whether every file was validated
+     * @private
+     */
+    _publishFiles(filePaths, options = {}) {
+        return this._forEachFile(filePaths, options, (filePath, doc) => {
+            const uri = vscode.Uri.file(filePath);
+            if (doc) {
+                this.visualizer.publish(uri, this._analyzeDocument(doc).violations);
+                return;
+            }
+
+            let text;
+            try {
+                text = fs.readFileSync(filePath, 'utf-8');
+            } catch {
+                this.visualizer.clearForDocument(uri);
+                return;
+            }
+            const { violations } = this._analyzeText(uri, text, ImportParser.getLanguageIdForFile(filePath), this._createTextPositions(text));
+            this.visualizer.publish(uri, violations);
+        });
+    }
+
+    /**
+     * Visits files in batches, yielding to the extension host between batches.
+     * @param {string[]} filePaths - Absolute file paths
+     * @param {Object} options - Cancellation token and progress callback (see validateWorkspace)
+     * @param {(filePath: string, doc: vscode.TextDocument | undefined) => void} visit - Called with
+     *   each file and its open document, if any
+     * @returns {Promise<boolean>} Whether every file was visited
+     * @private
+     */
+    async _forEachFile(filePaths, options, visit) {
+        const { token, onProgress } = options;
+        const documents = new Map(vscode.workspace.textDocuments
+            .filter(doc => doc.uri.scheme === 'file')
+            .map(doc => [doc.uri.fsPath, doc]));
+
+        for (let i = 0; i < filePaths.length; i++) {
+            if (i % this.DEFAULTS.WORKSPACE_BATCH_SIZE === 0) {
+                // Let the extension host handle events between batches
+                await new Promise(resolve => setImmediate(resolve));
+                if (token?.isCancellationRequested) {
+                    return false;
+                }
+                if (onProgress && i > 0) onProgress(i, filePaths.length);
+            }
+            visit(filePaths[i], documents.get(filePaths[i]));
         }
 
-        // Rule Engine Validation
-        const archResult = this.engine.validate(
-            currentFilePathRelative,
-            resolvedRelativePath,
-            rules,
-            layers
-        );
-
-        if (archResult?.isViolation) {
-            violations.push(this._createViolation(
-                this._createRangeFromImport(doc, imp),
-                archResult.message,
-                vscode.DiagnosticSeverity.Error
-            ));
-            return violations;
+        if (onProgress) onProgress(filePaths.length, filePaths.length);
+        return true;
+    }
+
+    /**
+     * Gets a predicate telling whether a file is within the diagnostics scope
+     * (besides the visible editors, which are always validated).
+     * @returns {(filePath: string) => boolean}
+     * @private
+     */
+    _getScopeFilter() {
+        const scope = this.getScope();
+        if (scope === SCOPE.WORKSPACE) {
+            return filePath => this.folders.hasFile(filePath);
+        }
+        if (scope === SCOPE.OPEN_FILES) {
+            const openFiles = this._getOpenFiles();
+            return filePath => openFiles.has(filePath);
         }
+        return () => false;
+    }
 
-        if (!resolvedAbsolutePath) return violations;
-
-        // Encapsulation
-        if (checkEncapsulation) {
-            const encResult = this.engine.checkEncapsulation(resolvedAbsolutePath);
-            if (encResult?.isViolation) {
-                violations.push(this._createViolation(
-                    this._createRangeFromImport(doc, imp),
-                    encResult.message,
-                    vscode.DiagnosticSeverity.Warning
-                ));
+    /**
+     * Gets the source files open in editor tabs.
+     * @returns {Set<string>} Absolute file paths
+     * @private
+     */
+    _getOpenFiles() {
+        const files = new Set();
+        for (const group of vscode.window.tabGroups.all) {
+            for (const tab of group.tabs) {
+                if (tab.input instanceof vscode.TabInputText && ValidationService._isSourceUri(tab.input.uri)) {
+                    files.add(tab.input.uri.fsPath);
+                }
             }
         }
+        return files;
+    }
+
+    /**
+     * Checks whether a URI is a local file in a supported language.
+     * @param {vscode.Uri} uri
+     * @returns {boolean}
+     * @private
+     */
+    static _isSourceUri(uri) {
+        return uri.scheme === 'file' && path.extname(uri.fsPath).toLowerCase() in ImportParser.EXTENSION_TO_LANGUAGE;
+    }
 
-        // Circular Dependencies
-        if (checkCycles) {
-            const cycleResult = this.graph.checkCycle(doc.uri.fsPath, resolvedAbsolutePath);
-            if (cycleResult?.isCycle) {
-                violations.push(this._createViolation(
-                    this._createRangeFromImport(doc, imp),
-                    cycleResult.message,
-                    vscode.DiagnosticSeverity.Warning
-                ));
+    /**
+     * Creates an offset-to-position converter for text that is not open in an editor.
+     * @param {string} text - File content
+     * @returns {{positionAt: (offset: number) => vscode.Position}}
+     * @private
+     */
+    _createTextPositions(text) {
+        const lines = new LineIndex(text);
+        return {
+            positionAt: offset => {
+                const { line, character } = lines.positionAt(offset);
+                return new vscode.Position(line, character);
             }
+        };
+    }
+
+    /**
+     * Gets the baseline of a workspace folder.
+     * @param {string} rootDir - Workspace folder path
+     * @returns {Baseline | null} Baseline, or null if disabled
+     * @private
+     */
+    _getBaseline(rootDir) {
+        const filePath = this.getBaselinePath(rootDir);
+        if (!filePath) {
+            return null;
         }
 
-        // Semantic Analysis
-        if (enableAI) {
-            const aiResult = this.advisor.analyze(doc.uri.fsPath, resolvedAbsolutePath);
-            if (aiResult?.isSuspicious) {
-                violations.push(this._createViolation(
-                    this._createRangeFromImport(doc, imp),
-                    aiResult.message,
-                    vscode.DiagnosticSeverity.Warning
-                ));
-            }
+        if (!this.baselines.has(filePath)) {
+            this.baselines.set(filePath, new Baseline(filePath));
         }
+        return this.baselines.get(filePath);
+    }
 
-        return violations;
+    _updateUI(editor, violations, stats) {
+        this.visualizer.report(editor, violations);
+        this.statusBar.update(violations);
+        this._updateSidebar(editor.document, violations, stats.importCount, stats.anomalyScore);
     }
 
-    _createViolation(range, message, severity) {
-        return { range, message, severity };
+    _createViolation(range, message, severity, ruleId) {
+        return { range, message, severity, ruleId };
     }
 
-    _createRangeFromImport(doc, imp) {
-        const startPos = doc.positionAt(imp.index);
-        const endPos = doc.positionAt(imp.index + imp.length);
+    _createRangeFromOffsets(positions, index, length) {
+        const startPos = positions.positionAt(index);
+        const endPos = positions.positionAt(index + length);
         return new vscode.Range(startPos, endPos);
     }
 
@@ -282,6 +602,7 @@ class ValidationService {
 
         this.sidebarProvider.refresh({
             filename: path.basename(doc.uri.fsPath),
+            filePath: doc.uri.fsPath,
             status: status,
             violations: violations.length,
             imports: importCount,
@@ -289,10 +610,19 @@ class ValidationService {
         });
     }
 
+    /**
+     * Clears cached validation results so the next validation re-analyzes.
+     */
+    clearCache() {
+        this.validationCache.clear();
+    }
+
     dispose() {
         if (this.validationTimeout) clearTimeout(this.validationTimeout);
+        if (this.revalidatePass) this.revalidatePass.isCancellationRequested = true;
         this.validationCache.clear();
     }
 }
 
 module.exports = ValidationService;
+module.exports.SCOPE = SCOPE;
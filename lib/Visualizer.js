@@ -1,4 +1,5 @@
 const vscode = require('vscode');
+const RuleCatalog = require('./RuleCatalog');
 
 /**
  * Decoration style configuration - Ghost Text Style
@@ -19,9 +20,35 @@ const DECORATION_STYLES = {
         margin: '0 0 0 3em',
         fontStyle: 'italic',
         prefix: '// ⚠️ ' // Comment style
+    },
+    info: {
+        backgroundColor: undefined,
+        textDecoration: undefined,
+        color: new vscode.ThemeColor('editorCodeLens.foreground'),
+        margin: '0 0 0 3em',
+        fontStyle: 'italic',
+        prefix: '// ℹ️ ' // Comment style
+    },
+    hint: {
+        backgroundColor: undefined,
+        textDecoration: undefined,
+        color: new vscode.ThemeColor('editorCodeLens.foreground'),
+        margin: '0 0 0 3em',
+        fontStyle: 'italic',
+        prefix: '// 💡 ' // Comment style
     }
 };
 
+/**
+ * Decoration style used for each diagnostic severity
+ */
+const SEVERITY_STYLES = {
+    [vscode.DiagnosticSeverity.Error]: 'error',
+    [vscode.DiagnosticSeverity.Warning]: 'warning',
+    [vscode.DiagnosticSeverity.Information]: 'info',
+    [vscode.DiagnosticSeverity.Hint]: 'hint'
+};
+
 /**
  * Diagnostic source identifier for architecture violations
  */
@@ -44,6 +71,12 @@ class Visualizer {
 
         /** @type {vscode.TextEditorDecorationType} */
         this.warningDecorationType = this._createDecorationType(DECORATION_STYLES.warning);
+
+        /** @type {vscode.TextEditorDecorationType} */
+        this.infoDecorationType = this._createDecorationType(DECORATION_STYLES.info);
+
+        /** @type {vscode.TextEditorDecorationType} */
+        this.hintDecorationType = this._createDecorationType(DECORATION_STYLES.hint);
     }
 
     /**
@@ -76,6 +109,8 @@ class Visualizer {
 
         editor.setDecorations(this.errorDecorationType, []);
         editor.setDecorations(this.warningDecorationType, []);
+        editor.setDecorations(this.infoDecorationType, []);
+        editor.setDecorations(this.hintDecorationType, []);
         this.diagnosticCollection.set(editor.document.uri, []);
     }
 
@@ -83,41 +118,49 @@ class Visualizer {
      * Reports violations by applying decorations and diagnostics.
      * 
      * @param {vscode.TextEditor} editor - The text editor to decorate
-     * @param {Array<{range: vscode.Range, message: string, severity?: vscode.DiagnosticSeverity}>} violations - Array of violations
+     * @param {Array<{range: vscode.Range, message: string, severity?: vscode.DiagnosticSeverity, ruleId?: string}>} violations - Array of violations
      */
     report(editor, violations) {
         if (!editor) {
             return;
         }
 
-        const errorDecorations = [];
-        const warningDecorations = [];
+        const decorations = { error: [], warning: [], info: [], hint: [] };
         const diagnostics = [];
 
         for (const violation of violations) {
             const severity = violation.severity ?? vscode.DiagnosticSeverity.Error;
-            const isError = severity === vscode.DiagnosticSeverity.Error;
-            const style = isError ? DECORATION_STYLES.error : DECORATION_STYLES.warning;
+            const styleName = SEVERITY_STYLES[severity] || 'error';
 
             // Create decoration
-            const decoration = this._createDecoration(violation.range, violation.message, style.prefix);
-
-            if (isError) {
-                errorDecorations.push(decoration);
-            } else {
-                warningDecorations.push(decoration);
-            }
+            decorations[styleName].push(
+                this._createDecoration(violation.range, violation.message, DECORATION_STYLES[styleName].prefix)
+            );
 
             // Create diagnostic
             diagnostics.push(this._createDiagnostic(violation, severity));
         }
 
         // Apply decorations and diagnostics
-        editor.setDecorations(this.errorDecorationType, errorDecorations);
-        editor.setDecorations(this.warningDecorationType, warningDecorations);
+        editor.setDecorations(this.errorDecorationType, decorations.error);
+        editor.setDecorations(this.warningDecorationType, decorations.warning);
+        editor.setDecorations(this.infoDecorationType, decorations.info);
+        editor.setDecorations(this.hintDecorationType, decorations.hint);
         this.diagnosticCollection.set(editor.document.uri, diagnostics);
     }
 
+    /**
+     * Publishes violations as diagnostics only, for files not shown in an editor.
+     * 
+     * @param {vscode.Uri} uri - File URI
+     * @param {Array<{range: vscode.Range, message: string, severity?: vscode.DiagnosticSeverity, ruleId?: string}>} violations - Array of violations
+     */
+    publish(uri, violations) {
+        this.diagnosticCollection.set(uri, violations.map(violation =>
+            this._createDiagnostic(violation, violation.severity ?? vscode.DiagnosticSeverity.Error)
+        ));
+    }
+
     /**
      * Creates a decoration options object.
      * 
@@ -142,7 +185,7 @@ class Visualizer {
     /**
      * Creates a diagnostic object.
      * 
-     * @param {{range: vscode.Range, message: string}} violation - Violation data
+     * @param {{range: vscode.Range, message: string, ruleId?: string}} violation - Violation data
      * @param {vscode.DiagnosticSeverity} severity - Diagnostic severity
      * @returns {vscode.Diagnostic}
      * @private
@@ -154,9 +197,18 @@ class Visualizer {
             severity
         );
         diagnostic.source = DIAGNOSTIC_SOURCE;
-        diagnostic.code = severity === vscode.DiagnosticSeverity.Error 
-            ? 'ARCH_ERROR' 
-            : 'ARCH_WARN';
+
+        // The rule ID links to its documentation in the Problems panel
+        if (violation.ruleId) {
+            diagnostic.code = {
+                value: violation.ruleId,
+                target: vscode.Uri.parse(RuleCatalog.getDocsUrl(violation.ruleId))
+            };
+        } else {
+            diagnostic.code = severity === vscode.DiagnosticSeverity.Error 
+                ? 'ARCH_ERROR' 
+                : 'ARCH_WARN';
+        }
         return diagnostic;
     }
 
@@ -169,6 +221,19 @@ class Visualizer {
         this.diagnosticCollection.delete(uri);
     }
 
+    /**
+     * Removes the diagnostics of every document not matching a predicate.
+     * 
+     * @param {(uri: vscode.Uri) => boolean} keep - Whether to keep the diagnostics of a document
+     */
+    retain(keep) {
+        const removed = [];
+        this.diagnosticCollection.forEach(uri => {
+            if (!keep(uri)) removed.push(uri);
+        });
+        removed.forEach(uri => this.diagnosticCollection.delete(uri));
+    }
+
     /**
      * Clears all diagnostics across all documents.
      */
@@ -183,6 +248,8 @@ class Visualizer {
         this.diagnosticCollection.dispose();
         this.errorDecorationType.dispose();
         this.warningDecorationType.dispose();
+        this.infoDecorationType.dispose();
+        this.hintDecorationType.dispose();
     }
 }
 
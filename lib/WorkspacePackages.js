@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+/**
+ * Directories never searched for workspace packages
+ */
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', '.vscode-test']);
+
+/**
+ * WorkspacePackages discovers the packages of npm, yarn and pnpm workspaces.
+ *
+ * The workspace root is the nearest ancestor whose package.json declares
+ * `workspaces` (npm/yarn) or that contains a pnpm-workspace.yaml. Every
+ * directory matching one of its globs and containing a package.json with a
+ * `name` becomes a package, so `@acme/billing` maps to `packages/billing`.
+ */
+class WorkspacePackages {
+    /**
+     * Creates a new WorkspacePackages instance.
+     */
+    constructor() {
+        /** @type {Map<string, object | null>} package.json path to parsed content */
+        this.manifestCache = new Map();
+
+        /** @type {Map<string, string | null>} Directory to nearest package.json path */
+        this.nearestCache = new Map();
+
+        /** @type {Map<string, Map<string, string>>} Directory to package name → package directory */
+        this.workspaceCache = new Map();
+    }
+
+    /**
+     * Finds the directory of a package by name, as seen from a directory.
+     * Covers workspace packages and the enclosing package itself (self-reference).
+     *
+     * @param {string} fromDir - Directory of the importing file
+     * @param {string} name - Package name (e.g. `@acme/billing`)
+     * @returns {string | null} Absolute package directory or null
+     */
+    findPackageDir(fromDir, name) {
+        const packages = this._getWorkspace(fromDir);
+        if (packages.has(name)) {
+            return packages.get(name);
+        }
+
+        const nearest = this.findNearestManifest(fromDir);
+        if (nearest && this.readManifest(nearest)?.name === name) {
+            return path.dirname(nearest);
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the nearest package.json at or above a directory.
+     *
+     * @param {string} dir - Starting directory
+     * @returns {string | null} Absolute package.json path or null
+     */
+    findNearestManifest(dir) {
+        if (this.nearestCache.has(dir)) {
+            return this.nearestCache.get(dir);
+        }
+
+        let result = null;
+        const candidate = path.join(dir, 'package.json');
+        if (this.readManifest(candidate)) {
+            result = candidate;
+        } else {
+            const parent = path.dirname(dir);
+            result = parent !== dir ? this.findNearestManifest(parent) : null;
+        }
+
+        this.nearestCache.set(dir, result);
+        return result;
+    }
+
+    /**
+     * Reads and parses a package.json file.
+     *
+     * @param {string} manifestPath - Absolute package.json path
+     * @returns {object | null} Parsed manifest or null if missing/invalid
+     */
+    readManifest(manifestPath) {
+        if (this.manifestCache.has(manifestPath)) {
+            return this.manifestCache.get(manifestPath);
+        }
+
+        let manifest = null;
+        try {
+            const parsed = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+            manifest = parsed && typeof parsed === 'object' ? parsed : null;
+        } catch {
+            manifest = null; // Missing or invalid package.json
+        }
+
+        this.manifestCache.set(manifestPath, manifest);
+        return manifest;
+    }
+
+    /**
+     * Gets the package map of the workspace enclosing a directory.
+     *
+     * @param {string} dir - Directory inside the workspace
+     * @returns {Map<string, string>} Package name to package directory (empty outside workspaces)
+     * @private
+     */
+    _getWorkspace(dir) {
+        if (this.workspaceCache.has(dir)) {
+            return this.workspaceCache.get(dir);
+        }
+
+        let packages;
+        const patterns = this._getWorkspacePatterns(dir);
+        if (patterns) {
+            packages = this._collectPackages(dir, patterns);
+        } else {
+            const parent = path.dirname(dir);
+            packages = parent !== dir ? this._getWorkspace(parent) : new Map();
+        }
+
+        this.workspaceCache.set(dir, packages);
+        return packages;
+    }
+
+    /**
+     * Reads the workspace globs declared in a directory, if it is a workspace root.
+     *
+     * @param {string} dir - Candidate root directory
+     * @returns {string[] | null} Package globs or null if not a workspace root
+     * @private
+     */
+    _getWorkspacePatterns(dir) {
+        try {
+            const yaml = fs.readFileSync(path.join(dir, 'pnpm-workspace.yaml'), 'utf-8');
+            return this._parsePnpmPackages(yaml);
+        } catch {
+            // Not a pnpm workspace
+        }
+
+        const workspaces = this.readManifest(path.join(dir, 'package.json'))?.workspaces;
+        if (Array.isArray(workspaces)) {
+            return workspaces;
+        }
+        // Yarn classic: { packages: [...], nohoist: [...] }
+        if (Array.isArray(workspaces?.packages)) {
+            return workspaces.packages;
+        }
+
+        return null;
+    }
+
+    /**
+     * Extracts the `packages` list from pnpm-workspace.yaml.
+     * Only the block sequence form used by pnpm is supported.
+     *
+     * @param {string} yaml - File content
+     * @returns {string[]} Package globs
+     * @private
+     */
+    _parsePnpmPackages(yaml) {
+        const patterns = [];
+        let inPackages = false;
+
+        for (const rawLine of yaml.split(/\r?\n/)) {
+            const line = rawLine.replace(/\s+#.*$/, '');
+            if (!line.trim() || line.trim().startsWith('#')) {
+                continue;
+            }
+
+            if (/^\S/.test(line)) {
+                inPackages = /^packages\s*:/.test(line);
+                continue;
+            }
+
+            const item = line.match(/^\s*-\s*(.+?)\s*$/);
+            if (inPackages && item) {
+                patterns.push(item[1].replace(/^['"]|['"]$/g, ''));
+            }
+        }
+
+        return patterns;
+    }
+
+    /**
+     * Finds every package directory under a workspace root matching the globs.
+     * Globs starting with `!` exclude directories.
+     *
+     * @param {string} rootDir - Workspace root
+     * @param {string[]} patterns - Workspace globs
+     * @returns {Map<string, string>} Package name to package directory
+     * @private
+     */
+    _collectPackages(rootDir, patterns) {
+        const includes = patterns.filter(p => typeof p === 'string' && !p.startsWith('!')).map(p => this._normalizePattern(p));
+        const excludes = patterns.filter(p => typeof p === 'string' && p.startsWith('!')).map(p => this._normalizePattern(p.slice(1)));
+        const packages = new Map();
+        const pending = [rootDir];
+
+        while (pending.length > 0) {
+            const dir = pending.pop();
+            let entries;
+
+            try {
+                entries = fs.readdirSync(dir, { withFileTypes: true });
+            } catch {
+                continue; // Unreadable directory
+            }
+
+            for (const entry of entries) {
+                if (!entry.isDirectory() || IGNORED_DIRECTORIES.has(entry.name)) {
+                    continue;
+                }
+
+                const fullPath = path.join(dir, entry.name);
+                const relativePath = path.relative(rootDir, fullPath).replace(/\\/g, '/');
+                pending.push(fullPath);
+
+                if (includes.some(p => minimatch(relativePath, p)) && !excludes.some(p => minimatch(relativePath, p))) {
+                    const name = this.readManifest(path.join(fullPath, 'package.json'))?.name;
+                    if (typeof name === 'string' && !packages.has(name)) {
+                        packages.set(name, fullPath);
+                    }
+                }
+            }
+        }
+
+        return packages;
+    }
+
+    /**
+     * Normalizes a workspace glob (strips `./` and trailing slashes).
+     *
+     * @param {string} pattern - Workspace glob
+     * @returns {string} Normalized glob
+     * @private
+     */
+    _normalizePattern(pattern) {
+        return pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+    }
+
+    /**
+     * Clears all cached manifests and workspace maps.
+     * Call when a package.json or pnpm-workspace.yaml changes.
+     */
+    clearCache() {
+        this.manifestCache.clear();
+        this.nearestCache.clear();
+        this.workspaceCache.clear();
+    }
+}
+
+module.exports = WorkspacePackages;
@@ -0,0 +1,137 @@
+const vscode = require('vscode');
+const FileScanner = require('./FileScanner');
+
+/**
+ * Watcher configuration
+ */
+const CONFIG = {
+    /** Delay before a batch of file events is applied (coalesces saves, renames, git checkouts) */
+    DEBOUNCE_MS: 300
+};
+
+/**
+ * WorkspaceWatcher keeps the dependency graphs and AI models of the workspace
+ * folders up to date as files are created, changed, renamed or deleted.
+ *
+ * Events are batched and applied to the folder each file belongs to; only the
+ * touched files are re-parsed, and open editors
+ * whose results may depend on them (the files themselves and everything that
+ * transitively imports them) are re-validated.
+ */
+class WorkspaceWatcher {
+    /**
+     * Creates a new WorkspaceWatcher instance.
+     *
+     * @param {Object} components - Dependency components
+     * @param {import('./FolderRegistry')} components.folders
+     * @param {import('./ValidationService')} components.validationService
+     * @param {string} globPattern - Glob of watched source files
+     */
+    constructor(components, globPattern) {
+        this.folders = components.folders;
+        this.validationService = components.validationService;
+
+        /** @type {Set<string>} Created or changed files awaiting processing */
+        this.pendingChanged = new Set();
+
+        /** @type {Set<string>} Deleted files awaiting processing */
+        this.pendingDeleted = new Set();
+
+        this.flushTimeout = undefined;
+
+        /** @type {vscode.FileSystemWatcher} */
+        this.watcher = vscode.workspace.createFileSystemWatcher(globPattern);
+
+        // A rename arrives as a delete of the old path plus a create of the new one
+        this.disposables = [
+            this.watcher,
+            this.watcher.onDidCreate(uri => this._enqueue(uri, false)),
+            this.watcher.onDidChange(uri => this._enqueue(uri, false)),
+            this.watcher.onDidDelete(uri => this._enqueue(uri, true))
+        ];
+    }
+
+    /**
+     * Queues a file event and schedules a flush.
+     *
+     * @param {vscode.Uri} uri - File URI
+     * @param {boolean} deleted - Whether the file was deleted
+     * @private
+     */
+    _enqueue(uri, deleted) {
+        if (uri.scheme !== 'file' || FileScanner.isIgnoredPath(uri.fsPath)) {
+            return;
+        }
+
+        // Deleted files are always processed, in case they were analyzed before being excluded
+        const filePath = uri.fsPath;
+        if (!deleted && !this.folders.getForFile(filePath).isIncluded(filePath)) {
+            return;
+        }
+
+        if (deleted) {
+            this.pendingChanged.delete(filePath);
+            this.pendingDeleted.add(filePath);
+        } else {
+            this.pendingDeleted.delete(filePath);
+            this.pendingChanged.add(filePath);
+        }
+
+        if (this.flushTimeout) {
+            clearTimeout(this.flushTimeout);
+        }
+        this.flushTimeout = setTimeout(() => this.flush(), CONFIG.DEBOUNCE_MS);
+    }
+
+    /**
+     * Applies all queued changes to the graphs and AI models of their folders
+     * and re-validates affected editors.
+     */
+    flush() {
+        this.flushTimeout = undefined;
+
+        const changed = [...this.pendingChanged];
+        const deleted = [...this.pendingDeleted];
+        this.pendingChanged.clear();
+        this.pendingDeleted.clear();
+
+        if (changed.length === 0 && deleted.length === 0) {
+            return;
+        }
+
+        try {
+            const affected = new Set();
+            const changedByFolder = this.folders.partition(changed);
+            const deletedByFolder = this.folders.partition(deleted);
+
+            for (const folder of new Set([...changedByFolder.keys(), ...deletedByFolder.keys()])) {
+                const folderChanged = changedByFolder.get(folder) || [];
+                const folderDeleted = deletedByFolder.get(folder) || [];
+                if (folderChanged.length === 0 && folderDeleted.length === 0) {
+                    continue;
+                }
+
+                folder.dependencyGraph.applyChanges(folderChanged, folderDeleted)
+                    .forEach(filePath => affected.add(filePath));
+                folderChanged.forEach(filePath => folder.aiKernel.updateFile(filePath));
+                folderDeleted.forEach(filePath => folder.aiKernel.removeFile(filePath));
+            }
+
+            this.validationService.revalidateFiles(affected);
+        } catch (err) {
+            console.error('[Archit Search] Incremental update failed:', err);
+        }
+    }
+
+    /**
+     * Disposes the watcher and drops pending events.
+     */
+    dispose() {
+        if (this.flushTimeout) clearTimeout(this.flushTimeout);
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.pendingChanged.clear();
+        this.pendingDeleted.clear();
+    }
+}
+
+module.exports = WorkspaceWatcher;
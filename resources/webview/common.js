@@ -0,0 +1,264 @@
+/* global window, document, acquireVsCodeApi */
+
+/**
+ * Helpers shared by the Archit Search webviews (see GraphPanel): messaging
+ * with the extension, persisted view state, element creation, layer colors
+ * and a pannable, zoomable SVG canvas. Exposed as `window.ArchitViews`.
+ */
+(function () {
+    'use strict';
+
+    const vscode = acquireVsCodeApi();
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    /** Colors of the configured layers, inner to outer (repeated past the last) */
+    const LAYER_COLORS = ['#4e9a06', '#3465a4', '#c4a000', '#75507b', '#06989a', '#ce5c00', '#8f5902', '#729fcf', '#ad7fa8', '#5c8a8a'];
+
+    /** Color of files in no layer */
+    const UNASSIGNED_COLOR = '#888888';
+
+    /** Zoom limits of the canvas */
+    const ZOOM = { MIN: 0.05, MAX: 8, FIT_MAX: 1.5, FIT_PADDING: 24 };
+
+    /**
+     * Creates an element with attributes and appends it to a parent.
+     *
+     * @param {string} tag - Tag name
+     * @param {Object<string, any>} [attrs] - Attributes (`text` sets the text content)
+     * @param {Element} [parent] - Parent element
+     * @param {string} [namespace] - Namespace (SVG elements)
+     * @returns {Element}
+     */
+    function create(tag, attrs = {}, parent = null, namespace = null) {
+        const element = namespace ? document.createElementNS(namespace, tag) : document.createElement(tag);
+        for (const [name, value] of Object.entries(attrs)) {
+            if (name === 'text') {
+                element.textContent = value;
+            } else if (value !== undefined && value !== null && value !== false) {
+                element.setAttribute(name, value);
+            }
+        }
+        if (parent) {
+            parent.appendChild(element);
+        }
+        return element;
+    }
+
+    const html = (tag, attrs, parent) => create(tag, attrs, parent);
+    const svg = (tag, attrs, parent) => create(tag, attrs, parent, SVG_NS);
+
+    /**
+     * Gets the color of a layer.
+     *
+     * @param {number} index - Layer index, -1 for files in no layer
+     * @returns {string}
+     */
+    function layerColor(index) {
+        return index < 0 ? UNASSIGNED_COLOR : LAYER_COLORS[index % LAYER_COLORS.length];
+    }
+
+    /**
+     * Creates a select box in the toolbar.
+     *
+     * @param {string} label - Label text
+     * @param {Array<{value: string, label: string}>} options - Options
+     * @param {string} value - Selected value
+     * @param {(value: string) => void} onChange - Called with the new value
+     * @returns {HTMLSelectElement}
+     */
+    function toolbarSelect(label, options, value, onChange) {
+        const wrapper = html('label', { text: label }, document.getElementById('toolbar'));
+        const select = html('select', {}, wrapper);
+        for (const option of options) {
+            html('option', { value: option.value, text: option.label, selected: option.value === value }, select);
+        }
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    /**
+     * Creates the legend in the toolbar: the layer colors and extra entries.
+     *
+     * @param {string[]} layers - Layer names
+     * @param {Array<{label: string, swatch: string}>} [extra] - Entries with the class of their swatch
+     * @returns {HTMLElement}
+     */
+    function legend(layers, extra = []) {
+        const container = html('div', { class: 'legend' }, document.getElementById('toolbar'));
+        const entries = [
+            ...layers.map((name, index) => ({ label: name, color: layerColor(index) })),
+            ...(layers.length > 0 ? [{ label: 'No layer', color: layerColor(-1) }] : []),
+            ...extra
+        ];
+        for (const entry of entries) {
+            const item = html('span', { class: 'legend-item' }, container);
+            const swatch = html('span', { class: `swatch ${entry.swatch || ''}` }, item);
+            if (entry.color) {
+                swatch.style.background = entry.color;
+            }
+            html('span', { text: entry.label }, item);
+        }
+        return container;
+    }
+
+    /**
+     * Creates an SVG canvas that pans when its background is dragged and zooms on the mouse wheel.
+     *
+     * @param {HTMLElement} container - Parent element
+     * @returns {{svg: SVGSVGElement, viewport: SVGGElement, fit: () => void}} Canvas; content goes into `viewport`
+     */
+    function createCanvas(container) {
+        const root = svg('svg', { class: 'canvas' }, container);
+        const defs = svg('defs', {}, root);
+        for (const [id, className] of [['arrow', 'arrow'], ['arrow-danger', 'arrow danger']]) {
+            const marker = svg('marker', {
+                id, viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 8, markerHeight: 8, markerUnits: 'userSpaceOnUse', orient: 'auto'
+            }, defs);
+            svg('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: className }, marker);
+        }
+        const viewport = svg('g', {}, root);
+
+        const transform = { x: 0, y: 0, k: 1 };
+        const apply = () => viewport.setAttribute('transform', `translate(${transform.x},${transform.y}) scale(${transform.k})`);
+
+        root.addEventListener('wheel', event => {
+            event.preventDefault();
+            const bounds = root.getBoundingClientRect();
+            const px = event.clientX - bounds.left;
+            const py = event.clientY - bounds.top;
+            const k = Math.min(ZOOM.MAX, Math.max(ZOOM.MIN, transform.k * Math.exp(-event.deltaY * 0.001)));
+            transform.x = px - ((px - transform.x) * k) / transform.k;
+            transform.y = py - ((py - transform.y) * k) / transform.k;
+            transform.k = k;
+            apply();
+        }, { passive: false });
+
+        let drag = null;
+        root.addEventListener('pointerdown', event => {
+            if (event.target.closest('.node, .interactive')) {
+                return;
+            }
+            drag = { x: event.clientX - transform.x, y: event.clientY - transform.y };
+            root.setPointerCapture(event.pointerId);
+            root.classList.add('panning');
+        });
+        root.addEventListener('pointermove', event => {
+            if (drag) {
+                transform.x = event.clientX - drag.x;
+                transform.y = event.clientY - drag.y;
+                apply();
+            }
+        });
+        const endDrag = () => {
+            drag = null;
+            root.classList.remove('panning');
+        };
+        root.addEventListener('pointerup', endDrag);
+        root.addEventListener('pointercancel', endDrag);
+
+        const fit = () => {
+            const box = viewport.getBBox();
+            const width = root.clientWidth - 2 * ZOOM.FIT_PADDING;
+            const height = root.clientHeight - 2 * ZOOM.FIT_PADDING;
+            if (box.width === 0 || box.height === 0 || width <= 0 || height <= 0) {
+                return;
+            }
+            transform.k = Math.max(ZOOM.MIN, Math.min(ZOOM.FIT_MAX, width / box.width, height / box.height));
+            transform.x = ZOOM.FIT_PADDING + (width - box.width * transform.k) / 2 - box.x * transform.k;
+            transform.y = ZOOM.FIT_PADDING + (height - box.height * transform.k) / 2 - box.y * transform.k;
+            apply();
+        };
+
+        return { svg: root, viewport, fit };
+    }
+
+    /**
+     * Shows a message instead of the view's content.
+     *
+     * @param {string} text - Message
+     */
+    function showMessage(text) {
+        const content = document.getElementById('content');
+        content.replaceChildren();
+        html('p', { class: 'empty', text }, content);
+    }
+
+    /**
+     * Registers the view's renderer and asks the extension for the model.
+     *
+     * @param {(model: object) => void} render - Called with every model sent by the extension
+     * @param {object} [options] - Model options kept by the view (see `setOptions`)
+     */
+    function onModel(render, options) {
+        window.addEventListener('message', event => {
+            const message = event.data;
+            if (message.type === 'model') {
+                document.getElementById('toolbar').replaceChildren();
+                document.getElementById('content').replaceChildren();
+                render(message.model);
+            } else if (message.type === 'error') {
+                showMessage(`The view could not be built: ${message.message}`);
+            }
+        });
+        vscode.postMessage({ type: 'ready', options });
+    }
+
+    /**
+     * Asks the extension to rebuild the model with other options.
+     *
+     * @param {object} options - Model options
+     */
+    function setOptions(options) {
+        vscode.postMessage({ type: 'options', options });
+    }
+
+    /**
+     * Asks the extension to run one of the view's actions.
+     *
+     * @param {string} name - Action name
+     */
+    function runAction(name) {
+        vscode.postMessage({ type: 'action', name });
+    }
+
+    /**
+     * Creates a button in the toolbar.
+     *
+     * @param {string} label - Button text
+     * @param {() => void} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    function toolbarButton(label, onClick) {
+        const button = html('button', { text: label }, document.getElementById('toolbar'));
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Asks the extension to open a file.
+     *
+     * @param {string} file - Absolute file path
+     * @param {number} [line] - Zero-based line to reveal
+     */
+    function openFile(file, line) {
+        vscode.postMessage({ type: 'open', file, line });
+    }
+
+    window.ArchitViews = {
+        html,
+        svg,
+        layerColor,
+        toolbarSelect,
+        toolbarButton,
+        legend,
+        createCanvas,
+        showMessage,
+        onModel,
+        setOptions,
+        runAction,
+        openFile,
+        getState: () => vscode.getState() || {},
+        setState: patch => vscode.setState({ ...(vscode.getState() || {}), ...patch })
+    };
+})();
@@ -0,0 +1,160 @@
+/* global window, document */
+
+/**
+ * Dependency structure matrix (DSM) view: one row and column per folder, in
+ * the order built by ArchitectureGraph.buildMatrix (by layer, imported folders
+ * first). The cell in row A and column B counts the imports from A to B, so a
+ * layered project fills only the area below the diagonal; cells above it that
+ * belong to a cycle are red. Cells with violating imports have a red border.
+ *
+ * Clicking a folder shows its files (clicking the folder heading collapses
+ * them again), clicking a file opens it and clicking a cell lists its imports.
+ * The matrix as shown can be exported into the HTML report.
+ */
+(function () {
+    'use strict';
+
+    const { html, layerColor, toolbarButton, legend, showMessage, onModel, setOptions, runAction, openFile, getState, setState } = window.ArchitViews;
+
+    onModel(render, { expanded: getState().expanded || [] });
+
+    /**
+     * Renders the toolbar and the matrix of a model.
+     *
+     * @param {{layers: string[], modules: object[], cells: object[], expanded: string[]}} model - Model built by ArchitectureGraph.buildMatrix
+     */
+    function render(model) {
+        setState({ expanded: model.expanded });
+        if (model.modules.length === 0) {
+            showMessage('No files have been analyzed yet. The matrix appears once the workspace analysis has finished.');
+            return;
+        }
+
+        const expand = expanded => {
+            setState({ expanded });
+            setOptions({ expanded });
+        };
+        const folders = [...new Set(model.modules.map(module => module.folder))];
+        toolbarButton('Expand All', () => expand(folders));
+        toolbarButton('Collapse All', () => expand([]));
+        toolbarButton('Export HTML Report', () => runAction('exportReport'));
+        legend(model.layers, [
+            { label: 'Cycle above the diagonal', swatch: 'cell cycle' },
+            { label: 'Violating imports', swatch: 'cell violation' }
+        ]);
+        const cyclic = model.cells.filter(cell => cell.cycle && cell.column > cell.row).length;
+        const violations = model.cells.reduce((sum, cell) => sum + cell.violations, 0);
+        html('span', {
+            class: 'status',
+            text: `${model.modules.length} rows · ${cyclic} cyclic cells above the diagonal · ${violations} violating imports`
+        }, document.getElementById('toolbar'));
+
+        const content = document.getElementById('content');
+        const scroll = html('div', { class: 'matrix-scroll' }, content);
+        const details = html('aside', { class: 'details', hidden: true }, content);
+        const table = html('table', { class: 'dsm' }, scroll);
+
+        const count = model.modules.length;
+        const layerStarts = new Set(model.modules
+            .map((module, i) => (i > 0 && module.layer !== model.modules[i - 1].layer ? i : -1))
+            .filter(i => i > 0));
+
+        const head = html('tr', {}, html('thead', {}, table));
+        html('th', { class: 'corner', colspan: 2 }, head);
+        model.modules.forEach((module, i) => {
+            html('th', { class: `column-head${layerStarts.has(i) ? ' layer-start' : ''}`, title: module.id || module.label, text: String(i + 1) }, head);
+        });
+
+        const cells = new Map(model.cells.map(cell => [`${cell.row}>${cell.column}`, cell]));
+        const maxCount = Math.max(1, ...model.cells.map(cell => cell.count));
+        const body = html('tbody', {}, table);
+        model.modules.forEach((module, row) => {
+            // The files of an expanded folder follow a heading that collapses them
+            const previous = model.modules[row - 1];
+            let layerStart = layerStarts.has(row);
+            if (module.kind === 'file' && (!previous || previous.kind !== 'file' || previous.folder !== module.folder)) {
+                const group = html('tr', { class: layerStart ? 'layer-start' : undefined }, body);
+                const heading = html('th', { class: 'group', colspan: count + 2, title: 'Collapse', text: `▾ ${module.folder || '(root)'}` }, group);
+                heading.addEventListener('click', () => expand(model.expanded.filter(folder => folder !== module.folder)));
+                layerStart = false;
+            }
+
+            const tr = html('tr', { class: layerStart ? 'layer-start' : undefined }, body);
+            const label = html('th', { class: `row-head ${module.kind}` }, tr);
+            const swatch = html('span', { class: 'swatch' }, label);
+            swatch.style.background = layerColor(module.layer);
+            const layerName = module.layer >= 0 ? model.layers[module.layer] : 'no layer';
+            if (module.kind === 'folder') {
+                html('span', { text: ` ▸ ${module.label}`, title: `${module.id || '(root)'} · ${plural(module.files, 'file')} · ${layerName}\nShow files` }, label);
+                label.addEventListener('click', () => expand([...model.expanded, module.folder]));
+            } else {
+                html('span', { text: ` ${module.label}`, title: `${module.id} · ${layerName}\nOpen file` }, label);
+                label.addEventListener('click', () => openFile(module.file));
+            }
+            html('th', { class: 'index', text: String(row + 1) }, tr);
+
+            for (let column = 0; column < count; column++) {
+                const cell = cells.get(`${row}>${column}`);
+                const classes = [
+                    row === column ? 'self' : '',
+                    column > row ? 'above' : '',
+                    cell?.cycle && column > row ? 'cycle' : '',
+                    cell?.violations ? 'violation' : '',
+                    layerStarts.has(column) ? 'layer-start' : ''
+                ].filter(Boolean).join(' ');
+                const td = html('td', { class: classes || undefined, text: cell ? String(cell.count) : '' }, tr);
+                if (cell) {
+                    td.style.setProperty('--heat', String(0.15 + 0.6 * Math.sqrt(cell.count / maxCount)));
+                    td.title = `${model.modules[row].label} → ${model.modules[column].label}: ${plural(cell.count, 'import')}` +
+                        `${cell.violations ? `, ${cell.violations} violating` : ''}${cell.cycle ? '\nPart of a cycle' : ''}`;
+                    td.addEventListener('click', () => showSites(details, model, cell));
+                }
+            }
+        });
+    }
+
+    /**
+     * Lists the imports of a cell in the details pane.
+     *
+     * @param {HTMLElement} details - Details pane
+     * @param {{modules: object[]}} model - Matrix model
+     * @param {{row: number, column: number, count: number, violations: number, cycle: boolean, sites: object[]}} cell - Cell
+     */
+    function showSites(details, model, cell) {
+        details.replaceChildren();
+        details.hidden = false;
+
+        const close = html('button', { class: 'close', title: 'Close', text: '✕' }, details);
+        close.addEventListener('click', () => {
+            details.hidden = true;
+        });
+        html('h3', { text: `${model.modules[cell.row].label} → ${model.modules[cell.column].label}` }, details);
+        html('p', {
+            text: `${plural(cell.count, 'import')}${cell.violations ? `, ${cell.violations} violating` : ''}`
+        }, details);
+        if (cell.cycle) {
+            html('p', { class: 'message', text: 'These folders depend on each other (directly or through other rows).' }, details);
+        }
+
+        const list = html('ul', {}, details);
+        for (const site of cell.sites) {
+            const item = html('li', { class: 'site', title: 'Open import' }, list);
+            html('div', { text: `${site.from}:${site.line + 1}` }, item);
+            const target = html('div', {}, item);
+            html('code', { text: `'${site.specifier}'` }, target);
+            html('span', { text: ` → ${site.to}` }, target);
+            item.addEventListener('click', () => openFile(site.file, site.line));
+        }
+    }
+
+    /**
+     * Formats a count with a noun.
+     *
+     * @param {number} count - Count
+     * @param {string} noun - Singular noun
+     * @returns {string}
+     */
+    function plural(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+})();
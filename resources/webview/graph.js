@@ -0,0 +1,423 @@
+/* global window, document */
+
+/**
+ * Dependency graph view: one node per file, colored by its configured layer,
+ * and one arrow per pair of importing and imported file. Files in a cycle are
+ * ringed in red, imports within a cycle are dashed red and imports that break
+ * a rule or layer boundary are solid red.
+ *
+ * Two layouts are offered: force-directed (connected files cluster together)
+ * and layered (importers above the files they import, outer layers on top).
+ * Clicking a file opens it; clicking an arrow opens the import.
+ */
+(function () {
+    'use strict';
+
+    const { html, svg, layerColor, toolbarSelect, legend, createCanvas, showMessage, onModel, openFile, getState, setState } = window.ArchitViews;
+
+    /** Layout parameters (in SVG units) */
+    const LAYOUT = {
+        NODE_RADIUS: 7,
+        /** Ideal distance between connected files in the force-directed layout */
+        FORCE_DISTANCE: 80,
+        /** Upper bound on force-directed iterations, and on iterations times node pairs */
+        FORCE_ITERATIONS: 300,
+        FORCE_BUDGET: 3e7,
+        /** Pull of every file towards the center, keeping unconnected files close */
+        FORCE_GRAVITY: 0.02,
+        /** Distance between files of a row and between rows in the layered layout */
+        ROW_NODE_GAP: 120,
+        ROW_GAP: 90,
+        /** Barycenter passes ordering the files of each row */
+        ORDER_SWEEPS: 6,
+        /** Bend of arrows between files that import each other */
+        CURVE: 0.15
+    };
+
+    /** @type {Map<string, {x: number, y: number}>} Positions of the last drawing, so that refreshes keep the picture stable */
+    let positions = new Map();
+
+    onModel(render);
+
+    /**
+     * Renders the toolbar and the graph of a model.
+     *
+     * @param {{layers: string[], nodes: object[], edges: object[]}} model - Model built by ArchitectureGraph
+     */
+    function render(model) {
+        if (model.nodes.length === 0) {
+            showMessage('No files have been analyzed yet. The graph appears once the workspace analysis has finished.');
+            return;
+        }
+
+        const folders = collectFolders(model.nodes);
+        const state = getState();
+        let layout = state.layout === 'layered' ? 'layered' : 'force';
+        let folder = folders.includes(state.folder) ? state.folder : '';
+
+        toolbarSelect('Layout', [
+            { value: 'force', label: 'Force-directed' },
+            { value: 'layered', label: 'Layered' }
+        ], layout, value => {
+            layout = value;
+            setState({ layout });
+            positions = new Map();
+            draw(true);
+        });
+        toolbarSelect('Folder', [
+            { value: '', label: 'All folders' },
+            ...folders.map(dir => ({ value: dir, label: dir }))
+        ], folder, value => {
+            folder = value;
+            setState({ folder });
+            draw(true);
+        });
+        legend(model.layers, [
+            { label: 'Cycle', swatch: 'line dashed' },
+            { label: 'Violation', swatch: 'line' }
+        ]);
+        const status = html('span', { class: 'status' }, document.getElementById('toolbar'));
+        const canvas = createCanvas(document.getElementById('content'));
+
+        // Refreshed models keep the zoom; a new layout or folder is fitted to the view
+        draw(positions.size === 0);
+
+        /**
+         * Lays out and draws the files of the selected folder.
+         *
+         * @param {boolean} fit - Whether to fit the drawing to the view
+         */
+        function draw(fit) {
+            const nodes = model.nodes.filter(node => isInFolder(node.dir, folder));
+            const ids = new Set(nodes.map(node => node.id));
+            const edges = model.edges.filter(edge => ids.has(edge.from) && ids.has(edge.to) && edge.from !== edge.to);
+
+            positions = layout === 'layered'
+                ? layeredLayout(nodes, edges, model.layers.length)
+                : forceLayout(nodes, edges);
+            drawGraph(canvas.viewport, model, nodes, edges);
+
+            const violations = edges.filter(edge => edge.violation).length;
+            const cyclic = nodes.filter(node => node.cycle >= 0).length;
+            status.textContent = `${nodes.length} files · ${edges.length} imports · ${violations} violating · ${cyclic} in cycles`;
+            if (fit) {
+                canvas.fit();
+            }
+        }
+    }
+
+    /**
+     * Draws the laid out files and imports.
+     *
+     * @param {SVGGElement} viewport - Canvas content group
+     * @param {{layers: string[]}} model - Model (layer names)
+     * @param {object[]} nodes - Files to draw
+     * @param {object[]} edges - Imports between them
+     */
+    function drawGraph(viewport, model, nodes, edges) {
+        viewport.replaceChildren();
+        const edgeGroup = svg('g', {}, viewport);
+        const nodeGroup = svg('g', {}, viewport);
+        const files = new Map(nodes.map(node => [node.id, node]));
+        const pairs = new Set(edges.map(edge => `${edge.from}\n${edge.to}`));
+        const incident = new Map(nodes.map(node => [node.id, []]));
+
+        for (const edge of edges) {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            const danger = edge.violation || edge.cycle;
+            const element = svg('path', {
+                d: edgePath(from, to, pairs.has(`${edge.to}\n${edge.from}`)),
+                class: `edge interactive${edge.cycle ? ' cycle' : ''}${edge.violation ? ' violation' : ''}`,
+                'marker-end': `url(#${danger ? 'arrow-danger' : 'arrow'})`
+            }, edgeGroup);
+            const notes = [
+                `${edge.sites.length} import${edge.sites.length === 1 ? '' : 's'}: ${edge.sites.map(site => `'${site.specifier}' (line ${site.line + 1})`).join(', ')}`,
+                ...(edge.violation ? [`${edge.violation.ruleId}: ${edge.violation.message}`] : []),
+                ...(edge.cycle ? ['Part of a circular dependency'] : [])
+            ];
+            svg('title', { text: `${edge.from} → ${edge.to}\n${notes.join('\n')}` }, element);
+            element.addEventListener('click', () => openFile(files.get(edge.from).file, edge.sites[0].line));
+
+            incident.get(edge.from).push({ element, other: edge.to, outgoing: true });
+            incident.get(edge.to).push({ element, other: edge.from, outgoing: false });
+        }
+
+        const nodeElements = new Map();
+        for (const node of nodes) {
+            const { x, y } = positions.get(node.id);
+            const element = svg('g', { class: `node${node.cycle >= 0 ? ' cyclic' : ''}`, transform: `translate(${x},${y})` }, nodeGroup);
+            svg('circle', { r: LAYOUT.NODE_RADIUS, fill: layerColor(node.layer) }, element);
+            svg('text', { x: LAYOUT.NODE_RADIUS + 3, y: 4, text: node.label }, element);
+
+            const imports = incident.get(node.id).filter(entry => entry.outgoing).length;
+            const importedBy = incident.get(node.id).length - imports;
+            svg('title', {
+                text: [
+                    node.id,
+                    `Layer: ${node.layer >= 0 ? model.layers[node.layer] : 'none'}`,
+                    `Imports ${imports} · Imported by ${importedBy}`,
+                    ...(node.cycle >= 0 ? ['Part of a circular dependency'] : [])
+                ].join('\n')
+            }, element);
+
+            element.addEventListener('click', () => openFile(node.file));
+            element.addEventListener('mouseenter', () => highlight(node.id));
+            element.addEventListener('mouseleave', () => highlight(null));
+            nodeElements.set(node.id, element);
+        }
+
+        /**
+         * Dims everything but a file and its direct neighbors.
+         *
+         * @param {string | null} id - Hovered file, or null to clear
+         */
+        function highlight(id) {
+            const neighbors = id ? new Set([id, ...incident.get(id).map(entry => entry.other)]) : null;
+            const connected = id ? new Set(incident.get(id).map(entry => entry.element)) : null;
+            nodeElements.forEach((element, nodeId) => element.classList.toggle('dimmed', Boolean(neighbors) && !neighbors.has(nodeId)));
+            edgeGroup.childNodes.forEach(element => element.classList.toggle('dimmed', Boolean(connected) && !connected.has(element)));
+        }
+    }
+
+    /**
+     * Gets the path of an arrow between two files, ending at the edge of the target's circle.
+     *
+     * @param {{x: number, y: number}} from - Importing file position
+     * @param {{x: number, y: number}} to - Imported file position
+     * @param {boolean} curved - Whether to bend the arrow (the files import each other)
+     * @returns {string} SVG path data
+     */
+    function edgePath(from, to, curved) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy) || 1;
+        const ux = dx / length;
+        const uy = dy / length;
+        const x1 = from.x + ux * LAYOUT.NODE_RADIUS;
+        const y1 = from.y + uy * LAYOUT.NODE_RADIUS;
+        const x2 = to.x - ux * (LAYOUT.NODE_RADIUS + 2);
+        const y2 = to.y - uy * (LAYOUT.NODE_RADIUS + 2);
+        if (!curved) {
+            return `M ${x1} ${y1} L ${x2} ${y2}`;
+        }
+        // Both arrows bend to their own left, so they do not overlap
+        const cx = (x1 + x2) / 2 + uy * length * LAYOUT.CURVE;
+        const cy = (y1 + y2) / 2 - ux * length * LAYOUT.CURVE;
+        return `M ${x1} ${y1} Q ${cx} ${cy} ${x2} ${y2}`;
+    }
+
+    /**
+     * Lays out files with a force simulation (Fruchterman-Reingold): all files
+     * repel each other and imports pull files together. Files keep their
+     * previous position as the starting point.
+     *
+     * @param {object[]} nodes - Files
+     * @param {object[]} edges - Imports
+     * @returns {Map<string, {x: number, y: number}>}
+     */
+    function forceLayout(nodes, edges) {
+        const count = nodes.length;
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+        const k = LAYOUT.FORCE_DISTANCE;
+        const xs = new Float64Array(count);
+        const ys = new Float64Array(count);
+        const dx = new Float64Array(count);
+        const dy = new Float64Array(count);
+
+        // New files start on a spiral around the center
+        nodes.forEach((node, i) => {
+            const previous = positions.get(node.id);
+            const radius = k * 0.6 * Math.sqrt(i + 1);
+            xs[i] = previous ? previous.x : radius * Math.cos(i * 2.4);
+            ys[i] = previous ? previous.y : radius * Math.sin(i * 2.4);
+        });
+        const links = edges.map(edge => [index.get(edge.from), index.get(edge.to)]);
+
+        const iterations = Math.max(20, Math.min(LAYOUT.FORCE_ITERATIONS, Math.floor(LAYOUT.FORCE_BUDGET / (count * count))));
+        const startTemperature = k * Math.sqrt(count) / 4;
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            dx.fill(0);
+            dy.fill(0);
+
+            for (let i = 0; i < count; i++) {
+                for (let j = i + 1; j < count; j++) {
+                    const ddx = xs[i] - xs[j];
+                    const ddy = ys[i] - ys[j];
+                    const force = (k * k) / Math.max(ddx * ddx + ddy * ddy, 0.01);
+                    dx[i] += ddx * force;
+                    dy[i] += ddy * force;
+                    dx[j] -= ddx * force;
+                    dy[j] -= ddy * force;
+                }
+            }
+            for (const [a, b] of links) {
+                const ddx = xs[a] - xs[b];
+                const ddy = ys[a] - ys[b];
+                const force = Math.hypot(ddx, ddy) / k;
+                dx[a] -= ddx * force;
+                dy[a] -= ddy * force;
+                dx[b] += ddx * force;
+                dy[b] += ddy * force;
+            }
+
+            const temperature = startTemperature * (1 - iteration / iterations);
+            for (let i = 0; i < count; i++) {
+                dx[i] -= xs[i] * LAYOUT.FORCE_GRAVITY * k / 10;
+                dy[i] -= ys[i] * LAYOUT.FORCE_GRAVITY * k / 10;
+                const length = Math.hypot(dx[i], dy[i]);
+                if (length > 0) {
+                    const step = Math.min(length, temperature);
+                    xs[i] += (dx[i] / length) * step;
+                    ys[i] += (dy[i] / length) * step;
+                }
+            }
+        }
+
+        return new Map(nodes.map((node, i) => [node.id, { x: xs[i], y: ys[i] }]));
+    }
+
+    /**
+     * Lays out files in rows: every file sits below the files importing it.
+     * With configured layers, each layer gets its own band of rows, outer
+     * layers first and files in no layer on top. Imports closing a cycle are
+     * ignored for ranking; files within a row are ordered by the barycenter of
+     * their neighbors to reduce crossings.
+     *
+     * @param {object[]} nodes - Files
+     * @param {object[]} edges - Imports
+     * @param {number} layerCount - Number of configured layers
+     * @returns {Map<string, {x: number, y: number}>}
+     */
+    function layeredLayout(nodes, edges, layerCount) {
+        const count = nodes.length;
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+        const band = nodes.map(node => (layerCount > 0 && node.layer >= 0 ? layerCount - node.layer : 0));
+        const out = nodes.map(() => []);
+        const neighbors = nodes.map(() => []);
+        for (const edge of edges) {
+            const a = index.get(edge.from);
+            const b = index.get(edge.to);
+            neighbors[a].push(b);
+            neighbors[b].push(a);
+            if (band[a] === band[b]) {
+                out[a].push(b);
+            }
+        }
+
+        // Longest path ranks within each band, over the imports left after dropping back edges
+        const order = topologicalOrder(out);
+        const rank = new Array(count).fill(0);
+        for (const a of order) {
+            for (const b of out[a]) {
+                if (order.position[b] > order.position[a]) {
+                    rank[b] = Math.max(rank[b], rank[a] + 1);
+                }
+            }
+        }
+
+        const bandHeights = [];
+        nodes.forEach((node, i) => {
+            bandHeights[band[i]] = Math.max(bandHeights[band[i]] || 0, rank[i] + 1);
+        });
+        const bandOffsets = [];
+        let offset = 0;
+        for (let b = 0; b < bandHeights.length; b++) {
+            bandOffsets[b] = offset;
+            offset += bandHeights[b] || 0;
+        }
+
+        const rows = [];
+        const row = nodes.map((node, i) => bandOffsets[band[i]] + rank[i]);
+        nodes.forEach((node, i) => {
+            (rows[row[i]] = rows[row[i]] || []).push(i);
+        });
+        const filledRows = rows.filter(Boolean);
+
+        // Centered x index of every file; rows start in path order, which groups folders
+        const x = new Array(count).fill(0);
+        const place = members => members.forEach((member, i) => {
+            x[member] = i - (members.length - 1) / 2;
+        });
+        filledRows.forEach(place);
+
+        for (let sweep = 0; sweep < LAYOUT.ORDER_SWEEPS; sweep++) {
+            const downward = sweep % 2 === 0;
+            const sequence = downward ? filledRows : [...filledRows].reverse();
+            for (const members of sequence) {
+                const bary = new Map(members.map(member => {
+                    const fixed = neighbors[member].filter(other => (downward ? row[other] < row[member] : row[other] > row[member]));
+                    return [member, fixed.length > 0 ? fixed.reduce((sum, other) => sum + x[other], 0) / fixed.length : x[member]];
+                }));
+                members.sort((a, b) => bary.get(a) - bary.get(b));
+                place(members);
+            }
+        }
+
+        return new Map(nodes.map((node, i) => [node.id, { x: x[i] * LAYOUT.ROW_NODE_GAP, y: row[i] * LAYOUT.ROW_GAP }]));
+    }
+
+    /**
+     * Orders the vertices of a graph so that every edge not closing a cycle points
+     * forward (reverse DFS post-order).
+     *
+     * @param {number[][]} out - Successors of each vertex
+     * @returns {number[] & {position: number[]}} Vertex order, with the position of each vertex
+     */
+    function topologicalOrder(out) {
+        const visited = new Uint8Array(out.length);
+        const postOrder = [];
+        for (let start = 0; start < out.length; start++) {
+            if (visited[start]) {
+                continue;
+            }
+            visited[start] = 1;
+            const stack = [[start, 0]];
+            while (stack.length > 0) {
+                const frame = stack[stack.length - 1];
+                const next = out[frame[0]][frame[1]++];
+                if (next === undefined) {
+                    postOrder.push(frame[0]);
+                    stack.pop();
+                } else if (!visited[next]) {
+                    visited[next] = 1;
+                    stack.push([next, 0]);
+                }
+            }
+        }
+
+        const order = postOrder.reverse();
+        order.position = [];
+        order.forEach((vertex, i) => {
+            order.position[vertex] = i;
+        });
+        return order;
+    }
+
+    /**
+     * Gets every directory containing files, including their parent directories.
+     *
+     * @param {Array<{dir: string}>} nodes - Files
+     * @returns {string[]} Sorted directories (root excluded)
+     */
+    function collectFolders(nodes) {
+        const folders = new Set();
+        for (const { dir } of nodes) {
+            for (let current = dir; current; current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '') {
+                folders.add(current);
+            }
+        }
+        return [...folders].sort();
+    }
+
+    /**
+     * Checks whether a directory lies within the selected folder.
+     *
+     * @param {string} dir - Directory of a file
+     * @param {string} folder - Selected folder, empty for all
+     * @returns {boolean}
+     */
+    function isInFolder(dir, folder) {
+        return !folder || dir === folder || dir.startsWith(`${folder}/`);
+    }
+})();
@@ -0,0 +1,196 @@
+/* global window, document */
+
+/**
+ * Layer diagram view: one box per configured layer, outer layers on top and
+ * files in no layer above them, with one arrow per pair of layers that import
+ * each other. Arrow width grows with the number of imports; arrows carrying
+ * imports the layer may not make are red and labelled with their count.
+ * Downward arrows run on the right of the boxes, upward ones on the left.
+ * Clicking an arrow lists its import sites; clicking a site opens it.
+ */
+(function () {
+    'use strict';
+
+    const { html, svg, layerColor, legend, createCanvas, showMessage, onModel, openFile } = window.ArchitViews;
+
+    /** Layout parameters (in SVG units) */
+    const LAYOUT = {
+        BOX_WIDTH: 220,
+        BOX_HEIGHT: 56,
+        BOX_GAP: 56,
+        /** Distance of an arrow's bend from the boxes, growing with the layers it spans and its source */
+        ARC_OFFSET: 50,
+        ARC_STEP: 28,
+        ARC_SOURCE_STEP: 8,
+        /** Vertical spread of arrow ends on a box side */
+        ANCHOR_STEP: 6,
+        MIN_STROKE: 1.5,
+        MAX_STROKE: 10
+    };
+
+    onModel(render);
+
+    /**
+     * Renders the toolbar and the diagram of a model.
+     *
+     * @param {{layers: object[], dependencies: object[]}} model - Model built by ArchitectureGraph.buildLayers
+     */
+    function render(model) {
+        if (model.layers.length === 0) {
+            showMessage('No layers are configured. Define architSearch.layers (or layers in a project config file) to see the layer diagram.');
+            return;
+        }
+
+        legend([], [
+            { label: 'Allowed imports', swatch: 'line muted' },
+            { label: 'Imports violating layer boundaries', swatch: 'line' }
+        ]);
+        const total = model.dependencies.reduce((sum, dependency) => sum + dependency.count, 0);
+        const violating = model.dependencies.reduce((sum, dependency) => sum + dependency.violations, 0);
+        html('span', {
+            class: 'status',
+            text: `${model.layers.length} layers · ${total} imports between layers · ${violating} violating`
+        }, document.getElementById('toolbar'));
+
+        const content = document.getElementById('content');
+        const canvas = createCanvas(content);
+        const details = html('aside', { class: 'details', hidden: true }, content);
+
+        // Outer layers on top; files in no layer (index -1) above all
+        const ordered = [...model.layers].sort((a, b) => rank(b) - rank(a));
+        const rows = new Map(ordered.map((layer, row) => [layer.index, row]));
+        const names = new Map(model.layers.map(layer => [layer.index, layer.name]));
+
+        const arrowGroup = svg('g', {}, canvas.viewport);
+        const boxGroup = svg('g', {}, canvas.viewport);
+        ordered.forEach((layer, row) => drawBox(boxGroup, layer, row));
+
+        const maxCount = Math.max(1, ...model.dependencies.map(dependency => dependency.count));
+        for (const dependency of model.dependencies) {
+            const element = drawDependency(arrowGroup, dependency, rows.get(dependency.from), rows.get(dependency.to), maxCount);
+            const label = `${names.get(dependency.from)} → ${names.get(dependency.to)}`;
+            svg('title', {
+                text: `${label}: ${plural(dependency.count, 'import')}${dependency.violations ? `, ${dependency.violations} violating` : ''}`
+            }, element);
+            element.addEventListener('click', () => {
+                arrowGroup.childNodes.forEach(other => other.classList.toggle('selected', other === element));
+                showSites(details, label, dependency);
+            });
+        }
+
+        canvas.fit();
+    }
+
+    /**
+     * Draws the box of a layer.
+     *
+     * @param {SVGGElement} parent - Group of the boxes
+     * @param {{name: string, index: number, files: number}} layer - Layer
+     * @param {number} row - Row from the top
+     */
+    function drawBox(parent, layer, row) {
+        const y = row * (LAYOUT.BOX_HEIGHT + LAYOUT.BOX_GAP);
+        const color = layerColor(layer.index);
+        const box = svg('g', { class: `box${layer.index < 0 ? ' unassigned' : ''}`, transform: `translate(${-LAYOUT.BOX_WIDTH / 2},${y})` }, parent);
+        svg('rect', { width: LAYOUT.BOX_WIDTH, height: LAYOUT.BOX_HEIGHT, rx: 6, fill: color, stroke: color }, box);
+        svg('text', { class: 'name', x: LAYOUT.BOX_WIDTH / 2, y: 24, text: layer.name }, box);
+        svg('text', { class: 'count', x: LAYOUT.BOX_WIDTH / 2, y: 42, text: plural(layer.files, 'file') }, box);
+        svg('title', { text: `${layer.name}: ${plural(layer.files, 'file')}` }, box);
+    }
+
+    /**
+     * Draws the arrow of the imports from one layer to another.
+     *
+     * @param {SVGGElement} parent - Group of the arrows
+     * @param {{count: number, violations: number}} dependency - Imports between the layers
+     * @param {number} from - Row of the importing layer
+     * @param {number} to - Row of the imported layer
+     * @param {number} maxCount - Largest import count of any arrow
+     * @returns {SVGGElement} Arrow group
+     */
+    function drawDependency(parent, dependency, from, to, maxCount) {
+        const side = to > from ? 1 : -1;
+        const x = (side * LAYOUT.BOX_WIDTH) / 2;
+        const centerY = row => row * (LAYOUT.BOX_HEIGHT + LAYOUT.BOX_GAP) + LAYOUT.BOX_HEIGHT / 2;
+        const spread = offset => Math.max(-LAYOUT.BOX_HEIGHT / 2 + 6, Math.min(LAYOUT.BOX_HEIGHT / 2 - 6, offset));
+        const y0 = centerY(from) + spread((to - from) * LAYOUT.ANCHOR_STEP);
+        const y1 = centerY(to) + spread((from - to) * LAYOUT.ANCHOR_STEP);
+        const bend = side * (LAYOUT.ARC_OFFSET + LAYOUT.ARC_STEP * (Math.abs(to - from) - 1) + LAYOUT.ARC_SOURCE_STEP * from);
+
+        const illegal = dependency.violations > 0;
+        const group = svg('g', { class: `dependency interactive${illegal ? ' illegal' : ''}` }, parent);
+        svg('path', {
+            d: `M ${x} ${y0} C ${x + bend} ${y0}, ${x + bend} ${y1}, ${x} ${y1}`,
+            'stroke-width': LAYOUT.MIN_STROKE + (LAYOUT.MAX_STROKE - LAYOUT.MIN_STROKE) * Math.sqrt(dependency.count / maxCount),
+            'marker-end': `url(#${illegal ? 'arrow-danger' : 'arrow'})`
+        }, group);
+
+        // Midpoint of the curve
+        svg('text', {
+            x: x + 0.75 * bend,
+            y: (y0 + y1) / 2 + 4,
+            text: illegal ? `${dependency.count} · ⚠ ${dependency.violations}` : String(dependency.count)
+        }, group);
+        return group;
+    }
+
+    /**
+     * Lists the import sites of an arrow in the details pane, violations first.
+     *
+     * @param {HTMLElement} details - Details pane
+     * @param {string} label - Arrow label (`from → to`)
+     * @param {{count: number, violations: number, sites: object[]}} dependency - Imports between the layers
+     */
+    function showSites(details, label, dependency) {
+        details.replaceChildren();
+        details.hidden = false;
+
+        const close = html('button', { class: 'close', title: 'Close', text: '✕' }, details);
+        close.addEventListener('click', () => {
+            details.hidden = true;
+        });
+        html('h3', { text: label }, details);
+        html('p', {
+            text: `${plural(dependency.count, 'import')}${dependency.violations ? `, ${dependency.violations} violating` : ''}`
+        }, details);
+        const firstViolation = dependency.sites.find(site => site.violation);
+        if (firstViolation) {
+            html('p', { class: 'message', text: firstViolation.violation.message }, details);
+        }
+
+        const list = html('ul', {}, details);
+        const sites = [...dependency.sites].sort((a, b) => Number(Boolean(b.violation)) - Number(Boolean(a.violation)));
+        for (const site of sites) {
+            const item = html('li', { class: 'site', title: site.violation ? site.violation.message : 'Open import' }, list);
+            html('div', { text: `${site.from}:${site.line + 1}` }, item);
+            const target = html('div', {}, item);
+            html('code', { text: `'${site.specifier}'` }, target);
+            html('span', { text: ` → ${site.to}` }, target);
+            if (site.violation) {
+                html('div', { class: 'message', text: site.violation.ruleId }, item);
+            }
+            item.addEventListener('click', () => openFile(site.file, site.line));
+        }
+    }
+
+    /**
+     * Gets the sort rank of a layer: files in no layer above the outermost layer.
+     *
+     * @param {{index: number}} layer - Layer
+     * @returns {number}
+     */
+    function rank(layer) {
+        return layer.index < 0 ? Infinity : layer.index;
+    }
+
+    /**
+     * Formats a count with a noun.
+     *
+     * @param {number} count - Count
+     * @param {string} noun - Singular noun
+     * @returns {string}
+     */
+    function plural(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    }
+})();
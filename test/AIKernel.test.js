@@ -0,0 +1,42 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const AIKernel = require('../lib/AIKernel');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('AIKernel', () => {
+	teardown(cleanup);
+
+	const imports = count => Array.from({ length: count }, (_, i) => `import m${i} from './m${i}';`).join('\n');
+
+	test('updates the import statistics of changed, new and deleted files', () => {
+		const dir = createProject({ 'a.js': imports(1), 'b.js': imports(3) });
+		const file = name => path.join(dir, name);
+		const kernel = new AIKernel();
+		kernel.learn([file('a.js'), file('b.js')]);
+		assert.strictEqual(kernel.statsModel.mean, 2);
+
+		fs.writeFileSync(file('a.js'), imports(5));
+		kernel.updateFile(file('a.js'));
+		assert.strictEqual(kernel.statsModel.mean, 4);
+
+		fs.writeFileSync(file('c.js'), imports(0));
+		kernel.updateFile(file('c.js'));
+		assert.deepStrictEqual([kernel.vectors.size, kernel.statsModel.mean], [3, 8 / 3]);
+
+		fs.unlinkSync(file('b.js'));
+		kernel.removeFile(file('b.js'));
+		assert.deepStrictEqual([kernel.vectors.size, kernel.statsModel.mean], [2, 2.5]);
+	});
+
+	test('leaves generated files out of the model', () => {
+		const dir = createProject({ 'a.js': imports(2), 'gen.js': `// @generated\n${imports(40)}` });
+		const kernel = new AIKernel();
+		kernel.learn([path.join(dir, 'a.js')]);
+
+		kernel.updateFile(path.join(dir, 'gen.js'));
+		assert.deepStrictEqual([...kernel.vectors.keys()], [path.join(dir, 'a.js')]);
+		assert.strictEqual(kernel.statsModel.mean, 2);
+	});
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const AnalysisCache = require('../lib/AnalysisCache');
+const AnalysisWorker = require('../lib/AnalysisWorker');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('AnalysisCache', () => {
+	teardown(cleanup);
+
+	const entry = {
+		filePath: '/src/a.js',
+		mtimeMs: 1,
+		size: 10,
+		hash: AnalysisCache.hash('content'),
+		imports: [{ path: './b', resolved: '/src/b.js', index: 0, line: 0 }],
+		features: { vector: new Map([['user', 2]]), importCount: 1 },
+		maintainability: null
+	};
+
+	test('round-trips entries through the cache file', async () => {
+		const dir = createProject({});
+		const cache = new AnalysisCache(dir, '1.0.0');
+		cache.replaceAll([entry, { filePath: '/src/missing.js' }]);
+		await cache.save();
+
+		const loaded = new AnalysisCache(dir, '1.0.0');
+
+		assert.strictEqual(await loaded.load(), 1);
+		assert.deepStrictEqual(loaded.get('/src/a.js'), entry);
+		assert.ok(loaded.get('/src/a.js').features.vector instanceof Map);
+	});
+
+	test('discards caches of another analyzer version and corrupt files', async () => {
+		const dir = createProject({});
+		const cache = new AnalysisCache(dir, '1.0.0');
+		cache.replaceAll([entry]);
+		await cache.save();
+
+		assert.strictEqual(await new AnalysisCache(dir, '2.0.0').load(), 0);
+
+		fs.writeFileSync(cache.filePath, 'not gzip');
+		assert.strictEqual(await new AnalysisCache(dir, '1.0.0').load(), 0);
+	});
+
+	test('clear removes the entries and the file', async () => {
+		const dir = createProject({});
+		const cache = new AnalysisCache(dir);
+		cache.replaceAll([entry]);
+		await cache.save();
+
+		await cache.clear();
+
+		assert.deepStrictEqual(cache.getAll(), []);
+		assert.strictEqual(fs.existsSync(cache.filePath), false);
+	});
+
+	test('lets the worker skip files whose content did not change', () => {
+		const dir = createProject({ 'a.js': "import b from './b';\n", 'b.js': '' });
+		const filePath = path.join(dir, 'a.js');
+		const worker = new AnalysisWorker();
+		const first = worker.analyzeFile(filePath);
+
+		const touched = worker.analyzeFile(filePath, { ...first, mtimeMs: first.mtimeMs - 1000 });
+		fs.writeFileSync(filePath, "import other from './other';\n");
+		const changed = worker.analyzeFile(filePath, first);
+
+		assert.strictEqual(touched.unchanged, true);
+		assert.strictEqual(touched.imports[0].resolved, path.join(dir, 'b.js'));
+		assert.strictEqual(changed.unchanged, undefined);
+		assert.strictEqual(changed.imports[0].path, './other');
+	});
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const path = require('path');
+
+const AnalysisWorkerPool = require('../lib/AnalysisWorkerPool');
+const { AnalysisCancelledError } = AnalysisWorkerPool;
+const { createProject, cleanup } = require('./fixtures');
+
+suite('AnalysisWorkerPool', () => {
+	teardown(cleanup);
+
+	/**
+	 * Creates a project of `count` files, each importing the next one.
+	 *
+	 * @param {number} count - Number of files
+	 * @returns {string[]} Absolute file paths
+	 */
+	const chain = count => {
+		const files = {};
+		for (let i = 0; i < count; i++) {
+			files[`src/f${i}.js`] = i + 1 < count ? `import next from './f${i + 1}';\n` : 'export default 1;\n';
+		}
+		const dir = createProject(files);
+		return Object.keys(files).map(file => path.join(dir, file));
+	};
+
+	for (const size of [0, 2]) {
+		test(`parses and resolves files in order with ${size} worker threads`, async () => {
+			const files = chain(250);
+			const progress = [];
+
+			const results = await new AnalysisWorkerPool(size).run(files, { onProgress: done => progress.push(done) });
+
+			assert.deepStrictEqual(results.map(result => result.filePath), files);
+			assert.strictEqual(results[0].imports[0].resolved, files[1]);
+			assert.deepStrictEqual(results[files.length - 1].imports, []);
+			assert.ok(results.every(result => result.hash && result.maintainability));
+			assert.strictEqual(progress.length, 3);
+			assert.strictEqual(progress[progress.length - 1], files.length);
+		});
+	}
+
+	test('reports missing files with their path only', async () => {
+		const [file] = chain(1);
+
+		const results = await new AnalysisWorkerPool(0).run([file, `${file}.missing`]);
+
+		assert.deepStrictEqual(results[1], { filePath: `${file}.missing` });
+	});
+
+	test('reuses cached entries of unchanged files', async () => {
+		const files = chain(2);
+		const pool = new AnalysisWorkerPool(0);
+		const [first] = await pool.run(files);
+		const cache = new Map([[first.filePath, { ...first, maintainability: 'cached' }]]);
+
+		const [again] = await pool.run(files, { cache });
+
+		assert.strictEqual(again.maintainability, 'cached');
+		assert.strictEqual(again.imports[0].resolved, files[1]);
+	});
+
+	test('rejects with AnalysisCancelledError when cancelled', async () => {
+		const files = chain(300);
+		const token = { isCancellationRequested: false };
+
+		const run = new AnalysisWorkerPool(1).run(files, {
+			token,
+			onProgress: () => {
+				token.isCancellationRequested = true;
+			}
+		});
+
+		await assert.rejects(run, AnalysisCancelledError);
+	});
+});
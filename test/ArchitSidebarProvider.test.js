@@ -0,0 +1,146 @@
+const assert = require('assert');
+const path = require('path');
+const vscode = require('vscode');
+
+const ArchitSidebarProvider = require('../lib/ArchitSidebarProvider');
+const ArchitectureGraph = require('../lib/ArchitectureGraph');
+const ConfigLoader = require('../lib/ConfigLoader');
+const FolderRegistry = require('../lib/FolderRegistry');
+const RuleEngine = require('../lib/RuleEngine');
+const ImportParser = require('../lib/ImportParser');
+const SmartAdvisor = require('../lib/SmartAdvisor');
+const UnusedImportDetector = require('../lib/UnusedImportDetector');
+const ModuleResolver = require('../lib/ModuleResolver');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('ArchitSidebarProvider', () => {
+	let provider;
+
+	teardown(() => {
+		provider?.dispose();
+		provider = undefined;
+		cleanup();
+	});
+
+	const engine = new RuleEngine();
+	const settings = ConfigLoader.normalize({
+		layers: [{ name: 'Domain', pattern: '**/domain/**' }, { name: 'App', pattern: '**/app/**' }]
+	});
+
+	/**
+	 * Creates a sidebar over an analyzed folder and the given published violations.
+	 *
+	 * @param {Record<string, string>} files - File contents by relative path
+	 * @param {Array<[string, number, string, vscode.DiagnosticSeverity?]>} [published] - File, line, rule ID and severity (default warning) of each violation
+	 * @returns {{file: (name: string) => string, section: (id: string) => vscode.TreeItem}}
+	 */
+	const setup = (files, published = []) => {
+		const dir = createProject(files);
+		const file = name => path.join(dir, name);
+		const folders = new FolderRegistry({
+			engine,
+			parser: new ImportParser(),
+			advisor: new SmartAdvisor(),
+			unusedImportDetector: new UnusedImportDetector(),
+			resolver: new ModuleResolver()
+		});
+		folders.setFolders([{ rootDir: dir, name: 'project' }]);
+		const folder = folders.getAll()[0];
+		folder.dependencyGraph.build(Object.keys(files).map(file));
+
+		const byFile = new Map();
+		for (const [name, line, ruleId, severity = vscode.DiagnosticSeverity.Warning] of published) {
+			const diagnostic = new vscode.Diagnostic(new vscode.Range(line, 0, line, 1), `${ruleId} broken`, severity);
+			diagnostic.code = ruleId;
+			const uri = vscode.Uri.file(file(name));
+			byFile.set(uri.fsPath, [uri, [...(byFile.get(uri.fsPath)?.[1] || []), diagnostic]]);
+		}
+		const diagnostics = { forEach: callback => byFile.forEach(([uri, list]) => callback(uri, list)) };
+
+		provider = new ArchitSidebarProvider(folders, {
+			diagnostics,
+			getArchitectureGraph: analysis => new ArchitectureGraph({
+				dependencyGraph: analysis.dependencyGraph,
+				deepCycleDetector: analysis.deepCycleDetector,
+				engine,
+				rootDir: analysis.rootDir,
+				settings
+			})
+		});
+		const section = id => provider.getChildren().find(item => item.id === id);
+		return { file, section };
+	};
+	const childrenOf = item => provider.getChildren(item);
+
+	const PROJECT = {
+		'src/app/main.js': "import u from '../domain/user';\nimport o from '../domain/order';",
+		'src/domain/order.js': "import m from '../app/main';",
+		'src/domain/user.js': "import id from '../shared/id';",
+		'src/shared/id.js': ''
+	};
+
+	test('shows the workspace sections', () => {
+		const { section } = setup(PROJECT);
+
+		assert.deepStrictEqual(provider.getChildren().map(item => item.id),
+			['currentFile', 'violations', 'cycles', 'coupling', 'maintainability', 'layers', 'aiInsights', 'folders']);
+		assert.strictEqual(childrenOf(section('folders')).length, 1);
+	});
+
+	test('groups published violations by rule and by file', () => {
+		const { file, section } = setup(PROJECT, [
+			['src/app/main.js', 1, 'cycle/direct'],
+			['src/domain/order.js', 0, 'cycle/direct'],
+			['src/domain/order.js', 0, 'layer/inward-only']
+		]);
+		const [byRule, byFile] = childrenOf(section('violations'));
+
+		assert.deepStrictEqual(childrenOf(byRule).map(item => [item.label, item.description]), [['cycle/direct', '2'], ['layer/inward-only', '1']]);
+		const [first] = childrenOf(childrenOf(byRule)[0]);
+		assert.strictEqual(first.label, 'main.js:2');
+		assert.strictEqual(first.command.command, 'vscode.open');
+		assert.strictEqual(first.command.arguments[0].fsPath, file('src/app/main.js'));
+
+		assert.deepStrictEqual(childrenOf(byFile).map(item => item.label), ['order.js', 'main.js']);
+		assert.deepStrictEqual(childrenOf(childrenOf(byFile)[0]).map(item => item.description), ['cycle/direct · 1', 'layer/inward-only · 1']);
+	});
+
+	test('gives info and hint violations their own icons', () => {
+		const { section } = setup(PROJECT, [
+			['src/app/main.js', 0, 'cycle/breaker', vscode.DiagnosticSeverity.Information],
+			['src/domain/user.js', 0, 'import/unused', vscode.DiagnosticSeverity.Hint]
+		]);
+		const [byRule] = childrenOf(section('violations'));
+
+		assert.deepStrictEqual(childrenOf(byRule).map(item => [item.label, item.iconPath.id]), [['cycle/breaker', 'info'], ['import/unused', 'lightbulb']]);
+		assert.strictEqual(childrenOf(childrenOf(byRule)[1])[0].iconPath.id, 'lightbulb');
+	});
+
+	test('lists cycles with the import continuing each cycle', () => {
+		const { file, section } = setup(PROJECT);
+		const cycles = childrenOf(section('cycles'));
+
+		assert.deepStrictEqual(cycles.map(item => item.label), ['main.js → order.js → main.js']);
+		const members = childrenOf(cycles[0]);
+		assert.deepStrictEqual(members.map(item => [item.label, item.description]), [['main.js', '→ order.js'], ['order.js', '→ main.js']]);
+		assert.strictEqual(members[0].command.arguments[0].fsPath, file('src/app/main.js'));
+		assert.strictEqual(members[0].command.arguments[1].selection.start.line, 1);
+	});
+
+	test('ranks files by coupling', () => {
+		const { section } = setup(PROJECT);
+
+		assert.strictEqual(childrenOf(section('coupling'))[0].label, 'main.js');
+	});
+
+	test('reports the health of every layer with its violating imports', () => {
+		const { file, section } = setup(PROJECT);
+		const layers = childrenOf(section('layers'));
+
+		assert.deepStrictEqual(layers.map(item => [item.label, item.iconPath.id]).slice(0, 2), [['Domain', 'error'], ['App', 'pass']]);
+		assert.strictEqual(layers.length, 3);
+		const [violation] = childrenOf(layers[0]);
+		assert.deepStrictEqual([violation.label, violation.description], ['order.js → main.js', 'layer/inward-only']);
+		assert.strictEqual(violation.command.arguments[0].fsPath, file('src/domain/order.js'));
+	});
+});
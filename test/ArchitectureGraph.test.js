@@ -0,0 +1,245 @@
+const assert = require('assert');
+const path = require('path');
+
+const ArchitectureGraph = require('../lib/ArchitectureGraph');
+const ConfigLoader = require('../lib/ConfigLoader');
+const DeepCycleDetector = require('../lib/DeepCycleDetector');
+const DependencyGraph = require('../lib/DependencyGraph');
+const RuleEngine = require('../lib/RuleEngine');
+const { createProject, cleanup } = require('./fixtures');
+
+const LAYERS = [
+	{ name: 'Domain', pattern: '**/domain/**' },
+	{ name: 'App', pattern: '**/app/**' }
+];
+
+// The app and domain folders import each other through main.js and order.js; order.js breaks the layers
+const PROJECT = {
+	'src/app/main.js': "import u from '../domain/user';\nimport o from '../domain/order';",
+	'src/domain/order.js': "import m from '../app/main';",
+	'src/domain/user.js': "import id from '../shared/id';",
+	'src/shared/id.js': ''
+};
+
+/**
+ * Creates the architecture model of a new project.
+ *
+ * @param {object} [raw] - Settings besides the layers (see ConfigLoader.normalize)
+ * @param {Record<string, string>} [files] - File contents by relative path
+ * @param {Object} [options] - Constructor options overriding the defaults
+ * @returns {ArchitectureGraph}
+ */
+const createGraph = (raw = {}, files = PROJECT, options = {}) => {
+	const dir = createProject(files);
+	const dependencyGraph = new DependencyGraph();
+	dependencyGraph.build(Object.keys(files).map(file => path.join(dir, file)));
+	return new ArchitectureGraph({
+		dependencyGraph,
+		deepCycleDetector: new DeepCycleDetector(dependencyGraph),
+		engine: new RuleEngine(),
+		rootDir: dir,
+		settings: ConfigLoader.normalize({ layers: LAYERS, ...raw }),
+		...options
+	});
+};
+
+suite('ArchitectureGraph', () => {
+	teardown(cleanup);
+
+	test('models files with their folder, layer and cyclic component', () => {
+		const { layers, nodes } = createGraph().build();
+
+		assert.deepStrictEqual(layers, ['Domain', 'App']);
+		assert.deepStrictEqual(nodes.map(({ id, label, dir, layer, cycle }) => [id, label, dir, layer, cycle]), [
+			['src/app/main.js', 'main.js', 'src/app', 1, 0],
+			['src/domain/order.js', 'order.js', 'src/domain', 0, 0],
+			['src/domain/user.js', 'user.js', 'src/domain', 0, -1],
+			['src/shared/id.js', 'id.js', 'src/shared', -1, -1]
+		]);
+	});
+
+	test('keeps one edge per pair of project files with every import site', () => {
+		const { edges } = createGraph({}, {
+			'a.js': "import b from './b';\nimport React from 'react';\nimport { c } from './b';\nimport x from './missing';",
+			'b.js': ''
+		}).build();
+
+		assert.deepStrictEqual(edges, [{
+			from: 'a.js',
+			to: 'b.js',
+			sites: [{ line: 0, specifier: './b' }, { line: 2, specifier: './b' }],
+			cycle: false,
+			violation: null
+		}]);
+	});
+
+	test('flags cycles and rule or layer violations with their configured severity', () => {
+		const rules = [{ source: '**/domain/**', disallow: ['**/shared/**'], severity: 'warning', message: 'Keep the domain self-contained' }];
+		const edgeFlags = raw => createGraph(raw).build().edges.map(edge => [edge.from, edge.to, edge.cycle, edge.violation && `${edge.violation.ruleId}:${edge.violation.severity}`]);
+
+		assert.deepStrictEqual(edgeFlags({ rules }), [
+			['src/app/main.js', 'src/domain/user.js', false, null],
+			['src/app/main.js', 'src/domain/order.js', true, null],
+			['src/domain/order.js', 'src/app/main.js', true, 'layer/inward-only:error'],
+			['src/domain/user.js', 'src/shared/id.js', false, 'rules/disallow:warning']
+		]);
+		assert.ok(edgeFlags({ ruleSeverity: { 'layer/inward-only': 'off' } }).every(([, , , violation]) => violation === null));
+	});
+
+	test('checks each import with the settings of the importing file', () => {
+		const strict = ConfigLoader.normalize({ rules: [{ source: '**', disallow: ['**/shared/**'] }] });
+		const graph = createGraph({}, PROJECT, { getSettings: file => (file.endsWith('user.js') ? strict : graph.settings) });
+
+		const violations = graph.build().edges.filter(edge => edge.violation).map(edge => [edge.from, edge.violation.ruleId]);
+		assert.deepStrictEqual(violations, [['src/domain/order.js', 'layer/inward-only'], ['src/domain/user.js', 'rules/disallow']]);
+	});
+
+	test('shows absolute paths without a project root', () => {
+		const graph = createGraph({}, PROJECT, { rootDir: null });
+
+		assert.ok(graph.build().nodes.every(node => node.id === node.file.replace(/\\/g, '/')));
+	});
+
+	suite('layer diagram', () => {
+		test('counts files per layer and imports between layers per site', () => {
+			const { layers, dependencies } = createGraph().buildLayers();
+
+			assert.deepStrictEqual(layers, [
+				{ name: 'Domain', index: 0, files: 2 },
+				{ name: 'App', index: 1, files: 1 },
+				{ name: 'No layer', index: -1, files: 1 }
+			]);
+			assert.deepStrictEqual(dependencies.map(({ from, to, count, violations }) => [from, to, count, violations]), [
+				[1, 0, 2, 0],
+				[0, 1, 1, 1],
+				[0, -1, 1, 0]
+			]);
+			assert.deepStrictEqual(dependencies[1].sites.map(({ from, to, line, specifier, violation }) => [from, to, line, specifier, violation.ruleId]), [
+				['src/domain/order.js', 'src/app/main.js', 0, '../app/main', 'layer/inward-only']
+			]);
+		});
+
+		test('counts only layer violations between layers', () => {
+			const rules = [{ source: '**/app/**', disallow: ['**/domain/**'] }];
+			const { dependencies } = createGraph({ rules }).buildLayers();
+
+			assert.deepStrictEqual(dependencies.map(({ from, to, violations }) => [from, to, violations]), [[1, 0, 0], [0, 1, 1], [0, -1, 0]]);
+		});
+
+		test('applies strict layers and leaves out the unassigned box when every file has a layer', () => {
+			const layers = [...LAYERS, { name: 'UI', pattern: '**/ui/**' }];
+			const { layers: boxes, dependencies } = createGraph({ layers, strictLayers: true }, {
+				'src/ui/page.js': "import u from '../domain/user';\nimport m from '../app/main';",
+				'src/app/main.js': '',
+				'src/domain/user.js': ''
+			}).buildLayers();
+
+			assert.deepStrictEqual(boxes.map(box => box.name), ['Domain', 'App', 'UI']);
+			assert.deepStrictEqual(dependencies.map(({ from, to, violations }) => [from, to, violations]), [[2, 0, 1], [2, 1, 0]]);
+			assert.strictEqual(dependencies[0].sites[0].violation.ruleId, 'layer/allowed-layers');
+		});
+
+		test('is empty without configured layers', () => {
+			assert.deepStrictEqual(createGraph({ layers: [] }).buildLayers(), { layers: [], dependencies: [] });
+		});
+	});
+
+	suite('dependency structure matrix', () => {
+		const cellsOf = matrix => matrix.cells.map(({ row, column, count, violations, cycle }) => [row, column, count, violations, cycle]);
+
+		test('orders folders by layer, imported folders first, and marks cyclic cells', () => {
+			const matrix = createGraph().buildMatrix();
+
+			assert.deepStrictEqual(matrix.modules.map(({ id, label, kind, layer, files }) => [id, label, kind, layer, files]), [
+				['src/domain', 'src/domain', 'folder', 0, 2],
+				['src/app', 'src/app', 'folder', 1, 1],
+				['src/shared', 'src/shared', 'folder', -1, 1]
+			]);
+			assert.deepStrictEqual(cellsOf(matrix), [
+				[0, 1, 1, 1, true],
+				[0, 2, 1, 0, false],
+				[1, 0, 2, 0, true]
+			]);
+			assert.deepStrictEqual(matrix.cells[2].sites.map(site => [site.from, site.to, site.line]), [
+				['src/app/main.js', 'src/domain/user.js', 0],
+				['src/app/main.js', 'src/domain/order.js', 1]
+			]);
+		});
+
+		test('shows expanded folders file by file without moving the others', () => {
+			const matrix = createGraph().buildMatrix({ expanded: ['src/domain', 'src/missing'] });
+
+			assert.deepStrictEqual(matrix.expanded, ['src/domain']);
+			assert.deepStrictEqual(matrix.modules.map(({ id, kind }) => [id, kind]), [
+				['src/domain/user.js', 'file'],
+				['src/domain/order.js', 'file'],
+				['src/app', 'folder'],
+				['src/shared', 'folder']
+			]);
+			assert.deepStrictEqual(cellsOf(matrix), [
+				[0, 3, 1, 0, false],
+				[1, 2, 1, 1, true],
+				[2, 0, 1, 0, false],
+				[2, 1, 1, 0, true]
+			]);
+		});
+
+		test('labels the project root folder', () => {
+			const matrix = createGraph({ layers: [] }, { 'index.js': "import a from './lib/a';", 'lib/a.js': '' }).buildMatrix();
+
+			assert.deepStrictEqual(matrix.modules.map(({ id, label, layer }) => [id, label, layer]), [['lib', 'lib', -1], ['', '(root)', -1]]);
+			assert.deepStrictEqual(cellsOf(matrix), [[1, 0, 1, 0, false]]);
+		});
+	});
+
+	suite('diagrams', () => {
+		const { FILE, FOLDER, LAYER } = ArchitectureGraph.DIAGRAM_GRANULARITY;
+		const edgesOf = diagram => diagram.edges.map(({ from, to, count, violations, cycle }) => [from, to, count, violations, cycle]);
+
+		test('draws files with their layer and cycles', () => {
+			const diagram = createGraph().buildDiagram(FILE);
+
+			assert.strictEqual(diagram.granularity, 'file');
+			assert.deepStrictEqual(diagram.nodes.map(({ id, label, layer, cycle }) => [id, label, layer, cycle]), [
+				['src/app/main.js', 'src/app/main.js', 1, true],
+				['src/domain/order.js', 'src/domain/order.js', 0, true],
+				['src/domain/user.js', 'src/domain/user.js', 0, false],
+				['src/shared/id.js', 'src/shared/id.js', -1, false]
+			]);
+			assert.deepStrictEqual(edgesOf(diagram), [
+				['src/app/main.js', 'src/domain/user.js', 1, 0, false],
+				['src/app/main.js', 'src/domain/order.js', 1, 0, true],
+				['src/domain/order.js', 'src/app/main.js', 1, 1, true],
+				['src/domain/user.js', 'src/shared/id.js', 1, 0, false]
+			]);
+		});
+
+		test('merges the imports between folders', () => {
+			const diagram = createGraph().buildDiagram();
+
+			assert.deepStrictEqual(diagram.nodes.map(({ id, layer, cycle }) => [id, layer, cycle]), [
+				['src/app', 1, true],
+				['src/domain', 0, true],
+				['src/shared', -1, false]
+			]);
+			assert.deepStrictEqual(edgesOf(diagram), [
+				['src/app', 'src/domain', 2, 0, true],
+				['src/domain', 'src/app', 1, 1, true],
+				['src/domain', 'src/shared', 1, 0, false]
+			]);
+			assert.strictEqual(createGraph({}, { 'index.js': '' }).buildDiagram(FOLDER).nodes[0].label, '(root)');
+		});
+
+		test('draws layers with the imports crossing them', () => {
+			const diagram = createGraph().buildDiagram(LAYER);
+
+			assert.deepStrictEqual(diagram.layers, ['Domain', 'App']);
+			assert.deepStrictEqual(diagram.nodes.map(({ id, label, cycle }) => [id, label, cycle]), [['0', 'Domain', true], ['1', 'App', true], ['-1', 'No layer', false]]);
+			assert.deepStrictEqual(edgesOf(diagram), [['1', '0', 2, 0, true], ['0', '1', 1, 1, true], ['0', '-1', 1, 0, false]]);
+		});
+
+		test('rejects unknown granularities', () => {
+			assert.throws(() => createGraph().buildDiagram('module'), /Unknown diagram granularity: module/);
+		});
+	});
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const Baseline = require('../lib/Baseline');
+const ConfigLoader = require('../lib/ConfigLoader');
+const ProjectChecker = require('../lib/ProjectChecker');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('Baseline', () => {
+	teardown(cleanup);
+
+	/**
+	 * Fingerprints the violation at the first occurrence of a snippet.
+	 *
+	 * @param {string} text - Source text
+	 * @param {string} snippet - Offending code
+	 * @param {string} [ruleId] - Rule ID
+	 * @param {string} [file] - Project-relative file path
+	 * @returns {string}
+	 */
+	const fingerprintOf = (text, snippet, ruleId = 'cycle/direct', file = 'src/a.js') =>
+		Baseline.fingerprint(file, ruleId, text, text.indexOf(snippet), snippet.length);
+
+	test('fingerprints rule, file and code, but not the line or whitespace', () => {
+		const before = "import b from './b';";
+		const after = "// header\n\nimport   b   from './b';";
+		const fingerprint = fingerprintOf(before, before);
+
+		assert.match(fingerprint, /^[0-9a-f]{16}$/);
+		assert.strictEqual(fingerprintOf(after, "import   b   from './b';"), fingerprint);
+		assert.notStrictEqual(fingerprintOf(before, before, 'cycle/deep'), fingerprint);
+		assert.notStrictEqual(fingerprintOf(before, before, 'cycle/direct', 'src/c.js'), fingerprint);
+		assert.notStrictEqual(fingerprintOf("import c from './c';", "import c from './c';"), fingerprint);
+	});
+
+	test('matches recorded violations as often as they were recorded', () => {
+		const dir = createProject({});
+		const baseline = Baseline.create(path.join(dir, 'baseline.json'), [
+			{ file: 'src/a.js', ruleId: 'cycle/direct', fingerprint: 'aaa', message: 'first' },
+			{ file: 'src/a.js', ruleId: 'cycle/direct', fingerprint: 'bbb', message: 'second' }
+		]);
+
+		const matched = baseline.match('src/a.js', [{ fingerprint: 'aaa' }, { fingerprint: 'aaa' }, { fingerprint: 'ccc' }]);
+
+		assert.deepStrictEqual(matched, { violations: [{ fingerprint: 'aaa' }, { fingerprint: 'ccc' }], baselinedCount: 1, fixed: ['bbb'] });
+		assert.deepStrictEqual(baseline.match('src/other.js', [{ fingerprint: 'aaa' }]).baselinedCount, 0);
+	});
+
+	test('prunes fixed entries and missing files, and writes sorted files', () => {
+		const dir = createProject({});
+		const filePath = path.join(dir, 'baseline.json');
+		const baseline = Baseline.create(filePath, [
+			{ file: 'src/b.js', ruleId: 'cycle/direct', fingerprint: 'bbb', message: 'b' },
+			{ file: 'src/a.js', ruleId: 'cycle/direct', fingerprint: 'aaa', message: 'a' },
+			{ file: 'src/a.js', ruleId: 'cycle/deep', fingerprint: 'ddd', message: 'a' },
+			{ file: 'src/gone.js', ruleId: 'cycle/direct', fingerprint: 'ggg', message: 'gone' }
+		]);
+		assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf-8')).files), ['src/a.js', 'src/b.js', 'src/gone.js']);
+
+		assert.strictEqual(baseline.prune('src/a.js', ['ddd']), true);
+		assert.strictEqual(baseline.prune('src/a.js', ['zzz']), false);
+		assert.strictEqual(baseline.prune('src/b.js', ['bbb']), true);
+		assert.strictEqual(baseline.pruneMissingFiles(new Set(['src/a.js', 'src/b.js'])), 1);
+		baseline.save();
+
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), {
+			version: 1,
+			files: { 'src/a.js': [{ ruleId: 'cycle/direct', fingerprint: 'aaa', message: 'a' }] }
+		});
+	});
+
+	test('re-reads the file when it changes and rejects invalid files', () => {
+		const dir = createProject({});
+		const filePath = path.join(dir, 'baseline.json');
+		const baseline = new Baseline(filePath);
+
+		assert.strictEqual(baseline.exists(), false);
+		assert.strictEqual(baseline.match('src/a.js', [{ fingerprint: 'aaa' }]).baselinedCount, 0);
+
+		fs.writeFileSync(filePath, JSON.stringify({ version: 1, files: { 'src/a.js': [{ ruleId: 'cycle/direct', fingerprint: 'aaa' }] } }));
+		assert.strictEqual(baseline.match('src/a.js', [{ fingerprint: 'aaa' }]).baselinedCount, 1);
+
+		fs.writeFileSync(filePath, '{ "files": {} }');
+		fs.utimesSync(filePath, new Date(), new Date(Date.now() + 5000));
+		assert.throws(() => baseline.match('src/a.js', []), /Invalid baseline file .*expected version 1/);
+	});
+
+	test('reports only violations missing from the project baseline', () => {
+		const dir = createProject({
+			'src/a.js': "import b from './b';",
+			'src/b.js': "import a from './a';"
+		});
+		const settings = ConfigLoader.normalize({ enableAI: false, suggestCycleBreakers: false });
+
+		const { filePath, count } = new ProjectChecker(dir, settings).createBaseline();
+		assert.strictEqual(filePath, path.join(dir, 'archit-baseline.json'));
+		assert.strictEqual(count, 4);
+
+		// Moving the import down a line keeps it baselined; a new cycle is reported
+		fs.writeFileSync(path.join(dir, 'src/a.js'), "\n\nimport b from './b';\nimport c from './c';");
+		fs.writeFileSync(path.join(dir, 'src/c.js'), "import a from './a';");
+		const result = new ProjectChecker(dir, settings).run();
+
+		assert.strictEqual(result.baselinedCount, 4);
+		assert.deepStrictEqual([...new Set(result.violations.map(v => v.file))].sort(), ['src/a.js', 'src/c.js']);
+		assert.ok(result.violations.every(v => v.file !== 'src/a.js' || v.line === 4));
+	});
+});
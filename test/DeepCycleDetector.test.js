@@ -0,0 +1,116 @@
+const assert = require('assert');
+
+const DeepCycleDetector = require('../lib/DeepCycleDetector');
+
+/**
+ * Creates a stand-in for DependencyGraph from an edge list like `['a>b', 'b>c']`.
+ *
+ * @param {string[]} edges - Edges between file paths
+ * @returns {{version: number, getFiles: () => string[], getDependencies: (file: string) => string[], getStats: () => object}}
+ */
+function graphOf(edges) {
+	const adjacency = new Map();
+	for (const edge of edges) {
+		const [from, to] = edge.split('>').map(name => `/src/${name}.js`);
+		for (const node of [from, to]) {
+			if (!adjacency.has(node)) {
+				adjacency.set(node, []);
+			}
+		}
+		adjacency.get(from).push(to);
+	}
+	return {
+		version: 1,
+		getFiles: () => [...adjacency.keys()],
+		getDependencies: file => adjacency.get(file) || [],
+		getStats: () => ({ totalFiles: adjacency.size })
+	};
+}
+
+const file = name => `/src/${name}.js`;
+
+suite('DeepCycleDetector', () => {
+	test('reports a shortest cycle through a file with its component', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>c', 'c>a', 'c>d', 'd>b', 'e>a']));
+
+		const result = detector.detectDeepCycle(file('a'));
+
+		assert.deepStrictEqual(result.cycle, ['a', 'b', 'c', 'a'].map(file));
+		assert.strictEqual(result.depth, 3);
+		assert.deepStrictEqual(result.component, ['a', 'b', 'c', 'd'].map(file));
+		assert.match(result.message, /\(3 levels\) - a\.js → b\.js → c\.js → a\.js \(4 files are mutually dependent\)/);
+	});
+
+	test('ignores files outside cycles and cycles beyond the depth limit', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>c', 'c>d', 'd>a', 'e>a']));
+
+		assert.strictEqual(detector.detectDeepCycle(file('e')), null);
+		assert.strictEqual(detector.detectDeepCycle(file('a'), 3), null);
+		assert.strictEqual(detector.detectDeepCycle(file('a'), 4).depth, 4);
+	});
+
+	test('lists one cycle per tangled component, largest first', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>a', 'x>y', 'y>z', 'z>x', 'z>y']));
+
+		assert.deepStrictEqual(detector.getAllCycles().map(({ component, depth }) => [component.length, depth]), [[3, 2], [2, 2]]);
+	});
+
+	test('recomputes components when the graph version changes', () => {
+		const graph = graphOf(['a>b', 'b>c']);
+		const detector = new DeepCycleDetector(graph);
+		assert.strictEqual(detector.getComponent(file('a')), null);
+
+		graph.getDependencies(file('c')).push(file('a'));
+		graph.version++;
+
+		assert.deepStrictEqual(detector.getComponent(file('a')).files, ['a', 'b', 'c'].map(file));
+	});
+
+	test('ranks imports by the number of elementary cycles they are part of', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>a', 'b>c', 'c>a', 'c>b']));
+
+		const { cycles, truncated, edges } = detector.getElementaryCycles();
+
+		assert.strictEqual(cycles.length, 3);
+		assert.strictEqual(truncated, false);
+		assert.deepStrictEqual(edges.slice(0, 2).map(({ from, to, cycleCount }) => [from, to, cycleCount]), [
+			[file('a'), file('b'), 2],
+			[file('b'), file('c'), 2]
+		]);
+	});
+
+	test('summarizes the cycles through a file', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>a', 'b>c', 'c>a', 'x>y', 'y>x']));
+
+		const summary = detector.getFileCycleSummary(file('c'));
+
+		assert.strictEqual(summary.cycleCount, 1);
+		assert.deepStrictEqual(summary.topEdge, { from: file('a'), to: file('b'), cycleCount: 2 });
+		assert.deepStrictEqual(detector.getFileCycleSummary(file('z')), { cycleCount: 0, topEdge: null });
+	});
+
+	test('suggests feedback edges without enumerating cycles', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>a', 'x>y', 'y>z', 'z>x']));
+		detector.getElementaryCycles = () => assert.fail('cycles must not be enumerated');
+
+		const { edges, truncated } = detector.getFeedbackEdges();
+
+		assert.strictEqual(truncated, false);
+		assert.strictEqual(edges.length, 2);
+		assert.ok(edges.every(edge => edge.cycleCount === null));
+		for (const { from, to } of edges) {
+			assert.deepStrictEqual(detector.getFeedbackEdge(from, to), { from, to, cycleCount: null });
+		}
+		assert.strictEqual(detector.getFeedbackEdge(file('a'), file('x')), null);
+	});
+
+	test('counts the cycles each feedback edge resolves when asked to', () => {
+		const detector = new DeepCycleDetector(graphOf(['a>b', 'b>a', 'b>c', 'c>a']));
+
+		const { edges } = detector.getFeedbackEdges(10, { countCycles: true });
+
+		assert.deepStrictEqual(edges, [{ from: file('a'), to: file('b'), cycleCount: 2 }]);
+		assert.deepStrictEqual(detector.getFeedbackEdge(file('a'), file('b'), 10, { countCycles: true }), edges[0]);
+		assert.strictEqual(detector.getFeedbackEdge(file('b'), file('c'), 10, { countCycles: true }), null);
+	});
+});
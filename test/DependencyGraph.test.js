@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const DependencyGraph = require('../lib/DependencyGraph');
+const ModuleResolver = require('../lib/ModuleResolver');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('DependencyGraph', () => {
+	teardown(cleanup);
+
+	/**
+	 * Builds a graph over every file of a new project.
+	 *
+	 * @param {Record<string, string>} files - File contents by relative path
+	 * @returns {{graph: DependencyGraph, file: (name: string) => string}}
+	 */
+	const buildGraph = files => {
+		const dir = createProject(files);
+		const file = name => path.join(dir, name);
+		const graph = new DependencyGraph();
+		graph.build(Object.keys(files).map(file));
+		return { graph, file };
+	};
+
+	test('keeps forward, reverse and external edges', () => {
+		const { graph, file } = buildGraph({
+			'a.js': "import b from './b';\nimport c from './c';\nimport React from 'react';",
+			'b.js': "import c from './c';",
+			'c.js': ''
+		});
+
+		assert.deepStrictEqual(graph.getDependencies(file('a.js')), [file('b.js'), file('c.js')]);
+		assert.deepStrictEqual(graph.getDependents(file('c.js')).sort(), [file('a.js'), file('b.js')]);
+		assert.deepStrictEqual(graph.getExternalDependencies(file('a.js')), ['react']);
+		assert.deepStrictEqual(graph.getStats(), { totalFiles: 3, totalDependencies: 3, averageDependencies: '1.00' });
+	});
+
+	test('resolves every import once while building', () => {
+		const dir = createProject({ 'a.js': "import b from './b';", 'b.js': "import c from './c';", 'c.js': '' });
+		const resolver = new ModuleResolver();
+		const resolved = [];
+		const resolve = resolver.resolve.bind(resolver);
+		resolver.resolve = (from, specifier) => {
+			resolved.push(specifier);
+			return resolve(from, specifier);
+		};
+
+		new DependencyGraph(resolver).build(['a.js', 'b.js', 'c.js'].map(name => path.join(dir, name)));
+
+		assert.deepStrictEqual(resolved.sort(), ['./b', './c']);
+	});
+
+	test('notifies listeners once per build and only on changes', () => {
+		const { graph, file } = buildGraph({ 'a.js': "import b from './b';", 'b.js': '' });
+		let calls = 0;
+		graph.onDidChange(() => calls++);
+
+		graph.build([file('a.js'), file('b.js')]);
+		assert.strictEqual(calls, 0);
+
+		graph.build([file('a.js')]);
+		assert.strictEqual(calls, 1);
+		assert.deepStrictEqual(graph.getFiles(), [file('a.js')]);
+	});
+
+	test('re-resolves importers when a missing file is created', () => {
+		const { graph, file } = buildGraph({ 'a.js': "import b from './b';", 'main.js': "import a from './a';" });
+		assert.deepStrictEqual(graph.getDependencies(file('a.js')), []);
+
+		fs.writeFileSync(file('b.js'), '');
+		const affected = graph.applyChanges([file('b.js')], []);
+
+		assert.deepStrictEqual(graph.getDependencies(file('a.js')), [file('b.js')]);
+		assert.deepStrictEqual([...affected].sort(), [file('a.js'), file('b.js'), file('main.js')]);
+	});
+
+	test('re-resolves only files whose unresolved imports name a created file', () => {
+		const { graph, file } = buildGraph({
+			'a.js': "import react from 'react'; import list from './components';",
+			'b.js': "import lodash from 'lodash'; import util from './missing';"
+		});
+		const resolved = [];
+		const resolve = graph.resolver.resolve.bind(graph.resolver);
+		graph.resolver.resolve = (from, specifier) => {
+			resolved.push(path.basename(from));
+			return resolve(from, specifier);
+		};
+
+		fs.mkdirSync(file('components'));
+		fs.writeFileSync(file('components/index.js'), '');
+		graph.applyChanges([file('components/index.js')], []);
+
+		assert.deepStrictEqual(graph.getDependencies(file('a.js')), [file('components/index.js')]);
+		assert.deepStrictEqual([...new Set(resolved)], ['a.js']);
+	});
+
+	test('drops edges to deleted files', () => {
+		const { graph, file } = buildGraph({ 'a.js': "import b from './b';", 'b.js': '' });
+
+		fs.unlinkSync(file('b.js'));
+		graph.applyChanges([], [file('b.js')]);
+
+		assert.strictEqual(graph.hasFile(file('b.js')), false);
+		assert.deepStrictEqual(graph.getDependencies(file('a.js')), []);
+		assert.deepStrictEqual(graph.getExternalDependencies(file('a.js')), ['./b']);
+	});
+
+	test('collects transitive dependents', () => {
+		const { graph, file } = buildGraph({
+			'a.js': "import b from './b';",
+			'b.js': "import c from './c';",
+			'c.js': '',
+			'd.js': ''
+		});
+
+		assert.deepStrictEqual([...graph.getTransitiveDependents([file('c.js')])].sort(), [file('a.js'), file('b.js'), file('c.js')]);
+	});
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const FileFilter = require('../lib/FileFilter');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('FileFilter', () => {
+	teardown(cleanup);
+
+	/**
+	 * Lists which of the given project files a filter includes.
+	 *
+	 * @param {FileFilter} filter - File filter
+	 * @param {string[]} files - Project-relative paths
+	 * @returns {string[]}
+	 */
+	const included = (filter, files) => files.filter(file => filter.includes(path.join(filter.rootDir, file)));
+
+	test('leaves out ignored directories but not files outside the project', () => {
+		const dir = createProject({});
+		const filter = new FileFilter(dir, {});
+
+		assert.deepStrictEqual(included(filter, ['src/a.js', 'node_modules/x/index.js', 'src/.git/hooks/a.js']), ['src/a.js']);
+		assert.strictEqual(filter.includes(path.join(path.dirname(dir), 'elsewhere', 'b.js')), true);
+	});
+
+	test('applies include, exclude and files.exclude patterns to files and their directories', () => {
+		const dir = createProject({});
+		const filter = new FileFilter(dir, {
+			include: ['./src/**', 'scripts/*.js'],
+			exclude: ['legacy', 'src/**/*.gen.ts', ' ']
+		}, { '**/fixtures': true, 'src/tmp/**': false });
+
+		assert.deepStrictEqual(included(filter, [
+			'src/app.ts',
+			'src/legacy/old.ts',
+			'src/api/client.gen.ts',
+			'src/test/fixtures/a.ts',
+			'src/tmp/a.ts',
+			'scripts/build.js',
+			'scripts/deep/build.js',
+			'docs/a.js'
+		]), ['src/app.ts', 'src/tmp/a.ts', 'scripts/build.js']);
+	});
+
+	test('honours nested .gitignore files like git', () => {
+		const dir = createProject({
+			'.gitignore': 'dist/\n*.log.js\n/root-only.js\nbuild\n!build/keep.js\n\\#hash.js\n',
+			'packages/a/.gitignore': '# comment\ngenerated/\n!dist/\n'
+		});
+		const filter = new FileFilter(dir, {});
+
+		assert.deepStrictEqual(included(filter, [
+			'src/app.js',
+			'dist/app.js',
+			'packages/a/dist/app.js',
+			'src/debug.log.js',
+			'root-only.js',
+			'src/root-only.js',
+			'build/keep.js',
+			'#hash.js',
+			'packages/a/generated/x.js',
+			'packages/b/generated/x.js'
+		]), ['src/app.js', 'packages/a/dist/app.js', 'src/root-only.js', 'packages/b/generated/x.js']);
+		assert.deepStrictEqual(included(new FileFilter(dir, { respectGitignore: false }), ['dist/app.js']), ['dist/app.js']);
+	});
+
+	test('re-reads .gitignore files after clearCache', () => {
+		const dir = createProject({ '.gitignore': 'out/\n' });
+		const filter = new FileFilter(dir, {});
+		assert.deepStrictEqual(included(filter, ['out/a.js']), []);
+
+		fs.writeFileSync(path.join(dir, '.gitignore'), '');
+		assert.deepStrictEqual(included(filter, ['out/a.js']), []);
+		filter.clearCache();
+		assert.deepStrictEqual(included(filter, ['out/a.js']), ['out/a.js']);
+	});
+
+	test('parses .gitignore lines into glob rules', () => {
+		assert.deepStrictEqual(FileFilter.parseGitignore('# c\n\nlogs/\n/src/tmp\n!keep.js  \n\\!bang\n'), [
+			{ pattern: '**/logs', negated: false, dirOnly: true },
+			{ pattern: 'src/tmp', negated: false, dirOnly: false },
+			{ pattern: '**/keep.js', negated: true, dirOnly: false },
+			{ pattern: '**/!bang', negated: false, dirOnly: false }
+		]);
+	});
+
+	test('builds a search exclude glob from the exclude patterns', () => {
+		const filter = new FileFilter('/project', { exclude: ['legacy', 'src/**/*.gen.ts', '**/dist/**', '**/*.{a,b}'] }, { '**/.DS_Store': true });
+
+		assert.strictEqual(filter.getSearchExclude(), '{' + [
+			'**/node_modules/**', '**/.git/**', '**/.vscode-test/**',
+			'**/legacy', '**/legacy/**',
+			'src/**/*.gen.ts', 'src/**/*.gen.ts/**',
+			'**/dist/**',
+			'**/.DS_Store', '**/.DS_Store/**'
+		].join(',') + '}');
+	});
+
+	test('tells filters with different patterns apart', () => {
+		const signature = settings => new FileFilter('/project', settings).getSignature();
+
+		assert.strictEqual(signature({ exclude: ['a'] }), signature({ exclude: ['./a'] }));
+		assert.notStrictEqual(signature({ exclude: ['a'] }), signature({ exclude: ['a'], respectGitignore: false }));
+	});
+
+	test('detects generated-file markers in the header only', () => {
+		assert.strictEqual(FileFilter.isGenerated('/* @generated */\nexport {};'), true);
+		assert.strictEqual(FileFilter.isGenerated('// Code generated by protoc. DO NOT EDIT.\n'), true);
+		assert.strictEqual(FileFilter.isGenerated(`${' '.repeat(3000)}// @generated`), false);
+		assert.strictEqual(FileFilter.isGenerated('const generated = true;'), false);
+	});
+});
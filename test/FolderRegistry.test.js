@@ -0,0 +1,89 @@
+const assert = require('assert');
+const path = require('path');
+
+const FolderRegistry = require('../lib/FolderRegistry');
+const RuleEngine = require('../lib/RuleEngine');
+const ImportParser = require('../lib/ImportParser');
+const SmartAdvisor = require('../lib/SmartAdvisor');
+const UnusedImportDetector = require('../lib/UnusedImportDetector');
+const ModuleResolver = require('../lib/ModuleResolver');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('FolderRegistry', () => {
+	teardown(cleanup);
+
+	const createRegistry = () => new FolderRegistry({
+		engine: new RuleEngine(),
+		parser: new ImportParser(),
+		advisor: new SmartAdvisor(),
+		unusedImportDetector: new UnusedImportDetector(),
+		resolver: new ModuleResolver()
+	});
+	const root = path.resolve('/work');
+	const at = (...segments) => path.join(root, ...segments);
+
+	test('assigns files to the innermost folder containing them', () => {
+		const registry = createRegistry();
+		registry.setFolders([
+			{ rootDir: at('app'), name: 'app' },
+			{ rootDir: at('app', 'packages', 'ui'), name: 'ui' },
+			{ rootDir: at('app2'), name: 'app2' }
+		]);
+
+		assert.strictEqual(registry.getForFile(at('app', 'src', 'a.js')).name, 'app');
+		assert.strictEqual(registry.getForFile(at('app', 'packages', 'ui', 'button.js')).name, 'ui');
+		assert.strictEqual(registry.getForFile(at('app2', 'b.js')).name, 'app2');
+		assert.strictEqual(registry.getForFile(at('other', 'c.js')), registry.looseFiles);
+	});
+
+	test('groups items by folder, listing every folder', () => {
+		const registry = createRegistry();
+		registry.setFolders([{ rootDir: at('a'), name: 'a' }, { rootDir: at('b'), name: 'b' }]);
+
+		const groups = registry.partition([{ file: at('a', 'x.js') }, { file: at('c', 'y.js') }], item => item.file);
+
+		assert.deepStrictEqual([...groups].map(([folder, items]) => [folder.name, items.length]), [['a', 1], ['b', 0], ['', 1]]);
+	});
+
+	test('keeps the analyses of remaining folders and notifies about added or removed ones', () => {
+		const registry = createRegistry();
+		let notified = 0;
+		const unsubscribe = registry.onDidChange(() => notified++);
+
+		registry.setFolders([{ rootDir: at('a'), name: 'a' }]);
+		const a = registry.get(at('a'));
+		const { added, removed } = registry.setFolders([{ rootDir: at('a'), name: 'renamed' }, { rootDir: at('b'), name: 'b' }]);
+
+		assert.strictEqual(registry.get(at('a')), a);
+		assert.strictEqual(a.name, 'renamed');
+		assert.deepStrictEqual([added.map(f => f.name), removed], [['b'], []]);
+		assert.strictEqual(notified, 2);
+
+		registry.setFolders([{ rootDir: at('a'), name: 'renamed' }, { rootDir: at('b'), name: 'b' }]);
+		assert.strictEqual(notified, 2);
+
+		unsubscribe();
+		assert.deepStrictEqual(registry.setFolders([]).removed.map(f => f.name), ['renamed', 'b']);
+		assert.strictEqual(notified, 2);
+	});
+
+	test('keeps a separate graph per folder', () => {
+		const dir = createProject({
+			'one/a.js': "import b from './b';",
+			'one/b.js': "import a from './a';",
+			'two/c.js': "import a from '../one/a';"
+		});
+		const registry = createRegistry();
+		registry.setFolders([{ rootDir: path.join(dir, 'one'), name: 'one' }, { rootDir: path.join(dir, 'two'), name: 'two' }]);
+		const [one, two] = registry.getAll();
+		one.dependencyGraph.build([path.join(dir, 'one', 'a.js'), path.join(dir, 'one', 'b.js')]);
+		two.dependencyGraph.build([path.join(dir, 'two', 'c.js')]);
+
+		assert.strictEqual(registry.getFiles().length, 3);
+		assert.strictEqual(registry.hasFile(path.join(dir, 'two', 'c.js')), true);
+		assert.deepStrictEqual(one.dependencyGraph.getDependents(path.join(dir, 'one', 'a.js')), [path.join(dir, 'one', 'b.js')]);
+		assert.deepStrictEqual(two.dependencyGraph.getDependencies(path.join(dir, 'two', 'c.js')), [path.join(dir, 'one', 'a.js')]);
+		assert.strictEqual(two.dependencyGraph.hasFile(path.join(dir, 'one', 'a.js')), false);
+		assert.deepStrictEqual([one.getHealth().cycleCount, two.getHealth().cycleCount], [1, 0]);
+	});
+});
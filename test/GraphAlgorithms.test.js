@@ -0,0 +1,131 @@
+const assert = require('assert');
+
+const GraphAlgorithms = require('../lib/GraphAlgorithms');
+
+/**
+ * Creates an adjacency function from an edge list like `['a>b', 'b>c']`.
+ *
+ * @param {string[]} edges - Edges
+ * @returns {{nodes: string[], getNeighbors: (node: string) => string[]}}
+ */
+function graphOf(edges) {
+	const adjacency = new Map();
+	for (const edge of edges) {
+		const [from, to] = edge.split('>');
+		for (const node of [from, to]) {
+			if (!adjacency.has(node)) {
+				adjacency.set(node, []);
+			}
+		}
+		adjacency.get(from).push(to);
+	}
+	return { nodes: [...adjacency.keys()].sort(), getNeighbors: node => adjacency.get(node) || [] };
+}
+
+suite('GraphAlgorithms', () => {
+	test('finds strongly connected components', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>c', 'c>a', 'c>d', 'd>e', 'e>d', 'f>a']);
+
+		const components = GraphAlgorithms.stronglyConnectedComponents(nodes, getNeighbors).map(c => c.sort());
+
+		assert.deepStrictEqual(components.sort(), [['a', 'b', 'c'], ['d', 'e'], ['f']]);
+	});
+
+	test('returns components in reverse topological order', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>c']);
+
+		assert.deepStrictEqual(GraphAlgorithms.stronglyConnectedComponents(nodes, getNeighbors), [['c'], ['b'], ['a']]);
+	});
+
+	test('handles long chains without recursion', () => {
+		const nodes = Array.from({ length: 100000 }, (_, i) => `n${i}`);
+		const getNeighbors = node => [`n${(Number(node.slice(1)) + 1) % nodes.length}`];
+
+		const components = GraphAlgorithms.stronglyConnectedComponents(nodes, getNeighbors);
+
+		assert.strictEqual(components.length, 1);
+		assert.strictEqual(components[0].length, nodes.length);
+	});
+
+	test('finds a shortest cycle through a node', () => {
+		const { getNeighbors } = graphOf(['a>b', 'b>c', 'c>d', 'd>a', 'b>a']);
+
+		assert.deepStrictEqual(GraphAlgorithms.shortestCycle('a', getNeighbors), ['a', 'b', 'a']);
+		assert.deepStrictEqual(GraphAlgorithms.shortestCycle('c', getNeighbors), ['c', 'd', 'a', 'b', 'c']);
+	});
+
+	test('bounds shortest cycles by length and node set', () => {
+		const { getNeighbors } = graphOf(['a>b', 'b>c', 'c>a', 'a>x', 'x>a']);
+
+		assert.strictEqual(GraphAlgorithms.shortestCycle('b', getNeighbors, { maxLength: 2 }), null);
+		assert.deepStrictEqual(GraphAlgorithms.shortestCycle('a', getNeighbors, { within: new Set(['a', 'b', 'c']) }), ['a', 'b', 'c', 'a']);
+		assert.strictEqual(GraphAlgorithms.shortestCycle('a', graphOf(['a>b']).getNeighbors), null);
+	});
+
+	test('enumerates every elementary cycle once', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>a', 'b>c', 'c>a', 'c>b']);
+
+		const { cycles, truncated } = GraphAlgorithms.elementaryCycles(nodes, getNeighbors);
+
+		assert.strictEqual(truncated, false);
+		assert.deepStrictEqual(cycles.map(cycle => cycle.join('')).sort(), ['aba', 'abca', 'bcb']);
+	});
+
+	test('bounds elementary cycles by length without hiding shorter ones', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>c', 'c>d', 'd>a', 'b>d', 'c>b']);
+
+		const { cycles } = GraphAlgorithms.elementaryCycles(nodes, getNeighbors, { maxLength: 3 });
+
+		assert.deepStrictEqual(cycles.map(cycle => cycle.join('')).sort(), ['abda', 'bcb']);
+	});
+
+	test('stops after maxCycles', () => {
+		const nodes = ['a', 'b', 'c', 'd'];
+		const getNeighbors = node => nodes.filter(other => other !== node);
+
+		const { cycles, truncated } = GraphAlgorithms.elementaryCycles(nodes, getNeighbors, { maxCycles: 5 });
+
+		assert.strictEqual(cycles.length, 5);
+		assert.strictEqual(truncated, true);
+	});
+
+	test('only follows edges that can still close a cycle', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>a', 'b>c', 'c>d', 'd>e', 'e>f', 'f>g', 'g>a']);
+
+		const bounded = GraphAlgorithms.elementaryCycles(nodes, getNeighbors, { maxLength: 3 });
+		const unbounded = GraphAlgorithms.elementaryCycles(nodes, getNeighbors);
+
+		assert.deepStrictEqual(bounded.cycles.map(cycle => cycle.join('')), ['aba']);
+		assert.deepStrictEqual(unbounded.cycles.map(cycle => cycle.join('')).sort(), ['aba', 'abcdefga']);
+		assert.ok(bounded.visits < unbounded.visits);
+	});
+
+	test('stops after maxVisits', () => {
+		const nodes = ['a', 'b', 'c', 'd', 'e', 'f'];
+		const getNeighbors = node => nodes.filter(other => other !== node);
+
+		const { cycles, truncated, visits } = GraphAlgorithms.elementaryCycles(nodes, getNeighbors, { maxLength: 4, maxVisits: 100 });
+
+		assert.strictEqual(truncated, true);
+		assert.ok(visits <= 101);
+		assert.ok(cycles.length < GraphAlgorithms.elementaryCycles(nodes, getNeighbors, { maxLength: 4 }).cycles.length);
+	});
+
+	test('finds a feedback arc set that makes the graph acyclic', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>c', 'c>a', 'c>d', 'd>b', 'd>e', 'e>d']);
+
+		const feedback = GraphAlgorithms.feedbackArcSet(nodes, getNeighbors);
+		const removed = new Set(feedback.map(({ from, to }) => `${from}>${to}`));
+		const remaining = node => getNeighbors(node).filter(next => !removed.has(`${node}>${next}`));
+
+		assert.ok(feedback.length > 0 && feedback.length <= 3);
+		assert.ok(GraphAlgorithms.stronglyConnectedComponents(nodes, remaining).every(component => component.length === 1));
+	});
+
+	test('keeps only feedback edges that close a cycle', () => {
+		const { nodes, getNeighbors } = graphOf(['a>b', 'b>a', 'b>c', 'c>d']);
+
+		assert.strictEqual(GraphAlgorithms.feedbackArcSet(nodes, getNeighbors).length, 1);
+		assert.deepStrictEqual(GraphAlgorithms.feedbackArcSet(['c', 'd'], getNeighbors), []);
+	});
+});
@@ -0,0 +1,125 @@
+const assert = require('assert');
+
+const JsImportScanner = require('../lib/JsImportScanner');
+
+suite('JsImportScanner', () => {
+	const scanner = new JsImportScanner();
+	const paths = (text, options) => scanner.scan(text, options).map(entry => entry.path);
+
+	test('finds every kind of import', () => {
+		const imports = scanner.scan([
+			"import React from 'react';",
+			"export { helper } from './helper';",
+			"const fs = require('fs');",
+			"const lazy = () => import('./lazy');",
+			"import legacy = require('./legacy');"
+		].join('\n'));
+
+		assert.deepStrictEqual(imports.map(entry => [entry.path, entry.kind, entry.line]), [
+			['react', 'static', 0],
+			['./helper', 'export', 1],
+			['fs', 'require', 2],
+			['./lazy', 'dynamic', 3],
+			['./legacy', 'static', 4]
+		]);
+	});
+
+	test('reports specifiers with their local names', () => {
+		const [entry] = scanner.scan("import Def, { a, b as c, type T } from './mod';");
+
+		assert.deepStrictEqual(entry.specifiers.map(s => [s.kind, s.imported, s.local, s.typeOnly]), [
+			['default', 'default', 'Def', false],
+			['named', 'a', 'a', false],
+			['named', 'b', 'c', false],
+			['named', 'T', 'T', true]
+		]);
+	});
+
+	test('reports namespace, type-only and side-effect imports', () => {
+		const [namespace, typeOnly, sideEffect] = scanner.scan([
+			"import * as utils from './utils';",
+			"import type { Props } from './types';",
+			"import './polyfill';"
+		].join('\n'));
+
+		assert.deepStrictEqual(namespace.specifiers.map(s => [s.kind, s.local]), [['namespace', 'utils']]);
+		assert.strictEqual(typeOnly.typeOnly, true);
+		assert.strictEqual(sideEffect.sideEffect, true);
+		assert.deepStrictEqual(sideEffect.specifiers, []);
+	});
+
+	test('reports the exact range of the module path', () => {
+		const text = "import { a } from './mod';";
+		const [entry] = scanner.scan(text);
+
+		assert.strictEqual(text.substr(entry.pathIndex, entry.pathLength), './mod');
+		assert.strictEqual(text.substr(entry.index, entry.length), entry.fullMatch);
+	});
+
+	test('handles statements spread over several lines', () => {
+		const imports = scanner.scan("import {\n  a,\n  b\n} from './multi';\nimport c from './after';");
+
+		assert.deepStrictEqual(imports.map(entry => [entry.path, entry.line]), [['./multi', 0], ['./after', 4]]);
+	});
+
+	test('ignores imports in comments, strings, templates and regexes', () => {
+		const text = [
+			"// import a from './commented';",
+			"/* import b from './block'; */",
+			"const s = \"import c from './string'\";",
+			"const t = `require('./template') ${x} import d from './template'`;",
+			"const r = /import e from '.\\/regex'/;",
+			"const obj = { require: 1 }; obj.require('./member');",
+			"import real from './real';"
+		].join('\n');
+
+		assert.deepStrictEqual(paths(text), ['./real']);
+	});
+
+	test('tells divisions from regexes', () => {
+		const text = [
+			"const half = total / 2; import a from './a';",
+			"const re = /'/; import b from './b';",
+			"const r = (x) / y / z; import c from './c';"
+		].join('\n');
+
+		assert.deepStrictEqual(paths(text), ['./a', './b', './c']);
+	});
+
+	test('finds require calls inside template expressions', () => {
+		assert.deepStrictEqual(paths("const s = `${require('./inner')}`;"), ['./inner']);
+	});
+
+	test('does not take JSX closing tags for regexes', () => {
+		const text = [
+			"const el = <div>{a / 2}</div>; import j from './jsx';",
+			"const item = <Item key={id} />; import k from './self-closing';",
+			"const tag = <span>x</span>; import l from './closing';"
+		].join('\n');
+
+		assert.deepStrictEqual(paths(text, { jsx: true }), ['./jsx', './self-closing', './closing']);
+	});
+
+	test('ignores imports in JSX text', () => {
+		const text = [
+			'const doc = (',
+			'\t<Page title="import a from \'./attribute\'">',
+			'\t\t<p>import b from "./text"</p>',
+			'\t\t<>{lazy && <Lazy load={() => import(\'./lazy\')} />} require(\'./fragment\')</>',
+			'\t</Page>',
+			');',
+			"import c from './after';"
+		].join('\n');
+
+		assert.deepStrictEqual(paths(text, { jsx: true }), ['./lazy', './after']);
+	});
+
+	test('does not take generic arrow functions for JSX', () => {
+		const text = "const id = <T,>(value: T) => value; import a from './a';";
+		assert.deepStrictEqual(paths(text, { jsx: true }), ['./a']);
+	});
+
+	test('keeps regexes after a comparison outside JSX', () => {
+		assert.deepStrictEqual(paths("const b = a </import x from '.\\/y'/.source.length;"), []);
+	});
+});
@@ -0,0 +1,20 @@
+const assert = require('assert');
+
+const LineIndex = require('../lib/LineIndex');
+
+suite('LineIndex', () => {
+	test('maps offsets to lines and characters', () => {
+		const text = 'first\r\nsecond\n\nlast';
+		const lines = new LineIndex(text);
+
+		assert.deepStrictEqual(lines.positionAt(0), { line: 0, character: 0 });
+		assert.deepStrictEqual(lines.positionAt(text.indexOf('second') + 2), { line: 1, character: 2 });
+		assert.deepStrictEqual(lines.positionAt(text.indexOf('last')), { line: 3, character: 0 });
+		assert.strictEqual(lines.lineAt(text.indexOf('\n\n') + 1), 2);
+		assert.strictEqual(lines.lineStart(1), text.indexOf('second'));
+	});
+
+	test('keeps offsets past the end on the last line', () => {
+		assert.deepStrictEqual(new LineIndex('a\nbc').positionAt(10), { line: 1, character: 8 });
+	});
+});
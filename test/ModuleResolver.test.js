@@ -0,0 +1,93 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ModuleResolver = require('../lib/ModuleResolver');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('ModuleResolver', () => {
+	teardown(cleanup);
+
+	test('resolves relative imports by probing extensions and index files', () => {
+		const dir = createProject({
+			'src/app.ts': '',
+			'src/utils.ts': '',
+			'src/components/index.tsx': '',
+			'src/legacy.js': ''
+		});
+		const resolver = new ModuleResolver();
+		const from = path.join(dir, 'src', 'app.ts');
+
+		assert.strictEqual(resolver.resolve(from, './utils'), path.join(dir, 'src', 'utils.ts'));
+		assert.strictEqual(resolver.resolve(from, './components'), path.join(dir, 'src', 'components', 'index.tsx'));
+		assert.strictEqual(resolver.resolve(from, './legacy.js'), path.join(dir, 'src', 'legacy.js'));
+		assert.strictEqual(resolver.resolve(from, './missing'), null);
+	});
+
+	test('maps ESM-style .js imports to TypeScript sources', () => {
+		const dir = createProject({ 'src/app.ts': '', 'src/service.ts': '' });
+
+		assert.strictEqual(
+			new ModuleResolver().resolve(path.join(dir, 'src', 'app.ts'), './service.js'),
+			path.join(dir, 'src', 'service.ts')
+		);
+	});
+
+	test('resolves tsconfig paths and baseUrl', () => {
+		const dir = createProject({
+			'tsconfig.json': '{\n  // Comments are allowed\n  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], "~config": ["config/index.ts"] } }\n}',
+			'src/app.ts': '',
+			'src/domain/user.ts': '',
+			'config/index.ts': '',
+			'lib/helper.ts': ''
+		});
+		const resolver = new ModuleResolver();
+		const from = path.join(dir, 'src', 'app.ts');
+
+		assert.strictEqual(resolver.resolve(from, '@/domain/user'), path.join(dir, 'src', 'domain', 'user.ts'));
+		assert.strictEqual(resolver.resolve(from, '~config'), path.join(dir, 'config', 'index.ts'));
+		assert.strictEqual(resolver.resolve(from, 'lib/helper'), path.join(dir, 'lib', 'helper.ts'));
+		assert.strictEqual(resolver.resolve(from, 'react'), null);
+	});
+
+	test('follows extends chains and uses jsconfig.json', () => {
+		const dir = createProject({
+			'base.json': { compilerOptions: { baseUrl: 'src', paths: { '@shared/*': ['shared/*'] } } },
+			'ts/tsconfig.json': { extends: '../base.json' },
+			'ts/app.ts': '',
+			'src/shared/log.ts': '',
+			'js/jsconfig.json': { compilerOptions: { paths: { '@js/*': ['./lib/*'] } } },
+			'js/app.js': '',
+			'js/lib/format.js': ''
+		});
+		const resolver = new ModuleResolver();
+
+		assert.strictEqual(resolver.resolve(path.join(dir, 'ts', 'app.ts'), '@shared/log'), path.join(dir, 'src', 'shared', 'log.ts'));
+		assert.strictEqual(resolver.resolve(path.join(dir, 'js', 'app.js'), '@js/format'), path.join(dir, 'js', 'lib', 'format.js'));
+	});
+
+	test('sees config changes after clearCache', () => {
+		const dir = createProject({ 'tsconfig.json': { compilerOptions: {} }, 'src/app.ts': '', 'src/a.ts': '' });
+		const resolver = new ModuleResolver();
+		const from = path.join(dir, 'src', 'app.ts');
+		assert.strictEqual(resolver.resolve(from, '@/a'), null);
+
+		fs.writeFileSync(path.join(dir, 'tsconfig.json'), JSON.stringify({ compilerOptions: { paths: { '@/*': ['./src/*'] } } }));
+		resolver.clearCache();
+
+		assert.strictEqual(resolver.resolve(from, '@/a'), path.join(dir, 'src', 'a.ts'));
+	});
+
+	test('returns null when a path goes through a file', () => {
+		const dir = createProject({
+			'tsconfig.json': { compilerOptions: { paths: { '@/*': ['./src/app.ts/*'] } } },
+			'src/app.ts': '',
+			'src/foo.js': ''
+		});
+		const resolver = new ModuleResolver();
+		const from = path.join(dir, 'src', 'app.ts');
+
+		assert.strictEqual(resolver.resolve(from, './foo.js/bar'), null);
+		assert.strictEqual(resolver.resolve(from, '@/bar'), null);
+	});
+});
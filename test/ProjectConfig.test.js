@@ -0,0 +1,86 @@
+const assert = require('assert');
+const path = require('path');
+
+const ConfigLoader = require('../lib/ConfigLoader');
+const ProjectConfig = require('../lib/ProjectConfig');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('ProjectConfig', () => {
+	teardown(cleanup);
+
+	const base = ConfigLoader.normalize({ 'architSearch.maxImports': 20 });
+
+	test('merges nested configs over the base settings and appends rules', () => {
+		const dir = createProject({
+			'.architrc': '{\n  // Comments are allowed\n  "maxImports": 10,\n  "rules": [{ "source": "**/domain/**", "disallow": ["**/ui/**"] }]\n}',
+			'packages/api/archit.config.json': { 'architSearch.checkCycles': false, rules: [{ source: './src/**', disallow: ['../web/**'] }] },
+			'packages/api/src/server.js': ''
+		});
+		const settings = new ProjectConfig().getSettings(path.join(dir, 'packages', 'api', 'src', 'server.js'), dir, base);
+
+		assert.strictEqual(settings.maxImports, 10);
+		assert.strictEqual(settings.checkCycles, false);
+		assert.deepStrictEqual(settings.rules, [
+			{ source: '**/domain/**', disallow: ['**/ui/**'] },
+			{ source: 'packages/api/src/**', disallow: ['packages/web/**'] }
+		]);
+	});
+
+	test('stops at configs marked as root', () => {
+		const dir = createProject({
+			'.architrc': { maxImports: 10, checkCycles: false },
+			'app/.architrc.json': { root: true, maxImports: 5 },
+			'app/main.js': ''
+		});
+		const config = new ProjectConfig();
+		const settings = config.getSettings(path.join(dir, 'app', 'main.js'), dir, base);
+
+		assert.strictEqual(settings.maxImports, 5);
+		assert.strictEqual(settings.checkCycles, true);
+		assert.deepStrictEqual(config.getConfigFiles(path.join(dir, 'app'), dir), [path.join(dir, 'app', '.architrc.json')]);
+	});
+
+	test('extends relative presets and presets published as packages', () => {
+		const dir = createProject({
+			'.architrc': { extends: ['./presets/base.json', '@acme/archit-preset'], maxImports: 8 },
+			'presets/base.json': { maxImports: 3, layers: [{ name: 'Domain', pattern: './src/domain/**' }] },
+			'node_modules/@acme/archit-preset/package.json': { name: '@acme/archit-preset' },
+			'node_modules/@acme/archit-preset/archit.config.json': { rules: [{ source: '**/ui/**', disallow: ['**/db/**'] }] },
+			'src/index.js': ''
+		});
+		const settings = new ProjectConfig().getSettings(path.join(dir, 'src', 'index.js'), dir, base);
+
+		assert.strictEqual(settings.maxImports, 8);
+		assert.deepStrictEqual(settings.layers, [{ name: 'Domain', pattern: 'src/domain/**' }]);
+		assert.deepStrictEqual(settings.rules, [{ source: '**/ui/**', disallow: ['**/db/**'] }]);
+	});
+
+	test('skips invalid configs and reports them, or throws in strict mode', () => {
+		const dir = createProject({
+			'.architrc': '{ "maxImports": ',
+			'a/.architrc': { extends: './b.json' },
+			'a/b.json': { extends: './.architrc' },
+			'a/file.js': ''
+		});
+		const config = new ProjectConfig();
+
+		assert.strictEqual(config.getSettings(path.join(dir, 'a', 'file.js'), dir, base).maxImports, 20);
+		assert.deepStrictEqual(config.getErrors().map(error => path.basename(error.file)).sort(), ['.architrc', '.architrc']);
+		assert.match(config.getErrors().map(error => error.message).join('\n'), /Circular 'extends'/);
+		assert.throws(() => new ProjectConfig({ strict: true }).getSettings(path.join(dir, 'a', 'file.js'), dir, base), /Circular 'extends'/);
+	});
+
+	test('finds every config file of a project, one per directory', () => {
+		const dir = createProject({
+			'.architrc': {},
+			'archit.config.json': {},
+			'packages/a/.architrc.json': {},
+			'node_modules/x/.architrc': {}
+		});
+
+		assert.deepStrictEqual(new ProjectConfig().findAll(dir), [
+			path.join(dir, '.architrc'),
+			path.join(dir, 'packages', 'a', '.architrc.json')
+		]);
+	});
+});
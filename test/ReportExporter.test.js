@@ -0,0 +1,153 @@
+const assert = require('assert');
+
+const ConfigLoader = require('../lib/ConfigLoader');
+const ProjectChecker = require('../lib/ProjectChecker');
+const ReportExporter = require('../lib/ReportExporter');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('ReportExporter', () => {
+	teardown(cleanup);
+
+	/**
+	 * Checks a project with two layers whose folders import each other.
+	 *
+	 * @returns {{checker: ProjectChecker, violations: Array<object>}}
+	 */
+	const check = () => {
+		const dir = createProject({
+			'src/app/main.js': "import u from '../domain/user';\nimport o from '../domain/order';",
+			'src/domain/order.js': "import m from '../app/main';",
+			'src/domain/user.js': "import id from '../shared/id';",
+			'src/shared/id.js': ''
+		});
+		const checker = new ProjectChecker(dir, ConfigLoader.normalize({
+			layers: [{ name: 'Domain', pattern: '**/domain/**' }, { name: 'App', pattern: '**/app/**' }],
+			enableAI: false
+		}), { baseline: false });
+		return { checker, violations: checker.run().violations };
+	};
+
+	test('embeds the dependency structure matrix in the HTML report', () => {
+		const { checker, violations } = check();
+		const html = checker.generateReport('html', violations);
+		const table = html.slice(html.indexOf('<table class="dsm">'), html.indexOf('</table>', html.indexOf('<table class="dsm">')));
+
+		assert.ok(table, 'no matrix table');
+		assert.deepStrictEqual([...table.matchAll(/<th class="module folder" title="([^"]*)">/g)].map(match => match[1]), [
+			'src/domain · Domain',
+			'src/app · App',
+			'src/shared · no layer'
+		]);
+		assert.match(table, /<td class="count cycle violation" title="1 import\(s\), 1 violating, in a cycle">1<\/td>/);
+		assert.match(table, /<td class="count" title="2 import\(s\), in a cycle">2<\/td>/);
+		assert.strictEqual((table.match(/<td class="self"><\/td>/g) || []).length, 3);
+	});
+
+	suite('diagrams', () => {
+		// Two folders in different layers importing each other, and a folder in no layer
+		const diagram = {
+			granularity: 'folder',
+			layers: ['Domain', 'App'],
+			nodes: [
+				{ id: 'src/app', label: 'src/app', layer: 1, cycle: true },
+				{ id: 'src/domain', label: 'src/domain', layer: 0, cycle: true },
+				{ id: 'src/shared', label: 'say "hi"', layer: -1, cycle: false }
+			],
+			edges: [
+				{ from: 'src/app', to: 'src/domain', count: 2, violations: 0, cycle: true },
+				{ from: 'src/domain', to: 'src/app', count: 1, violations: 1, cycle: true },
+				{ from: 'src/domain', to: 'src/shared', count: 1, violations: 0, cycle: false }
+			]
+		};
+		const exporter = new ReportExporter();
+		const generate = (format, data = { diagram }) => exporter.generateReport(format, data);
+
+		test('generates Mermaid graphs grouped by layer', () => {
+			assert.strictEqual(generate('mermaid'), [
+				'graph LR',
+				'    subgraph layer0["Domain"]',
+				'        n1["src/domain"]',
+				'    end',
+				'    subgraph layer1["App"]',
+				'        n0["src/app"]',
+				'    end',
+				'    n2["say #quot;hi#quot;"]',
+				'    n0 -.->|"2"| n1',
+				'    n1 -.->|"⚠ 1"| n0',
+				'    n1 --> n2',
+				'    classDef cycle stroke:#f57c00,stroke-width:2px',
+				'    class n0,n1 cycle',
+				'    linkStyle 1 stroke:#d32f2f,stroke-width:2px',
+				'    linkStyle 0 stroke:#f57c00',
+				''
+			].join('\n'));
+		});
+
+		test('generates Graphviz DOT with layer clusters', () => {
+			assert.strictEqual(generate('dot'), [
+				'digraph architecture {',
+				'    rankdir=LR;',
+				'    node [shape=box, style=rounded, fontname="Helvetica"];',
+				'    edge [fontname="Helvetica", fontsize=10];',
+				'    subgraph cluster_layer0 {',
+				'        label="Domain";',
+				'        n1 [label="src/domain", color="#f57c00", penwidth=2];',
+				'    }',
+				'    subgraph cluster_layer1 {',
+				'        label="App";',
+				'        n0 [label="src/app", color="#f57c00", penwidth=2];',
+				'    }',
+				'    n2 [label="say \\"hi\\""];',
+				'    n0 -> n1 [label="2", color="#f57c00", style=dashed];',
+				'    n1 -> n0 [label="⚠ 1", color="#d32f2f", fontcolor="#d32f2f", penwidth=2, style=dashed];',
+				'    n1 -> n2;',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		test('generates PlantUML components in layer packages', () => {
+			assert.strictEqual(generate('plantuml'), [
+				'@startuml',
+				'left to right direction',
+				'skinparam componentStyle rectangle',
+				'skinparam component {',
+				'    BorderColor<<cycle>> #f57c00',
+				'}',
+				'package "Domain" {',
+				'    component "src/domain" as n1 <<cycle>>',
+				'}',
+				'package "App" {',
+				'    component "src/app" as n0 <<cycle>>',
+				'}',
+				"component \"say 'hi'\" as n2",
+				'n0 -[#f57c00,dashed]-> n1 : 2',
+				'n1 -[#d32f2f,dashed,bold]-> n0 : ⚠ 1',
+				'n1 --> n2',
+				'@enduml',
+				''
+			].join('\n'));
+		});
+
+		test('leaves layer nodes ungrouped and tolerates a missing diagram', () => {
+			const layerDiagram = {
+				granularity: 'layer',
+				layers: ['Domain'],
+				nodes: [{ id: '0', label: 'Domain', layer: 0, cycle: false }, { id: '-1', label: 'No layer', layer: -1, cycle: false }],
+				edges: [{ from: '-1', to: '0', count: 1, violations: 0, cycle: false }]
+			};
+
+			assert.strictEqual(generate('mermaid', { diagram: layerDiagram }), 'graph LR\n    n0["Domain"]\n    n1["No layer"]\n    n1 --> n0\n');
+			assert.strictEqual(generate('mermaid', {}), 'graph LR\n');
+			assert.throws(() => generate('svg'), /Unknown format: svg/);
+		});
+
+		test('embeds the Mermaid diagram of the checked project in the Markdown report', () => {
+			const { checker, violations } = check();
+			const markdown = checker.generateReport('markdown', violations, { granularity: 'layer' });
+
+			assert.ok(markdown.includes('## 🗺️ Dependency Diagram (layer)\n\n```mermaid\ngraph LR\n    n0["Domain"]'), markdown);
+			assert.ok(checker.generateReport('dot', violations).includes('label="src/domain"'));
+		});
+	});
+});
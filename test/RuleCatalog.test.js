@@ -0,0 +1,57 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const ConfigLoader = require('../lib/ConfigLoader');
+const ProjectChecker = require('../lib/ProjectChecker');
+const RuleCatalog = require('../lib/RuleCatalog');
+const { RULE_IDS, SEVERITY } = RuleCatalog;
+const { createProject, cleanup } = require('./fixtures');
+
+suite('RuleCatalog', () => {
+	teardown(cleanup);
+
+	test('resolves severities: custom rule, then ruleSeverity, then the default', () => {
+		const settings = { ruleSeverity: { 'cycle/direct': 'error', 'rules/disallow': 'info', 'ai/semantic': 'loud' } };
+
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.CYCLE_DIRECT, settings), SEVERITY.ERROR);
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.RULES_DISALLOW, settings, 'hint'), SEVERITY.HINT);
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.RULES_DISALLOW, settings), SEVERITY.INFO);
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.AI_SEMANTIC, settings), SEVERITY.WARNING);
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.CYCLE_BREAKER, {}), SEVERITY.INFO);
+	});
+
+	test('turns rules off', () => {
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.CYCLE_DEEP, { ruleSeverity: { 'cycle/deep': 'off' } }), null);
+		assert.strictEqual(RuleCatalog.resolveSeverity(RULE_IDS.RULES_DISALLOW, {}, 'off'), null);
+	});
+
+	test('documents every rule', () => {
+		const docs = fs.readFileSync(path.join(__dirname, '..', 'docs', 'rules.md'), 'utf-8');
+
+		for (const ruleId of RuleCatalog.getRuleIds()) {
+			assert.ok(docs.includes(`### \`${ruleId}\``), `${ruleId} has no section in docs/rules.md`);
+			assert.ok(RuleCatalog.getDocsUrl(ruleId).endsWith(`#${ruleId.replace('/', '')}`));
+		}
+	});
+
+	test('reports the rule ID and configured severity with every violation', () => {
+		const dir = createProject({
+			'src/a.js': "import b from './b';",
+			'src/b.js': "import a from './a';"
+		});
+		const run = ruleSeverity => new ProjectChecker(dir, ConfigLoader.normalize({ ruleSeverity, enableAI: false, suggestCycleBreakers: false }), { baseline: false })
+			.run().violations.map(v => [v.file, v.ruleId, v.severity]);
+
+		assert.deepStrictEqual(run({}), [
+			['src/a.js', 'cycle/deep', 'warning'],
+			['src/a.js', 'cycle/direct', 'warning'],
+			['src/b.js', 'cycle/deep', 'warning'],
+			['src/b.js', 'cycle/direct', 'warning']
+		]);
+		assert.deepStrictEqual(run({ 'cycle/deep': 'off', 'cycle/direct': 'error' }), [
+			['src/a.js', 'cycle/direct', 'error'],
+			['src/b.js', 'cycle/direct', 'error']
+		]);
+	});
+});
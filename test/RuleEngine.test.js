@@ -0,0 +1,143 @@
+const assert = require('assert');
+
+const RuleEngine = require('../lib/RuleEngine');
+
+suite('RuleEngine', () => {
+	const engine = new RuleEngine();
+	const check = (source, target, rules, options) => engine.validate(source, target, rules, [], options);
+
+	test('reports disallowed imports with the rule message and severity', () => {
+		const rules = [{ source: '**/domain/**', disallow: ['**/infrastructure/**'], message: 'Domain must stay pure', severity: 'warning' }];
+
+		assert.deepStrictEqual(check('src/domain/user.ts', 'src/infrastructure/db.ts', rules), {
+			isViolation: true,
+			message: 'Domain must stay pure',
+			ruleId: 'rules/disallow',
+			severity: 'warning'
+		});
+		assert.strictEqual(check('src/domain/user.ts', 'src/domain/order.ts', rules), null);
+		assert.strictEqual(check('src/ui/page.ts', 'src/infrastructure/db.ts', rules), null);
+	});
+
+	test('normalizes Windows paths', () => {
+		const rules = [{ source: '**/domain/**', disallow: ['**/infrastructure/**'] }];
+
+		assert.strictEqual(check('src\\domain\\user.ts', 'src\\infrastructure\\db.ts', rules).ruleId, 'rules/disallow');
+	});
+
+	test('reports imports outside an allow list, but not packages', () => {
+		const rules = [{ source: '**/domain/**', allow: ['**/domain/**', '**/shared/**'] }];
+
+		assert.strictEqual(check('src/domain/user.ts', 'src/shared/id.ts', rules), null);
+		assert.deepStrictEqual(check('src/domain/user.ts', 'src/ui/page.ts', rules), {
+			isViolation: true,
+			message: "Violation: 'src/domain/user.ts' may only import from '**/domain/**', '**/shared/**'",
+			ruleId: 'rules/allow-only',
+			severity: undefined
+		});
+		assert.strictEqual(check('src/domain/user.ts', 'lodash', rules, { external: true }), null);
+	});
+
+	test('exempts except targets from disallow and allow lists', () => {
+		const rules = [
+			{ source: '**/ui/**', disallow: ['**/billing/**'], except: ['**/billing/contracts/**'] },
+			{ source: '**/domain/**', allow: ['**/domain/**'], except: ['**/shared/ids.ts'] }
+		];
+
+		assert.strictEqual(check('src/ui/page.ts', 'src/billing/contracts/invoice.ts', rules), null);
+		assert.ok(check('src/ui/page.ts', 'src/billing/internal/invoice.ts', rules));
+		assert.strictEqual(check('src/domain/user.ts', 'src/shared/ids.ts', rules), null);
+	});
+
+	test('substitutes source capture groups in targets and messages', () => {
+		const rules = [{
+			source: 'src/features/(*)/**',
+			allow: ['src/features/$1/**', 'src/shared/**'],
+			except: ['src/features/*/index.ts'],
+			message: "Feature '$1' may only import its own files"
+		}];
+
+		assert.strictEqual(check('src/features/cart/ui/list.ts', 'src/features/cart/model.ts', rules), null);
+		assert.strictEqual(check('src/features/cart/ui/list.ts', 'src/features/user/index.ts', rules), null);
+		assert.strictEqual(check('src/features/cart/ui/list.ts', 'src/features/user/model.ts', rules).message, "Feature 'cart' may only import its own files");
+	});
+
+	test('captures several segments with (**) and escapes glob characters in captures', () => {
+		const rules = [{ source: 'apps/(**)/src/**', allow: ['apps/$1/**'] }];
+		const bracketRules = [{ source: 'src/(*)/**', allow: ['src/$1/**'] }];
+
+		assert.strictEqual(check('apps/web/admin/src/main.ts', 'apps/web/admin/lib/a.ts', rules), null);
+		assert.ok(check('apps/web/admin/src/main.ts', 'apps/mobile/lib/a.ts', rules));
+		assert.strictEqual(check('src/[id]/page.ts', 'src/[id]/data.ts', bracketRules), null);
+		assert.ok(check('src/[id]/page.ts', 'src/i/data.ts', bracketRules));
+	});
+
+	test('applies the first matching rule', () => {
+		const rules = [
+			{ source: '**/legacy/**', disallow: ['**/new/**'], message: 'first' },
+			{ source: '**/*.ts', disallow: ['**/new/**'], message: 'second' }
+		];
+
+		assert.strictEqual(check('src/legacy/a.ts', 'src/new/b.ts', rules).message, 'first');
+		assert.strictEqual(check('src/other/a.ts', 'src/new/b.ts', rules).message, 'second');
+	});
+
+	suite('layers', () => {
+		const layers = [
+			{ name: 'Domain', pattern: '**/domain/**' },
+			{ name: 'Application', pattern: '**/application/**' },
+			{ name: 'Adapters', patterns: ['**/adapters/http/**', '**/adapters/db/**'] },
+			{ name: 'UI', pattern: '**/ui/**' }
+		];
+		const checkLayers = (source, target, options, layerList = layers) => engine.checkLayers(source, target, layerList, options);
+
+		test('lets layers depend on inner layers only', () => {
+			assert.strictEqual(checkLayers('src/ui/page.ts', 'src/domain/user.ts'), null);
+			assert.deepStrictEqual(checkLayers('src/domain/user.ts', 'src/ui/page.ts'), {
+				isViolation: true,
+				message: "Layer Violation: 'Domain' layer cannot depend on outer 'UI' layer. 'Domain' may not depend on other layers.",
+				ruleId: 'layer/inward-only'
+			});
+			assert.strictEqual(checkLayers('src/ui/page.ts', 'src/lib/util.ts'), null);
+		});
+
+		test('matches layers spanning several patterns', () => {
+			assert.strictEqual(engine.getLayerIndex('src/adapters/db/repo.ts', layers), 2);
+			assert.strictEqual(engine.getLayerIndex('src\\adapters\\http\\api.ts', layers), 2);
+			assert.strictEqual(engine.getLayerIndex('src/adapters/queue/x.ts', layers), -1);
+			assert.strictEqual(checkLayers('src/adapters/http/api.ts', 'src/adapters/db/repo.ts'), null);
+		});
+
+		test('limits layers to the adjacent inner layer in strict mode', () => {
+			assert.strictEqual(checkLayers('src/ui/page.ts', 'src/adapters/http/api.ts', { strictLayers: true }), null);
+			assert.strictEqual(
+				checkLayers('src/ui/page.ts', 'src/domain/user.ts', { strictLayers: true }).message,
+				"Layer Violation: 'UI' layer cannot depend on 'Domain' layer. Allowed layers: 'Adapters'."
+			);
+		});
+
+		test('uses canDependOn instead of the layer order', () => {
+			const declared = [
+				{ name: 'Domain', pattern: '**/domain/**', canDependOn: [] },
+				{ name: 'HttpAdapter', pattern: '**/http/**', canDependOn: ['Domain'] },
+				{ name: 'DbAdapter', pattern: '**/db/**', canDependOn: ['Domain'] },
+				{ name: 'App', pattern: '**/app/**', canDependOn: ['HttpAdapter', 'DbAdapter', 'Domain'] }
+			];
+
+			assert.strictEqual(checkLayers('src/app/main.ts', 'src/db/repo.ts', {}, declared), null);
+			assert.deepStrictEqual(checkLayers('src/db/repo.ts', 'src/http/client.ts', {}, declared), {
+				isViolation: true,
+				message: "Layer Violation: 'DbAdapter' layer cannot depend on 'HttpAdapter' layer. Allowed layers: 'Domain'.",
+				ruleId: 'layer/allowed-layers'
+			});
+			assert.strictEqual(checkLayers('src/db/repo.ts', 'src/http/client.ts', { strictLayers: true }, declared).ruleId, 'layer/allowed-layers');
+		});
+
+		test('runs rules before layers', () => {
+			const rules = [{ source: '**/ui/**', disallow: ['**/domain/secret/**'] }];
+
+			assert.strictEqual(engine.validate('src/ui/page.ts', 'src/domain/secret/key.ts', rules, layers).ruleId, 'rules/disallow');
+			assert.strictEqual(engine.validate('src/domain/user.ts', 'src/ui/page.ts', rules, layers).ruleId, 'layer/inward-only');
+		});
+	});
+});
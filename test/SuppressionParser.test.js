@@ -0,0 +1,143 @@
+const assert = require('assert');
+
+const SuppressionParser = require('../lib/SuppressionParser');
+
+suite('SuppressionParser', () => {
+	const report = (ruleId, index, length, message) => ({ ruleId, index, length, message });
+
+	/**
+	 * Applies the directives of a file to violations reported at marker strings.
+	 *
+	 * @param {string[]} lines - Source lines
+	 * @param {Array<[string, string]>} reported - Marker and rule ID of each violation
+	 * @returns {{violations: Array<object>, suppressedCount: number, at: (marker: string) => number}}
+	 */
+	const apply = (lines, reported) => {
+		const text = lines.join('\n');
+		const at = marker => text.indexOf(marker);
+		const violations = reported.map(([marker, ruleId]) => ({ ruleId, index: at(marker), length: marker.length }));
+		return { ...SuppressionParser.apply(text, violations, report, 'javascript'), at };
+	};
+	const ruleIdsOf = result => result.violations.map(v => v.ruleId);
+	const indexesOf = result => result.violations.map(v => v.index);
+
+	test('suppresses the comment line, or the next line for standalone comments', () => {
+		const result = apply([
+			"import a from './a'; // archit-ignore cycle/direct -- migrating",
+			'// archit-ignore cycle/direct -- migrating',
+			"import b from './b';",
+			"import c from './c';"
+		], [['./a', 'cycle/direct'], ['./b', 'cycle/direct'], ['./c', 'cycle/direct']]);
+
+		assert.strictEqual(result.suppressedCount, 2);
+		assert.deepStrictEqual(indexesOf(result), [result.at('./c')]);
+	});
+
+	test('suppresses the next line only for the named rules and categories', () => {
+		const result = apply([
+			'/* archit-ignore-next-line rules/*, layer/inward-only -- legacy */',
+			"import db from '../infrastructure/db';"
+		], [['../infrastructure', 'rules/disallow'], ['../infrastructure', 'layer/inward-only'], ['../infrastructure', 'cycle/direct']]);
+
+		assert.deepStrictEqual(ruleIdsOf(result), ['cycle/direct']);
+		assert.strictEqual(result.suppressedCount, 2);
+	});
+
+	test('suppresses blocks until re-enabled', () => {
+		const result = apply([
+			'// archit-disable cycle/deep -- generated code',
+			"import a from './a';",
+			'// archit-enable cycle/deep',
+			"import b from './b';",
+			'// archit-disable -- vendored',
+			"import c from './c';"
+		], [['./a', 'cycle/deep'], ['./b', 'cycle/deep'], ['./c', 'cycle/direct']]);
+
+		assert.deepStrictEqual(indexesOf(result), [result.at('./b')]);
+		assert.strictEqual(result.suppressedCount, 2);
+	});
+
+	test('leaves file-level checks to archit-ignore-file', () => {
+		const fileLevel = { ruleId: 'coupling/max-imports', index: 0, length: 0 };
+		const blockResult = SuppressionParser.apply('// archit-disable -- legacy\n', [fileLevel], report);
+
+		assert.deepStrictEqual(ruleIdsOf(blockResult), ['coupling/max-imports', 'suppression/unused']);
+		assert.deepStrictEqual(
+			SuppressionParser.apply('# archit-ignore-file coupling/* -- entry point\n', [fileLevel], report, 'python'),
+			{ violations: [], suppressedCount: 1 }
+		);
+	});
+
+	test('reports directives without a reason or with unknown rules instead of honouring them', () => {
+		const result = apply([
+			"import a from './a'; // archit-ignore cycle/direct",
+			"import b from './b'; // archit-ignore cycle/nope -- typo",
+			"import c from './c'; // archit-ignore suppression/unused -- not allowed"
+		], [['./a', 'cycle/direct'], ['./b', 'cycle/direct']]);
+
+		assert.deepStrictEqual(ruleIdsOf(result), ['cycle/direct', 'cycle/direct', 'suppression/invalid', 'suppression/invalid', 'suppression/invalid']);
+		assert.deepStrictEqual(result.violations.slice(2).map(v => v.message), [
+			"Suppression ignored: a reason is required after '--'",
+			"Suppression ignored: unknown rule ID 'cycle/nope'",
+			"Suppression ignored: unknown rule ID 'suppression/unused'"
+		]);
+	});
+
+	test('reports unused directives at the comment', () => {
+		const text = "import a from './a'; // archit-ignore cycle/deep -- stale";
+		const result = SuppressionParser.apply(text, [], report);
+
+		assert.deepStrictEqual(result.violations, [{
+			ruleId: 'suppression/unused',
+			index: text.indexOf('//'),
+			length: text.length - text.indexOf('//'),
+			message: "Unused suppression: no violation of 'cycle/deep' here - remove 'archit-ignore'"
+		}]);
+	});
+
+	test('drops suppression violations when the report callback turns them off', () => {
+		const result = SuppressionParser.apply('// archit-ignore -- stale\n', [], () => null);
+
+		assert.deepStrictEqual(result, { violations: [], suppressedCount: 0 });
+	});
+
+	test('parses block comment directives up to the comment end', () => {
+		const [directive] = SuppressionParser.parse("a(); /* archit-ignore cycle/direct -- why */ b();");
+
+		assert.strictEqual(directive.length, '/* archit-ignore cycle/direct -- why */'.length);
+		assert.deepStrictEqual(directive.ruleIds, ['cycle/direct']);
+		assert.strictEqual(directive.reason, 'why');
+		assert.strictEqual(SuppressionParser.getCommentToken('python'), '#');
+		assert.strictEqual(SuppressionParser.getCommentToken('typescript'), '//');
+	});
+
+	test('ignores directives inside strings, templates and JSX text', () => {
+		const text = [
+			"const a = '// archit-ignore cycle/direct -- in a string';",
+			'const b = `',
+			'/* archit-disable -- in a template */',
+			'`;',
+			'const c = <p>// archit-ignore-file -- in JSX text</p>;',
+			'# archit-ignore-file -- not a comment here'
+		].join('\n');
+
+		assert.deepStrictEqual(SuppressionParser.parse(text, 'javascriptreact'), []);
+	});
+
+	test('reads comments by language', () => {
+		const python = [
+			'x = "# archit-ignore-file -- in a string"',
+			"doc = '''",
+			'# archit-ignore-file -- in a docstring',
+			"'''",
+			'y = a // b  # archit-ignore-next-line cycle/direct -- floor division is not a comment'
+		].join('\n');
+		const go = "s := \"// archit-ignore -- in a string\"\nr := '\"' // archit-ignore cycle/direct -- after a rune";
+		const rust = "fn f<'a>(s: &'a str) {} // archit-ignore cycle/direct -- after lifetimes";
+
+		assert.deepStrictEqual(SuppressionParser.parse(python, 'python').map(directive => [directive.kind, directive.startLine]), [['ignore-next-line', 5]]);
+		assert.deepStrictEqual(SuppressionParser.parse(go, 'go').map(directive => directive.index), [go.indexOf('// archit-ignore cycle')]);
+		assert.deepStrictEqual(SuppressionParser.parse(rust, 'rust').map(directive => directive.index), [rust.indexOf('//')]);
+		assert.deepStrictEqual(SuppressionParser.parse('# archit-ignore-file -- hash', 'typescript'), []);
+	});
+});
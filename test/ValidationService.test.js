@@ -0,0 +1,110 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+
+const FolderRegistry = require('../lib/FolderRegistry');
+const ValidationService = require('../lib/ValidationService');
+const RuleEngine = require('../lib/RuleEngine');
+const ImportParser = require('../lib/ImportParser');
+const SmartAdvisor = require('../lib/SmartAdvisor');
+const UnusedImportDetector = require('../lib/UnusedImportDetector');
+const ModuleResolver = require('../lib/ModuleResolver');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('ValidationService', () => {
+	teardown(cleanup);
+
+	/**
+	 * Creates a validation service over an analyzed folder whose diagnostics
+	 * are collected instead of shown.
+	 *
+	 * @param {Record<string, string>} files - File contents by relative path
+	 * @returns {{service: ValidationService, folder: object, file: (name: string) => string, published: Map<string, Array>, cleared: string[]}}
+	 */
+	const setup = files => {
+		const dir = createProject(files);
+		const file = name => path.join(dir, name);
+		const folders = new FolderRegistry({
+			engine: new RuleEngine(),
+			parser: new ImportParser(),
+			advisor: new SmartAdvisor(),
+			unusedImportDetector: new UnusedImportDetector(),
+			resolver: new ModuleResolver()
+		});
+		folders.setFolders([{ rootDir: dir, name: 'project' }]);
+		const folder = folders.getAll()[0];
+		folder.dependencyGraph.build(Object.keys(files).map(file));
+
+		const published = new Map();
+		const cleared = [];
+		const visualizer = {
+			publish: (uri, violations) => published.set(uri.fsPath, violations),
+			clearForDocument: uri => cleared.push(uri.fsPath),
+			report: () => {},
+			retain: () => {}
+		};
+		const service = new ValidationService({ visualizer, folders, statusBar: { update: () => {} }, sidebarProvider: { reset: () => {} } });
+		return { service, folder, file, published, cleared };
+	};
+	const cycle = {
+		'src/a.js': "import b from './b';",
+		'src/b.js': "\nimport a from './a';",
+		'src/c.js': ''
+	};
+
+	test('publishes diagnostics for every analyzed file', async () => {
+		const { service, file, published } = setup(cycle);
+		const progress = [];
+
+		assert.strictEqual(await service.validateWorkspace({ onProgress: (done, total) => progress.push([done, total]) }), true);
+
+		assert.deepStrictEqual([...published.keys()].sort(), [file('src/a.js'), file('src/b.js'), file('src/c.js')]);
+		const direct = published.get(file('src/b.js')).find(v => v.ruleId === 'cycle/direct');
+		assert.strictEqual(direct.severity, vscode.DiagnosticSeverity.Warning);
+		assert.strictEqual(direct.range.start.line, 1);
+		assert.deepStrictEqual(published.get(file('src/c.js')), []);
+		assert.deepStrictEqual(progress, [[3, 3]]);
+	});
+
+	test('stops when cancelled', async () => {
+		const { service, published } = setup(cycle);
+
+		assert.strictEqual(await service.validateWorkspace({ token: { isCancellationRequested: true } }), false);
+		assert.strictEqual(published.size, 0);
+	});
+
+	test('publishes no violations for files the folder leaves out', async () => {
+		const { service, folder, file, published } = setup(cycle);
+		folder.fileFilter = { includes: filePath => filePath !== file('src/a.js') };
+
+		await service.validateWorkspace();
+
+		assert.deepStrictEqual(published.get(file('src/a.js')), []);
+		assert.ok(published.get(file('src/b.js')).length > 0);
+	});
+
+	test('clears the diagnostics of deleted files in every scope', async () => {
+		const { service, file, published, cleared } = setup(cycle);
+		fs.unlinkSync(file('src/c.js'));
+
+		service.revalidateFiles(new Set([file('src/a.js'), file('src/c.js')]));
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.deepStrictEqual(cleared, [file('src/c.js')]);
+		assert.strictEqual(published.size, 0);
+	});
+
+	test('records the violations of the analyzed files in the baseline', async () => {
+		const { service, folder, file } = setup({ ...cycle, 'src/d.js': "import a from './a';" });
+		folder.fileFilter = { includes: filePath => filePath !== file('src/d.js') };
+
+		const { filePath, count } = await service.createBaseline(folder);
+		const { files } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+		assert.strictEqual(filePath, file('archit-baseline.json'));
+		assert.deepStrictEqual(Object.keys(files), ['src/a.js', 'src/b.js']);
+		assert.strictEqual(count, files['src/a.js'].length + files['src/b.js'].length);
+		assert.strictEqual(await service.createBaseline(folder, { token: { isCancellationRequested: true } }), null);
+	});
+});
@@ -0,0 +1,157 @@
+const assert = require('assert');
+const path = require('path');
+
+const ModuleResolver = require('../lib/ModuleResolver');
+const WorkspacePackages = require('../lib/WorkspacePackages');
+const { createProject, cleanup } = require('./fixtures');
+
+suite('WorkspacePackages', () => {
+	teardown(cleanup);
+
+	test('finds npm and yarn workspace packages by name', () => {
+		const dir = createProject({
+			'package.json': { name: 'root', workspaces: ['packages/*'] },
+			'packages/billing/package.json': { name: '@acme/billing' },
+			'packages/web/package.json': { name: 'web' },
+			'packages/web/src/app.ts': '',
+			'packages/node_modules/ignored/package.json': { name: 'ignored' }
+		});
+		const packages = new WorkspacePackages();
+		const fromDir = path.join(dir, 'packages', 'web', 'src');
+
+		assert.strictEqual(packages.findPackageDir(fromDir, '@acme/billing'), path.join(dir, 'packages', 'billing'));
+		assert.strictEqual(packages.findPackageDir(fromDir, 'web'), path.join(dir, 'packages', 'web'));
+		assert.strictEqual(packages.findPackageDir(fromDir, 'ignored'), null);
+		assert.strictEqual(packages.findPackageDir(fromDir, 'react'), null);
+	});
+
+	test('reads yarn classic workspaces objects', () => {
+		const dir = createProject({
+			'package.json': { private: true, workspaces: { packages: ['libs/**'], nohoist: ['**/react'] } },
+			'libs/ui/buttons/package.json': { name: '@acme/buttons' }
+		});
+
+		assert.strictEqual(
+			new WorkspacePackages().findPackageDir(dir, '@acme/buttons'),
+			path.join(dir, 'libs', 'ui', 'buttons')
+		);
+	});
+
+	test('reads pnpm-workspace.yaml', () => {
+		const dir = createProject({
+			'package.json': { name: 'root' },
+			'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - \"tools/cli\"\n  - '!apps/legacy'\n",
+			'apps/admin/package.json': { name: 'admin' },
+			'apps/legacy/package.json': { name: 'legacy' },
+			'tools/cli/package.json': { name: '@acme/cli' }
+		});
+		const packages = new WorkspacePackages();
+
+		assert.strictEqual(packages.findPackageDir(dir, 'admin'), path.join(dir, 'apps', 'admin'));
+		assert.strictEqual(packages.findPackageDir(dir, '@acme/cli'), path.join(dir, 'tools', 'cli'));
+		assert.strictEqual(packages.findPackageDir(dir, 'legacy'), null);
+	});
+
+	test('finds the nearest package.json', () => {
+		const dir = createProject({
+			'package.json': { name: 'root' },
+			'packages/a/package.json': { name: 'a' },
+			'packages/a/src/deep/file.js': ''
+		});
+
+		assert.strictEqual(
+			new WorkspacePackages().findNearestManifest(path.join(dir, 'packages', 'a', 'src', 'deep')),
+			path.join(dir, 'packages', 'a', 'package.json')
+		);
+	});
+});
+
+suite('ModuleResolver workspace packages', () => {
+	teardown(cleanup);
+
+	// A workspace with one app and the @acme/billing package, whose manifest the test completes
+	const workspace = (manifest, files) => createProject({
+		'package.json': { name: 'root', workspaces: ['packages/*', 'apps/*'] },
+		'apps/web/package.json': { name: 'web' },
+		'apps/web/src/app.ts': '',
+		'packages/billing/package.json': { name: '@acme/billing', ...manifest },
+		...files
+	});
+	const from = dir => path.join(dir, 'apps', 'web', 'src', 'app.ts');
+
+	test('resolves the entry point through source, module and main', () => {
+		const dir = workspace({ main: 'dist/index.js', source: 'src/index.ts' }, {
+			'packages/billing/src/index.ts': '',
+			'packages/billing/dist/index.js': ''
+		});
+
+		assert.strictEqual(new ModuleResolver().resolve(from(dir), '@acme/billing'), path.join(dir, 'packages', 'billing', 'src', 'index.ts'));
+	});
+
+	test('falls back to index files and deep imports without exports', () => {
+		const dir = workspace({}, {
+			'packages/billing/index.js': '',
+			'packages/billing/invoices/pdf.ts': ''
+		});
+		const resolver = new ModuleResolver();
+
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing'), path.join(dir, 'packages', 'billing', 'index.js'));
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing/invoices/pdf'), path.join(dir, 'packages', 'billing', 'invoices', 'pdf.ts'));
+	});
+
+	test('resolves exports subpaths, wildcards and conditions', () => {
+		const dir = workspace({
+			exports: {
+				'.': { types: './dist/index.d.ts', import: './src/index.ts' },
+				'./invoices/*': './src/invoices/*.ts',
+				'./internal/*': null
+			}
+		}, {
+			'packages/billing/dist/index.d.ts': '',
+			'packages/billing/src/index.ts': '',
+			'packages/billing/src/invoices/pdf.ts': '',
+			'packages/billing/src/secret.ts': ''
+		});
+		const resolver = new ModuleResolver();
+		const billing = path.join(dir, 'packages', 'billing', 'src');
+
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing'), path.join(billing, 'index.ts'));
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing/invoices/pdf'), path.join(billing, 'invoices', 'pdf.ts'));
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing/secret'), null);
+	});
+
+	test('resolves package.json imports', () => {
+		const dir = createProject({
+			'package.json': { name: 'app', imports: { '#db': './src/db/index.ts', '#utils/*': { node: './src/utils/*.js' } } },
+			'src/app.ts': '',
+			'src/db/index.ts': '',
+			'src/utils/date.js': ''
+		});
+		const resolver = new ModuleResolver();
+		const app = path.join(dir, 'src', 'app.ts');
+
+		assert.strictEqual(resolver.resolve(app, '#db'), path.join(dir, 'src', 'db', 'index.ts'));
+		assert.strictEqual(resolver.resolve(app, '#utils/date'), path.join(dir, 'src', 'utils', 'date.js'));
+		assert.strictEqual(resolver.resolve(app, '#missing'), null);
+	});
+
+	test('resolves self-references to the enclosing package', () => {
+		const dir = createProject({
+			'package.json': { name: '@acme/app', exports: { './utils': './src/utils.ts' } },
+			'src/app.ts': '',
+			'src/utils.ts': ''
+		});
+
+		assert.strictEqual(new ModuleResolver().resolve(path.join(dir, 'src', 'app.ts'), '@acme/app/utils'), path.join(dir, 'src', 'utils.ts'));
+	});
+
+	test('gives up on exports that refer back to their own package', () => {
+		const dir = workspace({
+			exports: { '.': '@acme/billing', './nested': { node: [{ import: '@acme/billing/nested' }] } }
+		}, {});
+		const resolver = new ModuleResolver();
+
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing'), null);
+		assert.strictEqual(resolver.resolve(from(dir), '@acme/billing/nested'), null);
+	});
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const { createProject, cleanup } = require('./fixtures');
+
+const CLI = path.join(__dirname, '..', 'bin', 'archit-search.js');
+
+/**
+ * Runs the CLI with plain Node (also inside the VS Code test host).
+ *
+ * @param {string[]} args - CLI arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+	return spawnSync(process.execPath, [CLI, ...args], {
+		encoding: 'utf-8',
+		env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' }
+	});
+}
+
+suite('CLI', () => {
+	const settings = JSON.stringify({
+		'architSearch.rules': [{ source: '**/domain/**', disallow: ['**/infrastructure/**'], message: 'Domain must stay pure' }]
+	});
+
+	teardown(cleanup);
+
+	const project = files => createProject({ '.vscode/settings.json': settings, ...files });
+
+	test('exits with 0 when no rule is broken', () => {
+		const dir = project({
+			'src/domain/user.js': "module.exports = {};\n",
+			'src/infrastructure/db.js': "const user = require('../domain/user');\n"
+		});
+
+		const result = run(['check', dir]);
+
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.match(result.stdout, /No architecture violations found/);
+	});
+
+	test('exits with 1 and lists violations when a rule is broken', () => {
+		const dir = project({
+			'src/domain/user.js': "const db = require('../infrastructure/db');\n",
+			'src/infrastructure/db.js': "module.exports = {};\n"
+		});
+
+		const result = run(['check', dir]);
+
+		assert.strictEqual(result.status, 1);
+		assert.match(result.stdout, /src\/domain\/user\.js/);
+		assert.match(result.stdout, /1:1\s+error\s+Domain must stay pure/);
+	});
+
+	test('prints violations as a JSON report', () => {
+		const dir = project({
+			'src/domain/user.js': "const db = require('../infrastructure/db');\n",
+			'src/infrastructure/db.js': "module.exports = {};\n"
+		});
+
+		const result = run(['check', dir, '--format', 'json']);
+		const report = JSON.parse(result.stdout);
+
+		assert.strictEqual(result.status, 1);
+		assert.deepStrictEqual(report.violations.map(v => [v.file, v.line, v.severity, v.message]), [
+			['src/domain/user.js', 1, 'error', 'Domain must stay pure']
+		]);
+	});
+
+	test('exits with 1 only when warnings exceed --max-warnings', () => {
+		const dir = createProject({
+			'.vscode/settings.json': JSON.stringify({
+				'architSearch.rules': [{ source: '**/domain/**', disallow: ['**/infrastructure/**'] }],
+				'architSearch.ruleSeverity': { 'rules/disallow': 'warning' }
+			}),
+			'src/domain/user.js': "const db = require('../infrastructure/db');\n",
+			'src/infrastructure/db.js': "module.exports = {};\n"
+		});
+
+		assert.strictEqual(run(['check', dir]).status, 0);
+		assert.strictEqual(run(['check', dir, '--max-warnings', '1']).status, 0);
+		assert.strictEqual(run(['check', dir, '--max-warnings', '0']).status, 1);
+	});
+
+	test('exits with 2 on invalid usage', () => {
+		const dir = project({});
+
+		assert.strictEqual(run([]).status, 2);
+		assert.strictEqual(run(['lint', dir]).status, 2);
+		assert.strictEqual(run(['check', dir, '--unknown']).status, 2);
+		assert.strictEqual(run(['check', dir, '--format', 'pdf']).status, 2);
+		assert.strictEqual(run(['check', path.join(dir, 'missing')]).status, 2);
+	});
+
+	test('exits with 2 on an invalid config file', () => {
+		const dir = project({ 'broken.json': '{ "architSearch.rules": [' });
+
+		const result = run(['check', dir, '--config', path.join(dir, 'broken.json')]);
+
+		assert.strictEqual(result.status, 2);
+		assert.match(result.stderr, /Invalid config file/);
+	});
+
+	test('prints the usage with --help', () => {
+		const result = run(['--help']);
+
+		assert.strictEqual(result.status, 0);
+		assert.match(result.stdout, /Usage: archit-search check/);
+	});
+});
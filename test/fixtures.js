@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Temporary projects for tests that read from disk.
+ * Call `cleanup()` from `teardown` to remove the projects created so far.
+ */
+const created = [];
+
+/**
+ * Writes a project into a new temporary directory.
+ * Values that are not strings are written as JSON.
+ *
+ * @param {Record<string, string | object>} files - File contents by relative path
+ * @returns {string} Absolute project directory
+ */
+function createProject(files) {
+	const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'archit-test-')));
+	for (const [file, content] of Object.entries(files)) {
+		const filePath = path.join(dir, file);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+	}
+	created.push(dir);
+	return dir;
+}
+
+/**
+ * Removes the projects created by `createProject`.
+ */
+function cleanup() {
+	for (const dir of created.splice(0)) {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+}
+
+module.exports = { createProject, cleanup };